@@ -0,0 +1,287 @@
+#!/usr/bin/env node
+// Command line entry point for nightly jobs: the same cleaning, fake detection and synthesis as
+// the app, on files. Needs the library build (npm run build:lib, also run by npm install) in dist/.
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { parseArgs } = require('util');
+const { version } = require('../package.json');
+
+const EXIT_OK = 0;
+// Reading, cleaning or writing failed
+const EXIT_FAILED = 1;
+// Bad arguments, a config, rule set or reference file that does not parse, or rules that
+// cannot be checked against the input, e.g. because a column they name is missing
+const EXIT_USAGE = 2;
+// The run finished, but rows failed validation, or suspects were found with --fail-on-fakes
+const EXIT_CHECKS_FAILED = 3;
+
+// Loaded in main, so a missing build is reported with a summary like any other failure
+let engine;
+
+const loadEngine = () => {
+  const build = path.resolve(__dirname, '../dist');
+  if (!fs.existsSync(path.join(build, 'index.js'))) throw new Error(`The library build is missing from ${build}; run npm run build:lib`);
+  return require(build);
+};
+
+const usageText = () => `Usage:
+  fakecleaner clean <input> [options]
+  fakecleaner synthesize <input> --out <file> [options]
+
+Input is CSV, XLSX or XLS. Output formats follow the file extension (.csv, .xlsx, .json)
+unless --format is given. A JSON summary of the run is written to stdout.
+
+Cleaning options (both commands):
+  --config <file>        Cleaning recipe exported from the app; the app's defaults otherwise
+  --reference <file>     CSV reference list for the recipe's lookups, by file name (repeatable)
+  --sheet <name>         Worksheet to read from a workbook; the first one otherwise
+  --salt <text>          Anonymization salt; random per run otherwise
+  --locale <tag>         Locale for the default formats, e.g. en-GB
+  --format <csv|xlsx|json>
+
+clean:
+  --out <file>           Cleaned rows
+  --fakes <file>         Suspected fake rows with their confidence and reasons
+  --rules <file>         Validation rule set or JSON Schema to check the cleaned rows against
+  --violations <file>    One line per rule violation
+  --invalid <file>       Rows failing validation, with their errors
+  --exclude-invalid      Leave rows failing validation out of --out
+  --fail-on-fakes        Exit with 3 when any row is suspected fake
+
+synthesize:
+  --out <file>           Generated rows, learned from the cleaned data
+  --rows <n>             Default ${engine.DEFAULT_SYNTHESIS_OPTIONS.rows}
+  --seed <n>             Default ${engine.DEFAULT_SYNTHESIS_OPTIONS.seed}
+  --distribution <similar|normal|random>
+  --no-outliers          Keep generated values within the observed range
+  --constraints <text>   Constraints the generated rows must meet, e.g. "end_date >= start_date"
+
+Exit codes: 0 done, 1 failed, 2 bad arguments, config or rules (including rules that
+cannot be checked), 3 rows failed validation (or suspects found, with --fail-on-fakes).`;
+
+const OPTIONS = {
+  config: { type: 'string' },
+  reference: { type: 'string', multiple: true },
+  sheet: { type: 'string' },
+  salt: { type: 'string' },
+  locale: { type: 'string' },
+  format: { type: 'string' },
+  out: { type: 'string' },
+  fakes: { type: 'string' },
+  rules: { type: 'string' },
+  violations: { type: 'string' },
+  invalid: { type: 'string' },
+  'exclude-invalid': { type: 'boolean' },
+  'fail-on-fakes': { type: 'boolean' },
+  rows: { type: 'string' },
+  seed: { type: 'string' },
+  distribution: { type: 'string' },
+  'no-outliers': { type: 'boolean' },
+  constraints: { type: 'string' },
+  help: { type: 'boolean', short: 'h' },
+  version: { type: 'boolean', short: 'v' }
+};
+
+const FORMATS = ['csv', 'xlsx', 'json'];
+const DISTRIBUTIONS = ['similar', 'normal', 'random'];
+
+// Problems with what the job was asked to do, as opposed to failures while doing it
+class UsageError extends Error {}
+
+const readBytes = (file) => {
+  try {
+    return fs.readFileSync(file);
+  } catch (error) {
+    throw new UsageError(`Cannot read ${file}: ${error.message}`);
+  }
+};
+
+// A config file that does not parse is a usage error, with the file named
+const parseFile = (file, parse) => {
+  try {
+    return parse(readBytes(file).toString('utf8'));
+  } catch (error) {
+    if (error instanceof UsageError) throw error;
+    throw new UsageError(`${file}: ${error.message}`);
+  }
+};
+
+const parseCount = (value, name) => {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) throw new UsageError(`--${name} must be a whole number`);
+  return number;
+};
+
+// --format wins; otherwise the extension, falling back to CSV
+const outputFormat = (file, format) => {
+  if (format) return format;
+  const extension = path.extname(file).slice(1).toLowerCase();
+  return FORMATS.includes(extension) ? extension : 'csv';
+};
+
+const readInput = async (file, sheet) => {
+  const data = readBytes(file);
+  if (engine.isExcelFileName(file)) {
+    const workbook = engine.readWorkbook(data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength));
+    const name = sheet || workbook.SheetNames[0];
+    if (!workbook.SheetNames.includes(name)) throw new UsageError(`${file} has no sheet named "${name}"`);
+    return { table: engine.sheetToTable(workbook, name), details: { sheet: name } };
+  }
+  const { table, delimiter, encoding, errors } = await engine.parseCsvFile(new Blob([data]));
+  return { table, details: { delimiter, encoding, parseErrors: errors.length } };
+};
+
+const writeOutput = async (file, table, format) => {
+  const blob = await engine.exportTable(table, outputFormat(file, format));
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  fs.writeFileSync(file, Buffer.from(await blob.arrayBuffer()));
+};
+
+// The job settings, the way the app would have them after opening the file and applying the recipe
+const jobConfig = (values, table) => {
+  const salt = values.salt || crypto.randomBytes(16).toString('hex');
+  const locale = values.locale || Intl.DateTimeFormat().resolvedOptions().locale;
+  if (!values.config) {
+    const options = engine.defaultCleaningOptions(locale, salt);
+    const types = engine.batchColumnTypes(table, {});
+    options.privacy.columns = engine.suggestedPrivacyColumns(table, types);
+    return { options, columnTypes: {} };
+  }
+  const recipe = parseFile(values.config, engine.parseRecipe);
+  return { options: engine.recipeOptions(recipe, salt), columnTypes: recipe.columnTypes };
+};
+
+const loadReferences = async (files = []) => {
+  const references = [];
+  for (const file of files) {
+    const { table } = await engine.parseCsvFile(new Blob([readBytes(file)]));
+    if (table.headers.length === 0) throw new UsageError(`${file} has no columns`);
+    references.push(engine.referenceFromTable(path.basename(file), table));
+  }
+  return references;
+};
+
+// Lookups whose list was not given would be skipped without a word
+const checkLookups = (options, references) => {
+  const names = new Set([...engine.BUILTIN_REFERENCES, ...references].map(reference => reference.name));
+  for (const lookup of options.lookups || []) {
+    if (!names.has(lookup.reference)) throw new UsageError(`The lookup on ${lookup.column} needs --reference ${lookup.reference}`);
+  }
+};
+
+const runClean = async (input, values) => {
+  const { table, details } = await readInput(input, values.sheet);
+  const config = jobConfig(values, table);
+  const references = await loadReferences(values.reference);
+  checkLookups(config.options, references);
+  const ruleSet = values.rules
+    ? parseFile(values.rules, text => engine.parseRuleSet(text, path.basename(values.rules).replace(/\.[^.]+$/, '')))
+    : null;
+  if (!ruleSet && (values.violations || values.invalid || values['exclude-invalid'])) {
+    throw new UsageError('--violations, --invalid and --exclude-invalid need --rules');
+  }
+
+  const job = engine.runCleanJob(table, { ...config, references, ruleSet, excludeInvalidRows: values['exclude-invalid'] });
+  const outputs = {};
+  const write = async (key, data) => {
+    if (!values[key]) return;
+    await writeOutput(values[key], data, values.format);
+    outputs[key] = values[key];
+  };
+  await write('out', job.cleaned);
+  await write('fakes', job.fakes);
+  await write('violations', job.violations);
+  // Written even when every row passes, so downstream steps always find the file
+  await write('invalid', job.invalid || { headers: [...job.cleaned.headers, 'validation_errors'], rows: [] });
+
+  const { validation } = job.summary;
+  // A rule that could not run says nothing about the rows, so the rule set is at fault
+  const unusable = validation && validation.unusableRules > 0;
+  const failed = (validation && validation.invalidRows > 0)
+    || (values['fail-on-fakes'] && job.summary.suspectedFakes > 0);
+  return {
+    code: unusable ? EXIT_USAGE : failed ? EXIT_CHECKS_FAILED : EXIT_OK,
+    summary: { input: { file: input, ...details }, ...job.summary, outputs }
+  };
+};
+
+const runSynthesize = async (input, values) => {
+  if (!values.out) throw new UsageError('synthesize needs --out');
+  const distribution = values.distribution || engine.DEFAULT_SYNTHESIS_OPTIONS.distribution;
+  if (!DISTRIBUTIONS.includes(distribution)) throw new UsageError(`--distribution must be one of ${DISTRIBUTIONS.join(', ')}`);
+  const options = {
+    rows: parseCount(values.rows, 'rows') ?? engine.DEFAULT_SYNTHESIS_OPTIONS.rows,
+    seed: parseCount(values.seed, 'seed') ?? engine.DEFAULT_SYNTHESIS_OPTIONS.seed,
+    distribution,
+    outliers: !values['no-outliers']
+  };
+
+  const { table, details } = await readInput(input, values.sheet);
+  const config = jobConfig(values, table);
+  const references = await loadReferences(values.reference);
+  checkLookups(config.options, references);
+  const job = engine.runCleanJob(table, { ...config, references });
+  // Learns from the cleaned table so generated values follow the standardized formats, as in the app
+  const { constraints, errors } = engine.parseConstraints(values.constraints || '', job.result.table.headers);
+  if (errors.length > 0) throw new UsageError(`--constraints: ${errors[0].message}`);
+  const synthesis = engine.synthesize(job.result.table, job.columnTypes, options, constraints);
+  await writeOutput(values.out, synthesis.table, values.format);
+
+  return {
+    code: EXIT_OK,
+    summary: {
+      input: { file: input, ...details },
+      rows: synthesis.table.rows.length,
+      columns: synthesis.table.headers.length,
+      options,
+      correlationError: synthesis.correlation.meanAbsoluteError,
+      constraintViolations: synthesis.violations,
+      outputs: { out: values.out }
+    }
+  };
+};
+
+const COMMANDS = { clean: runClean, synthesize: runSynthesize };
+
+const print = (summary) => process.stdout.write(JSON.stringify(summary, null, 2) + '\n');
+
+const main = async () => {
+  const started = Date.now();
+  let command;
+  try {
+    engine = loadEngine();
+    const { values, positionals } = parseArgs({ options: OPTIONS, allowPositionals: true });
+    if (values.version) {
+      process.stdout.write(`${version}\n`);
+      return EXIT_OK;
+    }
+    if (values.help) {
+      process.stdout.write(`${usageText()}\n`);
+      return EXIT_OK;
+    }
+    [command] = positionals;
+    if (!COMMANDS[command]) throw new UsageError(command ? `Unknown command "${command}"` : 'No command given');
+    if (positionals.length !== 2) throw new UsageError(`${command} takes one input file`);
+    if (values.format && !FORMATS.includes(values.format)) throw new UsageError(`--format must be one of ${FORMATS.join(', ')}`);
+
+    const { code, summary } = await COMMANDS[command](positionals[1], values);
+    const status = code === EXIT_OK ? 'ok' : code === EXIT_USAGE ? 'unusable_rules' : 'checks_failed';
+    print({ command, status, ...summary, durationMs: Date.now() - started });
+    return code;
+  } catch (error) {
+    // parseArgs reports unknown or malformed options with an ERR_PARSE_ARGS_* code
+    const usage = error instanceof UsageError || String(error.code).startsWith('ERR_PARSE_ARGS');
+    process.stderr.write(`fakecleaner: ${error.message}\n`);
+    if (usage && !command) process.stderr.write(`\n${usageText()}\n`);
+    print({ command: command || null, status: 'error', error: error.message, durationMs: Date.now() - started });
+    return usage ? EXIT_USAGE : EXIT_FAILED;
+  }
+};
+
+main().then(code => {
+  process.exitCode = code;
+});
@@ -0,0 +1,96 @@
+import { afterAll, describe, expect, it } from 'vitest';
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Runs against the library build, which npm test makes first
+const CLI = path.join(__dirname, 'fakecleaner.js');
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fakecleaner-'));
+
+afterAll(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const file = (name, text) => {
+  const target = path.join(dir, name);
+  fs.writeFileSync(target, text);
+  return target;
+};
+
+const run = (args, cli = CLI) => {
+  const { status, stdout } = spawnSync(process.execPath, [cli, ...args], { encoding: 'utf8' });
+  return { code: status, summary: JSON.parse(stdout) };
+};
+
+const input = file('people.csv', 'id,email\n1,a@x.com\n2,b@x.com\n');
+
+describe('fakecleaner', () => {
+  it('cleans a file and reports the run', () => {
+    const out = path.join(dir, 'clean.csv');
+    const { code, summary } = run(['clean', input, '--out', out, '--salt', 's']);
+    expect(code).toBe(0);
+    expect(summary).toMatchObject({ command: 'clean', status: 'ok', inputRows: 2, outputs: { out } });
+    expect(fs.existsSync(out)).toBe(true);
+  });
+
+  it('exits with 3 when rows fail validation', () => {
+    const rules = file('rules.json', JSON.stringify([{ kind: 'range', column: 'id', max: 1 }]));
+    const { code, summary } = run(['clean', input, '--rules', rules]);
+    expect(code).toBe(3);
+    expect(summary.status).toBe('checks_failed');
+    expect(summary.validation).toMatchObject({ invalidRows: 1, unusableRules: 0 });
+  });
+
+  it('exits with 2 and names the rules that could not be checked', () => {
+    const rules = file('missing.json', JSON.stringify([
+      { kind: 'required', column: 'phone' },
+      { kind: 'required', column: 'email' }
+    ]));
+    const { code, summary } = run(['clean', input, '--rules', rules]);
+    expect(code).toBe(2);
+    expect(summary.status).toBe('unusable_rules');
+    expect(summary.validation.unusableRules).toBe(1);
+    expect(summary.validation.violations).toBe(0);
+    expect(summary.validation.rules[0].error).toMatch(/phone/);
+    expect(summary.validation.rules[1]).toEqual({ rule: expect.any(String), violations: 0 });
+  });
+
+  it('runs a config that leaves nested options out', () => {
+    const config = file('dmy.json', JSON.stringify({
+      version: 1,
+      name: 'DMY',
+      options: { removeDuplicates: true, missingValues: 'mean', standardizeFormats: true, standardize: { dateOrder: 'DMY' } }
+    }));
+    const { code, summary } = run(['clean', input, '--config', config, '--out', path.join(dir, 'dmy.csv')]);
+    expect(code).toBe(0);
+    expect(summary.status).toBe('ok');
+  });
+
+  it('exits with 2 for a config it cannot use', () => {
+    const config = file('partial.json', JSON.stringify({
+      version: 1,
+      name: 'Partial',
+      options: { removeDuplicates: true, missingValues: 'mean', standardizeFormats: true, standardize: { dateOrder: 'DM' } }
+    }));
+    const { code, summary } = run(['clean', input, '--config', config, '--out', path.join(dir, 'partial.csv')]);
+    expect(code).toBe(2);
+    expect(summary.status).toBe('error');
+    expect(summary.error).toMatch(/standardize\.dateOrder/);
+  });
+
+  it('exits with 2 for arguments it does not know', () => {
+    const { code, summary } = run(['clean', input, '--bogus']);
+    expect(code).toBe(2);
+    expect(summary.status).toBe('error');
+  });
+
+  it('reports a missing library build with a summary', () => {
+    const copy = path.join(dir, 'package', 'bin', 'fakecleaner.js');
+    fs.mkdirSync(path.dirname(copy), { recursive: true });
+    fs.copyFileSync(CLI, copy);
+    fs.copyFileSync(path.join(__dirname, '..', 'package.json'), path.join(dir, 'package', 'package.json'));
+    const { code, summary } = run(['clean', input], copy);
+    expect(code).toBe(1);
+    expect(summary).toMatchObject({ command: null, status: 'error' });
+    expect(summary.error).toMatch(/npm run build:lib/);
+  });
+});
@@ -0,0 +1,39 @@
+import React, { useEffect, useRef } from 'react';
+import * as echarts from 'echarts';
+
+interface ChartProps {
+  option: echarts.EChartsOption;
+  className?: string;
+}
+
+const Chart: React.FC<ChartProps> = ({ option, className = 'w-full h-64' }) => {
+  const chartRef = useRef<HTMLDivElement>(null);
+  const chartInstance = useRef<echarts.ECharts | null>(null);
+
+  useEffect(() => {
+    if (!chartRef.current) return;
+    
+    const chart = echarts.init(chartRef.current);
+    chartInstance.current = chart;
+    
+    const handleResize = () => {
+      chart.resize();
+    };
+    
+    window.addEventListener('resize', handleResize);
+    
+    return () => {
+      window.removeEventListener('resize', handleResize);
+      chart.dispose();
+      chartInstance.current = null;
+    };
+  }, []);
+
+  useEffect(() => {
+    chartInstance.current?.setOption(option, true);
+  }, [option]);
+
+  return <div ref={chartRef} className={className}></div>;
+};
+
+export default Chart;
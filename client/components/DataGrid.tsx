@@ -0,0 +1,278 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { Cell } from '../engine/types';
+import { cellToString, isMissing } from '../engine/values';
+
+interface DataGridProps {
+  headers: string[];
+  rows: Cell[][];
+  // Extra classes for a cell; row is the index into rows, before sorting and filtering
+  cellClassName?: (row: number, column: number) => string;
+  // Tooltip for a cell; the full cell text when unset
+  cellTitle?: (row: number, column: number) => string | undefined;
+  // Makes cells editable on double-click; an empty value is passed as null
+  onCellEdit?: (row: number, column: number, value: Cell) => void;
+  // What the rows are called in the footer, e.g. "suspected rows"
+  rowLabel?: string;
+  pageSizes?: number[];
+  rowHeight?: number;
+  // Height of the scrolling body in pixels
+  height?: number;
+}
+
+type SortDirection = 'asc' | 'desc';
+
+// 0 shows every row on one page; virtualization keeps that cheap
+const DEFAULT_PAGE_SIZES = [25, 100, 1000, 0];
+const DEFAULT_COLUMN_WIDTH = 160;
+const MIN_COLUMN_WIDTH = 60;
+// Rows rendered above and below the visible window so fast scrolling does not flash blank
+const OVERSCAN = 10;
+
+const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+// Missing values sort last in both directions
+const compareCells = (a: Cell, b: Cell, direction: SortDirection): number => {
+  const aMissing = isMissing(a);
+  const bMissing = isMissing(b);
+  if (aMissing || bMissing) return aMissing === bMissing ? 0 : aMissing ? 1 : -1;
+  const order = typeof a === 'number' && typeof b === 'number' ? a - b : collator.compare(cellToString(a), cellToString(b));
+  return direction === 'asc' ? order : -order;
+};
+
+const DataGrid: React.FC<DataGridProps> = ({
+  headers,
+  rows,
+  cellClassName,
+  cellTitle,
+  onCellEdit,
+  rowLabel = 'rows',
+  pageSizes = DEFAULT_PAGE_SIZES,
+  rowHeight = 40,
+  height = 400
+}) => {
+  const [pageSize, setPageSize] = useState(pageSizes[0]);
+  const [page, setPage] = useState(0);
+  const [sort, setSort] = useState<{ column: number; direction: SortDirection } | null>(null);
+  const [filters, setFilters] = useState<Record<number, string>>({});
+  const [widths, setWidths] = useState<Record<number, number>>({});
+  const [scrollTop, setScrollTop] = useState(0);
+  const [editing, setEditing] = useState<{ row: number; column: number; draft: string } | null>(null);
+  const bodyRef = useRef<HTMLDivElement>(null);
+
+  // Indexes into rows after filtering and sorting; the rows themselves are never copied
+  const order = useMemo(() => {
+    const active = Object.entries(filters)
+      .filter(([, text]) => text.trim())
+      .map(([column, text]) => ({ column: Number(column), text: text.trim().toLowerCase() }));
+    const indexes: number[] = [];
+    rows.forEach((row, index) => {
+      if (active.every(filter => cellToString(row[filter.column] ?? null).toLowerCase().includes(filter.text))) {
+        indexes.push(index);
+      }
+    });
+    if (sort) indexes.sort((a, b) => compareCells(rows[a][sort.column] ?? null, rows[b][sort.column] ?? null, sort.direction) || a - b);
+    return indexes;
+  }, [rows, filters, sort]);
+
+  const pageCount = pageSize > 0 ? Math.max(1, Math.ceil(order.length / pageSize)) : 1;
+  const currentPage = Math.min(page, pageCount - 1);
+  const pageStart = pageSize > 0 ? currentPage * pageSize : 0;
+  const pageRows = pageSize > 0 ? order.slice(pageStart, pageStart + pageSize) : order;
+
+  // A new table, filter or sort starts again from the top. Edited rows keep the place, so
+  // the rows changing alone does not; a page that no longer exists is clamped above.
+  useEffect(() => {
+    setPage(0);
+  }, [headers, filters, sort, pageSize]);
+
+  useEffect(() => {
+    if (bodyRef.current) bodyRef.current.scrollTop = 0;
+    setScrollTop(0);
+  }, [headers, filters, sort, pageSize, currentPage]);
+
+  const first = Math.max(0, Math.floor(scrollTop / rowHeight) - OVERSCAN);
+  const last = Math.min(pageRows.length, Math.ceil((scrollTop + height) / rowHeight) + OVERSCAN);
+  const visible = pageRows.slice(first, last);
+
+  const handleSort = (column: number) => {
+    setSort(current => {
+      if (current?.column !== column) return { column, direction: 'asc' };
+      return current.direction === 'asc' ? { column, direction: 'desc' } : null;
+    });
+  };
+
+  const handleResizeStart = (e: React.MouseEvent, column: number) => {
+    e.preventDefault();
+    e.stopPropagation();
+    const startX = e.clientX;
+    const startWidth = widths[column] ?? DEFAULT_COLUMN_WIDTH;
+    const handleMove = (move: MouseEvent) => {
+      setWidths(current => ({ ...current, [column]: Math.max(MIN_COLUMN_WIDTH, startWidth + move.clientX - startX) }));
+    };
+    const handleUp = () => {
+      window.removeEventListener('mousemove', handleMove);
+      window.removeEventListener('mouseup', handleUp);
+    };
+    window.addEventListener('mousemove', handleMove);
+    window.addEventListener('mouseup', handleUp);
+  };
+
+  const commitEdit = () => {
+    if (!editing) return;
+    const before = cellToString(rows[editing.row]?.[editing.column] ?? null);
+    if (editing.draft !== before) onCellEdit?.(editing.row, editing.column, editing.draft === '' ? null : editing.draft);
+    setEditing(null);
+  };
+
+  const tableWidth = headers.reduce((sum, _, column) => sum + (widths[column] ?? DEFAULT_COLUMN_WIDTH), 0);
+  const filtered = order.length !== rows.length;
+
+  return (
+    <div>
+      <div
+        ref={bodyRef}
+        className="overflow-auto border border-gray-200 rounded-md"
+        style={{ maxHeight: height }}
+        onScroll={e => setScrollTop(e.currentTarget.scrollTop)}
+      >
+        <table className="divide-y divide-gray-200" style={{ tableLayout: 'fixed', width: tableWidth }}>
+          <colgroup>
+            {headers.map((_, column) => (
+              <col key={column} style={{ width: widths[column] ?? DEFAULT_COLUMN_WIDTH }} />
+            ))}
+          </colgroup>
+          <thead className="bg-gray-50 sticky top-0 z-10">
+            <tr>
+              {headers.map((header, column) => (
+                <th
+                  key={column}
+                  className="relative px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer select-none"
+                  onClick={() => handleSort(column)}
+                  title={header}
+                >
+                  <div className="flex items-center overflow-hidden">
+                    <span className="truncate">{header}</span>
+                    {sort?.column === column && (
+                      <i className={`fas ${sort.direction === 'asc' ? 'fa-sort-up' : 'fa-sort-down'} ml-1 text-blue-600`}></i>
+                    )}
+                  </div>
+                  <span
+                    className="absolute top-0 right-0 h-full w-2 cursor-col-resize hover:bg-blue-200"
+                    onMouseDown={e => handleResizeStart(e, column)}
+                    onClick={e => e.stopPropagation()}
+                  ></span>
+                </th>
+              ))}
+            </tr>
+            <tr>
+              {headers.map((header, column) => (
+                <th key={column} className="px-2 pb-2">
+                  <input
+                    type="text"
+                    className="w-full border border-gray-300 rounded-md px-2 py-1 text-xs font-normal"
+                    placeholder="Filter"
+                    aria-label={`Filter ${header}`}
+                    value={filters[column] || ''}
+                    onChange={e => setFilters(current => ({ ...current, [column]: e.target.value }))}
+                  />
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {first > 0 && (
+              <tr style={{ height: first * rowHeight }}>
+                <td colSpan={headers.length}></td>
+              </tr>
+            )}
+            {visible.map(index => (
+              <tr key={index} style={{ height: rowHeight }}>
+                {headers.map((_, column) => {
+                  const text = cellToString(rows[index][column] ?? null);
+                  if (editing?.row === index && editing.column === column) {
+                    return (
+                      <td key={column} className="px-1">
+                        <input
+                          type="text"
+                          className="w-full border border-blue-500 rounded px-2 py-1 text-sm focus:outline-none"
+                          value={editing.draft}
+                          autoFocus
+                          onChange={e => setEditing({ ...editing, draft: e.target.value })}
+                          onBlur={commitEdit}
+                          onKeyDown={e => {
+                            if (e.key === 'Enter') commitEdit();
+                            else if (e.key === 'Escape') setEditing(null);
+                          }}
+                        />
+                      </td>
+                    );
+                  }
+                  return (
+                    <td
+                      key={column}
+                      className={`px-4 whitespace-nowrap overflow-hidden text-ellipsis text-sm ${cellClassName?.(index, column) || 'text-gray-500'} ${onCellEdit ? 'cursor-text' : ''}`}
+                      title={cellTitle?.(index, column) ?? text}
+                      onDoubleClick={onCellEdit ? () => setEditing({ row: index, column, draft: text }) : undefined}
+                    >
+                      {text}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+            {last < pageRows.length && (
+              <tr style={{ height: (pageRows.length - last) * rowHeight }}>
+                <td colSpan={headers.length}></td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+        {pageRows.length === 0 && (
+          <p className="px-4 py-6 text-sm text-gray-500 text-center">
+            {filtered ? 'No rows match the filters.' : `No ${rowLabel} to show.`}
+          </p>
+        )}
+      </div>
+
+      <div className="mt-4 flex flex-wrap gap-3 justify-between items-center">
+        <div className="text-sm text-gray-500">
+          {order.length === 0
+            ? `Showing 0 of ${rows.length.toLocaleString()} ${rowLabel}`
+            : `Showing ${(pageStart + 1).toLocaleString()}–${(pageStart + pageRows.length).toLocaleString()} of ${order.length.toLocaleString()} ${rowLabel}`}
+          {filtered && ` (filtered from ${rows.length.toLocaleString()})`}
+        </div>
+        <div className="flex items-center space-x-2">
+          <select
+            className="border border-gray-300 rounded-md px-2 py-1 text-sm text-gray-600"
+            value={pageSize}
+            onChange={e => setPageSize(Number(e.target.value))}
+            aria-label="Rows per page"
+          >
+            {pageSizes.map(size => (
+              <option key={size} value={size}>{size > 0 ? `${size} per page` : 'All rows'}</option>
+            ))}
+          </select>
+          <button
+            className="border border-gray-300 rounded-md px-3 py-1 text-sm text-gray-600 hover:bg-gray-50 cursor-pointer !rounded-button whitespace-nowrap disabled:opacity-50 disabled:cursor-not-allowed"
+            onClick={() => setPage(currentPage - 1)}
+            disabled={currentPage === 0}
+          >
+            Previous
+          </button>
+          <span className="text-sm text-gray-500 whitespace-nowrap">
+            Page {currentPage + 1} of {pageCount}
+          </span>
+          <button
+            className="border border-gray-300 rounded-md px-3 py-1 text-sm text-gray-600 hover:bg-gray-50 cursor-pointer !rounded-button whitespace-nowrap disabled:opacity-50 disabled:cursor-not-allowed"
+            onClick={() => setPage(currentPage + 1)}
+            disabled={currentPage >= pageCount - 1}
+          >
+            Next
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DataGrid;
@@ -0,0 +1,141 @@
+import React, { useMemo, useState } from 'react';
+import { buildDiff, describeChange, DiffFilter, DiffRow, filterDiff } from '../engine/diff';
+import { Cell, CleaningOperation, CleaningResult, Table } from '../engine/types';
+import { cellToString } from '../engine/values';
+import DataGrid from './DataGrid';
+
+interface DiffViewProps {
+  table: Table;
+  result: CleaningResult;
+}
+
+type DiffLayout = 'inline' | 'sideBySide';
+
+const OPERATION_STYLES: Record<CleaningOperation, { label: string; className: string }> = {
+  manualEdits: { label: 'Edited', className: 'bg-green-50 text-green-800' },
+  standardizeFormats: { label: 'Standardized', className: 'bg-blue-50 text-blue-800' },
+  referenceLookups: { label: 'Looked up', className: 'bg-teal-50 text-teal-800' },
+  missingValues: { label: 'Imputed', className: 'bg-yellow-50 text-yellow-800' },
+  removeDuplicates: { label: 'Merged', className: 'bg-purple-50 text-purple-800' },
+  handleOutliers: { label: 'Outliers', className: 'bg-orange-50 text-orange-800' },
+  anonymize: { label: 'Anonymized', className: 'bg-gray-100 text-gray-700' }
+};
+
+const REMOVED_CLASS = 'bg-red-50 text-red-700 line-through';
+
+const FILTERS: { value: DiffFilter; label: string }[] = [
+  { value: 'all', label: 'All rows' },
+  { value: 'changed', label: 'Only changed rows' },
+  { value: 'removed', label: 'Only removed rows' }
+];
+
+const cellTooltip = (row: DiffRow, column: number): string | undefined => {
+  if (row.removal) return describeChange(row.removal);
+  const cell = row.cells.get(column);
+  if (!cell) return undefined;
+  return [`Was: ${cellToString(cell.before) || '(empty)'}`, ...cell.changes.map(describeChange)].join('\n');
+};
+
+// Original and cleaned values for audit; the first column is the row's number in the uploaded file
+const DiffView: React.FC<DiffViewProps> = ({ table, result }) => {
+  const [layout, setLayout] = useState<DiffLayout>('inline');
+  const [filter, setFilter] = useState<DiffFilter>('changed');
+
+  const diff = useMemo(() => buildDiff(table, result), [table, result]);
+  const visibleRows = useMemo(() => filterDiff(diff, filter), [diff, filter]);
+
+  const counts = useMemo(() => {
+    const byOperation: Record<CleaningOperation, number> = {
+      manualEdits: 0,
+      standardizeFormats: 0,
+      referenceLookups: 0,
+      missingValues: 0,
+      removeDuplicates: 0,
+      handleOutliers: 0,
+      anonymize: 0
+    };
+    diff.forEach(row => row.cells.forEach(cell => byOperation[cell.operation]++));
+    return { byOperation, removed: diff.filter(row => row.status === 'removed').length };
+  }, [diff]);
+
+  // Side by side puts each column's original value right before its cleaned one
+  const grid = useMemo(() => {
+    const headers =
+      layout === 'inline'
+        ? ['Row', ...table.headers]
+        : ['Row', ...table.headers.flatMap(header => [`${header} (original)`, `${header} (cleaned)`])];
+    const rows = visibleRows.map(row => {
+      const values: Cell[] = [row.id + 1];
+      table.headers.forEach((_, column) => {
+        const cleaned = row.cleaned ? row.cleaned[column] : row.original[column];
+        if (layout === 'sideBySide') values.push(row.original[column]);
+        values.push(cleaned);
+      });
+      return values;
+    });
+    return { headers, rows };
+  }, [layout, table, visibleRows]);
+
+  // Grid column back to the table column and whether it shows the cleaned side
+  const sourceColumn = (column: number) =>
+    layout === 'inline' ? { column: column - 1, cleaned: true } : { column: Math.floor((column - 1) / 2), cleaned: column % 2 === 0 };
+
+  const cellClassName = (index: number, gridColumn: number): string => {
+    const row = visibleRows[index];
+    if (gridColumn === 0) return row.status === 'removed' ? REMOVED_CLASS : 'text-gray-400';
+    if (row.status === 'removed') return REMOVED_CLASS;
+    const { column, cleaned } = sourceColumn(gridColumn);
+    const cell = row.cells.get(column);
+    return cell && cleaned ? OPERATION_STYLES[cell.operation].className : 'text-gray-500';
+  };
+
+  const cellTitle = (index: number, gridColumn: number): string | undefined => {
+    if (gridColumn === 0) return undefined;
+    return cellTooltip(visibleRows[index], sourceColumn(gridColumn).column);
+  };
+
+  return (
+    <div>
+      <div className="flex flex-wrap gap-3 justify-between items-center mb-4">
+        <div className="flex flex-wrap gap-3 text-xs">
+          {(Object.keys(OPERATION_STYLES) as CleaningOperation[]).map(operation => (
+            <span key={operation} className={`px-2 py-1 rounded ${OPERATION_STYLES[operation].className}`}>
+              {OPERATION_STYLES[operation].label}: {counts.byOperation[operation].toLocaleString()} cells
+            </span>
+          ))}
+          <span className={`px-2 py-1 rounded ${REMOVED_CLASS}`}>Removed: {counts.removed.toLocaleString()} rows</span>
+        </div>
+        <div className="flex items-center space-x-2">
+          <select
+            className="border border-gray-300 rounded-md px-2 py-1 text-sm text-gray-600"
+            value={filter}
+            onChange={e => setFilter(e.target.value as DiffFilter)}
+            aria-label="Rows to show"
+          >
+            {FILTERS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <select
+            className="border border-gray-300 rounded-md px-2 py-1 text-sm text-gray-600"
+            value={layout}
+            onChange={e => setLayout(e.target.value as DiffLayout)}
+            aria-label="Diff layout"
+          >
+            <option value="inline">Inline</option>
+            <option value="sideBySide">Side by side</option>
+          </select>
+        </div>
+      </div>
+      <DataGrid
+        headers={grid.headers}
+        rows={grid.rows}
+        cellClassName={cellClassName}
+        cellTitle={cellTitle}
+        rowLabel={filter === 'removed' ? 'removed rows' : filter === 'changed' ? 'changed rows' : 'rows'}
+      />
+    </div>
+  );
+};
+
+export default DiffView;
@@ -0,0 +1,109 @@
+import React from 'react';
+import { ClusterResolution, clusterKey, DuplicateCluster, resolveCluster } from '../engine/dedupe';
+import { Cell } from '../engine/types';
+import { cellToString } from '../engine/values';
+
+interface DuplicateClustersProps {
+  headers: string[];
+  clusters: DuplicateCluster[];
+  rowsById: Map<number, Cell[]>;
+  resolutions: Record<number, ClusterResolution>;
+  onResolutionChange: (key: number, resolution: ClusterResolution) => void;
+  limit?: number;
+}
+
+const DuplicateClusters: React.FC<DuplicateClustersProps> = ({
+  headers,
+  clusters,
+  rowsById,
+  resolutions,
+  onResolutionChange,
+  limit = 20
+}) => {
+  if (clusters.length === 0) {
+    return <p className="text-sm text-gray-500">No duplicates found with the current matching settings.</p>;
+  }
+
+  return (
+    <div className="space-y-6">
+      {clusters.slice(0, limit).map(cluster => {
+        const key = clusterKey(cluster);
+        const resolution = resolutions[key] || { survivor: cluster.survivor };
+        const merged = resolveCluster(cluster, rowsById, resolution);
+
+        // Clicking a cell takes that field from its row; clicking the survivor's own cell clears the override
+        const handleCellClick = (rowId: number, column: number) => {
+          const fields = { ...resolution.fields };
+          if (rowId === merged.survivor) delete fields[column];
+          else fields[column] = rowId;
+          onResolutionChange(key, { ...resolution, fields });
+        };
+
+        return (
+          <div key={key} className="border border-gray-200 rounded-lg overflow-x-auto">
+            <div className="bg-gray-50 px-4 py-2 text-sm text-gray-600 flex justify-between">
+              <span>{cluster.rows.length} matching rows</span>
+              <span>Similarity {Math.round(cluster.similarity * 100)}%</span>
+            </div>
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Keep</th>
+                  {headers.map((header, index) => (
+                    <th 
+                      key={index}
+                      className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"
+                    >
+                      {header}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {cluster.rows.map(rowId => (
+                  <tr key={rowId}>
+                    <td className="px-4 py-2">
+                      <input 
+                        type="radio" 
+                        name={`survivor-${key}`}
+                        checked={merged.survivor === rowId}
+                        onChange={() => onResolutionChange(key, { survivor: rowId, fields: resolution.fields })}
+                      />
+                    </td>
+                    {rowsById.get(rowId)?.map((cell, column) => {
+                      const chosen = (resolution.fields?.[column] ?? merged.survivor) === rowId;
+                      return (
+                        <td 
+                          key={column}
+                          className={`px-4 py-2 whitespace-nowrap text-sm cursor-pointer ${chosen ? 'bg-blue-50 text-blue-700 font-medium' : 'text-gray-500 hover:bg-gray-50'}`}
+                          onClick={() => handleCellClick(rowId, column)}
+                        >
+                          {cellToString(cell)}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+                <tr className="bg-green-50">
+                  <td className="px-4 py-2 text-xs font-medium text-green-700 uppercase">Result</td>
+                  {merged.cells.map((cell, column) => (
+                    <td key={column} className="px-4 py-2 whitespace-nowrap text-sm text-green-700">
+                      {cellToString(cell)}
+                    </td>
+                  ))}
+                </tr>
+              </tbody>
+            </table>
+          </div>
+        );
+      })}
+      {clusters.length > limit && (
+        <p className="text-sm text-gray-500">
+          Showing {limit} of {clusters.length} clusters. The rest keep their most complete row.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default DuplicateClusters;
@@ -0,0 +1,211 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { decideByRule, ReviewDecision, ReviewDecisions, ReviewItem, reviewCounts, reviewRules } from '../engine/review';
+import { Cell } from '../engine/types';
+import { cellToString } from '../engine/values';
+
+interface ReviewQueueProps {
+  headers: string[];
+  // Rows of the cleaned table; items point into them by position
+  rows: Cell[][];
+  items: ReviewItem[];
+  decisions: ReviewDecisions;
+  // Decisions to add, keyed by input row id; undoing is left to the session history
+  onDecide: (decisions: ReviewDecisions, label: string) => void;
+  onUndo: () => void;
+  canUndo: boolean;
+}
+
+const RULE_NAMES: Record<string, string> = {
+  placeholderName: 'Placeholder name',
+  disposableEmail: 'Disposable email',
+  malformedEmail: 'Malformed email',
+  impossiblePhone: 'Impossible phone',
+  keyboardMash: 'Keyboard mash',
+  digitRunId: 'Digit-run ID',
+  repeatedValues: 'Repeated values',
+  referenceLookup: 'Not in reference list'
+};
+
+const DECISION_BADGES: Record<ReviewDecision | 'pending', { label: string; className: string }> = {
+  remove: { label: 'Remove', className: 'bg-red-100 text-red-700' },
+  keep: { label: 'Keep', className: 'bg-green-100 text-green-700' },
+  pending: { label: 'Pending', className: 'bg-gray-100 text-gray-600' }
+};
+
+// One suspect at a time, most likely fakes first. Keys: A removes, R keeps, U undoes, J/K move.
+const ReviewQueue: React.FC<ReviewQueueProps> = ({ headers, rows, items, decisions, onDecide, onUndo, canUndo }) => {
+  const [current, setCurrent] = useState(0);
+
+  useEffect(() => {
+    setCurrent(0);
+  }, [items]);
+
+  const counts = useMemo(() => reviewCounts(items, decisions), [items, decisions]);
+  const rules = useMemo(() => reviewRules(items), [items]);
+
+  if (items.length === 0) {
+    return <p className="text-sm text-gray-500">No suspected fake rows to review.</p>;
+  }
+
+  const index = Math.min(current, items.length - 1);
+  const item = items[index];
+  const decision = decisions[item.id];
+  const flaggedColumns = new Set(item.finding.reasons.map(reason => reason.column));
+  const reviewed = counts.removed + counts.kept;
+
+  // After a decision, move on to the next row still waiting for one
+  const nextPending = (from: number, next: ReviewDecisions): number => {
+    for (let offset = 1; offset <= items.length; offset++) {
+      const candidate = (from + offset) % items.length;
+      if (next[items[candidate].id] === undefined) return candidate;
+    }
+    return from;
+  };
+
+  const decide = (value: ReviewDecision) => {
+    onDecide({ [item.id]: value }, `Review: ${value} row ${item.id + 1}`);
+    setCurrent(nextPending(index, { ...decisions, [item.id]: value }));
+  };
+
+  const handleUndo = () => {
+    if (canUndo) onUndo();
+  };
+
+  const handleBulk = (rule: string, value: ReviewDecision) => {
+    const added = decideByRule(items, decisions, rule, value);
+    const count = Object.keys(added).length;
+    if (count === 0) return;
+    onDecide(added, `Review: ${value} ${count} ${RULE_NAMES[rule] || rule} rows`);
+    if (added[item.id] !== undefined) setCurrent(nextPending(index, { ...decisions, ...added }));
+  };
+
+  const handleKeyDown = (e: React.KeyboardEvent<HTMLDivElement>) => {
+    if (e.target instanceof HTMLInputElement || e.target instanceof HTMLSelectElement) return;
+    const key = e.key.toLowerCase();
+    if ((e.ctrlKey || e.metaKey) && key === 'z') handleUndo();
+    else if (e.ctrlKey || e.metaKey || e.altKey) return;
+    else if (key === 'a' || key === 'delete') decide('remove');
+    else if (key === 'r') decide('keep');
+    else if (key === 'u') handleUndo();
+    else if (key === 'j' || key === 'arrowdown') setCurrent(Math.min(items.length - 1, index + 1));
+    else if (key === 'k' || key === 'arrowup') setCurrent(Math.max(0, index - 1));
+    else return;
+    e.preventDefault();
+  };
+
+  const badge = DECISION_BADGES[decision || 'pending'];
+
+  return (
+    <div tabIndex={0} onKeyDown={handleKeyDown} className="focus:outline-none focus:ring-2 focus:ring-blue-500 rounded-lg">
+      <div className="mb-4">
+        <div className="flex justify-between text-sm text-gray-600 mb-1">
+          <span>{reviewed.toLocaleString()} of {items.length.toLocaleString()} reviewed</span>
+          <span>
+            {counts.pending.toLocaleString()} pending · {counts.removed.toLocaleString()} to remove · {counts.kept.toLocaleString()} to keep
+          </span>
+        </div>
+        <div className="w-full bg-gray-200 rounded-full h-2">
+          <div className="bg-blue-600 h-2 rounded-full" style={{ width: `${(reviewed / items.length) * 100}%` }}></div>
+        </div>
+      </div>
+
+      <div className="border border-gray-200 rounded-lg">
+        <div className="bg-gray-50 px-4 py-2 flex justify-between items-center text-sm">
+          <span className="text-gray-600">
+            Suspect {index + 1} of {items.length} · row {item.id + 1} ·{' '}
+            <span className="font-medium text-purple-600">{Math.round(item.finding.score * 100)}% confidence</span>
+          </span>
+          <span className={`px-2 py-0.5 rounded text-xs font-medium ${badge.className}`}>{badge.label}</span>
+        </div>
+        <div className="p-4">
+          <dl className="grid grid-cols-1 sm:grid-cols-2 gap-x-6 gap-y-2 text-sm">
+            {headers.map((header, column) => (
+              <div key={column} className="flex justify-between border-b border-gray-100 py-1">
+                <dt className="text-gray-500 mr-4">{header}</dt>
+                <dd className={`truncate ${flaggedColumns.has(column) ? 'text-red-600 font-medium' : 'text-gray-800'}`}>
+                  {cellToString(rows[item.position][column] ?? null)}
+                </dd>
+              </div>
+            ))}
+          </dl>
+          <ul className="mt-3 space-y-1 text-sm text-gray-600">
+            {item.finding.reasons.map((reason, reasonIndex) => (
+              <li key={reasonIndex}>
+                <i className="fas fa-flag text-red-400 mr-2"></i>
+                {reason.detail}
+              </li>
+            ))}
+          </ul>
+          <div className="mt-4 flex flex-wrap gap-2">
+            <button
+              className="bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded-lg text-sm cursor-pointer !rounded-button whitespace-nowrap"
+              onClick={() => decide('remove')}
+            >
+              Remove <kbd className="ml-1 text-xs opacity-75">A</kbd>
+            </button>
+            <button
+              className="bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-lg text-sm cursor-pointer !rounded-button whitespace-nowrap"
+              onClick={() => decide('keep')}
+            >
+              Keep <kbd className="ml-1 text-xs opacity-75">R</kbd>
+            </button>
+            <button
+              className="border border-gray-300 rounded-md px-4 py-2 text-sm text-gray-600 hover:bg-gray-50 cursor-pointer !rounded-button whitespace-nowrap disabled:opacity-50 disabled:cursor-not-allowed"
+              onClick={handleUndo}
+              disabled={!canUndo}
+            >
+              Undo <kbd className="ml-1 text-xs opacity-75">U</kbd>
+            </button>
+            <div className="ml-auto flex space-x-2">
+              <button
+                className="border border-gray-300 rounded-md px-3 py-2 text-sm text-gray-600 hover:bg-gray-50 cursor-pointer !rounded-button whitespace-nowrap disabled:opacity-50"
+                onClick={() => setCurrent(index - 1)}
+                disabled={index === 0}
+                aria-label="Previous suspect"
+              >
+                <i className="fas fa-chevron-up"></i>
+              </button>
+              <button
+                className="border border-gray-300 rounded-md px-3 py-2 text-sm text-gray-600 hover:bg-gray-50 cursor-pointer !rounded-button whitespace-nowrap disabled:opacity-50"
+                onClick={() => setCurrent(index + 1)}
+                disabled={index === items.length - 1}
+                aria-label="Next suspect"
+              >
+                <i className="fas fa-chevron-down"></i>
+              </button>
+            </div>
+          </div>
+          <p className="mt-3 text-xs text-gray-400">
+            Click the queue, then use A to remove, R to keep, U to undo and J/K to move between suspects.
+          </p>
+        </div>
+      </div>
+
+      {rules.length > 0 && (
+        <div className="mt-4">
+          <h4 className="font-medium text-gray-700 mb-2">Decide by Rule</h4>
+          <table className="min-w-full text-sm">
+            <tbody className="divide-y divide-gray-100">
+              {rules.map(({ rule, count }) => (
+                <tr key={rule}>
+                  <td className="py-2 text-gray-700">{RULE_NAMES[rule] || rule}</td>
+                  <td className="py-2 text-gray-500">{count.toLocaleString()} rows</td>
+                  <td className="py-2 text-right space-x-3 whitespace-nowrap">
+                    <button className="text-red-600 hover:text-red-700 cursor-pointer" onClick={() => handleBulk(rule, 'remove')}>
+                      Remove pending
+                    </button>
+                    <button className="text-green-600 hover:text-green-700 cursor-pointer" onClick={() => handleBulk(rule, 'keep')}>
+                      Keep pending
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReviewQueue;
@@ -0,0 +1,104 @@
+import * as echarts from 'echarts';
+import { Histogram, MissingHeatmap, QualityMetrics } from '../engine/quality';
+
+const percent = (value: number) => Math.round(value * 1000) / 10;
+
+export const qualityPieOption = (metrics: QualityMetrics): echarts.EChartsOption => {
+  const duplicateCells = metrics.duplicateRows * metrics.columns;
+  return {
+    animation: false,
+    title: {
+      text: 'Data Quality Analysis',
+      left: 'center'
+    },
+    tooltip: {
+      trigger: 'item',
+      formatter: '{b}: {c} cells ({d}%)'
+    },
+    legend: {
+      orient: 'vertical',
+      left: 'left'
+    },
+    series: [
+      {
+        name: 'Data Quality',
+        type: 'pie',
+        radius: '60%',
+        data: [
+          { value: Math.max(0, metrics.cells - metrics.missingCells - duplicateCells), name: 'Complete' },
+          { value: metrics.missingCells, name: 'Missing Values' },
+          { value: duplicateCells, name: 'Duplicates' }
+        ],
+        emphasis: {
+          itemStyle: {
+            shadowBlur: 10,
+            shadowOffsetX: 0,
+            shadowColor: 'rgba(0, 0, 0, 0.5)'
+          }
+        }
+      }
+    ]
+  };
+};
+
+export const completenessOption = (before: QualityMetrics, after: QualityMetrics): echarts.EChartsOption => ({
+  animation: false,
+  title: { text: 'Completeness by Column', left: 'center', textStyle: { fontSize: 14 } },
+  tooltip: { trigger: 'axis', valueFormatter: value => `${value}%` },
+  legend: { bottom: 0 },
+  grid: { left: 40, right: 16, top: 40, bottom: 60, containLabel: true },
+  xAxis: { type: 'category', data: before.byColumn.map(column => column.name), axisLabel: { rotate: 30 } },
+  yAxis: { type: 'value', max: 100 },
+  series: [
+    { name: 'Before', type: 'bar', data: before.byColumn.map(column => percent(column.completeness)) },
+    { name: 'After', type: 'bar', data: after.byColumn.map(column => percent(column.completeness)) }
+  ]
+});
+
+export const beforeAfterOption = (before: QualityMetrics, after: QualityMetrics): echarts.EChartsOption => ({
+  animation: false,
+  title: { text: 'Before / After Cleaning', left: 'center', textStyle: { fontSize: 14 } },
+  tooltip: { trigger: 'axis' },
+  legend: { bottom: 0 },
+  grid: { left: 40, right: 16, top: 40, bottom: 40, containLabel: true },
+  xAxis: { type: 'category', data: ['Rows', 'Missing Values', 'Duplicate Rows'] },
+  yAxis: { type: 'value' },
+  series: [
+    { name: 'Before', type: 'bar', data: [before.rows, before.missingCells, before.duplicateRows] },
+    { name: 'After', type: 'bar', data: [after.rows, after.missingCells, after.duplicateRows] }
+  ]
+});
+
+export const missingHeatmapOption = (heatmap: MissingHeatmap): echarts.EChartsOption => ({
+  animation: false,
+  title: { text: 'Missing Values by Row Range', left: 'center', textStyle: { fontSize: 14 } },
+  tooltip: {
+    formatter: params => {
+      const [column, bucket, share] = (Array.isArray(params) ? params[0] : params).value as number[];
+      return `${heatmap.columns[column]}, rows ${heatmap.buckets[bucket]}: ${percent(share)}% missing`;
+    }
+  },
+  grid: { left: 40, right: 16, top: 40, bottom: 70, containLabel: true },
+  xAxis: { type: 'category', data: heatmap.columns, axisLabel: { rotate: 30 } },
+  yAxis: { type: 'category', data: heatmap.buckets, inverse: true },
+  visualMap: {
+    min: 0,
+    max: 1,
+    orient: 'horizontal',
+    left: 'center',
+    bottom: 0,
+    itemHeight: 80,
+    inRange: { color: ['#f0fdf4', '#fde68a', '#dc2626'] }
+  },
+  series: [{ type: 'heatmap', data: heatmap.cells }]
+});
+
+export const histogramOption = (name: string, histogram: Histogram): echarts.EChartsOption => ({
+  animation: false,
+  title: { text: `Distribution of ${name}`, left: 'center', textStyle: { fontSize: 14 } },
+  tooltip: { trigger: 'axis' },
+  grid: { left: 40, right: 16, top: 40, bottom: 40, containLabel: true },
+  xAxis: { type: 'category', data: histogram.labels, axisLabel: { rotate: 30 } },
+  yAxis: { type: 'value' },
+  series: [{ name: 'Rows', type: 'bar', barCategoryGap: '5%', data: histogram.counts }]
+});
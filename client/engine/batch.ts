@@ -0,0 +1,69 @@
+import { Cell, CleaningOptions, Table } from './types';
+import { ColumnType, inferColumnType } from './schema';
+
+export type BatchStatus = 'queued' | 'processing' | 'done' | 'failed';
+
+export interface BatchSummary {
+  inputRows: number;
+  outputRows: number;
+  suspectedFakes: number;
+  changes: number;
+}
+
+// One file of a batch; `table` holds the cleaned data once it is done
+export interface BatchItem {
+  name: string;
+  size: number;
+  status: BatchStatus;
+  // 0..1 while processing
+  progress: number;
+  error?: string;
+  table?: Table;
+  summary?: BatchSummary;
+}
+
+export const SOURCE_FILE_COLUMN = 'source_file';
+
+// The loaded file's settings for the other files in a batch. Hand edits name rows of the file
+// they were made in, so they stay behind.
+export const batchOptions = (options: CleaningOptions): CleaningOptions => {
+  const { edits: _edits, ...rest } = options;
+  return rest;
+};
+
+// Inferred for each file, except where a column type was chosen by hand for the same header
+export const batchColumnTypes = (table: Table, overrides: Record<string, ColumnType>): ColumnType[] =>
+  table.headers.map((header, column) => overrides[header] || inferColumnType(table.rows.map(row => row[column] ?? null)));
+
+// Every file's rows stacked, with columns matched by header in the order they first appear and
+// the name of the file each row came from in front
+export const combineTables = (parts: { name: string; table: Table }[]): Table => {
+  const headers: string[] = [];
+  for (const { table } of parts) {
+    for (const header of table.headers) {
+      if (!headers.includes(header)) headers.push(header);
+    }
+  }
+  const rows: Cell[][] = [];
+  for (const { name, table } of parts) {
+    const columns = headers.map(header => table.headers.indexOf(header));
+    for (const row of table.rows) {
+      rows.push([name, ...columns.map(column => (column < 0 ? null : row[column] ?? null))]);
+    }
+  }
+  const sourceColumn = headers.includes(SOURCE_FILE_COLUMN) ? `_${SOURCE_FILE_COLUMN}` : SOURCE_FILE_COLUMN;
+  return { headers: [sourceColumn, ...headers], rows };
+};
+
+// Names for the files in a zip: the source name with a suffix and the export's extension,
+// numbered when two sources share a name
+export const batchEntryNames = (names: string[], suffix: string, extension: string): string[] => {
+  const used = new Set<string>();
+  return names.map(name => {
+    const base = `${name.replace(/\.[^.]+$/, '')}-${suffix}`;
+    let entry = `${base}.${extension}`;
+    for (let copy = 2; used.has(entry.toLowerCase()); copy++) entry = `${base}-${copy}.${extension}`;
+    used.add(entry.toLowerCase());
+    return entry;
+  });
+};
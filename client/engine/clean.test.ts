@@ -0,0 +1,57 @@
+import { describe, expect, it } from 'vitest';
+import { cleanTable, previewCleaning } from './clean';
+import { CleaningOptions, Table } from './types';
+
+const options = (patch: Partial<CleaningOptions> = {}): CleaningOptions => ({
+  removeDuplicates: false,
+  missingValues: 'mean',
+  standardizeFormats: false,
+  ...patch
+});
+
+describe('cleanTable', () => {
+  const table: Table = {
+    headers: ['name', 'age'],
+    rows: [['Ann', 30], ['Bob', null], ['Cid', 40], ['Ann', 30]]
+  };
+
+  it('fills numeric gaps with the mean rounded to the column precision and logs each fill', () => {
+    const result = cleanTable(table, options());
+    expect(result.table.rows[1]).toEqual(['Bob', 33]);
+    expect(result.summary.missingValues).toBe(1);
+    expect(result.changes).toContainEqual(expect.objectContaining({ operation: 'missingValues', row: 1, column: 1, before: null }));
+  });
+
+  it('removes duplicate rows and keeps the input row ids', () => {
+    const result = cleanTable(table, options({ removeDuplicates: true, missingValues: 'remove' }));
+    expect(result.rowIds).toEqual([0, 2]);
+    expect(result.summary.removeDuplicates).toBe(1);
+  });
+
+  it('uses the column rule over the global strategy', () => {
+    const result = cleanTable(table, options({ columnRules: { age: { missingValues: 'constant', constant: '0' } } }));
+    expect(result.table.rows[1][1]).toBe('0');
+  });
+});
+
+describe('cleanTable constant fills', () => {
+  it('does not log or count an empty constant written over a blank cell', () => {
+    const table: Table = { headers: ['name', 'note'], rows: [['Ann', ''], ['Bob', null], ['Cid', 'n/a']] };
+    const result = cleanTable(table, options({ columnRules: { note: { missingValues: 'constant', constant: '' } } }));
+    expect(result.summary.missingValues).toBe(1);
+    expect(result.changes).toEqual([expect.objectContaining({ row: 2, before: 'n/a', after: '' })]);
+  });
+});
+
+describe('previewCleaning', () => {
+  it('finds the clusters and outliers a run would act on', () => {
+    const table: Table = {
+      headers: ['name', 'amount'],
+      rows: [['Ann', 10], ['Bob', 11], ['Ann', 10], ['Cid', 12], ['Dee', 11], ['Eve', 10], ['Fay', 900]]
+    };
+    const preview = previewCleaning(table, options({ removeDuplicates: true, handleOutliers: true }));
+    expect(preview.clusters.map(cluster => cluster.rows)).toEqual([[0, 2]]);
+    expect(preview.outliers).toBe(1);
+    expect(preview.rowsById.get(6)).toEqual(['Fay', 900]);
+  });
+});
@@ -0,0 +1,355 @@
+import {
+  Cell,
+  Change,
+  CleaningOperation,
+  CleaningOptions,
+  CleaningProgress,
+  CleaningResult,
+  ColumnMissingStrategy,
+  Table
+} from './types';
+import { cellToString, countDecimals, isMissing, parseNumber, roundTo } from './values';
+import { mean, median, mode } from './stats';
+import { ColumnType, inferColumnType, isNumericType } from './schema';
+import {
+  ClusterResolution,
+  clusterKey,
+  DEFAULT_DEDUP_OPTIONS,
+  DuplicateCluster,
+  findDuplicateClusters,
+  resolveCluster
+} from './dedupe';
+import { applyRule, columnRule, DEFAULT_STANDARDIZE_OPTIONS, StandardizeRule } from './standardize';
+import { createAnonymizer, PrivacyOptions } from './privacy';
+import { applyEdits } from './edits';
+import { DEFAULT_OUTLIER_OPTIONS, findOutliers, OutlierOptions } from './outliers';
+import { correctLookups } from './reference';
+
+interface WorkingRow {
+  id: number;
+  cells: Cell[];
+}
+
+const PROGRESS_INTERVAL = 5000;
+
+const standardizeFormats = (
+  rows: WorkingRow[],
+  headers: string[],
+  types: ColumnType[],
+  enabled: boolean[],
+  options: CleaningOptions,
+  changes: Change[],
+  onProgress?: CleaningProgress
+) => {
+  const standardize = options.standardize || DEFAULT_STANDARDIZE_OPTIONS;
+
+  headers.forEach((header, column) => {
+    if (!enabled[column]) return;
+    const rules: StandardizeRule[] = [];
+    if (standardize.rules.whitespace) rules.push('whitespace');
+    const typed = columnRule(header, types[column], rows.map(row => row.cells[column]), standardize);
+    if (typed) rules.push(typed);
+
+    for (let index = 0; index < rows.length; index++) {
+      // Columns are done one after another; report them as a share of all rows
+      if (index % PROGRESS_INTERVAL === 0) {
+        onProgress?.('standardizeFormats', Math.round((column * rows.length + index) / headers.length), rows.length);
+      }
+      const row = rows[index];
+      for (const rule of rules) {
+        const before = row.cells[column];
+        const after = applyRule(rule, before, standardize);
+        // "30" and 30 read the same; only count edits a user would see
+        if (cellToString(after) !== cellToString(before)) {
+          row.cells[column] = after;
+          changes.push({ operation: 'standardizeFormats', row: row.id, column, before, after, rule });
+        }
+      }
+    }
+  });
+};
+
+const removeDuplicates = (
+  rows: WorkingRow[],
+  headers: string[],
+  options: CleaningOptions,
+  resolutions: Record<number, ClusterResolution>,
+  changes: Change[],
+  onProgress?: CleaningProgress
+): WorkingRow[] => {
+  const dedup = options.dedup || DEFAULT_DEDUP_OPTIONS;
+  const clusters = findDuplicateClusters(
+    headers,
+    rows.map(row => row.cells),
+    rows.map(row => row.id),
+    dedup,
+    (done, total) => onProgress?.('removeDuplicates', done, total)
+  );
+  const rowsById = new Map(rows.map(row => [row.id, row]));
+  const cellsById = new Map(rows.map(row => [row.id, row.cells]));
+  const removed = new Set<number>();
+
+  for (const cluster of clusters) {
+    const { survivor, cells } = resolveCluster(cluster, cellsById, resolutions[clusterKey(cluster)]);
+    const kept = rowsById.get(survivor)!;
+    cells.forEach((after, column) => {
+      const before = kept.cells[column];
+      if (after !== before) {
+        changes.push({ operation: 'removeDuplicates', row: survivor, column, before, after, rule: 'merge' });
+      }
+    });
+    kept.cells = cells;
+    for (const id of cluster.rows) {
+      if (id === survivor) continue;
+      removed.add(id);
+      changes.push({ operation: 'removeDuplicates', row: id, column: null, before: null, after: null, rule: dedup.metric });
+    }
+  }
+  return rows.filter(row => !removed.has(row.id));
+};
+
+// Flagged cells are logged with the value unchanged; with 'missing' the cell is emptied for
+// the missing value step to fill, and with 'drop' the rows holding an outlier go
+const handleOutliers = (
+  rows: WorkingRow[],
+  types: ColumnType[],
+  outliers: OutlierOptions,
+  changes: Change[],
+  onProgress?: CleaningProgress
+): WorkingRow[] => {
+  const dropped = new Set<number>();
+  types.forEach((type, column) => {
+    onProgress?.('handleOutliers', Math.round((column * rows.length) / types.length), rows.length);
+    if (!isNumericType(type)) return;
+    const found = findOutliers(rows.map(row => row.cells[column]), outliers);
+    if (!found) return;
+    for (const { index, capped } of found.cells) {
+      const row = rows[index];
+      const before = row.cells[column];
+      const after = outliers.treatment === 'cap' ? capped : outliers.treatment === 'missing' ? null : before;
+      row.cells[column] = after;
+      changes.push({ operation: 'handleOutliers', row: row.id, column, before, after, rule: outliers.method });
+      if (outliers.treatment === 'drop') dropped.add(row.id);
+    }
+  });
+  if (dropped.size === 0) return rows;
+  return rows.filter(row => {
+    if (!dropped.has(row.id)) return true;
+    changes.push({ operation: 'handleOutliers', row: row.id, column: null, before: null, after: null, rule: outliers.method });
+    return false;
+  });
+};
+
+// Fill value for one column, or undefined when the strategy has nothing to offer
+const imputeValue = (values: Cell[], type: ColumnType, strategy: ColumnMissingStrategy, constant: string): Cell | undefined => {
+  const present = values.filter(value => !isMissing(value));
+
+  if (strategy === 'keep') return undefined;
+  if (strategy === 'constant') return constant;
+  if (strategy === 'zero') return 0;
+  if ((strategy === 'mean' || strategy === 'median') && isNumericType(type)) {
+    const numeric = present.filter(value => parseNumber(value) !== null);
+    if (numeric.length === 0) return undefined;
+    const numbers = numeric.map(value => parseNumber(value) as number);
+    const decimals = numeric.reduce((max: number, value) => Math.max(max, countDecimals(value)), 0);
+    const center = strategy === 'mean' ? mean(numbers) : median(numbers);
+    return roundTo(center, type === 'integer' ? 0 : decimals);
+  }
+  // Mode, and the fallback for mean/median on non-numeric columns
+  return mode(present.map(cellToString));
+};
+
+const handleMissingValues = (
+  rows: WorkingRow[],
+  columnTypes: ColumnType[],
+  strategies: ColumnMissingStrategy[],
+  constants: string[],
+  changes: Change[],
+  onProgress?: CleaningProgress
+): WorkingRow[] => {
+  // Rows are dropped first so the remaining columns impute from the rows that are kept
+  const removeColumns = strategies.flatMap((strategy, column) => (strategy === 'remove' ? [column] : []));
+  if (removeColumns.length > 0) {
+    rows = rows.filter(row => {
+      if (removeColumns.some(column => isMissing(row.cells[column]))) {
+        changes.push({ operation: 'missingValues', row: row.id, column: null, before: null, after: null, rule: 'remove' });
+        return false;
+      }
+      return true;
+    });
+  }
+
+  for (let column = 0; column < columnTypes.length; column++) {
+    onProgress?.('missingValues', Math.round((column * rows.length) / columnTypes.length), rows.length);
+    const strategy = strategies[column];
+    if (strategy === 'remove') continue;
+    const fill = imputeValue(rows.map(row => row.cells[column]), columnTypes[column], strategy, constants[column]);
+    if (fill === undefined) continue;
+    for (const row of rows) {
+      const before = row.cells[column];
+      // An empty constant leaves a blank cell as it was; that is not a fill
+      if (isMissing(before) && cellToString(before) !== cellToString(fill)) {
+        row.cells[column] = fill;
+        changes.push({ operation: 'missingValues', row: row.id, column, before, after: fill, rule: strategy });
+      }
+    }
+  }
+  return rows;
+};
+
+const anonymizeColumns = (
+  rows: WorkingRow[],
+  headers: string[],
+  privacy: PrivacyOptions,
+  changes: Change[],
+  onProgress?: CleaningProgress
+) => {
+  const anonymize = createAnonymizer(privacy.salt);
+  headers.forEach((header, column) => {
+    onProgress?.('anonymize', Math.round((column * rows.length) / headers.length), rows.length);
+    const setting = privacy.columns[header];
+    if (!setting || setting.action === 'keep') return;
+    for (const row of rows) {
+      const before = row.cells[column];
+      const after = anonymize(before, setting.kind, setting.action, header);
+      if (cellToString(after) !== cellToString(before)) {
+        row.cells[column] = after;
+        changes.push({ operation: 'anonymize', row: row.id, column, before, after, rule: setting.action });
+      }
+    }
+  });
+};
+
+// Shape the rows and standardize them, the part of cleaning that duplicate matching depends on
+const prepareRows = (
+  table: Table,
+  options: CleaningOptions,
+  columnTypes: ColumnType[] | undefined,
+  changes: Change[],
+  onProgress?: CleaningProgress
+) => {
+  const columnCount = table.headers.length;
+
+  // Pad or trim ragged rows so every operation sees the same shape
+  const rows: WorkingRow[] = table.rows.map((cells, id) => ({
+    id,
+    cells: Array.from({ length: columnCount }, (_, column) => (column < cells.length ? cells[column] : null))
+  }));
+  if (options.edits?.length) {
+    applyEdits(rows, options.edits, (edit, row, column, before, after) => {
+      changes.push({ operation: 'manualEdits', row, column, before, after, rule: edit.type === 'cell' ? 'edit' : 'replace' });
+    });
+  }
+
+  const types = columnTypes || table.headers.map((_, column) => {
+    onProgress?.('analyze', Math.round((column * rows.length) / columnCount), rows.length);
+    return inferColumnType(rows.map(row => row.cells[column]));
+  });
+  onProgress?.('analyze', rows.length, rows.length);
+
+  // Standardize first so that duplicates differing only in formatting collapse
+  const standardize = table.headers.map(header => options.columnRules?.[header]?.standardizeFormats ?? options.standardizeFormats);
+  if (standardize.some(Boolean)) standardizeFormats(rows, table.headers, types, standardize, options, changes, onProgress);
+  // Corrected spellings also help duplicates match
+  if (options.lookups?.some(lookup => lookup.action === 'correct')) {
+    onProgress?.('referenceLookups', 0, rows.length);
+    correctLookups(rows, table.headers, options.lookups, changes);
+    onProgress?.('referenceLookups', rows.length, rows.length);
+  }
+  return { rows, types };
+};
+
+export interface CleaningPreview {
+  clusters: DuplicateCluster[];
+  rowsById: Map<number, Cell[]>;
+  // Cells the outlier step would touch, counted before duplicates are merged
+  outliers: number;
+}
+
+// Duplicate clusters as processing would find them, for review before committing, and the
+// outlier count. As slow as the first half of a run, so the app computes it in a worker.
+export const previewCleaning = (table: Table, options: CleaningOptions, columnTypes?: ColumnType[]): CleaningPreview => {
+  const { rows, types } = prepareRows(table, options, columnTypes, []);
+  const dedup = options.dedup || DEFAULT_DEDUP_OPTIONS;
+  const outlierOptions = options.outliers || DEFAULT_OUTLIER_OPTIONS;
+  return {
+    clusters: options.removeDuplicates
+      ? findDuplicateClusters(table.headers, rows.map(row => row.cells), rows.map(row => row.id), dedup)
+      : [],
+    rowsById: new Map(rows.map(row => [row.id, row.cells])),
+    outliers: options.handleOutliers
+      ? types.reduce((total, type, column) => {
+        if (!isNumericType(type)) return total;
+        const found = findOutliers(rows.map(row => row.cells[column]), outlierOptions);
+        return total + (found ? found.cells.length : 0);
+      }, 0)
+      : 0
+  };
+};
+
+// `columnTypes` comes from the (user-editable) schema; it is inferred when omitted.
+// `resolutions` are the survivor/merge choices made in the duplicate preview, keyed by clusterKey.
+export const cleanTable = (
+  table: Table,
+  options: CleaningOptions,
+  columnTypes?: ColumnType[],
+  resolutions: Record<number, ClusterResolution> = {},
+  onProgress?: CleaningProgress
+): CleaningResult => {
+  const changes: Change[] = [];
+  const prepared = prepareRows(table, options, columnTypes, changes, onProgress);
+  const types = prepared.types;
+  let rows = prepared.rows;
+  const rules = table.headers.map(header => options.columnRules?.[header] || {});
+
+  if (options.removeDuplicates) rows = removeDuplicates(rows, table.headers, options, resolutions, changes, onProgress);
+  if (options.handleOutliers) rows = handleOutliers(rows, types, options.outliers || DEFAULT_OUTLIER_OPTIONS, changes, onProgress);
+  rows = handleMissingValues(
+    rows,
+    types,
+    rules.map(rule => rule.missingValues || options.missingValues),
+    rules.map(rule => rule.constant || ''),
+    changes,
+    onProgress
+  );
+  // Last, so duplicate matching and imputation still see the real values
+  if (options.anonymize && options.privacy) anonymizeColumns(rows, table.headers, options.privacy, changes, onProgress);
+
+  const summary: Record<CleaningOperation, number> = {
+    manualEdits: 0,
+    removeDuplicates: 0,
+    handleOutliers: 0,
+    missingValues: 0,
+    standardizeFormats: 0,
+    referenceLookups: 0,
+    anonymize: 0
+  };
+  for (const change of changes) {
+    // Cells filled in from merged duplicates are not extra removed rows
+    if (change.operation === 'removeDuplicates' && change.column !== null) continue;
+    // Outliers count by cell; the rows dropped for them were counted through their cells
+    if (change.operation === 'handleOutliers' && change.column === null) continue;
+    summary[change.operation]++;
+  }
+
+  return {
+    table: { headers: [...table.headers], rows: rows.map(row => row.cells) },
+    rowIds: rows.map(row => row.id),
+    changes,
+    summary
+  };
+};
+
+// The output table with one operation's edits undone, e.g. to run fake detection on
+// the real values when the export itself is anonymized
+export const revertOperation = (result: CleaningResult, operation: CleaningOperation): Table => {
+  const positions = new Map(result.rowIds.map((id, index) => [id, index]));
+  const rows = result.table.rows.map(row => [...row]);
+  for (const change of result.changes) {
+    const position = positions.get(change.row);
+    if (change.operation === operation && change.column !== null && position !== undefined) {
+      rows[position][change.column] = change.before;
+    }
+  }
+  return { headers: [...result.table.headers], rows };
+};
@@ -0,0 +1,39 @@
+// Runs the cleaning pipeline off the main thread. Started with
+// new Worker(new URL('./engine/cleanWorker.ts', import.meta.url), { type: 'module' })
+import { CleaningOptions, Table } from './types';
+import { ClusterResolution } from './dedupe';
+import { PipelineProgress, PipelineResult, runPipeline } from './pipeline';
+import { ColumnType } from './schema';
+
+export interface CleanWorkerRequest {
+  table: Table;
+  options: CleaningOptions;
+  columnTypes: ColumnType[];
+  resolutions: Record<number, ClusterResolution>;
+}
+
+export type CleanWorkerMessage =
+  | { type: 'progress'; progress: PipelineProgress }
+  | { type: 'done'; output: PipelineResult }
+  | { type: 'error'; message: string };
+
+// Progress is posted at most this often, however fast the stages report
+const PROGRESS_INTERVAL_MS = 100;
+
+const post = (message: CleanWorkerMessage) => self.postMessage(message);
+
+self.onmessage = (event: MessageEvent<CleanWorkerRequest>) => {
+  const { table, options, columnTypes, resolutions } = event.data;
+  let lastPost = 0;
+  try {
+    const output = runPipeline(table, options, columnTypes, resolutions, progress => {
+      const now = Date.now();
+      if (now - lastPost < PROGRESS_INTERVAL_MS) return;
+      lastPost = now;
+      post({ type: 'progress', progress });
+    });
+    post({ type: 'done', output });
+  } catch (error) {
+    post({ type: 'error', message: (error as Error).message });
+  }
+};
@@ -0,0 +1,213 @@
+import { Cell } from './types';
+import { dateToTimestamp } from './standardize';
+import { countDecimals, parseNumber, roundTo } from './values';
+
+export type ComparisonOperator = '>' | '>=' | '<' | '<=' | '=' | '!=';
+
+export type Expression =
+  | { type: 'column'; column: number }
+  | { type: 'number'; value: number }
+  | { type: 'binary'; operator: '+' | '-' | '*' | '/'; left: Expression; right: Expression };
+
+export type Constraint =
+  // Original text, for reports
+  | { kind: 'compare'; source: string; left: Expression; operator: ComparisonOperator; right: Expression }
+  | { kind: 'unique'; source: string; columns: number[] };
+
+export interface ConstraintError {
+  line: number;
+  message: string;
+}
+
+export interface ConstraintParseResult {
+  constraints: Constraint[];
+  errors: ConstraintError[];
+}
+
+const TOKEN_PATTERN = /\s*(?:(\d+(?:\.\d+)?)|`([^`]+)`|"([^"]+)"|([A-Za-z_][\w.]*)|(>=|<=|!=|==|[-+*/()<>=,]))/y;
+
+type Token = { kind: 'number'; value: number } | { kind: 'name'; value: string } | { kind: 'symbol'; value: string };
+
+const tokenize = (text: string): Token[] => {
+  const tokens: Token[] = [];
+  TOKEN_PATTERN.lastIndex = 0;
+  while (TOKEN_PATTERN.lastIndex < text.length) {
+    if (/^\s*$/.test(text.slice(TOKEN_PATTERN.lastIndex))) break;
+    const start = TOKEN_PATTERN.lastIndex;
+    const match = TOKEN_PATTERN.exec(text);
+    if (!match) throw new Error(`Unexpected character "${text.slice(start).trim()[0]}"`);
+    if (match[1] !== undefined) tokens.push({ kind: 'number', value: Number(match[1]) });
+    else if (match[5] !== undefined) tokens.push({ kind: 'symbol', value: match[5] === '==' ? '=' : match[5] });
+    else tokens.push({ kind: 'name', value: match[2] ?? match[3] ?? match[4] });
+  }
+  return tokens;
+};
+
+const normalizeName = (name: string) => name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+// Exact header first, then a loose match so start_date finds "Start Date"
+export const resolveColumn = (name: string, headers: string[]): number => {
+  const exact = headers.indexOf(name);
+  if (exact >= 0) return exact;
+  const column = headers.findIndex(header => normalizeName(header) === normalizeName(name));
+  if (column < 0) throw new Error(`Unknown column "${name}"`);
+  return column;
+};
+
+const parseLine = (text: string, headers: string[]): Constraint => {
+  const tokens = tokenize(text);
+  let position = 0;
+  const peek = () => tokens[position];
+  const isSymbol = (value: string) => peek()?.kind === 'symbol' && peek().value === value;
+  const expectSymbol = (value: string) => {
+    if (!isSymbol(value)) throw new Error(`Expected "${value}"`);
+    position++;
+  };
+  const column = (): number => {
+    const token = tokens[position++];
+    if (token?.kind !== 'name') throw new Error('Expected a column name');
+    return resolveColumn(token.value, headers);
+  };
+
+  const [first, next] = tokens;
+  const startsUnique = first?.kind === 'name' && first.value.toLowerCase() === 'unique';
+  if (startsUnique && (next?.kind === 'name' || (next?.kind === 'symbol' && next.value === '('))) {
+    position++;
+    const parenthesized = isSymbol('(');
+    if (parenthesized) position++;
+    const columns = [column()];
+    while (isSymbol(',')) {
+      position++;
+      columns.push(column());
+    }
+    if (parenthesized) expectSymbol(')');
+    if (position < tokens.length) throw new Error('Unexpected text after the column list');
+    return { kind: 'unique', source: text.trim(), columns };
+  }
+
+  const factor = (): Expression => {
+    const token = peek();
+    if (!token) throw new Error('Unexpected end of constraint');
+    if (token.kind === 'number') {
+      position++;
+      return { type: 'number', value: token.value };
+    }
+    if (token.kind === 'name') return { type: 'column', column: column() };
+    if (token.value === '(') {
+      position++;
+      const inner = sum();
+      expectSymbol(')');
+      return inner;
+    }
+    if (token.value === '-') {
+      position++;
+      return { type: 'binary', operator: '-', left: { type: 'number', value: 0 }, right: factor() };
+    }
+    throw new Error(`Unexpected "${token.value}"`);
+  };
+  const product = (): Expression => {
+    let left = factor();
+    while (isSymbol('*') || isSymbol('/')) {
+      const operator = tokens[position++].value as '*' | '/';
+      left = { type: 'binary', operator, left, right: factor() };
+    }
+    return left;
+  };
+  const sum = (): Expression => {
+    let left = product();
+    while (isSymbol('+') || isSymbol('-')) {
+      const operator = tokens[position++].value as '+' | '-';
+      left = { type: 'binary', operator, left, right: product() };
+    }
+    return left;
+  };
+
+  const left = sum();
+  const operator = peek();
+  if (operator?.kind !== 'symbol' || !['>', '>=', '<', '<=', '=', '!='].includes(operator.value)) {
+    throw new Error('Expected a comparison such as >, >=, = or !=');
+  }
+  position++;
+  const right = sum();
+  if (position < tokens.length) throw new Error(`Unexpected "${tokens[position].value}"`);
+  return { kind: 'compare', source: text.trim(), left, operator: operator.value as ComparisonOperator, right };
+};
+
+// One constraint per line; blank lines and lines starting with # are ignored
+export const parseConstraints = (text: string, headers: string[]): ConstraintParseResult => {
+  const constraints: Constraint[] = [];
+  const errors: ConstraintError[] = [];
+  text.split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim() || line.trim().startsWith('#')) return;
+    try {
+      constraints.push(parseLine(line, headers));
+    } catch (error) {
+      errors.push({ line: index + 1, message: (error as Error).message });
+    }
+  });
+  return { constraints, errors };
+};
+
+// Numbers as they are, dates as UTC milliseconds
+export const cellToComparable = (cell: Cell): number | null => {
+  const number = parseNumber(cell);
+  if (number !== null) return number;
+  return typeof cell === 'string' ? dateToTimestamp(cell) : null;
+};
+
+export const evaluateExpression = (expression: Expression, row: Cell[]): number | null => {
+  if (expression.type === 'number') return expression.value;
+  if (expression.type === 'column') return cellToComparable(row[expression.column] ?? null);
+  const left = evaluateExpression(expression.left, row);
+  const right = evaluateExpression(expression.right, row);
+  if (left === null || right === null) return null;
+  switch (expression.operator) {
+    case '+':
+      return left + right;
+    case '-':
+      return left - right;
+    case '*':
+      return left * right;
+    case '/':
+      return right === 0 ? null : left / right;
+  }
+};
+
+export const expressionColumns = (expression: Expression): number[] => {
+  if (expression.type === 'column') return [expression.column];
+  if (expression.type === 'number') return [];
+  return [...expressionColumns(expression.left), ...expressionColumns(expression.right)];
+};
+
+// Rows with a missing operand cannot break a comparison; uniqueness is checked across rows by the caller
+export const checkConstraint = (constraint: Constraint, row: Cell[]): boolean => {
+  if (constraint.kind === 'unique') return true;
+  const left = evaluateExpression(constraint.left, row);
+  let right = evaluateExpression(constraint.right, row);
+  if (left === null || right === null) return true;
+  // `total = qty * price` holds to the precision the total is written with
+  if (constraint.left.type === 'column' && (constraint.operator === '=' || constraint.operator === '!=')) {
+    right = roundTo(right, countDecimals(row[constraint.left.column] ?? null));
+  }
+  switch (constraint.operator) {
+    case '>':
+      return left > right;
+    case '>=':
+      return left >= right;
+    case '<':
+      return left < right;
+    case '<=':
+      return left <= right;
+    case '=':
+      return Math.abs(left - right) < 1e-9;
+    case '!=':
+      return Math.abs(left - right) >= 1e-9;
+  }
+};
+
+// `column = expression` defines the column outright when the expression does not use it
+export const derivedColumn = (constraint: Constraint): number | null => {
+  if (constraint.kind !== 'compare' || constraint.operator !== '=' || constraint.left.type !== 'column') return null;
+  const column = constraint.left.column;
+  return expressionColumns(constraint.right).includes(column) ? null : column;
+};
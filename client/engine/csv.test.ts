@@ -0,0 +1,53 @@
+import { describe, expect, it, vi } from 'vitest';
+import { detectDelimiter, detectEncoding, parseCsv, parseCsvFile } from './csv';
+
+describe('parseCsv', () => {
+  it('reads quoted fields with delimiters, quotes and line breaks', () => {
+    const { table, errors } = parseCsv('name,note\n"Smith, J","said ""hi""\nthen left"\n');
+    expect(errors).toEqual([]);
+    expect(table.headers).toEqual(['name', 'note']);
+    expect(table.rows).toEqual([['Smith, J', 'said "hi"\nthen left']]);
+  });
+
+  it('detects semicolons and tabs', () => {
+    expect(detectDelimiter('a;b;c\n1;2;3\n')).toBe(';');
+    expect(detectDelimiter('a\tb\n1\t2\n')).toBe('\t');
+  });
+});
+
+describe('parseCsvFile', () => {
+  it('gives the same table when the file is read in small chunks', async () => {
+    const text = 'id,city\n1,Zürich\n2,"Köln, DE"\n';
+    const whole = parseCsv(text).table;
+    const chunked = await parseCsvFile(new Blob([text]), { chunkSize: 3 });
+    expect(chunked.table).toEqual(whole);
+    expect(chunked.encoding).toBe('utf-8');
+  });
+});
+
+describe('detectEncoding', () => {
+  it('recognizes byte order marks and falls back to Windows-1252 for invalid UTF-8', () => {
+    expect(detectEncoding(new Uint8Array([0xef, 0xbb, 0xbf, 0x61]))).toBe('utf-8');
+    expect(detectEncoding(new Uint8Array([0xff, 0xfe, 0x61, 0x00]))).toBe('utf-16le');
+    expect(detectEncoding(new Uint8Array([0x4b, 0xf6, 0x6c, 0x6e]))).toBe('windows-1252');
+  });
+});
+
+describe('parseCsvFile encoding', () => {
+  it('reads a Windows-1252 file whose first accented byte comes after the first chunk', async () => {
+    const ascii = 'name,city\n' + 'Anna,Oslo\n'.repeat(20);
+    const bytes = new Uint8Array([...new TextEncoder().encode(ascii), 0x4b, 0xf6, 0x6c, 0x6e, 0x2c, 0x42, 0x0a]);
+    const { table, encoding } = await parseCsvFile(new Blob([bytes]), { chunkSize: 16 });
+    expect(encoding).toBe('windows-1252');
+    expect(table.rows[table.rows.length - 1]).toEqual(['Köln', 'B']);
+    expect(table.rows).toHaveLength(21);
+  });
+
+  it('reports failures other than decoding instead of reading the file again', async () => {
+    const onProgress = vi.fn(() => {
+      throw new TypeError('progress failed');
+    });
+    await expect(parseCsvFile(new Blob(['a,b\n1,2\n']), { onProgress })).rejects.toThrow('progress failed');
+    expect(onProgress).toHaveBeenCalledTimes(1);
+  });
+});
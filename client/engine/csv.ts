@@ -0,0 +1,265 @@
+import { Table } from './types';
+
+export interface CsvError {
+  line: number;
+  message: string;
+}
+
+export interface CsvParseResult {
+  table: Table;
+  delimiter: string;
+  encoding: string;
+  errors: CsvError[];
+}
+
+export interface CsvParseOptions {
+  // Detected from the first chunk when omitted
+  delimiter?: string;
+  chunkSize?: number;
+  onProgress?: (bytesRead: number, totalBytes: number) => void;
+}
+
+export const DELIMITERS = [',', ';', '\t', '|'];
+
+const DEFAULT_CHUNK_SIZE = 1024 * 1024;
+const SAMPLE_LINES = 20;
+
+// Count delimiter occurrences per line, ignoring anything inside quotes
+const countPerLine = (sample: string, delimiter: string): number[] => {
+  const counts: number[] = [];
+  let count = 0;
+  let inQuotes = false;
+  for (let i = 0; i < sample.length && counts.length < SAMPLE_LINES; i++) {
+    const ch = sample[i];
+    if (ch === '"') inQuotes = !inQuotes;
+    else if (inQuotes) continue;
+    else if (ch === delimiter) count++;
+    else if (ch === '\n') {
+      if (count > 0 || counts.length > 0) counts.push(count);
+      count = 0;
+    }
+  }
+  if (count > 0 && counts.length < SAMPLE_LINES) counts.push(count);
+  return counts;
+};
+
+export const detectDelimiter = (sample: string): string => {
+  let best = ',';
+  let bestScore = [0, 0];
+
+  for (const delimiter of DELIMITERS) {
+    const counts = countPerLine(sample, delimiter);
+    if (counts.length === 0) continue;
+    // Prefer the delimiter that splits the most lines into the same number of fields
+    const frequency = new Map<number, number>();
+    for (const count of counts) frequency.set(count, (frequency.get(count) || 0) + 1);
+    for (const [count, lines] of frequency) {
+      if (count === 0) continue;
+      if (lines > bestScore[0] || (lines === bestScore[0] && count > bestScore[1])) {
+        best = delimiter;
+        bestScore = [lines, count];
+      }
+    }
+  }
+  return best;
+};
+
+export const detectEncoding = (bytes: Uint8Array): string => {
+  if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) return 'utf-8';
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) return 'utf-16le';
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) return 'utf-16be';
+  try {
+    // stream: true so a multi-byte character cut off at the end of the sample is not an error
+    new TextDecoder('utf-8', { fatal: true }).decode(bytes, { stream: true });
+    return 'utf-8';
+  } catch {
+    return 'windows-1252';
+  }
+};
+
+export interface CsvParser {
+  push: (text: string) => void;
+  finish: () => void;
+}
+
+// Incremental RFC 4180 parser. Records are reported with the line they start on;
+// `problem` is set when the record could not be read unambiguously.
+export const createCsvParser = (
+  delimiter: string,
+  onRecord: (fields: string[], line: number, problem: string | null) => void
+): CsvParser => {
+  let fields: string[] = [];
+  let field = '';
+  let inQuotes = false;
+  let quotePending = false;
+  let fieldQuoted = false;
+  let afterClosingQuote = false;
+  let skipLineFeed = false;
+  let line = 1;
+  let recordLine = 1;
+  let problem: string | null = null;
+
+  const endField = () => {
+    fields.push(field);
+    field = '';
+    fieldQuoted = false;
+    afterClosingQuote = false;
+  };
+
+  const endRecord = () => {
+    const blank = fields.length === 0 && field === '' && !fieldQuoted;
+    endField();
+    if (!blank) onRecord(fields, recordLine, problem);
+    fields = [];
+    problem = null;
+  };
+
+  const push = (text: string) => {
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+
+      if (skipLineFeed) {
+        skipLineFeed = false;
+        if (ch === '\n') continue;
+      }
+
+      if (inQuotes) {
+        if (quotePending) {
+          quotePending = false;
+          if (ch === '"') {
+            field += '"';
+            continue;
+          }
+          inQuotes = false;
+          afterClosingQuote = true;
+        } else {
+          if (ch === '"') quotePending = true;
+          else {
+            if (ch === '\n') line++;
+            field += ch;
+          }
+          continue;
+        }
+      }
+
+      if (ch === delimiter) {
+        endField();
+      } else if (ch === '\r' || ch === '\n') {
+        skipLineFeed = ch === '\r';
+        endRecord();
+        line++;
+        recordLine = line;
+      } else if (ch === '"' && field === '' && !fieldQuoted) {
+        inQuotes = true;
+        fieldQuoted = true;
+      } else {
+        if (afterClosingQuote && !problem) problem = 'Unexpected character after closing quote';
+        field += ch;
+      }
+    }
+  };
+
+  const finish = () => {
+    if (inQuotes && !quotePending) problem = problem || 'Unterminated quoted field';
+    inQuotes = false;
+    quotePending = false;
+    if (fields.length > 0 || field !== '' || fieldQuoted) endRecord();
+  };
+
+  return { push, finish };
+};
+
+// Collects parsed records into a table, rejecting rows whose width does not match the header
+const createTableBuilder = () => {
+  let headers: string[] | null = null;
+  const rows: string[][] = [];
+  const errors: CsvError[] = [];
+
+  const onRecord = (fields: string[], line: number, problem: string | null) => {
+    if (!headers) {
+      headers = fields.map(header => header.trim());
+      if (problem) errors.push({ line, message: problem });
+    } else if (problem) {
+      errors.push({ line, message: problem });
+    } else if (fields.length !== headers.length) {
+      errors.push({ line, message: `Expected ${headers.length} fields but found ${fields.length}` });
+    } else {
+      rows.push(fields);
+    }
+  };
+
+  const build = (): { table: Table; errors: CsvError[] } => ({
+    table: { headers: headers || [], rows },
+    errors
+  });
+
+  return { onRecord, build };
+};
+
+export const parseCsv = (text: string, options: CsvParseOptions = {}): CsvParseResult => {
+  // Strip a BOM left by callers that decoded the text themselves
+  const content = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const delimiter = options.delimiter || detectDelimiter(content.slice(0, 64 * 1024));
+  const builder = createTableBuilder();
+  const parser = createCsvParser(delimiter, builder.onRecord);
+  parser.push(content);
+  parser.finish();
+  return { ...builder.build(), delimiter, encoding: 'utf-8' };
+};
+
+// Reads the file in slices so large exports never have to be held as one string. Without a
+// byte order mark, UTF-8 is a guess until the whole file has decoded; if a later slice turns out
+// not to be UTF-8, the file is read again from the start as Windows-1252.
+export const parseCsvFile = async (file: Blob, options: CsvParseOptions = {}): Promise<CsvParseResult> =>
+  (await readCsvFile(file, options)) || (await readCsvFile(file, options, 'windows-1252'))!;
+
+// null when the guessed UTF-8 fails to decode
+const readCsvFile = async (file: Blob, options: CsvParseOptions, fallback?: string): Promise<CsvParseResult | null> => {
+  const chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+  const builder = createTableBuilder();
+  let decoder: TextDecoder | null = null;
+  let parser: CsvParser | null = null;
+  let encoding = 'utf-8';
+  let delimiter = options.delimiter || ',';
+  // Text held back until it holds a full line to detect the delimiter from
+  let pending = '';
+
+  const feed = (text: string, final: boolean) => {
+    if (!parser) {
+      pending += text;
+      if (!final && !pending.includes('\n')) return;
+      delimiter = options.delimiter || detectDelimiter(pending);
+      parser = createCsvParser(delimiter, builder.onRecord);
+      text = pending;
+    }
+    parser.push(text);
+  };
+
+  // null when a fatal decoder meets bytes that are not UTF-8; anything else is a real failure
+  const decode = (bytes?: Uint8Array): string | null => {
+    try {
+      return bytes ? decoder!.decode(bytes, { stream: true }) : decoder ? decoder.decode() : '';
+    } catch (error) {
+      if (decoder?.fatal && error instanceof TypeError) return null;
+      throw error;
+    }
+  };
+
+  for (let offset = 0; offset < file.size; offset += chunkSize) {
+    const bytes = new Uint8Array(await file.slice(offset, offset + chunkSize).arrayBuffer());
+    if (!decoder) {
+      encoding = fallback || detectEncoding(bytes);
+      const guessed = encoding === 'utf-8' && !(bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf);
+      decoder = new TextDecoder(encoding, { fatal: guessed });
+    }
+    const text = decode(bytes);
+    if (text === null) return null;
+    feed(text, false);
+    options.onProgress?.(Math.min(offset + chunkSize, file.size), file.size);
+  }
+  const rest = decode();
+  if (rest === null) return null;
+  feed(rest, true);
+  parser!.finish();
+  return { ...builder.build(), delimiter, encoding };
+};
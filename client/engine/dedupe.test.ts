@@ -0,0 +1,27 @@
+import { describe, expect, it } from 'vitest';
+import { findDuplicateClusters, jaroWinkler, levenshtein, soundex } from './dedupe';
+
+describe('similarity', () => {
+  it('measures edit distance and Jaro-Winkler similarity', () => {
+    expect(levenshtein('kitten', 'sitting')).toBe(3);
+    expect(jaroWinkler('martha', 'marhta')).toBeCloseTo(0.961, 3);
+    expect(soundex('Robert')).toBe(soundex('Rupert'));
+  });
+});
+
+describe('findDuplicateClusters', () => {
+  const headers = ['name', 'email'];
+
+  it('groups exact duplicates and keeps the most complete row', () => {
+    const rows = [['Ann', null], ['Bob', 'b@x.com'], ['Ann', null]];
+    const clusters = findDuplicateClusters(headers, rows, [0, 1, 2], { keyColumns: ['name'], metric: 'exact', threshold: 1 });
+    expect(clusters).toHaveLength(1);
+    expect(clusters[0].rows).toEqual([0, 2]);
+  });
+
+  it('matches near duplicates above the threshold only', () => {
+    const rows = [['Jonathan Smith', 'js@x.com'], ['Jonathon Smith', 'js@x.com'], ['Maria Lopez', 'ml@x.com']];
+    const clusters = findDuplicateClusters(headers, rows, [0, 1, 2], { keyColumns: [], metric: 'jaroWinkler', threshold: 0.9 });
+    expect(clusters.map(cluster => cluster.rows)).toEqual([[0, 1]]);
+  });
+});
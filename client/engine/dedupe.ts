@@ -0,0 +1,251 @@
+import { Cell } from './types';
+import { cellToString, isMissing } from './values';
+
+export type SimilarityMetric = 'exact' | 'levenshtein' | 'jaroWinkler' | 'phonetic';
+
+export interface DedupOptions {
+  // Header names to match on; all columns when empty
+  keyColumns: string[];
+  metric: SimilarityMetric;
+  // 0..1, minimum row similarity for two rows to count as duplicates
+  threshold: number;
+}
+
+export const DEFAULT_DEDUP_OPTIONS: DedupOptions = {
+  keyColumns: [],
+  metric: 'exact',
+  threshold: 0.9
+};
+
+export interface DuplicateCluster {
+  // Input row ids, in table order
+  rows: number[];
+  // Weakest link that joined the cluster
+  similarity: number;
+  // Row kept when no resolution is chosen: the most complete one
+  survivor: number;
+}
+
+// How to collapse a cluster: keep `survivor`, optionally taking single fields from other members
+export interface ClusterResolution {
+  survivor: number;
+  // column index -> row id whose value to use
+  fields?: Record<number, number>;
+}
+
+// Candidates are only compared with this many neighbours in sort order
+const WINDOW = 10;
+const PROGRESS_INTERVAL = 5000;
+
+export const levenshtein = (a: string, b: string): number => {
+  if (a === b) return 0;
+  if (a.length === 0) return b.length;
+  if (b.length === 0) return a.length;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+export const levenshteinSimilarity = (a: string, b: string): number => {
+  const longest = Math.max(a.length, b.length);
+  return longest === 0 ? 1 : 1 - levenshtein(a, b) / longest;
+};
+
+export const jaroWinkler = (a: string, b: string): number => {
+  if (a === b) return 1;
+  if (a.length === 0 || b.length === 0) return 0;
+
+  const range = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const aMatched = new Array(a.length).fill(false);
+  const bMatched = new Array(b.length).fill(false);
+  let matches = 0;
+  for (let i = 0; i < a.length; i++) {
+    for (let j = Math.max(0, i - range); j < Math.min(b.length, i + range + 1); j++) {
+      if (!bMatched[j] && a[i] === b[j]) {
+        aMatched[i] = bMatched[j] = true;
+        matches++;
+        break;
+      }
+    }
+  }
+  if (matches === 0) return 0;
+
+  let transpositions = 0;
+  let k = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (!aMatched[i]) continue;
+    while (!bMatched[k]) k++;
+    if (a[i] !== b[k]) transpositions++;
+    k++;
+  }
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+
+  let prefix = 0;
+  while (prefix < 4 && a[prefix] === b[prefix]) prefix++;
+  return jaro + prefix * 0.1 * (1 - jaro);
+};
+
+const SOUNDEX_CODES: Record<string, string> = {
+  b: '1', f: '1', p: '1', v: '1',
+  c: '2', g: '2', j: '2', k: '2', q: '2', s: '2', x: '2', z: '2',
+  d: '3', t: '3',
+  l: '4',
+  m: '5', n: '5',
+  r: '6'
+};
+
+export const soundex = (word: string): string => {
+  const letters = word.toLowerCase().replace(/[^a-z]/g, '');
+  if (!letters) return '';
+  let code = letters[0].toUpperCase();
+  let last = SOUNDEX_CODES[letters[0]] || '';
+  for (let i = 1; i < letters.length && code.length < 4; i++) {
+    const digit = SOUNDEX_CODES[letters[i]] || '';
+    if (digit && digit !== last) code += digit;
+    // h and w do not separate letters with the same code
+    if (letters[i] !== 'h' && letters[i] !== 'w') last = digit;
+  }
+  return code.padEnd(4, '0');
+};
+
+const phoneticKey = (value: string): string => value.split(' ').map(soundex).join(' ');
+
+// Case, whitespace and phone punctuation are never meaningful differences
+export const normalizeForMatch = (cell: Cell): string => {
+  const text = cellToString(cell).trim().toLowerCase().replace(/\s+/g, ' ');
+  if (/^\+?[\d\s().-]+$/.test(text)) {
+    const digits = text.replace(/\D/g, '');
+    if (digits.length >= 7) return digits.slice(-10);
+  }
+  return text;
+};
+
+const isPlainText = (value: string) => /[a-z]/.test(value);
+
+export const valueSimilarity = (a: string, b: string, metric: SimilarityMetric): number => {
+  if (a === b) return 1;
+  if (metric === 'exact') return 0;
+  if (metric === 'levenshtein') return levenshteinSimilarity(a, b);
+  if (metric === 'jaroWinkler') return jaroWinkler(a, b);
+  // Phonetic codes only make sense for words; anything else must match exactly
+  if (!isPlainText(a) || !isPlainText(b)) return 0;
+  const aCodes = a.split(' ').map(soundex);
+  const bCodes = b.split(' ').map(soundex);
+  const same = aCodes.filter((code, index) => code === bCodes[index]).length;
+  return same / Math.max(aCodes.length, bCodes.length);
+};
+
+const rowSimilarity = (a: string[], b: string[], metric: SimilarityMetric): number => {
+  let total = 0;
+  let compared = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] === '' && b[i] === '') continue;
+    compared++;
+    if (a[i] !== '' && b[i] !== '') total += valueSimilarity(a[i], b[i], metric);
+  }
+  return compared === 0 ? 0 : total / compared;
+};
+
+export const findDuplicateClusters = (
+  headers: string[],
+  rows: Cell[][],
+  rowIds: number[],
+  options: DedupOptions,
+  onProgress?: (rowsDone: number, totalRows: number) => void
+): DuplicateCluster[] => {
+  const keyColumns = options.keyColumns.length > 0
+    ? options.keyColumns.map(name => headers.indexOf(name)).filter(column => column >= 0)
+    : headers.map((_, column) => column);
+  if (keyColumns.length === 0) return [];
+
+  // Exact matching compares raw values, the same as the original whole-row dedup
+  const keys = rows.map(row => keyColumns.map(column =>
+    options.metric === 'exact' ? cellToString(row[column]) : isMissing(row[column]) ? '' : normalizeForMatch(row[column])
+  ));
+
+  const parent = rows.map((_, index) => index);
+  const find = (index: number): number => {
+    while (parent[index] !== index) {
+      parent[index] = parent[parent[index]];
+      index = parent[index];
+    }
+    return index;
+  };
+  const linkStrength = new Map<number, number>();
+  const link = (a: number, b: number, similarity: number) => {
+    const rootA = find(a);
+    const rootB = find(b);
+    if (rootA === rootB) return;
+    const strength = Math.min(similarity, linkStrength.get(rootA) ?? 1, linkStrength.get(rootB) ?? 1);
+    parent[Math.max(rootA, rootB)] = Math.min(rootA, rootB);
+    linkStrength.set(Math.min(rootA, rootB), strength);
+  };
+
+  if (options.metric === 'exact') {
+    const seen = new Map<string, number>();
+    keys.forEach((key, index) => {
+      if (index % PROGRESS_INTERVAL === 0) onProgress?.(index, keys.length);
+      const signature = JSON.stringify(key);
+      const first = seen.get(signature);
+      if (first === undefined) seen.set(signature, index);
+      else link(first, index, 1);
+    });
+  } else {
+    // Sorted neighbourhood: similar rows end up near each other once sorted by their key
+    const sortKeys = keys.map(key => (options.metric === 'phonetic' ? key.map(phoneticKey) : key).join('\u0000'));
+    const order = rows.map((_, index) => index).sort((a, b) => (sortKeys[a] < sortKeys[b] ? -1 : sortKeys[a] > sortKeys[b] ? 1 : a - b));
+    for (let i = 0; i < order.length; i++) {
+      if (i % PROGRESS_INTERVAL === 0) onProgress?.(i, order.length);
+      for (let j = i + 1; j < Math.min(order.length, i + 1 + WINDOW); j++) {
+        const similarity = rowSimilarity(keys[order[i]], keys[order[j]], options.metric);
+        if (similarity >= options.threshold) link(order[i], order[j], similarity);
+      }
+    }
+  }
+
+  const members = new Map<number, number[]>();
+  rows.forEach((_, index) => {
+    const root = find(index);
+    const list = members.get(root);
+    if (list) list.push(index);
+    else members.set(root, [index]);
+  });
+
+  const clusters: DuplicateCluster[] = [];
+  for (const [root, indexes] of members) {
+    if (indexes.length < 2) continue;
+    const completeness = (index: number) => rows[index].filter(cell => !isMissing(cell)).length;
+    const survivor = indexes.reduce((best, index) => (completeness(index) > completeness(best) ? index : best), indexes[0]);
+    clusters.push({
+      rows: indexes.map(index => rowIds[index]),
+      similarity: linkStrength.get(root) ?? 1,
+      survivor: rowIds[survivor]
+    });
+  }
+  return clusters.sort((a, b) => a.rows[0] - b.rows[0]);
+};
+
+// Clusters are identified by their first row id, which is stable for the same input and options
+export const clusterKey = (cluster: DuplicateCluster): number => cluster.rows[0];
+
+// The row a cluster collapses into; resolutions naming rows outside the cluster are ignored
+export const resolveCluster = (
+  cluster: DuplicateCluster,
+  rowsById: Map<number, Cell[]>,
+  resolution?: ClusterResolution
+): { survivor: number; cells: Cell[] } => {
+  const survivor = resolution && cluster.rows.includes(resolution.survivor) ? resolution.survivor : cluster.survivor;
+  const cells = [...(rowsById.get(survivor) || [])];
+  for (const [column, rowId] of Object.entries(resolution?.fields || {})) {
+    const source = rowsById.get(rowId);
+    if (source && cluster.rows.includes(rowId)) cells[Number(column)] = source[Number(column)];
+  }
+  return { survivor, cells };
+};
@@ -0,0 +1,51 @@
+import { describe, expect, it } from 'vitest';
+import { cleanTable } from './clean';
+import { buildDiff, describeChange, filterDiff } from './diff';
+import { Table } from './types';
+
+const table: Table = {
+  headers: ['name', 'age'],
+  rows: [['Ann', 30], ['Bob', null], ['Ann', 30], ['Cid', 40]]
+};
+const result = cleanTable(table, { removeDuplicates: true, missingValues: 'mean', standardizeFormats: false });
+
+describe('buildDiff', () => {
+  it('lists every input row with its status and the cells cleaning changed', () => {
+    const rows = buildDiff(table, result);
+    expect(rows.map(row => row.status)).toEqual(['unchanged', 'changed', 'removed', 'unchanged']);
+    expect(rows[1].cleaned).toEqual(['Bob', 35]);
+    expect(rows[1].cells.get(1)).toMatchObject({ operation: 'missingValues', before: null });
+    expect(rows[2].cleaned).toBeNull();
+    expect(rows[2].removal).toMatchObject({ operation: 'removeDuplicates', column: null });
+  });
+
+  it('keeps the operation that set the final value and every change before it', () => {
+    const edited = cleanTable(table, {
+      removeDuplicates: false,
+      missingValues: 'mean',
+      standardizeFormats: false,
+      edits: [{ type: 'cell', row: 3, column: 1, value: null }]
+    });
+    const cell = buildDiff(table, edited)[3].cells.get(1)!;
+    expect(cell.operation).toBe('missingValues');
+    expect(cell.before).toBe(40);
+    expect(cell.changes.map(change => change.operation)).toEqual(['manualEdits', 'missingValues']);
+  });
+});
+
+describe('filterDiff', () => {
+  it('keeps the rows with the chosen status', () => {
+    const rows = buildDiff(table, result);
+    expect(filterDiff(rows, 'all')).toHaveLength(4);
+    expect(filterDiff(rows, 'changed').map(row => row.id)).toEqual([1]);
+    expect(filterDiff(rows, 'removed').map(row => row.id)).toEqual([2]);
+  });
+});
+
+describe('describeChange', () => {
+  it('names the operation and rule', () => {
+    expect(describeChange({ operation: 'standardizeFormats', row: 0, column: 1, before: 'a', after: 'b', rule: 'dates' })).toBe('Standardized (dates)');
+    expect(describeChange({ operation: 'removeDuplicates', row: 0, column: null, before: null, after: null, rule: 'exact' })).toBe('Removed as a duplicate (exact)');
+    expect(describeChange({ operation: 'missingValues', row: 0, column: null, before: null, after: null, rule: 'remove' })).toBe('Removed for a missing value');
+  });
+});
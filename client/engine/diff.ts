@@ -0,0 +1,87 @@
+import { Cell, Change, CleaningOperation, CleaningResult, Table } from './types';
+
+export type DiffStatus = 'unchanged' | 'changed' | 'removed';
+
+export type DiffFilter = 'all' | 'changed' | 'removed';
+
+export interface DiffCell {
+  // The operation that set the final value; earlier edits are still listed in changes
+  operation: CleaningOperation;
+  before: Cell;
+  changes: Change[];
+}
+
+export interface DiffRow {
+  // Index of the row in the input table
+  id: number;
+  status: DiffStatus;
+  original: Cell[];
+  // null for removed rows
+  cleaned: Cell[] | null;
+  cells: Map<number, DiffCell>;
+  // The change that removed the row
+  removal: Change | null;
+}
+
+const OPERATION_NAMES: Record<CleaningOperation, string> = {
+  manualEdits: 'Edited by hand',
+  standardizeFormats: 'Standardized',
+  referenceLookups: 'Corrected from a reference list',
+  missingValues: 'Imputed',
+  removeDuplicates: 'Merged from a duplicate',
+  handleOutliers: 'Outlier',
+  anonymize: 'Anonymized'
+};
+
+// One line per change for tooltips, e.g. "Standardized (dates)" or "Removed as a duplicate (jaroWinkler)"
+export const describeChange = (change: Change): string => {
+  if (change.column === null) {
+    if (change.operation === 'removeDuplicates') return `Removed as a duplicate (${change.rule})`;
+    if (change.operation === 'handleOutliers') return `Removed for an outlier (${change.rule})`;
+    return 'Removed for a missing value';
+  }
+  if (change.operation === 'removeDuplicates') return OPERATION_NAMES.removeDuplicates;
+  return `${OPERATION_NAMES[change.operation]} (${change.rule})`;
+};
+
+// Every input row in input order, removed ones included, with the cells cleaning touched
+export const buildDiff = (table: Table, result: CleaningResult): DiffRow[] => {
+  const columnCount = table.headers.length;
+  const positions = new Map(result.rowIds.map((id, index) => [id, index]));
+  const rows: DiffRow[] = table.rows.map((cells, id) => {
+    const position = positions.get(id);
+    return {
+      id,
+      status: position === undefined ? 'removed' : 'unchanged',
+      original: Array.from({ length: columnCount }, (_, column) => (column < cells.length ? cells[column] : null)),
+      cleaned: position === undefined ? null : result.table.rows[position],
+      cells: new Map(),
+      removal: null
+    };
+  });
+
+  // Changes are recorded in the order they were applied, so the last one for a cell set its value
+  for (const change of result.changes) {
+    const row = rows[change.row];
+    if (!row) continue;
+    if (change.column === null) {
+      row.removal = change;
+      continue;
+    }
+    const cell = row.cells.get(change.column);
+    if (cell) {
+      cell.operation = change.operation;
+      cell.changes.push(change);
+    } else {
+      row.cells.set(change.column, { operation: change.operation, before: change.before, changes: [change] });
+    }
+  }
+
+  for (const row of rows) {
+    if (row.status !== 'removed' && row.cells.size > 0) row.status = 'changed';
+  }
+  return rows;
+};
+
+export const filterDiff = (rows: DiffRow[], filter: DiffFilter): DiffRow[] =>
+  filter === 'all' ? rows : rows.filter(row => row.status === filter);
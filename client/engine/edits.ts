@@ -0,0 +1,109 @@
+import { Cell, Table } from './types';
+import { cellToString } from './values';
+
+export interface ReplaceSearch {
+  find: string;
+  replacement: string;
+  regex: boolean;
+  matchCase: boolean;
+  // Only cells whose whole text matches are replaced
+  wholeCell: boolean;
+  // Column indexes to search; every column when empty
+  columns: number[];
+}
+
+// Hand corrections, applied to the input before any cleaning step so they survive re-runs.
+// Rows are input row ids, like the change log.
+export type TableEdit = { type: 'cell'; row: number; column: number; value: Cell } | ({ type: 'replace' } & ReplaceSearch);
+
+export interface SearchMatches {
+  cells: number;
+  // Individual occurrences; equals cells when matching whole cells
+  occurrences: number;
+}
+
+const escapeRegExp = (text: string) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Throws on an invalid regular expression, with the browser's message
+export const searchPattern = (search: ReplaceSearch): RegExp => {
+  const source = search.regex ? search.find : escapeRegExp(search.find);
+  return new RegExp(search.wholeCell ? `^(?:${source})$` : source, search.matchCase ? 'g' : 'gi');
+};
+
+// The replaced cell, or undefined when the search does not match it. Missing cells never match.
+export const replaceInCell = (cell: Cell, search: ReplaceSearch, pattern: RegExp): Cell | undefined => {
+  if (cell === null || search.find === '') return undefined;
+  const text = cellToString(cell);
+  pattern.lastIndex = 0;
+  if (!pattern.test(text)) return undefined;
+  pattern.lastIndex = 0;
+  const replaced = search.regex ? text.replace(pattern, search.replacement) : text.replace(pattern, () => search.replacement);
+  return replaced === '' ? null : replaced;
+};
+
+const searchColumns = (search: ReplaceSearch, columnCount: number): number[] =>
+  search.columns.length > 0 ? search.columns.filter(column => column < columnCount) : Array.from({ length: columnCount }, (_, column) => column);
+
+export const countMatches = (table: Table, search: ReplaceSearch): SearchMatches => {
+  const matches: SearchMatches = { cells: 0, occurrences: 0 };
+  if (search.find === '') return matches;
+  const pattern = searchPattern(search);
+  const columns = searchColumns(search, table.headers.length);
+  for (const row of table.rows) {
+    for (const column of columns) {
+      const cell = row[column] ?? null;
+      if (cell === null) continue;
+      const found = cellToString(cell).match(pattern);
+      if (!found) continue;
+      matches.cells++;
+      matches.occurrences += found.length;
+    }
+  }
+  return matches;
+};
+
+// Applies the edits in order to rows keyed by id; onChange sees every cell that changed
+export const applyEdits = (
+  rows: { id: number; cells: Cell[] }[],
+  edits: TableEdit[],
+  onChange?: (edit: TableEdit, id: number, column: number, before: Cell, after: Cell) => void
+) => {
+  const byId = new Map(rows.map(row => [row.id, row]));
+  for (const edit of edits) {
+    if (edit.type === 'cell') {
+      const row = byId.get(edit.row);
+      if (!row || edit.column >= row.cells.length) continue;
+      const before = row.cells[edit.column];
+      if (cellToString(before) === cellToString(edit.value)) continue;
+      row.cells[edit.column] = edit.value;
+      onChange?.(edit, row.id, edit.column, before, edit.value);
+      continue;
+    }
+    let pattern: RegExp;
+    try {
+      pattern = searchPattern(edit);
+    } catch {
+      continue;
+    }
+    for (const row of rows) {
+      for (const column of searchColumns(edit, row.cells.length)) {
+        const before = row.cells[column];
+        const after = replaceInCell(before, edit, pattern);
+        if (after === undefined || cellToString(after) === cellToString(before)) continue;
+        row.cells[column] = after;
+        onChange?.(edit, row.id, column, before, after);
+      }
+    }
+  }
+};
+
+// The input table as the user sees it after their edits, for previews
+export const editTable = (table: Table, edits: TableEdit[]): Table => {
+  if (edits.length === 0) return table;
+  const rows = table.rows.map((cells, id) => ({
+    id,
+    cells: Array.from({ length: table.headers.length }, (_, column) => (column < cells.length ? cells[column] : null))
+  }));
+  applyEdits(rows, edits);
+  return { headers: table.headers, rows: rows.map(row => row.cells) };
+};
@@ -0,0 +1,48 @@
+import { describe, expect, it } from 'vitest';
+import * as XLSX from 'xlsx';
+import { isExcelFileName, readWorkbook, sheetToTable } from './excel';
+
+// Writes the sheet out and reads it back, as an upload would
+const roundTrip = (sheet: XLSX.WorkSheet): XLSX.WorkBook => {
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, sheet, 'People');
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([['other']]), 'Other');
+  const data: ArrayBuffer = XLSX.write(workbook, { type: 'array', bookType: 'xlsx' });
+  return readWorkbook(data);
+};
+
+describe('isExcelFileName', () => {
+  it('matches workbook extensions in any case', () => {
+    expect(isExcelFileName('Report.XLSX')).toBe(true);
+    expect(isExcelFileName('old.xls')).toBe(true);
+    expect(isExcelFileName('data.csv')).toBe(false);
+  });
+});
+
+describe('sheetToTable', () => {
+  it('reads values by type, formats date cells as ISO dates and drops blank rows', () => {
+    const sheet = XLSX.utils.aoa_to_sheet([['name', 'joined', 'score', 'active'], ['Ann', 45292, 3.5, true], [], ['Bob', null, 4, false]]);
+    sheet.B2.z = 'yyyy-mm-dd';
+    const workbook = roundTrip(sheet);
+    expect(workbook.SheetNames).toEqual(['People', 'Other']);
+    expect(sheetToTable(workbook, 'People')).toEqual({
+      headers: ['name', 'joined', 'score', 'active'],
+      rows: [['Ann', '2024-01-01', 3.5, true], ['Bob', null, 4, false]]
+    });
+  });
+
+  it('joins a group header merged across columns with the headers below it', () => {
+    const sheet = XLSX.utils.aoa_to_sheet([['id', 'Address', null], [null, 'City', 'Zip'], [1, 'Oslo', '0150']]);
+    sheet['!merges'] = [{ s: { r: 0, c: 1 }, e: { r: 0, c: 2 } }];
+    expect(sheetToTable(roundTrip(sheet), 'People')).toEqual({
+      headers: ['id', 'Address City', 'Address Zip'],
+      rows: [[1, 'Oslo', '0150']]
+    });
+  });
+
+  it('names blank headers by position and gives an empty table for a missing sheet', () => {
+    const workbook = roundTrip(XLSX.utils.aoa_to_sheet([['a', null], [1, 2]]));
+    expect(sheetToTable(workbook, 'People').headers).toEqual(['a', 'Column 2']);
+    expect(sheetToTable(workbook, 'Missing')).toEqual({ headers: [], rows: [] });
+  });
+});
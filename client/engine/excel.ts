@@ -0,0 +1,82 @@
+import * as XLSX from 'xlsx';
+import { Cell, Table } from './types';
+
+export const EXCEL_EXTENSIONS = ['.xlsx', '.xls'];
+
+export const isExcelFileName = (name: string): boolean =>
+  EXCEL_EXTENSIONS.some(extension => name.toLowerCase().endsWith(extension));
+
+export const readWorkbook = (data: ArrayBuffer): XLSX.WorkBook =>
+  XLSX.read(data, { type: 'array', cellNF: true });
+
+const pad = (value: number) => String(value).padStart(2, '0');
+
+// Date serials are converted through SSF rather than Date objects so the result
+// does not shift with the browser's time zone
+const formatDateSerial = (serial: number, date1904: boolean): string => {
+  const parts = XLSX.SSF.parse_date_code(serial, { date1904 });
+  const date = `${parts.y}-${pad(parts.m)}-${pad(parts.d)}`;
+  if (parts.H === 0 && parts.M === 0 && parts.S === 0) return date;
+  return `${date}T${pad(parts.H)}:${pad(parts.M)}:${pad(Math.floor(parts.S))}`;
+};
+
+const readCell = (cell: XLSX.CellObject | undefined, date1904: boolean): Cell => {
+  if (!cell || cell.v === undefined) return null;
+  switch (cell.t) {
+    case 'n':
+      return cell.z && XLSX.SSF.is_date(cell.z) ? formatDateSerial(cell.v as number, date1904) : (cell.v as number);
+    case 'b':
+      return cell.v as boolean;
+    case 'd':
+      return (cell.v as Date).toISOString();
+    case 'e':
+    case 'z':
+      return null;
+    default:
+      return String(cell.v);
+  }
+};
+
+export const sheetToTable = (workbook: XLSX.WorkBook, sheetName: string): Table => {
+  const sheet = workbook.Sheets[sheetName];
+  if (!sheet || !sheet['!ref']) return { headers: [], rows: [] };
+
+  const date1904 = Boolean(workbook.Workbook?.WBProps?.date1904);
+  const range = XLSX.utils.decode_range(sheet['!ref']);
+  const grid: Cell[][] = [];
+  for (let r = range.s.r; r <= range.e.r; r++) {
+    const row: Cell[] = [];
+    for (let c = range.s.c; c <= range.e.c; c++) {
+      row.push(readCell(sheet[XLSX.utils.encode_cell({ r, c })], date1904));
+    }
+    grid.push(row);
+  }
+
+  // Merged cells only store their value in the top-left corner; copy it across the range
+  const merges = sheet['!merges'] || [];
+  for (const merge of merges) {
+    const value = grid[merge.s.r - range.s.r]?.[merge.s.c - range.s.c];
+    for (let r = merge.s.r; r <= merge.e.r; r++) {
+      for (let c = merge.s.c; c <= merge.e.c; c++) {
+        const row = grid[r - range.s.r];
+        if (row) row[c - range.s.c] = value;
+      }
+    }
+  }
+
+  // A group header merged across columns means the header spans two rows,
+  // e.g. "Address" over "City" and "Zip" becomes "Address City", "Address Zip"
+  const groupedHeader = merges.some(merge => merge.s.r === range.s.r && merge.e.c > merge.s.c);
+  const headerDepth = groupedHeader && grid.length > 1 ? 2 : 1;
+  const headers = (grid[0] || []).map((_, column) => {
+    const parts: string[] = [];
+    for (let r = 0; r < headerDepth; r++) {
+      const part = grid[r][column] === null ? '' : String(grid[r][column]).trim();
+      if (part && !parts.includes(part)) parts.push(part);
+    }
+    return parts.join(' ') || `Column ${column + 1}`;
+  });
+
+  const rows = grid.slice(headerDepth).filter(row => row.some(cell => cell !== null && cell !== ''));
+  return { headers, rows };
+};
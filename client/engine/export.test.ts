@@ -0,0 +1,28 @@
+import { describe, expect, it } from 'vitest';
+import { exportTable, jsonKeys } from './export';
+
+describe('jsonKeys', () => {
+  it('numbers repeated headers and names blank ones by position', () => {
+    expect(jsonKeys(['name', 'name', '', 'name_2'])).toEqual(['name', 'name_3', 'column_3', 'name_2']);
+  });
+});
+
+describe('exportTable', () => {
+  it('keeps every column in JSON when headers repeat', async () => {
+    const blob = await exportTable({ headers: ['id', 'id', ''], rows: [[1, 2, 'x']] }, 'json');
+    expect(JSON.parse(await blob.text())).toEqual([{ id: 1, id_2: 2, column_3: 'x' }]);
+  });
+
+  it('keeps a column named __proto__ in JSON', async () => {
+    const blob = await exportTable({ headers: ['id', '__proto__'], rows: [[1, 'x']] }, 'json');
+    const [record] = JSON.parse(await blob.text());
+    expect(Object.keys(record)).toEqual(['id', '__proto__']);
+    expect(record.__proto__).toBe('x');
+  });
+
+  it('writes a BOM and quotes CSV fields that need it', async () => {
+    const blob = await exportTable({ headers: ['a', 'b'], rows: [['x,y', 'say "hi"']] }, 'csv');
+    const text = new TextDecoder('utf-8', { ignoreBOM: true }).decode(await blob.arrayBuffer());
+    expect(text).toBe('\ufeffa,b\r\n"x,y","say ""hi"""\r\n');
+  });
+});
@@ -0,0 +1,110 @@
+import * as XLSX from 'xlsx';
+import { Cell, Table } from './types';
+import { cellToString } from './values';
+
+export type ExportFormat = 'csv' | 'xlsx' | 'json';
+
+export const EXPORT_MIME_TYPES: Record<ExportFormat, string> = {
+  csv: 'text/csv;charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  json: 'application/json'
+};
+
+export interface ExportOptions {
+  signal?: AbortSignal;
+  onProgress?: (rowsWritten: number, totalRows: number) => void;
+}
+
+const ROWS_PER_SLICE = 5000;
+const ESTIMATE_SAMPLE_ROWS = 1000;
+const UTF8_BOM = '\ufeff';
+
+const escapeCsvField = (value: string): string =>
+  /[",\r\n]|^\s|\s$/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+
+const csvLine = (cells: Cell[]): string =>
+  cells.map(cell => escapeCsvField(cellToString(cell))).join(',') + '\r\n';
+
+// JSON objects need a distinct key per column: blank headers become column_<position> and
+// repeats get a number, e.g. name, name_2, so no column overwrites another
+export const jsonKeys = (headers: string[]): string[] => {
+  const used = new Set<string>();
+  return headers.map((header, index) => {
+    const base = header.trim() === '' ? `column_${index + 1}` : header;
+    let key = base;
+    for (let copy = 2; used.has(key) || (key !== header && headers.includes(key)); copy++) key = `${base}_${copy}`;
+    used.add(key);
+    return key;
+  });
+};
+
+// No prototype, so a column named __proto__ is an ordinary key
+const toRecord = (keys: string[], row: Cell[]) => {
+  const record: Record<string, Cell> = Object.create(null);
+  keys.forEach((key, index) => {
+    record[key] = row[index] ?? null;
+  });
+  return record;
+};
+
+// Yield between slices so the page stays responsive and an abort can land
+const nextSlice = (signal?: AbortSignal) =>
+  new Promise<void>((resolve, reject) => {
+    setTimeout(() => {
+      if (signal?.aborted) reject(new DOMException('Export cancelled', 'AbortError'));
+      else resolve();
+    }, 0);
+  });
+
+const serializeParts = async (table: Table, format: ExportFormat, options: ExportOptions): Promise<BlobPart[]> => {
+  const total = table.rows.length;
+
+  if (format === 'xlsx') {
+    await nextSlice(options.signal);
+    const sheet = XLSX.utils.aoa_to_sheet([table.headers, ...table.rows]);
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, sheet, 'Data');
+    const bytes: ArrayBuffer = XLSX.write(workbook, { type: 'array', bookType: 'xlsx' });
+    options.onProgress?.(total, total);
+    return [bytes];
+  }
+
+  const parts: string[] = format === 'csv' ? [UTF8_BOM + csvLine(table.headers)] : ['['];
+  const keys = jsonKeys(table.headers);
+  for (let start = 0; start < total; start += ROWS_PER_SLICE) {
+    await nextSlice(options.signal);
+    const slice = table.rows.slice(start, start + ROWS_PER_SLICE);
+    if (format === 'csv') {
+      parts.push(slice.map(csvLine).join(''));
+    } else {
+      const records = slice.map(row => '\n  ' + JSON.stringify(toRecord(keys, row)));
+      parts.push((start > 0 ? ',' : '') + records.join(','));
+    }
+    options.onProgress?.(Math.min(start + ROWS_PER_SLICE, total), total);
+  }
+  if (format === 'json') parts.push(total > 0 ? '\n]\n' : ']\n');
+  return parts;
+};
+
+export const exportTable = async (table: Table, format: ExportFormat, options: ExportOptions = {}): Promise<Blob> =>
+  new Blob(await serializeParts(table, format, options), { type: EXPORT_MIME_TYPES[format] });
+
+// Serializes a leading sample and scales it up, so the size shown next to the
+// download button reflects the real output without building the whole file
+export const estimateExportSize = (table: Table, format: ExportFormat): number => {
+  const sample = table.rows.slice(0, ESTIMATE_SAMPLE_ROWS);
+  if (sample.length === 0) return 0;
+  let bytes: number;
+  if (format === 'xlsx') {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([table.headers, ...sample]), 'Data');
+    bytes = (XLSX.write(workbook, { type: 'array', bookType: 'xlsx' }) as ArrayBuffer).byteLength;
+  } else {
+    const keys = jsonKeys(table.headers);
+    const text = format === 'csv'
+      ? sample.map(csvLine).join('')
+      : sample.map(row => JSON.stringify(toRecord(keys, row))).join(',\n  ');
+    bytes = new TextEncoder().encode(text).length;
+  }
+  return Math.round(bytes * (table.rows.length / sample.length));
+};
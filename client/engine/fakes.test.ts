@@ -0,0 +1,64 @@
+import { describe, expect, it } from 'vitest';
+import { ColumnRole, detectFakes, relatedColumnGroups, scoreRow } from './fakes';
+
+const rules = (cells: string[], roles: ColumnRole[] = cells.map(() => 'text')) => scoreRow(cells, roles).map(hit => hit.rule);
+
+describe('detectFakes', () => {
+  it('flags placeholder names and disposable emails with their reasons', () => {
+    const findings = detectFakes({
+      headers: ['name', 'email'],
+      rows: [['Maria Lopez', 'maria.lopez@acme.com'], ['Test User', 'anna@mailinator.com']]
+    });
+    expect(findings).toHaveLength(1);
+    expect(findings[0].row).toBe(1);
+    expect(findings[0].reasons.map(reason => reason.rule)).toEqual(['placeholderName', 'disposableEmail']);
+  });
+
+  it('does not flag the same value in related address columns', () => {
+    const findings = detectFakes({
+      headers: ['name', 'email', 'country', 'billing_country', 'shippingCountry'],
+      rows: [['Maria Lopez', 'maria.lopez@acme.com', 'USA', 'USA', 'USA']]
+    });
+    expect(findings).toEqual([]);
+  });
+
+  it('does not flag a value repeated in three unrelated columns on its own', () => {
+    const table = { headers: ['opted_in', 'verified', 'active'], rows: [['yes', 'yes', 'yes']] };
+    expect(detectFakes(table)).toEqual([]);
+    expect(detectFakes(table, { threshold: 0.2 })[0].reasons.map(reason => reason.rule)).toEqual(['repeatedValues']);
+  });
+
+  it('flags a repeated value alongside other evidence', () => {
+    const findings = detectFakes({ headers: ['id', 'city', 'company', 'notes'], rows: [['1234', 'Lyon', 'Lyon', 'Lyon']] });
+    expect(findings[0].reasons.map(reason => reason.rule)).toEqual(['digitRunId', 'repeatedValues']);
+    expect(findings[0].score).toBeCloseTo(0.51, 2);
+  });
+});
+
+describe('relatedColumnGroups', () => {
+  it('groups headers that share a word', () => {
+    expect(relatedColumnGroups(['country', 'billing_country', 'Shipping Country', 'name'])).toEqual([0, 0, 0, 3]);
+  });
+});
+
+describe('scoreRow', () => {
+  it('marks IDs made of one repeated digit or a straight digit run', () => {
+    expect(rules(['1234'], ['id'])).toEqual(['digitRunId']);
+    expect(rules(['7777'], ['id'])).toEqual(['digitRunId']);
+    expect(rules(['9876'], ['id'])).toEqual(['digitRunId']);
+    expect(rules(['1042'], ['id'])).toEqual([]);
+    expect(rules(['123'], ['id'])).toEqual([]);
+  });
+
+  it('checks phone numbers for length, digit runs and the 555-01 range', () => {
+    expect(rules(['123'], ['phone'])).toEqual(['impossiblePhone']);
+    expect(rules(['555-555-5555'], ['phone'])).toEqual(['impossiblePhone']);
+    expect(rules(['(212) 555-0123'], ['phone'])).toEqual(['impossiblePhone']);
+    expect(rules(['(212) 736-5000'], ['phone'])).toEqual([]);
+  });
+
+  it('spots keyboard mashing and malformed emails', () => {
+    expect(rules(['qwerty street'])).toEqual(['keyboardMash']);
+    expect(rules(['maria.lopez@'], ['email'])).toEqual(['malformedEmail']);
+  });
+});
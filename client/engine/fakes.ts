@@ -0,0 +1,216 @@
+import { Table } from './types';
+import { cellToString, isMissing } from './values';
+
+export type ColumnRole = 'name' | 'email' | 'phone' | 'id' | 'text';
+
+export interface FakeRuleHit {
+  rule: string;
+  // null for rules that look at the row as a whole
+  column: number | null;
+  weight: number;
+  detail: string;
+}
+
+export interface FakeFinding {
+  row: number;
+  // 0..1, the rule weights combined as independent evidence
+  score: number;
+  reasons: FakeRuleHit[];
+}
+
+export interface FakeDetectionOptions {
+  threshold: number;
+}
+
+export const DEFAULT_FAKE_DETECTION_OPTIONS: FakeDetectionOptions = {
+  threshold: 0.5
+};
+
+export const FAKE_RULE_WEIGHTS: Record<string, number> = {
+  placeholderName: 0.6,
+  disposableEmail: 0.5,
+  malformedEmail: 0.35,
+  impossiblePhone: 0.4,
+  keyboardMash: 0.45,
+  digitRunId: 0.3,
+  // Below the threshold: matching columns are common in real rows, so this only adds to other evidence
+  repeatedValues: 0.3,
+  referenceLookup: 0.5
+};
+
+const PLACEHOLDER_NAMES = new Set([
+  'test', 'testing', 'test user', 'test test', 'tester', 'asdf', 'qwerty', 'john doe', 'jane doe',
+  'foo', 'bar', 'foo bar', 'lorem ipsum', 'dummy', 'fake', 'sample', 'example', 'user', 'admin',
+  'xxx', 'abc', 'none', 'unknown', 'mickey mouse', 'donald duck', 'first last', 'firstname lastname'
+]);
+const PLACEHOLDER_TOKENS = new Set(['test', 'dummy', 'fake', 'asdf', 'qwerty', 'xxx']);
+
+const DISPOSABLE_DOMAINS = new Set([
+  'mailinator.com', '10minutemail.com', 'guerrillamail.com', 'sharklasers.com', 'tempmail.com',
+  'temp-mail.org', 'yopmail.com', 'trashmail.com', 'getnada.com', 'throwawaymail.com',
+  'maildrop.cc', 'dispostable.com', 'fakeinbox.com', 'mailnesia.com', 'mintemail.com'
+]);
+const RESERVED_DOMAINS = /^(example\.(com|org|net)|test\.(com|org)|localhost|invalid)$/;
+
+const PROGRESS_INTERVAL = 5000;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[a-z]{2,}$/i;
+const KEYBOARD_ROWS = ['qwertyuiop', 'asdfghjkl', 'zxcvbnm'];
+const ASCENDING_DIGITS = '01234567890123456789';
+const DESCENDING_DIGITS = '98765432109876543210';
+
+const ROLE_PATTERNS: [ColumnRole, RegExp][] = [
+  ['email', /e-?mail/i],
+  ['phone', /phone|mobile|\btel\b|cell|fax/i],
+  ['id', /(^|[\s_-])id$|^id([\s_-]|$)/i],
+  ['name', /name|surname/i]
+];
+
+export const detectColumnRoles = (table: Table): ColumnRole[] =>
+  table.headers.map((header, column) => {
+    for (const [role, pattern] of ROLE_PATTERNS) {
+      if (pattern.test(header)) return role;
+    }
+    const values = table.rows.map(row => row[column]).filter(value => !isMissing(value));
+    const withAt = values.filter(value => cellToString(value).includes('@')).length;
+    return values.length > 0 && withAt / values.length >= 0.5 ? 'email' : 'text';
+  });
+
+const headerWords = (header: string): string[] =>
+  header.replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase().split(/[^a-z0-9]+/).filter(word => word.length >= 2);
+
+// Columns whose headers share a word (country, billing_country, shipping_country) are expected to
+// hold the same value, so they count once. Returns a group index per column.
+export const relatedColumnGroups = (headers: string[]): number[] => {
+  const groups = headers.map((_, column) => column);
+  const find = (column: number): number => (groups[column] === column ? column : (groups[column] = find(groups[column])));
+  const owners = new Map<string, number>();
+  headers.forEach((header, column) => {
+    for (const word of headerWords(header)) {
+      const owner = owners.get(word);
+      if (owner === undefined) owners.set(word, column);
+      else groups[find(column)] = find(owner);
+    }
+  });
+  return headers.map((_, column) => find(column));
+};
+
+const isPlaceholderName = (value: string): boolean => {
+  const normalized = value.trim().toLowerCase().replace(/\s+/g, ' ');
+  return PLACEHOLDER_NAMES.has(normalized) || normalized.split(' ').some(token => PLACEHOLDER_TOKENS.has(token));
+};
+
+const isDigitRun = (digits: string): boolean =>
+  /^(\d)\1*$/.test(digits) || ASCENDING_DIGITS.includes(digits) || DESCENDING_DIGITS.includes(digits);
+
+const isKeyboardMash = (value: string): boolean => {
+  const word = value.trim().toLowerCase();
+  if (!/^[a-z]+$/.test(word) || word.length < 4) return false;
+  if (/(.)\1{3,}/.test(word)) return true;
+  if (word.length >= 6 && !/[aeiouy]/.test(word)) return true;
+  for (const row of KEYBOARD_ROWS) {
+    const reversed = row.split('').reverse().join('');
+    for (let start = 0; start + 5 <= word.length; start++) {
+      const run = word.slice(start, start + 5);
+      if (row.includes(run) || reversed.includes(run)) return true;
+    }
+  }
+  return false;
+};
+
+const checkEmail = (value: string, column: number, hits: FakeRuleHit[]) => {
+  const email = value.trim().toLowerCase();
+  if (!EMAIL_PATTERN.test(email)) {
+    hits.push({ rule: 'malformedEmail', column, weight: FAKE_RULE_WEIGHTS.malformedEmail, detail: `"${value}" is not a valid email address` });
+    return;
+  }
+  const [local, domain] = email.split('@');
+  if (DISPOSABLE_DOMAINS.has(domain) || RESERVED_DOMAINS.test(domain)) {
+    hits.push({ rule: 'disposableEmail', column, weight: FAKE_RULE_WEIGHTS.disposableEmail, detail: `${domain} is a disposable or reserved domain` });
+  }
+  if (isPlaceholderName(local.replace(/[._-]+/g, ' ')) || isKeyboardMash(local)) {
+    hits.push({ rule: 'placeholderName', column, weight: FAKE_RULE_WEIGHTS.placeholderName, detail: `"${local}" is a placeholder mailbox` });
+  }
+};
+
+const checkPhone = (value: string, column: number, hits: FakeRuleHit[]) => {
+  const digits = value.replace(/\D/g, '');
+  const national = digits.length === 11 && digits[0] === '1' ? digits.slice(1) : digits;
+  let detail: string | null = null;
+  if (digits.length < 7 || digits.length > 15) detail = `${digits.length} digits is not a valid phone length`;
+  else if (isDigitRun(national)) detail = `${value} is a repeated or sequential digit run`;
+  else if (national.length === 10 && national.slice(3, 8) === '55501') detail = `${value} is in the fictional 555-01xx range`;
+  if (detail) hits.push({ rule: 'impossiblePhone', column, weight: FAKE_RULE_WEIGHTS.impossiblePhone, detail });
+};
+
+const checkRepeatedValues = (cells: string[], groups: number[], hits: FakeRuleHit[]) => {
+  // Value -> the column groups it appears in
+  const seen = new Map<string, Set<number>>();
+  cells.forEach((value, column) => {
+    const key = value.trim().toLowerCase();
+    if (isMissing(value) || key.length < 2) return;
+    const columns = seen.get(key) || new Set<number>();
+    columns.add(groups[column]);
+    seen.set(key, columns);
+  });
+  for (const [value, columns] of seen) {
+    const count = columns.size;
+    if (count >= 3) {
+      hits.push({ rule: 'repeatedValues', column: null, weight: FAKE_RULE_WEIGHTS.repeatedValues, detail: `"${value}" repeated in ${count} columns` });
+      return;
+    }
+  }
+};
+
+// `groups` comes from relatedColumnGroups; by default every column stands alone
+export const scoreRow = (cells: string[], roles: ColumnRole[], groups: number[] = cells.map((_, column) => column)): FakeRuleHit[] => {
+  const hits: FakeRuleHit[] = [];
+
+  cells.forEach((value, column) => {
+    if (isMissing(value)) return;
+    const role = roles[column];
+    if (role === 'email') checkEmail(value, column, hits);
+    else if (role === 'phone') checkPhone(value, column, hits);
+    else if (role === 'id') {
+      const digits = value.replace(/\D/g, '');
+      if (digits.length >= 4 && digits.length === value.trim().length && isDigitRun(digits)) {
+        hits.push({ rule: 'digitRunId', column, weight: FAKE_RULE_WEIGHTS.digitRunId, detail: `ID ${value} is one digit repeated or a straight run like 1234` });
+      }
+    } else {
+      if (role === 'name' && isPlaceholderName(value)) {
+        hits.push({ rule: 'placeholderName', column, weight: FAKE_RULE_WEIGHTS.placeholderName, detail: `"${value}" is a placeholder name` });
+      } else if (value.trim().split(/\s+/).some(isKeyboardMash)) {
+        hits.push({ rule: 'keyboardMash', column, weight: FAKE_RULE_WEIGHTS.keyboardMash, detail: `"${value}" looks like keyboard mashing` });
+      }
+    }
+  });
+
+  checkRepeatedValues(cells, groups, hits);
+  return hits;
+};
+
+// Independent-evidence combination: each hit removes its weight's share of the remaining doubt
+export const combineScore = (hits: FakeRuleHit[]): number =>
+  1 - hits.reduce((doubt, hit) => doubt * (1 - hit.weight), 1);
+
+export const detectFakes = (
+  table: Table,
+  options: FakeDetectionOptions = DEFAULT_FAKE_DETECTION_OPTIONS,
+  onProgress?: (rowsDone: number, totalRows: number) => void,
+  // Evidence found elsewhere, e.g. failed reference lookups, by row index
+  extraHits: Map<number, FakeRuleHit[]> = new Map()
+): FakeFinding[] => {
+  const roles = detectColumnRoles(table);
+  const groups = relatedColumnGroups(table.headers);
+  const findings: FakeFinding[] = [];
+
+  table.rows.forEach((row, index) => {
+    if (index % PROGRESS_INTERVAL === 0) onProgress?.(index, table.rows.length);
+    const reasons = [...scoreRow(row.map(cellToString), roles, groups), ...(extraHits.get(index) || [])];
+    const score = combineScore(reasons);
+    if (reasons.length > 0 && score >= options.threshold) {
+      findings.push({ row: index, score, reasons });
+    }
+  });
+
+  return findings.sort((a, b) => b.score - a.score);
+};
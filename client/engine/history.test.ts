@@ -0,0 +1,45 @@
+import { describe, expect, it } from 'vitest';
+import { createHistory, currentState, historyForNewTable, recordAction, undo } from './history';
+import { editTable } from './edits';
+import { CleaningOptions } from './types';
+
+const options: CleaningOptions = {
+  removeDuplicates: true,
+  missingValues: 'mean',
+  standardizeFormats: true,
+  privacy: { columns: {}, salt: 'kept' }
+};
+const initial = { options, columnTypes: {}, resolutions: {}, decisions: {} };
+
+describe('session history', () => {
+  it('keeps a column rule while any of its fields is set', () => {
+    let history = recordAction(createHistory(initial), { type: 'setColumnRule', header: 'note', patch: { missingValues: 'constant', constant: 'n/a' } }, 'note: constant');
+    history = recordAction(history, { type: 'setColumnRule', header: 'note', patch: { missingValues: undefined } }, 'note: default');
+    expect(currentState(history).options.columnRules).toEqual({ note: { missingValues: undefined, constant: 'n/a' } });
+    history = recordAction(history, { type: 'setColumnRule', header: 'note', patch: { constant: undefined } }, 'note: no constant');
+    expect(currentState(history).options.columnRules).toEqual({});
+  });
+
+  it('replays recorded actions and undoes them', () => {
+    let history = recordAction(createHistory(initial), { type: 'setMissingValues', value: 'median' }, 'Missing values: median');
+    expect(currentState(history).options.missingValues).toBe('median');
+    history = undo(history);
+    expect(currentState(history).options.missingValues).toBe('mean');
+  });
+});
+
+describe('historyForNewTable', () => {
+  it('leaves hand edits behind so they do not rewrite the next file', () => {
+    const edited = recordAction(createHistory(initial), { type: 'edit', edit: { type: 'cell', row: 0, column: 0, value: 'Bob' } }, 'Edit');
+    const next = currentState(historyForNewTable(edited, {}, 'fresh'));
+    expect(next.options.edits).toBeUndefined();
+    expect(editTable({ headers: ['name'], rows: [['Ann']] }, next.options.edits || []).rows).toEqual([['Ann']]);
+  });
+
+  it('keeps the other settings and the salt', () => {
+    const changed = recordAction(createHistory(initial), { type: 'setOption', option: 'removeDuplicates', value: false }, 'Off');
+    const next = currentState(historyForNewTable(changed, { email: { kind: 'email', action: 'mask' } }, 'fresh'));
+    expect(next.options.removeDuplicates).toBe(false);
+    expect(next.options.privacy).toEqual({ salt: 'kept', columns: { email: { kind: 'email', action: 'mask' } } });
+  });
+});
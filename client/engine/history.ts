@@ -0,0 +1,220 @@
+import { CleaningOptions, ColumnRule, MissingValueStrategy } from './types';
+import { DEFAULT_FAKE_DETECTION_OPTIONS, FakeDetectionOptions } from './fakes';
+import { DEFAULT_OUTLIER_OPTIONS, OutlierOptions } from './outliers';
+import { ClusterResolution, DEFAULT_DEDUP_OPTIONS, DedupOptions } from './dedupe';
+import { DEFAULT_STANDARDIZE_OPTIONS, StandardizeOptions, StandardizeRule } from './standardize';
+import { ColumnPrivacy } from './privacy';
+import { ColumnType } from './schema';
+import { ReviewDecision, ReviewDecisions } from './review';
+import { TableEdit } from './edits';
+import { ReferenceLookup } from './reference';
+
+// Everything the user has decided about how to clean the loaded file
+export interface SessionState {
+  options: CleaningOptions;
+  // Column index -> type chosen over the inferred one
+  columnTypes: Record<number, ColumnType>;
+  resolutions: Record<number, ClusterResolution>;
+  decisions: ReviewDecisions;
+}
+
+// Each action sets values rather than toggling them, so replaying a history with a step
+// switched off still means what the remaining steps said
+export type SessionAction =
+  | { type: 'setOption'; option: 'removeDuplicates' | 'standardizeFormats' | 'handleOutliers' | 'anonymize'; value: boolean }
+  | { type: 'setMissingValues'; value: MissingValueStrategy }
+  | { type: 'setStandardize'; patch: Partial<Omit<StandardizeOptions, 'rules'>> }
+  | { type: 'setStandardizeRule'; rule: StandardizeRule; enabled: boolean }
+  // Matching settings reshape the clusters, so they also drop the cluster resolutions made so far
+  | { type: 'setDedup'; patch: Partial<Omit<DedupOptions, 'keyColumns'>> }
+  | { type: 'setDedupKey'; column: string; included: boolean }
+  | { type: 'setColumnRule'; header: string; patch: Partial<ColumnRule> }
+  | { type: 'setColumnType'; column: number; columnType: ColumnType }
+  | { type: 'setPrivacyColumn'; header: string; setting: ColumnPrivacy | null }
+  | { type: 'setSalt'; salt: string }
+  | { type: 'setOutliers'; patch: Partial<OutlierOptions> }
+  | { type: 'setFakeDetection'; patch: Partial<FakeDetectionOptions> }
+  // Replaces the settings wholesale with a saved recipe's; the anonymization salt and hand edits are kept
+  | { type: 'applyRecipe'; options: CleaningOptions; columnTypes: Record<number, ColumnType> }
+  | { type: 'edit'; edit: TableEdit }
+  // Replaces the lookup at `index`, adds one at the end, or removes it when null
+  | { type: 'setLookup'; index: number; lookup: ReferenceLookup | null }
+  | { type: 'resolveCluster'; key: number; resolution: ClusterResolution }
+  // Input row id -> decision; null takes a decision back
+  | { type: 'review'; decisions: Record<number, ReviewDecision | null> };
+
+export interface HistoryStep {
+  id: number;
+  action: SessionAction;
+  label: string;
+  // Disabled steps stay in the list but are skipped on replay
+  enabled: boolean;
+}
+
+export interface SessionHistory {
+  initial: SessionState;
+  steps: HistoryStep[];
+  // Steps before the cursor are applied; the ones after it can be redone
+  cursor: number;
+  nextId: number;
+}
+
+export const createHistory = (initial: SessionState): SessionHistory => ({ initial, steps: [], cursor: 0, nextId: 1 });
+
+// A new file or sheet starts a new history from the settings in effect, with its own personal
+// data columns. Hand edits name rows and columns of the table they were made in, so they stay behind.
+export const historyForNewTable = (
+  history: SessionHistory,
+  privacyColumns: Record<string, ColumnPrivacy>,
+  fallbackSalt: string
+): SessionHistory => {
+  const { edits: _edits, ...options } = currentState(history).options;
+  return createHistory({
+    options: { ...options, privacy: { salt: options.privacy?.salt || fallbackSalt, columns: privacyColumns } },
+    columnTypes: {},
+    resolutions: {},
+    decisions: {}
+  });
+};
+
+export const applyAction = (state: SessionState, action: SessionAction): SessionState => {
+  const { options } = state;
+  switch (action.type) {
+    case 'setOption':
+      return { ...state, options: { ...options, [action.option]: action.value } };
+    case 'setMissingValues':
+      return { ...state, options: { ...options, missingValues: action.value } };
+    case 'setStandardize': {
+      const standardize = options.standardize || DEFAULT_STANDARDIZE_OPTIONS;
+      return { ...state, options: { ...options, standardize: { ...standardize, ...action.patch } } };
+    }
+    case 'setStandardizeRule': {
+      const standardize = options.standardize || DEFAULT_STANDARDIZE_OPTIONS;
+      const rules = { ...standardize.rules, [action.rule]: action.enabled };
+      return { ...state, options: { ...options, standardize: { ...standardize, rules } } };
+    }
+    case 'setDedup': {
+      const dedup = { ...(options.dedup || DEFAULT_DEDUP_OPTIONS), ...action.patch };
+      return { ...state, options: { ...options, dedup }, resolutions: {} };
+    }
+    case 'setDedupKey': {
+      const dedup = options.dedup || DEFAULT_DEDUP_OPTIONS;
+      const keyColumns = dedup.keyColumns.filter(column => column !== action.column);
+      if (action.included) keyColumns.push(action.column);
+      return { ...state, options: { ...options, dedup: { ...dedup, keyColumns } }, resolutions: {} };
+    }
+    case 'setColumnRule': {
+      const rule: ColumnRule = { ...options.columnRules?.[action.header], ...action.patch };
+      const columnRules = { ...options.columnRules };
+      // Drop rules that no longer override anything so the column follows the defaults again
+      if (Object.values(rule).every(value => value === undefined)) delete columnRules[action.header];
+      else columnRules[action.header] = rule;
+      return { ...state, options: { ...options, columnRules } };
+    }
+    case 'setColumnType':
+      return { ...state, columnTypes: { ...state.columnTypes, [action.column]: action.columnType } };
+    case 'setPrivacyColumn': {
+      const privacy = options.privacy || { columns: {}, salt: '' };
+      const columns = { ...privacy.columns };
+      if (action.setting) columns[action.header] = action.setting;
+      else delete columns[action.header];
+      return { ...state, options: { ...options, privacy: { ...privacy, columns } } };
+    }
+    case 'setSalt': {
+      const privacy = options.privacy || { columns: {} };
+      return { ...state, options: { ...options, privacy: { ...privacy, salt: action.salt } } };
+    }
+    case 'setOutliers': {
+      const outliers = { ...(options.outliers || DEFAULT_OUTLIER_OPTIONS), ...action.patch };
+      return { ...state, options: { ...options, outliers } };
+    }
+    case 'setFakeDetection': {
+      const fakeDetection = { ...(options.fakeDetection || DEFAULT_FAKE_DETECTION_OPTIONS), ...action.patch };
+      return { ...state, options: { ...options, fakeDetection } };
+    }
+    case 'applyRecipe': {
+      const privacy = { columns: action.options.privacy?.columns || {}, salt: options.privacy?.salt || '' };
+      const next: CleaningOptions = { ...action.options, privacy, edits: options.edits };
+      return { ...state, options: next, columnTypes: action.columnTypes, resolutions: {} };
+    }
+    case 'edit':
+      return { ...state, options: { ...options, edits: [...(options.edits || []), action.edit] } };
+    case 'setLookup': {
+      const lookups = [...(options.lookups || [])];
+      if (action.lookup) lookups[Math.min(action.index, lookups.length)] = action.lookup;
+      else lookups.splice(action.index, 1);
+      return { ...state, options: { ...options, lookups } };
+    }
+    case 'resolveCluster':
+      return { ...state, resolutions: { ...state.resolutions, [action.key]: action.resolution } };
+    case 'review': {
+      const decisions = { ...state.decisions };
+      for (const [id, decision] of Object.entries(action.decisions)) {
+        if (decision === null) delete decisions[Number(id)];
+        else decisions[Number(id)] = decision;
+      }
+      return { ...state, decisions };
+    }
+  }
+};
+
+// Consecutive actions on the same setting (typing a salt, dragging a threshold) fold into one step
+const mergeKey = (action: SessionAction): string | null => {
+  switch (action.type) {
+    case 'setStandardize':
+    case 'setDedup':
+    case 'setOutliers':
+    case 'setFakeDetection':
+      return `${action.type}:${Object.keys(action.patch).sort().join(',')}`;
+    case 'setColumnRule':
+      return `${action.type}:${action.header}:${Object.keys(action.patch).sort().join(',')}`;
+    case 'setSalt':
+      return action.type;
+    case 'setLookup':
+      return action.lookup ? `${action.type}:${action.index}` : null;
+    // Retyping the same cell
+    case 'edit':
+      return action.edit.type === 'cell' ? `${action.type}:${action.edit.row}:${action.edit.column}` : null;
+    default:
+      return null;
+  }
+};
+
+export const currentState = (history: SessionHistory): SessionState =>
+  history.steps
+    .slice(0, history.cursor)
+    .reduce((state, step) => (step.enabled ? applyAction(state, step.action) : state), history.initial);
+
+// Appends a step, dropping anything that was undone
+export const recordAction = (history: SessionHistory, action: SessionAction, label: string): SessionHistory => {
+  const steps = history.steps.slice(0, history.cursor);
+  const last = steps[steps.length - 1];
+  const key = mergeKey(action);
+  if (last && last.enabled && key !== null && mergeKey(last.action) === key) {
+    steps[steps.length - 1] = { ...last, action, label };
+    return { ...history, steps, cursor: steps.length };
+  }
+  steps.push({ id: history.nextId, action, label, enabled: true });
+  return { ...history, steps, cursor: steps.length, nextId: history.nextId + 1 };
+};
+
+export const canUndo = (history: SessionHistory): boolean => history.cursor > 0;
+
+export const canRedo = (history: SessionHistory): boolean => history.cursor < history.steps.length;
+
+export const undo = (history: SessionHistory): SessionHistory =>
+  canUndo(history) ? { ...history, cursor: history.cursor - 1 } : history;
+
+export const redo = (history: SessionHistory): SessionHistory =>
+  canRedo(history) ? { ...history, cursor: history.cursor + 1 } : history;
+
+// Moves the cursor so that the steps up to and including `index` apply; -1 undoes everything
+export const jumpTo = (history: SessionHistory, index: number): SessionHistory => ({
+  ...history,
+  cursor: Math.max(0, Math.min(history.steps.length, index + 1))
+});
+
+export const setStepEnabled = (history: SessionHistory, id: number, enabled: boolean): SessionHistory => ({
+  ...history,
+  steps: history.steps.map(step => (step.id === id ? { ...step, enabled } : step))
+});
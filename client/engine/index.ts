@@ -0,0 +1,28 @@
+// The engine without the app, for scripts and scheduled jobs. Everything here runs in Node as
+// well as the browser; the worker entry point and React components are left out.
+export * from './types';
+export * from './values';
+export * from './csv';
+export * from './excel';
+export * from './export';
+export * from './schema';
+export * from './standardize';
+export * from './dedupe';
+export * from './outliers';
+export * from './privacy';
+export * from './edits';
+export * from './clean';
+export * from './fakes';
+export * from './reference';
+export * from './pipeline';
+export * from './review';
+export * from './validation';
+export * from './constraints';
+export * from './stats';
+export * from './synthesize';
+export * from './quality';
+export * from './diff';
+export * from './recipes';
+export * from './batch';
+export * from './zip';
+export * from './job';
@@ -0,0 +1,125 @@
+import { CleaningOperation, CleaningOptions, CleaningResult, Table } from './types';
+import { batchColumnTypes } from './batch';
+import { FakeFinding } from './fakes';
+import { PipelineProgress, runPipeline } from './pipeline';
+import { ColumnPrivacy, detectPii, suggestedAction } from './privacy';
+import { attachReferences, BUILTIN_REFERENCES, ReferenceList } from './reference';
+import { applyReview, fakesTable, reviewedRowIds } from './review';
+import { ColumnType } from './schema';
+import { standardizeOptionsForLocale } from './standardize';
+import { describeRule, splitByValidation, validateTable, ValidationReport, ValidationRuleSet, violationsTable } from './validation';
+
+// A whole "Process Data" run without the app: cleaning, fake detection and validation, with
+// the tables the download cards offer. Nothing is reviewed, so every suspect stays pending.
+export interface CleanJobConfig {
+  options: CleaningOptions;
+  // Chosen over the inferred types, keyed by header like in recipes
+  columnTypes?: Record<string, ColumnType>;
+  // Uploaded lists; the built-in ones are always available
+  references?: ReferenceList[];
+  ruleSet?: ValidationRuleSet | null;
+  // Leave rows that fail validation out of the cleaned table
+  excludeInvalidRows?: boolean;
+}
+
+export interface CleanJobSummary {
+  inputRows: number;
+  // Rows in the cleaned table, after rows failing validation are left out if asked
+  outputRows: number;
+  columns: number;
+  operations: Record<CleaningOperation, number>;
+  suspectedFakes: number;
+  validation: {
+    ruleSet: string;
+    violations: number;
+    invalidRows: number;
+    // Rules that could not be checked at all, e.g. their column is missing
+    unusableRules: number;
+    // `error` says why the rule could not be checked
+    rules: { rule: string; violations: number; error?: string }[];
+  } | null;
+}
+
+export interface CleanJobOutput {
+  result: CleaningResult;
+  findings: FakeFinding[];
+  // The types cleaning ran with, one per input column
+  columnTypes: ColumnType[];
+  cleaned: Table;
+  fakes: Table;
+  validation: ValidationReport | null;
+  violations: Table | null;
+  invalid: Table | null;
+  summary: CleanJobSummary;
+}
+
+// The settings a newly opened file starts with in the app
+export const defaultCleaningOptions = (locale: string, salt: string): CleaningOptions => ({
+  removeDuplicates: true,
+  missingValues: 'mean',
+  standardizeFormats: true,
+  standardize: standardizeOptionsForLocale(locale),
+  anonymize: false,
+  privacy: { columns: {}, salt }
+});
+
+// Detected personal data columns with their suggested action, by header
+export const suggestedPrivacyColumns = (table: Table, types: ColumnType[]): Record<string, ColumnPrivacy> => {
+  const columns: Record<string, ColumnPrivacy> = {};
+  detectPii(table, types).forEach(detection => {
+    columns[table.headers[detection.column]] = { kind: detection.kind, action: suggestedAction(detection.kind) };
+  });
+  return columns;
+};
+
+export const runCleanJob = (
+  table: Table,
+  config: CleanJobConfig,
+  onProgress?: (progress: PipelineProgress) => void
+): CleanJobOutput => {
+  const columnTypes = batchColumnTypes(table, config.columnTypes || {});
+  const { options } = config;
+  const references = [...BUILTIN_REFERENCES, ...(config.references || [])];
+  const processingOptions = options.lookups ? { ...options, lookups: attachReferences(options.lookups, references) } : options;
+  const { result, findings } = runPipeline(table, processingOptions, columnTypes, {}, onProgress);
+
+  const reviewed = applyReview(result, findings, {});
+  const rowIds = reviewedRowIds(result, findings, {});
+  const ruleSet = config.ruleSet || null;
+  const validation = ruleSet ? validateTable(reviewed, ruleSet.rules, rowIds) : null;
+  const split = validation ? splitByValidation(reviewed, rowIds, validation) : null;
+  const cleaned = config.excludeInvalidRows && split ? split.valid : reviewed;
+  const unusable = new Map((validation?.violations || []).filter(violation => violation.row === null).map(violation => [violation.rule, violation.message]));
+
+  return {
+    result,
+    findings,
+    columnTypes,
+    cleaned,
+    fakes: fakesTable(result, findings, {}),
+    validation,
+    violations: validation && ruleSet ? violationsTable(validation, ruleSet.rules, reviewed.headers) : null,
+    invalid: split && split.invalid.rows.length > 0 ? split.invalid : null,
+    summary: {
+      inputRows: table.rows.length,
+      outputRows: cleaned.rows.length,
+      columns: result.table.headers.length,
+      operations: result.summary,
+      suspectedFakes: findings.length,
+      validation: validation && ruleSet && split
+        ? {
+          ruleSet: ruleSet.name,
+          violations: validation.violations.length - unusable.size,
+          invalidRows: split.invalid.rows.length,
+          unusableRules: unusable.size,
+          rules: ruleSet.rules.map((rule, index) => {
+            const error = unusable.get(index);
+            return error === undefined
+              ? { rule: describeRule(rule), violations: validation.counts[index] }
+              : { rule: describeRule(rule), violations: 0, error };
+          })
+        }
+        : null
+    }
+  };
+};
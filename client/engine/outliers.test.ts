@@ -0,0 +1,52 @@
+import { describe, expect, it } from 'vitest';
+import { cleanTable } from './clean';
+import { findOutliers, outlierBounds } from './outliers';
+import { CleaningOptions, Table } from './types';
+
+const values = [10, 11, 12, 10, 11, 12, 100];
+
+describe('outlierBounds', () => {
+  it('computes the bounds for each method', () => {
+    expect(outlierBounds(values, 'iqr', 1.5)).toEqual({ lower: 8.25, upper: 14.25 });
+    const zscore = outlierBounds(values, 'zscore', 2)!;
+    expect(zscore.upper).toBeGreaterThan(12);
+    expect(zscore.upper).toBeLessThan(100);
+    const mad = outlierBounds(values, 'mad', 3.5)!;
+    expect(mad.lower).toBeCloseTo(11 - 3.5 / 0.6745, 6);
+  });
+
+  it('gives no bounds for too few values or no spread', () => {
+    expect(outlierBounds([1, 2, 3, 4], 'iqr', 1.5)).toBeNull();
+    expect(outlierBounds([5, 5, 5, 5, 5, 5], 'zscore', 3)).toBeNull();
+  });
+});
+
+describe('findOutliers', () => {
+  it('skips cells that are not numbers and caps inwards at the column precision', () => {
+    const found = findOutliers(['10.5', 11, 12, null, 'n/a', 10, 11, 12, 100], { method: 'iqr', threshold: 1.5, treatment: 'cap' })!;
+    expect(found.cells).toEqual([{ index: 8, capped: 13.8 }]);
+  });
+});
+
+describe('cleanTable outlier treatments', () => {
+  const table: Table = { headers: ['name', 'amount'], rows: values.map((value, i) => [`row ${i}`, value]) };
+  const clean = (treatment: 'flag' | 'cap' | 'missing' | 'drop') => {
+    const options: CleaningOptions = {
+      removeDuplicates: false,
+      missingValues: 'median',
+      standardizeFormats: false,
+      handleOutliers: true,
+      outliers: { method: 'iqr', threshold: 1.5, treatment }
+    };
+    return cleanTable(table, options);
+  };
+
+  it('flags, caps, imputes or drops the outlier', () => {
+    expect(clean('flag').table.rows[6]).toEqual(['row 6', 100]);
+    expect(clean('flag').summary.handleOutliers).toBe(1);
+    expect(clean('cap').table.rows[6]).toEqual(['row 6', 14]);
+    expect(clean('missing').table.rows[6]).toEqual(['row 6', 11]);
+    const dropped = clean('drop');
+    expect(dropped.rowIds).toEqual([0, 1, 2, 3, 4, 5]);
+  });
+});
@@ -0,0 +1,93 @@
+import { Cell } from './types';
+import { countDecimals, parseNumber } from './values';
+import { mean, median, standardDeviation } from './stats';
+
+export type OutlierMethod = 'zscore' | 'iqr' | 'mad';
+
+// Flag leaves the value alone; missing hands it to the missing value step to impute
+export type OutlierTreatment = 'flag' | 'cap' | 'missing' | 'drop';
+
+export interface OutlierOptions {
+  method: OutlierMethod;
+  // Standard deviations for zscore, IQRs past the quartiles for iqr, modified z-score for mad
+  threshold: number;
+  treatment: OutlierTreatment;
+}
+
+// The usual cut-offs for each method
+export const DEFAULT_OUTLIER_THRESHOLDS: Record<OutlierMethod, number> = {
+  zscore: 3,
+  iqr: 1.5,
+  mad: 3.5
+};
+
+export const DEFAULT_OUTLIER_OPTIONS: OutlierOptions = {
+  method: 'iqr',
+  threshold: DEFAULT_OUTLIER_THRESHOLDS.iqr,
+  treatment: 'flag'
+};
+
+export interface OutlierBounds {
+  lower: number;
+  upper: number;
+}
+
+// Too few values to say what is unusual
+const MIN_VALUES = 5;
+
+// Scales the median absolute deviation to a standard deviation for normal data
+const MAD_SCALE = 0.6745;
+
+// Linear interpolation between the closest ranks
+const quantile = (sorted: number[], p: number): number => {
+  const position = (sorted.length - 1) * p;
+  const below = Math.floor(position);
+  const above = Math.ceil(position);
+  return sorted[below] + (sorted[above] - sorted[below]) * (position - below);
+};
+
+// Values outside the bounds are outliers; null when the column has too few values or no spread
+export const outlierBounds = (values: number[], method: OutlierMethod, threshold: number): OutlierBounds | null => {
+  if (values.length < MIN_VALUES) return null;
+  if (method === 'zscore') {
+    const average = mean(values);
+    const deviation = standardDeviation(values);
+    return deviation === 0 ? null : { lower: average - threshold * deviation, upper: average + threshold * deviation };
+  }
+  if (method === 'iqr') {
+    const sorted = [...values].sort((a, b) => a - b);
+    const q1 = quantile(sorted, 0.25);
+    const q3 = quantile(sorted, 0.75);
+    const range = q3 - q1;
+    return range === 0 ? null : { lower: q1 - threshold * range, upper: q3 + threshold * range };
+  }
+  const center = median(values);
+  const deviation = median(values.map(value => Math.abs(value - center)));
+  const spread = (threshold * deviation) / MAD_SCALE;
+  return deviation === 0 ? null : { lower: center - spread, upper: center + spread };
+};
+
+export interface ColumnOutliers {
+  bounds: OutlierBounds;
+  // Indexes into the values, with the value each one would be capped to
+  cells: { index: number; capped: Cell }[];
+}
+
+// Outliers in one numeric column; cells that are missing or not numbers are skipped
+export const findOutliers = (values: Cell[], options: OutlierOptions): ColumnOutliers | null => {
+  const numbers = values.map(parseNumber);
+  const present = numbers.filter((value): value is number => value !== null);
+  const bounds = outlierBounds(present, options.method, options.threshold);
+  if (!bounds) return null;
+
+  // Capped values keep the column's precision, rounded inwards so they stay inside the bounds
+  const decimals = values.reduce((max: number, value) => Math.max(max, countDecimals(value)), 0);
+  const factor = Math.pow(10, decimals);
+  const cells: ColumnOutliers['cells'] = [];
+  numbers.forEach((value, index) => {
+    if (value === null) return;
+    if (value < bounds.lower) cells.push({ index, capped: Math.ceil(bounds.lower * factor) / factor });
+    else if (value > bounds.upper) cells.push({ index, capped: Math.floor(bounds.upper * factor) / factor });
+  });
+  return { bounds, cells };
+};
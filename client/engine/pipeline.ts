@@ -0,0 +1,77 @@
+import { CleaningOptions, CleaningResult, CleaningStage, Table } from './types';
+import { cleanTable, revertOperation } from './clean';
+import { ClusterResolution } from './dedupe';
+import { detectFakes, FakeFinding } from './fakes';
+import { lookupHits } from './reference';
+import { ColumnType } from './schema';
+
+export type PipelineStage = CleaningStage | 'detectFakes';
+
+export interface PipelineProgress {
+  stage: PipelineStage;
+  rowsDone: number;
+  totalRows: number;
+  // 0..1 across every stage that runs
+  fraction: number;
+}
+
+export interface PipelineResult {
+  result: CleaningResult;
+  findings: FakeFinding[];
+}
+
+// Rough relative cost per row, so the overall fraction moves at an even pace
+const STAGE_WEIGHTS: Record<PipelineStage, number> = {
+  analyze: 1,
+  standardizeFormats: 3,
+  referenceLookups: 1,
+  removeDuplicates: 4,
+  handleOutliers: 1,
+  missingValues: 1,
+  anonymize: 1,
+  detectFakes: 2
+};
+
+// The stages a run with these options goes through, in order
+export const pipelineStages = (options: CleaningOptions): PipelineStage[] => {
+  const rules = Object.values(options.columnRules || {});
+  const stages: PipelineStage[] = ['analyze'];
+  if (options.standardizeFormats || rules.some(rule => rule.standardizeFormats)) stages.push('standardizeFormats');
+  if (options.lookups?.some(lookup => lookup.action === 'correct')) stages.push('referenceLookups');
+  if (options.removeDuplicates) stages.push('removeDuplicates');
+  if (options.handleOutliers) stages.push('handleOutliers');
+  stages.push('missingValues');
+  if (options.anonymize && options.privacy) stages.push('anonymize');
+  stages.push('detectFakes');
+  return stages;
+};
+
+// Cleaning followed by fake detection, the whole "Process Data" run
+export const runPipeline = (
+  table: Table,
+  options: CleaningOptions,
+  columnTypes?: ColumnType[],
+  resolutions: Record<number, ClusterResolution> = {},
+  onProgress?: (progress: PipelineProgress) => void
+): PipelineResult => {
+  const stages = pipelineStages(options);
+  const total = stages.reduce((sum, stage) => sum + STAGE_WEIGHTS[stage], 0);
+  const report = (stage: PipelineStage, rowsDone: number, totalRows: number) => {
+    if (!onProgress) return;
+    const before = stages.slice(0, Math.max(0, stages.indexOf(stage))).reduce((sum, done) => sum + STAGE_WEIGHTS[done], 0);
+    const share = totalRows === 0 ? 1 : rowsDone / totalRows;
+    onProgress({ stage, rowsDone, totalRows, fraction: (before + STAGE_WEIGHTS[stage] * share) / total });
+  };
+
+  const result = cleanTable(table, options, columnTypes, resolutions, report);
+  // Detect on the real values; anonymized ones would all look fake
+  const detectable = result.summary.anonymize > 0 ? revertOperation(result, 'anonymize') : result.table;
+  const findings = detectFakes(
+    detectable,
+    options.fakeDetection,
+    (done, totalRows) => report('detectFakes', done, totalRows),
+    lookupHits(detectable, options.lookups || [])
+  );
+  report('detectFakes', detectable.rows.length, detectable.rows.length);
+  return { result, findings };
+};
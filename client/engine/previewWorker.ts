@@ -0,0 +1,26 @@
+// Computes the duplicate and outlier preview off the main thread. Started with
+// new Worker(new URL('./engine/previewWorker.ts', import.meta.url), { type: 'module' })
+import { CleaningOptions, Table } from './types';
+import { CleaningPreview, previewCleaning } from './clean';
+import { ColumnType } from './schema';
+
+export interface PreviewWorkerRequest {
+  table: Table;
+  options: CleaningOptions;
+  columnTypes: ColumnType[];
+}
+
+export type PreviewWorkerMessage =
+  | { type: 'done'; preview: CleaningPreview }
+  | { type: 'error'; message: string };
+
+const post = (message: PreviewWorkerMessage) => self.postMessage(message);
+
+self.onmessage = (event: MessageEvent<PreviewWorkerRequest>) => {
+  const { table, options, columnTypes } = event.data;
+  try {
+    post({ type: 'done', preview: previewCleaning(table, options, columnTypes) });
+  } catch (error) {
+    post({ type: 'error', message: (error as Error).message });
+  }
+};
@@ -0,0 +1,47 @@
+import { describe, expect, it } from 'vitest';
+import { createAnonymizer, detectPii, isLuhnValid } from './privacy';
+
+describe('createAnonymizer', () => {
+  const anonymize = createAnonymizer('salt');
+
+  it('fakes card numbers with a valid check digit in the same layout', () => {
+    const faked = anonymize('4111 1111 1111 1111', 'cardNumber', 'fake') as string;
+    expect(faked).toMatch(/^4\d{3} \d{4} \d{4} \d{4}$/);
+    expect(isLuhnValid(faked.replace(/\D/g, ''))).toBe(true);
+  });
+
+  it('fakes a card value with no digits without throwing', () => {
+    const faked = anonymize('pending', 'cardNumber', 'fake');
+    expect(typeof faked).toBe('string');
+    expect(faked).toHaveLength('pending'.length);
+  });
+
+  it('gives repeated values the same hash and token', () => {
+    expect(anonymize('a@x.com', 'email', 'hash')).toBe(anonymize('A@x.com', 'email', 'hash'));
+    expect(anonymize('a@x.com', 'email', 'tokenize')).toBe(anonymize('a@x.com', 'email', 'tokenize'));
+    expect(anonymize(null, 'email', 'mask')).toBeNull();
+  });
+});
+
+describe('detectPii', () => {
+  it('finds email columns by their values', () => {
+    const detections = detectPii({ headers: ['contact'], rows: [['a@x.com'], ['b@y.org']] }, ['email']);
+    expect(detections.map(detection => detection.kind)).toEqual(['email']);
+  });
+
+  it('suggests card numbers only for card number headers over card-shaped values', () => {
+    const detections = detectPii({
+      headers: ['scorecard', 'credit_limit', 'card_count', 'card_no', 'cc_number'],
+      rows: [
+        ['12', '5000', '2', 'pending', '**** **** **** 1111'],
+        ['15', '7500', '1', 'pending', '**** **** **** 4242']
+      ]
+    }, ['integer', 'integer', 'integer', 'text', 'text']);
+    expect(detections).toEqual([{ column: 4, kind: 'cardNumber', confidence: 0.9 }]);
+  });
+
+  it('finds valid card numbers under any header', () => {
+    const detections = detectPii({ headers: ['payment'], rows: [['4111 1111 1111 1111'], ['5500-0000-0000-0004']] }, ['text']);
+    expect(detections.map(detection => detection.kind)).toEqual(['cardNumber']);
+  });
+});
@@ -0,0 +1,415 @@
+import { Cell, Table } from './types';
+import { ColumnType } from './schema';
+import { dateToTimestamp } from './standardize';
+import { createRandom, fillPattern, Random, valuePattern } from './synthesize';
+import { cellToString, isMissing, parseNumber } from './values';
+
+export type PiiKind =
+  | 'name'
+  | 'email'
+  | 'phone'
+  | 'address'
+  | 'nationalId'
+  | 'cardNumber'
+  | 'ipAddress'
+  | 'postalCode'
+  | 'age'
+  | 'birthDate';
+
+export const PII_KINDS: PiiKind[] = [
+  'name', 'email', 'phone', 'address', 'nationalId', 'cardNumber', 'ipAddress', 'postalCode', 'age', 'birthDate'
+];
+
+export const PII_LABELS: Record<PiiKind, string> = {
+  name: 'Name',
+  email: 'Email',
+  phone: 'Phone',
+  address: 'Address',
+  nationalId: 'National ID',
+  cardNumber: 'Card Number',
+  ipAddress: 'IP Address',
+  postalCode: 'Postal Code',
+  age: 'Age',
+  birthDate: 'Date of Birth'
+};
+
+// mask: hide most characters; hash: salted SHA-256; tokenize: the same value always
+// becomes the same placeholder; generalize: coarser value (age band, zip prefix);
+// fake: a realistic stand-in, also stable per value
+export type PiiAction = 'keep' | 'mask' | 'hash' | 'tokenize' | 'generalize' | 'fake';
+
+export const PII_ACTIONS: PiiAction[] = ['keep', 'mask', 'hash', 'tokenize', 'generalize', 'fake'];
+
+export interface ColumnPrivacy {
+  kind: PiiKind;
+  action: PiiAction;
+}
+
+export interface PrivacyOptions {
+  // Keyed by column header, like column rules; columns not listed are left alone
+  columns: Record<string, ColumnPrivacy>;
+  salt: string;
+}
+
+export interface PiiDetection {
+  column: number;
+  kind: PiiKind;
+  // Share of values that look like the kind; header-only matches count as 0.9
+  confidence: number;
+}
+
+// Share of sampled values that must match a content pattern
+const CONTENT_MATCH_RATIO = 0.8;
+const DETECTION_SAMPLE_ROWS = 1000;
+const HEADER_CONFIDENCE = 0.9;
+
+const HEADER_PATTERNS: [PiiKind, RegExp][] = [
+  ['email', /e-?mail/i],
+  ['phone', /phone|mobile|\btel\b|\bcell\b|\bfax\b/i],
+  // Card number names only: scorecard, credit_limit or card_count are not card numbers
+  ['cardNumber', /card[\s_-]?(no|num|number)(?![a-z])|(^|[\s_-])ccn?([\s_-]|$)|credit[\s_-]?card/i],
+  ['nationalId', /\bssn\b|social security|national.?id|passport|\bnino?\b|tax.?id|\bsin\b/i],
+  ['ipAddress', /\bip\b|ip.?addr/i],
+  ['postalCode', /zip|postal|post.?code/i],
+  ['birthDate', /birth|\bdob\b/i],
+  ['age', /^age$|[\s_-]age$|^age[\s_-]/i],
+  ['address', /address|street|\baddr\b/i],
+  ['name', /name|surname/i]
+];
+const NOT_PERSONAL_NAME = /user ?name|file ?name|company|product|business|brand/i;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[a-z]{2,}$/i;
+const IPV4_PATTERN = /^(25[0-5]|2[0-4]\d|1?\d?\d)(\.(25[0-5]|2[0-4]\d|1?\d?\d)){3}$/;
+const IPV6_PATTERN = /^[0-9a-f]{0,4}(:[0-9a-f]{0,4}){2,7}$/i;
+const SSN_PATTERN = /^\d{3}-\d{2}-\d{4}$/;
+const NINO_PATTERN = /^[A-CEGHJ-PR-TW-Z]{2}\d{6}[A-D]$/i;
+const STREET_PATTERN = /^\d+[a-z]?\s+\S.*\b(st|street|ave|avenue|rd|road|blvd|boulevard|ln|lane|dr|drive|way|ct|court|pl|place)\b/i;
+
+export const isLuhnValid = (digits: string): boolean => {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+};
+
+const isCardNumber = (value: string): boolean => {
+  if (!/^[\d -]+$/.test(value)) return false;
+  const digits = value.replace(/\D/g, '');
+  return digits.length >= 13 && digits.length <= 19 && isLuhnValid(digits);
+};
+
+// Card numbers as stored, masked ones included, e.g. **** **** **** 1111
+const looksLikeCardNumber = (value: string): boolean => {
+  if (!/^[\d*x•][\d *x•-]*$/i.test(value)) return false;
+  const length = value.replace(/[\s-]/g, '').length;
+  return length >= 12 && length <= 19;
+};
+
+const CONTENT_TESTS: [PiiKind, (value: string) => boolean][] = [
+  ['email', value => EMAIL_PATTERN.test(value)],
+  ['ipAddress', value => IPV4_PATTERN.test(value) || IPV6_PATTERN.test(value)],
+  ['cardNumber', isCardNumber],
+  ['nationalId', value => SSN_PATTERN.test(value) || NINO_PATTERN.test(value)],
+  ['address', value => STREET_PATTERN.test(value)]
+];
+
+const detectColumn = (header: string, values: string[], type: ColumnType): [PiiKind, number] | null => {
+  if (values.length > 0) {
+    for (const [kind, test] of CONTENT_TESTS) {
+      const ratio = values.filter(test).length / values.length;
+      if (ratio >= CONTENT_MATCH_RATIO) return [kind, ratio];
+    }
+  }
+  if (type === 'phone') return ['phone', HEADER_CONFIDENCE];
+
+  for (const [kind, pattern] of HEADER_PATTERNS) {
+    if (!pattern.test(header)) continue;
+    if (kind === 'name' && NOT_PERSONAL_NAME.test(header)) continue;
+    // An "age" or "name" header over numbers is something else, e.g. a name code
+    if (kind === 'age' && type !== 'integer' && type !== 'decimal') continue;
+    if (kind === 'name' && (type === 'integer' || type === 'decimal')) continue;
+    // The header alone is not enough for card numbers: the values have to look like them too
+    if (kind === 'cardNumber' && (values.length === 0 || values.filter(looksLikeCardNumber).length / values.length < CONTENT_MATCH_RATIO)) continue;
+    return [kind, HEADER_CONFIDENCE];
+  }
+  return null;
+};
+
+export const detectPii = (table: Table, types: ColumnType[]): PiiDetection[] => {
+  const sample = table.rows.slice(0, DETECTION_SAMPLE_ROWS);
+  const detections: PiiDetection[] = [];
+  table.headers.forEach((header, column) => {
+    const values = sample.map(row => row[column] ?? null).filter(value => !isMissing(value)).map(value => cellToString(value).trim());
+    const detected = detectColumn(header, values, types[column] || 'text');
+    if (detected) detections.push({ column, kind: detected[0], confidence: detected[1] });
+  });
+  return detections;
+};
+
+// Quasi-identifiers stay useful for analysis when coarsened; direct identifiers are masked
+export const suggestedAction = (kind: PiiKind): PiiAction =>
+  kind === 'age' || kind === 'postalCode' || kind === 'birthDate' ? 'generalize' : 'mask';
+
+// Synchronous SHA-256 (FIPS 180-4), so hashing fits in the synchronous cleaning pass
+const SHA256_K = [
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+];
+
+export const sha256Hex = (text: string): string => {
+  const bytes = new TextEncoder().encode(text);
+  const length = Math.ceil((bytes.length + 9) / 64) * 64;
+  const message = new Uint8Array(length);
+  message.set(bytes);
+  message[bytes.length] = 0x80;
+  const view = new DataView(message.buffer);
+  view.setUint32(length - 8, Math.floor(bytes.length / 0x20000000));
+  view.setUint32(length - 4, (bytes.length * 8) >>> 0);
+
+  const hash = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+  const words = new Uint32Array(64);
+  const rotate = (value: number, bits: number) => (value >>> bits) | (value << (32 - bits));
+  for (let offset = 0; offset < length; offset += 64) {
+    for (let i = 0; i < 16; i++) words[i] = view.getUint32(offset + i * 4);
+    for (let i = 16; i < 64; i++) {
+      const s0 = rotate(words[i - 15], 7) ^ rotate(words[i - 15], 18) ^ (words[i - 15] >>> 3);
+      const s1 = rotate(words[i - 2], 17) ^ rotate(words[i - 2], 19) ^ (words[i - 2] >>> 10);
+      words[i] = (words[i - 16] + s0 + words[i - 7] + s1) >>> 0;
+    }
+    let [a, b, c, d, e, f, g, h] = hash;
+    for (let i = 0; i < 64; i++) {
+      const t1 = (h + (rotate(e, 6) ^ rotate(e, 11) ^ rotate(e, 25)) + ((e & f) ^ (~e & g)) + SHA256_K[i] + words[i]) >>> 0;
+      const t2 = ((rotate(a, 2) ^ rotate(a, 13) ^ rotate(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) >>> 0;
+      h = g;
+      g = f;
+      f = e;
+      e = (d + t1) >>> 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (t1 + t2) >>> 0;
+    }
+    hash[0] = (hash[0] + a) >>> 0;
+    hash[1] = (hash[1] + b) >>> 0;
+    hash[2] = (hash[2] + c) >>> 0;
+    hash[3] = (hash[3] + d) >>> 0;
+    hash[4] = (hash[4] + e) >>> 0;
+    hash[5] = (hash[5] + f) >>> 0;
+    hash[6] = (hash[6] + g) >>> 0;
+    hash[7] = (hash[7] + h) >>> 0;
+  }
+  return hash.map(word => word.toString(16).padStart(8, '0')).join('');
+};
+
+const FIRST_NAMES = [
+  'Alex', 'Maria', 'James', 'Priya', 'Chen', 'Fatima', 'Lucas', 'Emma', 'Noah', 'Aisha',
+  'Mateo', 'Sofia', 'Daniel', 'Yuki', 'Olivia', 'Omar', 'Hannah', 'Ivan', 'Grace', 'Leo'
+];
+const LAST_NAMES = [
+  'Smith', 'Garcia', 'Chen', 'Patel', 'Johnson', 'Kim', 'Muller', 'Rossi', 'Nguyen', 'Brown',
+  'Silva', 'Novak', 'Khan', 'Martin', 'Lopez', 'Walker', 'Sato', 'Evans', 'Dubois', 'Hughes'
+];
+const STREETS = ['Oak', 'Maple', 'Cedar', 'Elm', 'Park', 'Lake', 'Hill', 'River', 'Church', 'Mill', 'Station', 'Forest'];
+const STREET_SUFFIXES = ['St', 'Ave', 'Rd', 'Ln', 'Dr', 'Way'];
+const CITIES = ['Springfield', 'Riverton', 'Fairview', 'Greenville', 'Franklin', 'Clinton', 'Madison', 'Georgetown'];
+
+const TOKEN_PREFIXES: Record<PiiKind, string> = {
+  name: 'NAME',
+  email: 'EMAIL',
+  phone: 'PHONE',
+  address: 'ADDRESS',
+  nationalId: 'ID',
+  cardNumber: 'CARD',
+  ipAddress: 'IP',
+  postalCode: 'POSTCODE',
+  age: 'AGE',
+  birthDate: 'DOB'
+};
+
+const pick = <T>(values: T[], random: Random): T => values[Math.floor(random() * values.length)];
+
+const randomDigit = (random: Random) => String(Math.floor(random() * 10));
+
+// Hides all digits but the last `keep`, leaving separators so the shape stays recognizable
+const maskDigits = (text: string, keep: number): string => {
+  let remaining = text.replace(/\D/g, '').length - keep;
+  return text.replace(/\d/g, digit => (remaining-- > 0 ? '*' : digit));
+};
+
+// Keeps the first `keep` digits and hides the rest
+const keepLeadingDigits = (text: string, keep: number): string => {
+  let seen = 0;
+  return text.replace(/\d/g, digit => (seen++ < keep ? digit : '*'));
+};
+
+const mask = (text: string, kind: PiiKind): string => {
+  switch (kind) {
+    case 'email': {
+      const at = text.lastIndexOf('@');
+      return at > 0 ? `${text[0]}***${text.slice(at)}` : '***';
+    }
+    case 'phone':
+    case 'cardNumber':
+    case 'nationalId':
+      return maskDigits(text, 4);
+    case 'ipAddress':
+      return IPV4_PATTERN.test(text) ? text.split('.').slice(0, 2).concat(['*', '*']).join('.') : `${text.split(':')[0]}:****`;
+    case 'name':
+      return text.split(/\s+/).map(word => `${word[0]}***`).join(' ');
+    case 'postalCode':
+      return text.slice(0, 2) + text.slice(2).replace(/[\p{L}\d]/gu, '*');
+    default:
+      return text.replace(/[\p{L}\d]/gu, '*');
+  }
+};
+
+const CARD_ISSUERS: [RegExp, string][] = [
+  [/^4/, 'Visa'],
+  [/^(5[1-5]|2[2-7])/, 'Mastercard'],
+  [/^3[47]/, 'American Express'],
+  [/^(6011|65)/, 'Discover'],
+  [/^35/, 'JCB']
+];
+
+const generalize = (text: string, kind: PiiKind): string => {
+  switch (kind) {
+    case 'age': {
+      const age = parseNumber(text);
+      if (age === null) return mask(text, kind);
+      const start = Math.floor(age / 10) * 10;
+      return `${start}-${start + 9}`;
+    }
+    case 'postalCode':
+      return text.slice(0, 3) + text.slice(3).replace(/[\p{L}\d]/gu, '*');
+    case 'birthDate': {
+      const timestamp = dateToTimestamp(text);
+      return timestamp === null ? mask(text, kind) : String(new Date(timestamp).getUTCFullYear());
+    }
+    case 'ipAddress':
+      if (IPV4_PATTERN.test(text)) return `${text.split('.').slice(0, 3).join('.')}.0/24`;
+      return `${text.split(':').slice(0, 4).join(':')}::/64`;
+    case 'email': {
+      const at = text.lastIndexOf('@');
+      return at >= 0 ? `*${text.slice(at)}` : mask(text, kind);
+    }
+    case 'phone':
+      return keepLeadingDigits(text, 4);
+    case 'cardNumber': {
+      const digits = text.replace(/\D/g, '');
+      return CARD_ISSUERS.find(([pattern]) => pattern.test(digits))?.[1] || 'Card';
+    }
+    case 'name':
+      return text.split(/\s+/).map(word => `${word[0].toUpperCase()}.`).join(' ');
+    case 'address': {
+      // "12 Oak St, Springfield, IL" keeps the locality
+      const parts = text.split(',').map(part => part.trim());
+      return parts.length > 1 ? parts.slice(1).join(', ') : mask(text, kind);
+    }
+    default:
+      return mask(text, kind);
+  }
+};
+
+const withCheckDigit = (digits: string): string => {
+  for (let check = 0; check <= 9; check++) {
+    if (isLuhnValid(digits + check)) return digits + check;
+  }
+  return digits + '0';
+};
+
+const fake = (text: string, kind: PiiKind, header: string, random: Random): Cell => {
+  switch (kind) {
+    case 'name': {
+      const words = text.split(/\s+/).length;
+      if (words === 1) return pick(/last|surname|family/i.test(header) ? LAST_NAMES : FIRST_NAMES, random);
+      return `${pick(FIRST_NAMES, random)} ${pick(LAST_NAMES, random)}`;
+    }
+    case 'email':
+      // example.com and friends are reserved, so fake addresses can never reach a real inbox
+      return `${pick(FIRST_NAMES, random)}.${pick(LAST_NAMES, random)}${Math.floor(random() * 100)}@${pick(['example.com', 'example.org', 'example.net'], random)}`.toLowerCase();
+    case 'phone': {
+      // Keep the country or area prefix so the number still looks local
+      let seen = 0;
+      return text.replace(/\d/g, digit => (seen++ < 2 ? digit : randomDigit(random)));
+    }
+    case 'cardNumber': {
+      const digits = text.replace(/\D/g, '');
+      // Placeholders such as "pending" have no number to stand in for
+      if (digits.length === 0) return fillPattern(valuePattern(text), random);
+      let body = digits[0];
+      while (body.length < digits.length - 1) body += randomDigit(random);
+      const generated = withCheckDigit(body);
+      let index = 0;
+      return text.replace(/\d/g, () => generated[index++]);
+    }
+    case 'ipAddress':
+      if (IPV4_PATTERN.test(text)) return `10.${Math.floor(random() * 256)}.${Math.floor(random() * 256)}.${1 + Math.floor(random() * 254)}`;
+      return `fd00::${Math.floor(random() * 65536).toString(16)}:${Math.floor(random() * 65536).toString(16)}`;
+    case 'address': {
+      const street = `${1 + Math.floor(random() * 9999)} ${pick(STREETS, random)} ${pick(STREET_SUFFIXES, random)}`;
+      return text.includes(',') ? `${street}, ${pick(CITIES, random)}` : street;
+    }
+    case 'age':
+      return 18 + Math.floor(random() * 73);
+    case 'birthDate': {
+      const start = Date.UTC(1940, 0, 1);
+      const end = Date.UTC(2005, 11, 31);
+      return new Date(start + Math.floor(random() * (end - start))).toISOString().slice(0, 10);
+    }
+    default:
+      return fillPattern(valuePattern(text), random);
+  }
+};
+
+export type Anonymizer = (value: Cell, kind: PiiKind, action: PiiAction, header?: string) => Cell;
+
+// Tokens are numbered per kind across the whole table, so a value that appears in
+// two columns of the same kind still gets one token
+export const createAnonymizer = (salt: string): Anonymizer => {
+  const tokens = new Map<string, string>();
+  const counts = new Map<PiiKind, number>();
+
+  return (value, kind, action, header = '') => {
+    if (action === 'keep' || isMissing(value)) return value;
+    const text = cellToString(value).trim();
+    const normalized = kind === 'email' ? text.toLowerCase() : text;
+
+    switch (action) {
+      case 'mask':
+        return mask(text, kind);
+      case 'hash':
+        return sha256Hex(`${salt}\u0000${normalized}`);
+      case 'tokenize': {
+        const key = `${kind}\u0000${normalized}`;
+        let token = tokens.get(key);
+        if (!token) {
+          const count = (counts.get(kind) || 0) + 1;
+          counts.set(kind, count);
+          token = `${TOKEN_PREFIXES[kind]}-${String(count).padStart(4, '0')}`;
+          tokens.set(key, token);
+        }
+        return token;
+      }
+      case 'generalize':
+        return generalize(text, kind);
+      case 'fake': {
+        // Seeded from the value, so repeated values get the same stand-in
+        const seed = parseInt(sha256Hex(`${salt}\u0000${kind}\u0000${normalized}`).slice(0, 8), 16);
+        return fake(text, kind, header, createRandom(seed));
+      }
+    }
+    return value;
+  };
+};
@@ -0,0 +1,49 @@
+import { describe, expect, it } from 'vitest';
+import { computeHistogram, computeMissingHeatmap, computeQuality } from './quality';
+import { Table } from './types';
+
+const table: Table = {
+  headers: ['name', 'age'],
+  rows: [['Ann', 30], ['Bob', null], ['Ann', 30], ['', 50]]
+};
+
+describe('computeQuality', () => {
+  it('counts missing cells, completeness and repeated rows', () => {
+    expect(computeQuality(table)).toEqual({
+      rows: 4,
+      columns: 2,
+      cells: 8,
+      missingCells: 2,
+      duplicateRows: 1,
+      completeness: 0.75,
+      byColumn: [
+        { name: 'name', missing: 1, completeness: 0.75 },
+        { name: 'age', missing: 1, completeness: 0.75 }
+      ]
+    });
+  });
+
+  it('treats an empty table as complete', () => {
+    expect(computeQuality({ headers: ['a'], rows: [] }).completeness).toBe(1);
+  });
+});
+
+describe('computeHistogram', () => {
+  it('spreads the numbers over equal-width bins', () => {
+    const histogram = computeHistogram({ headers: ['n'], rows: [[0], [1], [2], ['3'], [4], ['x']] }, 0, 2);
+    expect(histogram).toEqual({ labels: ['0–2', '2–4'], counts: [2, 3] });
+  });
+
+  it('puts a column of one value in a single bin', () => {
+    expect(computeHistogram({ headers: ['n'], rows: [[5], [5]] }, 0).counts).toEqual([2]);
+    expect(computeHistogram({ headers: ['n'], rows: [['x']] }, 0)).toEqual({ labels: [], counts: [] });
+  });
+});
+
+describe('computeMissingHeatmap', () => {
+  it('gives the missing share per column and bucket of rows', () => {
+    const heatmap = computeMissingHeatmap(table, 2);
+    expect(heatmap.buckets).toEqual(['1-2', '3-4']);
+    expect(heatmap.cells).toEqual([[0, 0, 0], [1, 0, 0.5], [0, 1, 0.5], [1, 1, 0]]);
+  });
+});
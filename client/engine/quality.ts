@@ -0,0 +1,105 @@
+import { Table } from './types';
+import { cellToString, isMissing, parseNumber } from './values';
+
+export interface ColumnQuality {
+  name: string;
+  missing: number;
+  // Share of non-missing cells, 0..1
+  completeness: number;
+}
+
+export interface QualityMetrics {
+  rows: number;
+  columns: number;
+  cells: number;
+  missingCells: number;
+  // Exact repeats of an earlier row
+  duplicateRows: number;
+  completeness: number;
+  byColumn: ColumnQuality[];
+}
+
+export interface Histogram {
+  labels: string[];
+  counts: number[];
+}
+
+export interface MissingHeatmap {
+  columns: string[];
+  // Row range covered by each bucket, e.g. "1-500"
+  buckets: string[];
+  // [column, bucket, missing share 0..1]
+  cells: [number, number, number][];
+}
+
+export const computeQuality = (table: Table): QualityMetrics => {
+  const columns = table.headers.length;
+  const missing = new Array(columns).fill(0);
+  const seen = new Set<string>();
+  let duplicateRows = 0;
+
+  for (const row of table.rows) {
+    for (let column = 0; column < columns; column++) {
+      if (isMissing(row[column] ?? null)) missing[column]++;
+    }
+    const key = JSON.stringify(row.map(cellToString));
+    if (seen.has(key)) duplicateRows++;
+    else seen.add(key);
+  }
+
+  const rows = table.rows.length;
+  const cells = rows * columns;
+  const missingCells = missing.reduce((total, count) => total + count, 0);
+  return {
+    rows,
+    columns,
+    cells,
+    missingCells,
+    duplicateRows,
+    completeness: cells === 0 ? 1 : 1 - missingCells / cells,
+    byColumn: table.headers.map((name, column) => ({
+      name,
+      missing: missing[column],
+      completeness: rows === 0 ? 1 : 1 - missing[column] / rows
+    }))
+  };
+};
+
+export const computeHistogram = (table: Table, column: number, bins = 10): Histogram => {
+  const values = table.rows.map(row => parseNumber(row[column] ?? null)).filter((value): value is number => value !== null);
+  if (values.length === 0) return { labels: [], counts: [] };
+
+  let min = Infinity;
+  let max = -Infinity;
+  for (const value of values) {
+    if (value < min) min = value;
+    if (value > max) max = value;
+  }
+  const binCount = min === max ? 1 : bins;
+  const width = (max - min) / binCount || 1;
+  const counts = new Array(binCount).fill(0);
+  for (const value of values) {
+    counts[Math.min(binCount - 1, Math.floor((value - min) / width))]++;
+  }
+
+  const format = (value: number) => (Number.isInteger(value) ? String(value) : value.toFixed(2));
+  const labels = counts.map((_, bin) => `${format(min + bin * width)}–${format(min + (bin + 1) * width)}`);
+  return { labels, counts };
+};
+
+// Rows are grouped into buckets so the heatmap stays readable for large files
+export const computeMissingHeatmap = (table: Table, maxBuckets = 40): MissingHeatmap => {
+  const bucketSize = Math.max(1, Math.ceil(table.rows.length / maxBuckets));
+  const buckets: string[] = [];
+  const cells: [number, number, number][] = [];
+
+  for (let start = 0, bucket = 0; start < table.rows.length; start += bucketSize, bucket++) {
+    const slice = table.rows.slice(start, start + bucketSize);
+    buckets.push(`${start + 1}-${start + slice.length}`);
+    table.headers.forEach((_, column) => {
+      const missing = slice.filter(row => isMissing(row[column] ?? null)).length;
+      cells.push([column, bucket, missing / slice.length]);
+    });
+  }
+  return { columns: [...table.headers], buckets, cells };
+};
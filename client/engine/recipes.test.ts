@@ -0,0 +1,71 @@
+import { describe, expect, it } from 'vitest';
+import { cleanTable } from './clean';
+import { DEFAULT_DEDUP_OPTIONS } from './dedupe';
+import { createRecipe, parseRecipe, recipeColumnTypes, recipeToJson, suggestRecipe } from './recipes';
+import { DEFAULT_STANDARDIZE_OPTIONS } from './standardize';
+import { CleaningOptions } from './types';
+
+const options: CleaningOptions = {
+  removeDuplicates: true,
+  missingValues: 'median',
+  standardizeFormats: true,
+  standardize: { ...DEFAULT_STANDARDIZE_OPTIONS, dateOrder: 'DMY' },
+  dedup: { ...DEFAULT_DEDUP_OPTIONS, keyColumns: ['email'] },
+  columnRules: { note: { missingValues: 'constant', constant: 'n/a' } },
+  privacy: { columns: { email: { kind: 'email', action: 'hash' } }, salt: 'secret' },
+  lookups: [{ column: 'country', reference: 'ISO 3166 countries', referenceColumn: 'name', action: 'correct', threshold: 0.9, values: ['France'] }],
+  edits: [{ type: 'cell', row: 0, column: 0, value: 'x' }]
+};
+
+const recipeJson = (patch: Record<string, unknown>) =>
+  JSON.stringify({ version: 1, name: 'Monthly', options: { removeDuplicates: true, missingValues: 'mean', standardizeFormats: true, ...patch } });
+
+describe('createRecipe', () => {
+  it('round-trips through JSON without the salt, hand edits or lookup values', () => {
+    const recipe = createRecipe(' Monthly ', ['email', 'country', 'note'], options, { 1: 'categorical' });
+    const parsed = parseRecipe(recipeToJson(recipe));
+    expect(parsed.name).toBe('Monthly');
+    expect(parsed.columnTypes).toEqual({ country: 'categorical' });
+    expect(parsed.options.privacy).toEqual({ columns: options.privacy!.columns, salt: '' });
+    expect(parsed.options.edits).toBeUndefined();
+    expect(parsed.options.lookups![0].values).toBeUndefined();
+    expect(parsed.options.standardize).toEqual(options.standardize);
+    expect(recipeColumnTypes(parsed, ['note', 'country'])).toEqual({ 1: 'categorical' });
+  });
+});
+
+describe('parseRecipe', () => {
+  it('fills nested options a hand-edited recipe leaves out with the defaults', () => {
+    const recipe = parseRecipe(recipeJson({ standardize: { dateOrder: 'DMY' }, dedup: { metric: 'levenshtein' }, outliers: { method: 'zscore' } }));
+    expect(recipe.options.standardize).toEqual({ ...DEFAULT_STANDARDIZE_OPTIONS, dateOrder: 'DMY' });
+    expect(recipe.options.dedup).toEqual({ ...DEFAULT_DEDUP_OPTIONS, metric: 'levenshtein' });
+    expect(recipe.options.outliers).toEqual({ method: 'zscore', threshold: 3, treatment: 'flag' });
+    const result = cleanTable({ headers: ['when'], rows: [['03/04/2024']] }, recipe.options);
+    expect(result.table.rows[0][0]).toBe('2024-04-03');
+  });
+
+  it('names the nested option that has the wrong type', () => {
+    expect(() => parseRecipe(recipeJson({ standardize: { dateOrder: 'DM' } }))).toThrow('standardize.dateOrder must be one of MDY, DMY, YMD');
+    expect(() => parseRecipe(recipeJson({ standardize: { rules: { dates: 'yes' } } }))).toThrow('standardize.rules.dates');
+    expect(() => parseRecipe(recipeJson({ standardize: 'DMY' }))).toThrow('standardize must be an object');
+    expect(() => parseRecipe(recipeJson({ dedup: { threshold: 'high' } }))).toThrow('dedup.threshold');
+    expect(() => parseRecipe(recipeJson({ privacy: { columns: { email: { kind: 'email', action: 'shred' } } } }))).toThrow('privacy.columns.email.action');
+    expect(() => parseRecipe(recipeJson({ lookups: [{ column: 'country' }] }))).toThrow('lookups.1.reference');
+    expect(() => parseRecipe(recipeJson({ missingValues: 'average' }))).toThrow('missingValues');
+  });
+
+  it('rejects files that are not recipes', () => {
+    expect(() => parseRecipe('{')).toThrow('not valid JSON');
+    expect(() => parseRecipe('{"name":"x"}')).toThrow('not a cleaning recipe');
+    expect(() => parseRecipe(JSON.stringify({ version: 1, name: 'x', options: {} }))).toThrow('missing its cleaning options');
+  });
+});
+
+describe('suggestRecipe', () => {
+  it('picks the recipe whose headers match, ignoring case, spacing and order', () => {
+    const monthly = createRecipe('Monthly', ['Email', 'Country', 'Note'], options, {});
+    const other = createRecipe('Other', ['id', 'amount'], options, {});
+    expect(suggestRecipe([other, monthly], ['country', ' note', 'EMAIL'])).toBe(monthly);
+    expect(suggestRecipe([other, monthly], ['sku', 'price'])).toBeNull();
+  });
+});
@@ -0,0 +1,282 @@
+import { CleaningOptions, ColumnMissingStrategy, ColumnRule, MissingValueStrategy } from './types';
+import { COLUMN_TYPES, ColumnType } from './schema';
+import { DEFAULT_DEDUP_OPTIONS, SimilarityMetric } from './dedupe';
+import { DEFAULT_FAKE_DETECTION_OPTIONS } from './fakes';
+import { DEFAULT_OUTLIER_OPTIONS, DEFAULT_OUTLIER_THRESHOLDS, OutlierMethod, OutlierTreatment } from './outliers';
+import { ColumnPrivacy, PII_ACTIONS, PII_KINDS } from './privacy';
+import { DEFAULT_LOOKUP_THRESHOLD, LookupAction, ReferenceLookup } from './reference';
+import { DateOrder, DEFAULT_STANDARDIZE_OPTIONS, STANDARDIZE_RULES } from './standardize';
+
+// A named, reusable cleaning configuration, e.g. for an export that arrives every month
+export interface Recipe {
+  version: number;
+  name: string;
+  // ISO 8601
+  savedAt: string;
+  // Headers of the file the recipe was saved from, for suggesting it on similar files
+  headers: string[];
+  // Without the anonymization salt, which stays on the machine that made it, and without
+  // hand edits, which only make sense for the file they were made in
+  options: CleaningOptions;
+  // Column types chosen over the inferred ones, keyed by header
+  columnTypes: Record<string, ColumnType>;
+}
+
+export const RECIPE_VERSION = 1;
+
+const STORAGE_KEY = 'fakecleaner.recipes';
+
+// Share of matching headers needed before a recipe is suggested for a file
+const SUGGESTION_OVERLAP = 0.8;
+
+const normalizeHeader = (header: string) => header.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+// Case, spacing and column order do not matter
+export const headerSignature = (headers: string[]): string => [...new Set(headers.map(normalizeHeader))].sort().join('|');
+
+export const createRecipe = (
+  name: string,
+  headers: string[],
+  options: CleaningOptions,
+  columnTypes: Record<number, ColumnType>
+): Recipe => {
+  const types: Record<string, ColumnType> = {};
+  for (const [column, type] of Object.entries(columnTypes)) {
+    const header = headers[Number(column)];
+    if (header !== undefined) types[header] = type;
+  }
+  const { privacy, edits: _edits, ...rest } = options;
+  // Lookups keep which list they use, not the list itself
+  if (rest.lookups) rest.lookups = rest.lookups.map(({ values: _values, ...lookup }) => lookup);
+  return {
+    version: RECIPE_VERSION,
+    name: name.trim(),
+    savedAt: new Date().toISOString(),
+    headers: [...headers],
+    options: privacy ? { ...rest, privacy: { columns: privacy.columns, salt: '' } } : rest,
+    columnTypes: types
+  };
+};
+
+// Column types by index in a file with these headers; types for missing columns are dropped
+export const recipeColumnTypes = (recipe: Recipe, headers: string[]): Record<number, ColumnType> => {
+  const types: Record<number, ColumnType> = {};
+  headers.forEach((header, column) => {
+    const type = recipe.columnTypes[header];
+    if (type) types[column] = type;
+  });
+  return types;
+};
+
+const isObject = (value: unknown): value is Record<string, unknown> =>
+  typeof value === 'object' && value !== null && !Array.isArray(value);
+
+// The options in effect once the recipe is applied; the salt is the session's own, as in the app
+export const recipeOptions = (recipe: Recipe, salt: string): CleaningOptions => ({
+  ...recipe.options,
+  privacy: { columns: recipe.options.privacy?.columns || {}, salt }
+});
+
+const MISSING_STRATEGIES: MissingValueStrategy[] = ['mean', 'median', 'mode', 'remove', 'zero'];
+const COLUMN_MISSING_STRATEGIES: ColumnMissingStrategy[] = [...MISSING_STRATEGIES, 'constant', 'keep'];
+const DATE_ORDERS: DateOrder[] = ['MDY', 'DMY', 'YMD'];
+const SIMILARITY_METRICS: SimilarityMetric[] = ['exact', 'levenshtein', 'jaroWinkler', 'phonetic'];
+const OUTLIER_METHODS = Object.keys(DEFAULT_OUTLIER_THRESHOLDS) as OutlierMethod[];
+const OUTLIER_TREATMENTS: OutlierTreatment[] = ['flag', 'cap', 'missing', 'drop'];
+const LOOKUP_ACTIONS: LookupAction[] = ['flag', 'correct'];
+
+// Recipes may be edited by hand, so every option is checked and nested settings that are left
+// out fall back to their defaults. Errors name the option, e.g. "standardize.dateOrder".
+const parseRecipeOptions = (data: Record<string, unknown>): CleaningOptions => {
+  const fail = (path: string, message: string): never => {
+    throw new Error(`The recipe option ${path} ${message}`);
+  };
+  const object = (value: unknown, path: string): Record<string, unknown> => (isObject(value) ? value : fail(path, 'must be an object'));
+  const boolean = (value: unknown, path: string): boolean => (typeof value === 'boolean' ? value : fail(path, 'must be true or false'));
+  const text = (value: unknown, path: string): string => (typeof value === 'string' ? value : fail(path, 'must be text'));
+  const oneOf = <T extends string>(value: unknown, allowed: T[], path: string): T =>
+    (allowed.includes(value as T) ? (value as T) : fail(path, `must be one of ${allowed.join(', ')}`));
+  const number = (value: unknown, path: string, min: number, max = Infinity): number =>
+    (typeof value === 'number' && value >= min && value <= max ? value : fail(path, `must be a number from ${min}${max === Infinity ? '' : ` to ${max}`}`));
+  // Absent fields keep the default; present ones must be valid
+  const field = <T>(source: Record<string, unknown>, key: string, fallback: T, parse: (value: unknown) => T): T =>
+    (source[key] === undefined ? fallback : parse(source[key]));
+
+  if (data.removeDuplicates === undefined || data.standardizeFormats === undefined || data.missingValues === undefined) {
+    throw new Error('The recipe is missing its cleaning options');
+  }
+  const options: CleaningOptions = {
+    removeDuplicates: boolean(data.removeDuplicates, 'removeDuplicates'),
+    missingValues: oneOf(data.missingValues, MISSING_STRATEGIES, 'missingValues'),
+    standardizeFormats: boolean(data.standardizeFormats, 'standardizeFormats')
+  };
+  if (data.handleOutliers !== undefined) options.handleOutliers = boolean(data.handleOutliers, 'handleOutliers');
+  if (data.anonymize !== undefined) options.anonymize = boolean(data.anonymize, 'anonymize');
+
+  if (data.columnRules !== undefined) {
+    options.columnRules = {};
+    for (const [header, value] of Object.entries(object(data.columnRules, 'columnRules'))) {
+      const path = `columnRules.${header}`;
+      const entry = object(value, path);
+      const rule: ColumnRule = {};
+      if (entry.missingValues !== undefined) rule.missingValues = oneOf(entry.missingValues, COLUMN_MISSING_STRATEGIES, `${path}.missingValues`);
+      if (entry.constant !== undefined) rule.constant = text(entry.constant, `${path}.constant`);
+      if (entry.standardizeFormats !== undefined) rule.standardizeFormats = boolean(entry.standardizeFormats, `${path}.standardizeFormats`);
+      options.columnRules[header] = rule;
+    }
+  }
+
+  if (data.standardize !== undefined) {
+    const standardize = object(data.standardize, 'standardize');
+    const defaults = DEFAULT_STANDARDIZE_OPTIONS;
+    const rules = { ...defaults.rules };
+    if (standardize.rules !== undefined) {
+      const given = object(standardize.rules, 'standardize.rules');
+      for (const rule of STANDARDIZE_RULES) rules[rule] = field(given, rule, rules[rule], value => boolean(value, `standardize.rules.${rule}`));
+    }
+    options.standardize = {
+      rules,
+      dateOrder: field(standardize, 'dateOrder', defaults.dateOrder, value => oneOf(value, DATE_ORDERS, 'standardize.dateOrder')),
+      defaultRegion: field(standardize, 'defaultRegion', defaults.defaultRegion, value => text(value, 'standardize.defaultRegion')),
+      decimalSeparator: field(standardize, 'decimalSeparator', defaults.decimalSeparator, value => oneOf(value, ['.', ','], 'standardize.decimalSeparator'))
+    };
+  }
+
+  if (data.dedup !== undefined) {
+    const dedup = object(data.dedup, 'dedup');
+    const defaults = DEFAULT_DEDUP_OPTIONS;
+    options.dedup = {
+      keyColumns: field(dedup, 'keyColumns', defaults.keyColumns, value =>
+        (Array.isArray(value) && value.every(column => typeof column === 'string') ? value : fail('dedup.keyColumns', 'must be a list of column names'))),
+      metric: field(dedup, 'metric', defaults.metric, value => oneOf(value, SIMILARITY_METRICS, 'dedup.metric')),
+      threshold: field(dedup, 'threshold', defaults.threshold, value => number(value, 'dedup.threshold', 0, 1))
+    };
+  }
+
+  if (data.outliers !== undefined) {
+    const outliers = object(data.outliers, 'outliers');
+    const method = field(outliers, 'method', DEFAULT_OUTLIER_OPTIONS.method, value => oneOf(value, OUTLIER_METHODS, 'outliers.method'));
+    options.outliers = {
+      method,
+      threshold: field(outliers, 'threshold', DEFAULT_OUTLIER_THRESHOLDS[method], value => number(value, 'outliers.threshold', 0)),
+      treatment: field(outliers, 'treatment', DEFAULT_OUTLIER_OPTIONS.treatment, value => oneOf(value, OUTLIER_TREATMENTS, 'outliers.treatment'))
+    };
+  }
+
+  if (data.fakeDetection !== undefined) {
+    const fakeDetection = object(data.fakeDetection, 'fakeDetection');
+    options.fakeDetection = {
+      threshold: field(fakeDetection, 'threshold', DEFAULT_FAKE_DETECTION_OPTIONS.threshold, value => number(value, 'fakeDetection.threshold', 0, 1))
+    };
+  }
+
+  if (data.privacy !== undefined) {
+    const privacy = object(data.privacy, 'privacy');
+    const columns: Record<string, ColumnPrivacy> = {};
+    if (privacy.columns !== undefined) {
+      for (const [header, value] of Object.entries(object(privacy.columns, 'privacy.columns'))) {
+        const path = `privacy.columns.${header}`;
+        const entry = object(value, path);
+        columns[header] = { kind: oneOf(entry.kind, PII_KINDS, `${path}.kind`), action: oneOf(entry.action, PII_ACTIONS, `${path}.action`) };
+      }
+    }
+    options.privacy = { columns, salt: '' };
+  }
+
+  if (data.lookups !== undefined) {
+    if (!Array.isArray(data.lookups)) fail('lookups', 'must be a list');
+    options.lookups = (data.lookups as unknown[]).map((value, index): ReferenceLookup => {
+      const path = `lookups.${index + 1}`;
+      const entry = object(value, path);
+      return {
+        column: text(entry.column, `${path}.column`),
+        reference: text(entry.reference, `${path}.reference`),
+        referenceColumn: text(entry.referenceColumn, `${path}.referenceColumn`),
+        action: oneOf(entry.action, LOOKUP_ACTIONS, `${path}.action`),
+        threshold: field(entry, 'threshold', DEFAULT_LOOKUP_THRESHOLD, threshold => number(threshold, `${path}.threshold`, 0, 1))
+      };
+    });
+  }
+  return options;
+};
+
+// Checks an imported recipe, options included, and fills in the defaults it leaves out
+export const parseRecipe = (text: string): Recipe => {
+  let data: unknown;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON');
+  }
+  if (!isObject(data) || !isObject(data.options) || typeof data.name !== 'string' || !data.name.trim()) {
+    throw new Error('The file is not a cleaning recipe');
+  }
+  if (typeof data.version !== 'number' || data.version > RECIPE_VERSION) {
+    throw new Error('The recipe was saved by a newer version of FakeCleaner');
+  }
+  const options = parseRecipeOptions(data.options);
+  const columnTypes: Record<string, ColumnType> = {};
+  if (isObject(data.columnTypes)) {
+    for (const [header, type] of Object.entries(data.columnTypes)) {
+      if (COLUMN_TYPES.includes(type as ColumnType)) columnTypes[header] = type as ColumnType;
+    }
+  }
+  return {
+    version: data.version,
+    name: data.name.trim(),
+    savedAt: typeof data.savedAt === 'string' ? data.savedAt : new Date().toISOString(),
+    headers: Array.isArray(data.headers) ? data.headers.map(String) : [],
+    options,
+    columnTypes
+  };
+};
+
+export const recipeToJson = (recipe: Recipe): string => JSON.stringify(recipe, null, 2);
+
+// The saved recipe that best fits a file's headers, if any fits well enough
+export const suggestRecipe = (recipes: Recipe[], headers: string[]): Recipe | null => {
+  const signature = headerSignature(headers);
+  const exact = recipes.find(recipe => headerSignature(recipe.headers) === signature);
+  if (exact) return exact;
+
+  const wanted = new Set(signature.split('|'));
+  let best: Recipe | null = null;
+  let bestOverlap = SUGGESTION_OVERLAP;
+  for (const recipe of recipes) {
+    const saved = new Set(headerSignature(recipe.headers).split('|'));
+    const shared = [...saved].filter(header => wanted.has(header)).length;
+    const overlap = shared / new Set([...saved, ...wanted]).size;
+    if (overlap >= bestOverlap) {
+      best = recipe;
+      bestOverlap = overlap;
+    }
+  }
+  return best;
+};
+
+// Recipes are kept by name; a broken store reads as empty rather than failing the app
+export const loadRecipes = (storage: Storage): Recipe[] => {
+  try {
+    const stored = JSON.parse(storage.getItem(STORAGE_KEY) || '[]');
+    if (!Array.isArray(stored)) return [];
+    return stored.flatMap(entry => {
+      try {
+        return [parseRecipe(JSON.stringify(entry))];
+      } catch {
+        return [];
+      }
+    });
+  } catch {
+    return [];
+  }
+};
+
+export const saveRecipes = (storage: Storage, recipes: Recipe[]) => {
+  storage.setItem(STORAGE_KEY, JSON.stringify(recipes));
+};
+
+// Adds the recipe, replacing one saved under the same name
+export const upsertRecipe = (recipes: Recipe[], recipe: Recipe): Recipe[] => [
+  ...recipes.filter(saved => saved.name !== recipe.name),
+  recipe
+];
@@ -0,0 +1,42 @@
+import { describe, expect, it } from 'vitest';
+import { attachReferences, BUILTIN_REFERENCES, correctLookups, lookupHits, ReferenceLookup, referenceFromTable } from './reference';
+import { Change, Table } from './types';
+
+const lookup = (patch: Partial<ReferenceLookup>): ReferenceLookup => ({
+  column: 'country',
+  reference: 'ISO 3166 countries',
+  referenceColumn: 'name',
+  action: 'correct',
+  threshold: 0.9,
+  ...patch
+});
+
+const correct = (table: Table, lookups: ReferenceLookup[]) => {
+  const rows = table.rows.map((cells, id) => ({ id, cells: [...cells] }));
+  const changes: Change[] = [];
+  correctLookups(rows, table.headers, lookups, changes);
+  return { cells: rows.map(row => row.cells), changes };
+};
+
+describe('correctLookups', () => {
+  it('replaces close misspellings and case differences with the listed value', () => {
+    const [attached] = attachReferences([lookup({})], BUILTIN_REFERENCES);
+    const { cells, changes } = correct({ headers: ['country'], rows: [['germny'], [' FRANCE '], ['Atlantis']] }, [attached]);
+    expect(cells).toEqual([['Germany'], ['France'], ['Atlantis']]);
+    expect(changes).toHaveLength(2);
+  });
+
+  it('does not match long codes that only share their last digits', () => {
+    const skus = referenceFromTable('skus.csv', { headers: ['sku'], rows: [['9900012345678'], ['5551234567']] });
+    const [attached] = attachReferences([lookup({ column: 'sku', reference: 'skus.csv', referenceColumn: 'sku', threshold: 1 })], [skus]);
+    const table: Table = { headers: ['sku'], rows: [['1100012345678'], ['5551234567']] };
+    expect(correct(table, [attached]).changes).toEqual([]);
+    expect([...lookupHits(table, [attached]).keys()]).toEqual([0]);
+  });
+});
+
+describe('lookupHits', () => {
+  it('skips lookups whose list is not attached', () => {
+    expect(lookupHits({ headers: ['country'], rows: [['Nowhere']] }, [lookup({ action: 'flag' })]).size).toBe(0);
+  });
+});
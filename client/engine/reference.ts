@@ -0,0 +1,151 @@
+import { Cell, Change, Table } from './types';
+import { cellToString, isMissing } from './values';
+import { jaroWinkler } from './dedupe';
+import { FAKE_RULE_WEIGHTS, FakeRuleHit } from './fakes';
+import { COUNTRY_HEADERS, COUNTRY_ROWS, CURRENCY_HEADERS, CURRENCY_ROWS } from './referenceData';
+
+// A master list to look values up in, such as a customer export or a product catalog
+export interface ReferenceList {
+  // Unique; lookups point at lists by name
+  name: string;
+  // Shipped with the app rather than uploaded
+  builtin: boolean;
+  headers: string[];
+  rows: string[][];
+}
+
+// Flag marks rows whose value is not in the list; correct first replaces close misspellings
+// with the listed value and flags whatever is left
+export type LookupAction = 'flag' | 'correct';
+
+export interface ReferenceLookup {
+  // Column of the data, by header
+  column: string;
+  reference: string;
+  referenceColumn: string;
+  action: LookupAction;
+  // Jaro-Winkler similarity a misspelling needs to be corrected
+  threshold: number;
+  // The reference column's values, filled in by attachReferences right before processing so
+  // that history and recipes only hold the settings. Lookups without them are skipped.
+  values?: string[];
+}
+
+export const DEFAULT_LOOKUP_THRESHOLD = 0.9;
+
+export const BUILTIN_REFERENCES: ReferenceList[] = [
+  { name: 'ISO 3166 countries', builtin: true, headers: COUNTRY_HEADERS, rows: COUNTRY_ROWS },
+  { name: 'ISO 4217 currencies', builtin: true, headers: CURRENCY_HEADERS, rows: CURRENCY_ROWS }
+];
+
+// Fuzzy candidates are only tried within this many characters of the value's length
+const LENGTH_WINDOW = 3;
+
+// Uploaded lists keep their values as text; blank rows are dropped
+export const referenceFromTable = (name: string, table: Table): ReferenceList => ({
+  name,
+  builtin: false,
+  headers: [...table.headers],
+  rows: table.rows
+    .filter(row => row.some(cell => !isMissing(cell)))
+    .map(row => table.headers.map((_, column) => cellToString(row[column] ?? null)))
+});
+
+export const referenceValues = (reference: ReferenceList, column: string): string[] => {
+  const index = reference.headers.indexOf(column);
+  return index < 0 ? [] : reference.rows.map(row => row[index] ?? '').filter(value => value.trim() !== '');
+};
+
+export const attachReferences = (lookups: ReferenceLookup[], references: ReferenceList[]): ReferenceLookup[] =>
+  lookups.map(lookup => {
+    const reference = references.find(list => list.name === lookup.reference);
+    return { ...lookup, values: reference ? referenceValues(reference, lookup.referenceColumn) : undefined };
+  });
+
+interface Matcher {
+  // The listed value for a cell that is in the list, ignoring case and spacing
+  find: (cell: Cell) => string | undefined;
+  // The closest listed value at or above the threshold
+  closest: (cell: Cell) => string | undefined;
+}
+
+// Case and spacing only. Unlike duplicate matching there is no phone handling: codes, SKUs and
+// postal codes are listed exactly, and two that share their last digits are different entries.
+const referenceKey = (cell: Cell): string => cellToString(cell).trim().toLowerCase().replace(/\s+/g, ' ');
+
+const createMatcher = (lookup: ReferenceLookup, values: string[]): Matcher => {
+  const canonical = new Map<string, string>();
+  for (const value of values) {
+    const key = referenceKey(value);
+    if (!canonical.has(key)) canonical.set(key, value);
+  }
+  const keys = [...canonical.keys()];
+  const corrections = new Map<string, string | undefined>();
+  return {
+    find: cell => canonical.get(referenceKey(cell)),
+    closest: cell => {
+      const key = referenceKey(cell);
+      if (corrections.has(key)) return corrections.get(key);
+      let best: string | undefined;
+      let bestScore = lookup.threshold;
+      for (const candidate of keys) {
+        if (Math.abs(candidate.length - key.length) > LENGTH_WINDOW) continue;
+        const score = jaroWinkler(key, candidate);
+        if (score >= bestScore) {
+          best = canonical.get(candidate);
+          bestScore = score;
+        }
+      }
+      corrections.set(key, best);
+      return best;
+    }
+  };
+};
+
+const lookupColumn = (lookup: ReferenceLookup, headers: string[]): number => headers.indexOf(lookup.column);
+
+// Replaces values with their listed spelling, for lookups set to correct
+export const correctLookups = (
+  rows: { id: number; cells: Cell[] }[],
+  headers: string[],
+  lookups: ReferenceLookup[],
+  changes: Change[]
+) => {
+  for (const lookup of lookups) {
+    const column = lookupColumn(lookup, headers);
+    if (lookup.action !== 'correct' || !lookup.values || column < 0) continue;
+    const matcher = createMatcher(lookup, lookup.values);
+    for (const row of rows) {
+      const before = row.cells[column];
+      if (isMissing(before)) continue;
+      const listed = matcher.find(before);
+      const after = listed ?? matcher.closest(before);
+      if (after === undefined || after === cellToString(before)) continue;
+      row.cells[column] = after;
+      changes.push({ operation: 'referenceLookups', row: row.id, column, before, after, rule: lookup.reference });
+    }
+  }
+};
+
+// Fake detection evidence for every value a lookup could not find, by row position
+export const lookupHits = (table: Table, lookups: ReferenceLookup[]): Map<number, FakeRuleHit[]> => {
+  const hits = new Map<number, FakeRuleHit[]>();
+  for (const lookup of lookups) {
+    const column = lookupColumn(lookup, table.headers);
+    if (!lookup.values || column < 0) continue;
+    const matcher = createMatcher(lookup, lookup.values);
+    table.rows.forEach((cells, position) => {
+      const cell = cells[column] ?? null;
+      if (isMissing(cell) || matcher.find(cell) !== undefined) return;
+      const list = hits.get(position) || [];
+      list.push({
+        rule: 'referenceLookup',
+        column,
+        weight: FAKE_RULE_WEIGHTS.referenceLookup,
+        detail: `"${cellToString(cell)}" is not in ${lookup.reference} (${lookup.referenceColumn})`
+      });
+      hits.set(position, list);
+    });
+  }
+  return hits;
+};
@@ -0,0 +1,417 @@
+// Offline master lists that ship with the app. Names are the English short names as
+// commonly written, e.g. "United States" rather than "United States of America".
+
+// ISO 3166-1: alpha-2, alpha-3, name
+const COUNTRIES = `AF|AFG|Afghanistan
+AX|ALA|Åland Islands
+AL|ALB|Albania
+DZ|DZA|Algeria
+AS|ASM|American Samoa
+AD|AND|Andorra
+AO|AGO|Angola
+AI|AIA|Anguilla
+AQ|ATA|Antarctica
+AG|ATG|Antigua and Barbuda
+AR|ARG|Argentina
+AM|ARM|Armenia
+AW|ABW|Aruba
+AU|AUS|Australia
+AT|AUT|Austria
+AZ|AZE|Azerbaijan
+BS|BHS|Bahamas
+BH|BHR|Bahrain
+BD|BGD|Bangladesh
+BB|BRB|Barbados
+BY|BLR|Belarus
+BE|BEL|Belgium
+BZ|BLZ|Belize
+BJ|BEN|Benin
+BM|BMU|Bermuda
+BT|BTN|Bhutan
+BO|BOL|Bolivia
+BQ|BES|Caribbean Netherlands
+BA|BIH|Bosnia and Herzegovina
+BW|BWA|Botswana
+BV|BVT|Bouvet Island
+BR|BRA|Brazil
+IO|IOT|British Indian Ocean Territory
+BN|BRN|Brunei
+BG|BGR|Bulgaria
+BF|BFA|Burkina Faso
+BI|BDI|Burundi
+CV|CPV|Cape Verde
+KH|KHM|Cambodia
+CM|CMR|Cameroon
+CA|CAN|Canada
+KY|CYM|Cayman Islands
+CF|CAF|Central African Republic
+TD|TCD|Chad
+CL|CHL|Chile
+CN|CHN|China
+CX|CXR|Christmas Island
+CC|CCK|Cocos (Keeling) Islands
+CO|COL|Colombia
+KM|COM|Comoros
+CG|COG|Congo - Brazzaville
+CD|COD|Congo - Kinshasa
+CK|COK|Cook Islands
+CR|CRI|Costa Rica
+CI|CIV|Côte d’Ivoire
+HR|HRV|Croatia
+CU|CUB|Cuba
+CW|CUW|Curaçao
+CY|CYP|Cyprus
+CZ|CZE|Czechia
+DK|DNK|Denmark
+DJ|DJI|Djibouti
+DM|DMA|Dominica
+DO|DOM|Dominican Republic
+EC|ECU|Ecuador
+EG|EGY|Egypt
+SV|SLV|El Salvador
+GQ|GNQ|Equatorial Guinea
+ER|ERI|Eritrea
+EE|EST|Estonia
+SZ|SWZ|Eswatini
+ET|ETH|Ethiopia
+FK|FLK|Falkland Islands
+FO|FRO|Faroe Islands
+FJ|FJI|Fiji
+FI|FIN|Finland
+FR|FRA|France
+GF|GUF|French Guiana
+PF|PYF|French Polynesia
+TF|ATF|French Southern Territories
+GA|GAB|Gabon
+GM|GMB|Gambia
+GE|GEO|Georgia
+DE|DEU|Germany
+GH|GHA|Ghana
+GI|GIB|Gibraltar
+GR|GRC|Greece
+GL|GRL|Greenland
+GD|GRD|Grenada
+GP|GLP|Guadeloupe
+GU|GUM|Guam
+GT|GTM|Guatemala
+GG|GGY|Guernsey
+GN|GIN|Guinea
+GW|GNB|Guinea-Bissau
+GY|GUY|Guyana
+HT|HTI|Haiti
+HM|HMD|Heard and McDonald Islands
+VA|VAT|Vatican City
+HN|HND|Honduras
+HK|HKG|Hong Kong
+HU|HUN|Hungary
+IS|ISL|Iceland
+IN|IND|India
+ID|IDN|Indonesia
+IR|IRN|Iran
+IQ|IRQ|Iraq
+IE|IRL|Ireland
+IM|IMN|Isle of Man
+IL|ISR|Israel
+IT|ITA|Italy
+JM|JAM|Jamaica
+JP|JPN|Japan
+JE|JEY|Jersey
+JO|JOR|Jordan
+KZ|KAZ|Kazakhstan
+KE|KEN|Kenya
+KI|KIR|Kiribati
+KP|PRK|North Korea
+KR|KOR|South Korea
+KW|KWT|Kuwait
+KG|KGZ|Kyrgyzstan
+LA|LAO|Laos
+LV|LVA|Latvia
+LB|LBN|Lebanon
+LS|LSO|Lesotho
+LR|LBR|Liberia
+LY|LBY|Libya
+LI|LIE|Liechtenstein
+LT|LTU|Lithuania
+LU|LUX|Luxembourg
+MO|MAC|Macao
+MG|MDG|Madagascar
+MW|MWI|Malawi
+MY|MYS|Malaysia
+MV|MDV|Maldives
+ML|MLI|Mali
+MT|MLT|Malta
+MH|MHL|Marshall Islands
+MQ|MTQ|Martinique
+MR|MRT|Mauritania
+MU|MUS|Mauritius
+YT|MYT|Mayotte
+MX|MEX|Mexico
+FM|FSM|Micronesia
+MD|MDA|Moldova
+MC|MCO|Monaco
+MN|MNG|Mongolia
+ME|MNE|Montenegro
+MS|MSR|Montserrat
+MA|MAR|Morocco
+MZ|MOZ|Mozambique
+MM|MMR|Myanmar
+NA|NAM|Namibia
+NR|NRU|Nauru
+NP|NPL|Nepal
+NL|NLD|Netherlands
+NC|NCL|New Caledonia
+NZ|NZL|New Zealand
+NI|NIC|Nicaragua
+NE|NER|Niger
+NG|NGA|Nigeria
+NU|NIU|Niue
+NF|NFK|Norfolk Island
+MK|MKD|North Macedonia
+MP|MNP|Northern Mariana Islands
+NO|NOR|Norway
+OM|OMN|Oman
+PK|PAK|Pakistan
+PW|PLW|Palau
+PS|PSE|Palestine
+PA|PAN|Panama
+PG|PNG|Papua New Guinea
+PY|PRY|Paraguay
+PE|PER|Peru
+PH|PHL|Philippines
+PN|PCN|Pitcairn Islands
+PL|POL|Poland
+PT|PRT|Portugal
+PR|PRI|Puerto Rico
+QA|QAT|Qatar
+RE|REU|Réunion
+RO|ROU|Romania
+RU|RUS|Russia
+RW|RWA|Rwanda
+BL|BLM|St. Barthélemy
+SH|SHN|St. Helena
+KN|KNA|St. Kitts and Nevis
+LC|LCA|St. Lucia
+MF|MAF|St. Martin
+PM|SPM|St. Pierre and Miquelon
+VC|VCT|St. Vincent and the Grenadines
+WS|WSM|Samoa
+SM|SMR|San Marino
+ST|STP|São Tomé and Príncipe
+SA|SAU|Saudi Arabia
+SN|SEN|Senegal
+RS|SRB|Serbia
+SC|SYC|Seychelles
+SL|SLE|Sierra Leone
+SG|SGP|Singapore
+SX|SXM|Sint Maarten
+SK|SVK|Slovakia
+SI|SVN|Slovenia
+SB|SLB|Solomon Islands
+SO|SOM|Somalia
+ZA|ZAF|South Africa
+GS|SGS|South Georgia and South Sandwich Islands
+SS|SSD|South Sudan
+ES|ESP|Spain
+LK|LKA|Sri Lanka
+SD|SDN|Sudan
+SR|SUR|Suriname
+SJ|SJM|Svalbard and Jan Mayen
+SE|SWE|Sweden
+CH|CHE|Switzerland
+SY|SYR|Syria
+TW|TWN|Taiwan
+TJ|TJK|Tajikistan
+TZ|TZA|Tanzania
+TH|THA|Thailand
+TL|TLS|Timor-Leste
+TG|TGO|Togo
+TK|TKL|Tokelau
+TO|TON|Tonga
+TT|TTO|Trinidad and Tobago
+TN|TUN|Tunisia
+TR|TUR|Turkey
+TM|TKM|Turkmenistan
+TC|TCA|Turks and Caicos Islands
+TV|TUV|Tuvalu
+UG|UGA|Uganda
+UA|UKR|Ukraine
+AE|ARE|United Arab Emirates
+GB|GBR|United Kingdom
+US|USA|United States
+UM|UMI|U.S. Outlying Islands
+UY|URY|Uruguay
+UZ|UZB|Uzbekistan
+VU|VUT|Vanuatu
+VE|VEN|Venezuela
+VN|VNM|Vietnam
+VG|VGB|British Virgin Islands
+VI|VIR|U.S. Virgin Islands
+WF|WLF|Wallis and Futuna
+EH|ESH|Western Sahara
+YE|YEM|Yemen
+ZM|ZMB|Zambia
+ZW|ZWE|Zimbabwe`;
+
+// ISO 4217 currencies in use: code, name
+const CURRENCIES = `AED|UAE Dirham
+AFN|Afghan Afghani
+ALL|Albanian Lek
+AMD|Armenian Dram
+ANG|Netherlands Antillean Guilder
+AOA|Angolan Kwanza
+ARS|Argentine Peso
+AUD|Australian Dollar
+AWG|Aruban Florin
+AZN|Azerbaijani Manat
+BAM|Bosnia-Herzegovina Convertible Mark
+BBD|Barbadian Dollar
+BDT|Bangladeshi Taka
+BGN|Bulgarian Lev
+BHD|Bahraini Dinar
+BIF|Burundian Franc
+BMD|Bermudan Dollar
+BND|Brunei Dollar
+BOB|Bolivian Boliviano
+BRL|Brazilian Real
+BSD|Bahamian Dollar
+BTN|Bhutanese Ngultrum
+BWP|Botswanan Pula
+BYN|Belarusian Ruble
+BZD|Belize Dollar
+CAD|Canadian Dollar
+CDF|Congolese Franc
+CHF|Swiss Franc
+CLP|Chilean Peso
+CNY|Chinese Yuan
+COP|Colombian Peso
+CRC|Costa Rican Colón
+CUP|Cuban Peso
+CVE|Cape Verdean Escudo
+CZK|Czech Koruna
+DJF|Djiboutian Franc
+DKK|Danish Krone
+DOP|Dominican Peso
+DZD|Algerian Dinar
+EGP|Egyptian Pound
+ERN|Eritrean Nakfa
+ETB|Ethiopian Birr
+EUR|Euro
+FJD|Fijian Dollar
+FKP|Falkland Islands Pound
+GBP|British Pound
+GEL|Georgian Lari
+GHS|Ghanaian Cedi
+GIP|Gibraltar Pound
+GMD|Gambian Dalasi
+GNF|Guinean Franc
+GTQ|Guatemalan Quetzal
+GYD|Guyanaese Dollar
+HKD|Hong Kong Dollar
+HNL|Honduran Lempira
+HTG|Haitian Gourde
+HUF|Hungarian Forint
+IDR|Indonesian Rupiah
+ILS|Israeli New Shekel
+INR|Indian Rupee
+IQD|Iraqi Dinar
+IRR|Iranian Rial
+ISK|Icelandic Króna
+JMD|Jamaican Dollar
+JOD|Jordanian Dinar
+JPY|Japanese Yen
+KES|Kenyan Shilling
+KGS|Kyrgystani Som
+KHR|Cambodian Riel
+KMF|Comorian Franc
+KPW|North Korean Won
+KRW|South Korean Won
+KWD|Kuwaiti Dinar
+KYD|Cayman Islands Dollar
+KZT|Kazakhstani Tenge
+LAK|Laotian Kip
+LBP|Lebanese Pound
+LKR|Sri Lankan Rupee
+LRD|Liberian Dollar
+LSL|Lesotho Loti
+LYD|Libyan Dinar
+MAD|Moroccan Dirham
+MDL|Moldovan Leu
+MGA|Malagasy Ariary
+MKD|Macedonian Denar
+MMK|Myanmar Kyat
+MNT|Mongolian Tugrik
+MOP|Macanese Pataca
+MRU|Mauritanian Ouguiya
+MUR|Mauritian Rupee
+MVR|Maldivian Rufiyaa
+MWK|Malawian Kwacha
+MXN|Mexican Peso
+MYR|Malaysian Ringgit
+MZN|Mozambican Metical
+NAD|Namibian Dollar
+NGN|Nigerian Naira
+NIO|Nicaraguan Córdoba
+NOK|Norwegian Krone
+NPR|Nepalese Rupee
+NZD|New Zealand Dollar
+OMR|Omani Rial
+PAB|Panamanian Balboa
+PEN|Peruvian Sol
+PGK|Papua New Guinean Kina
+PHP|Philippine Peso
+PKR|Pakistani Rupee
+PLN|Polish Zloty
+PYG|Paraguayan Guarani
+QAR|Qatari Riyal
+RON|Romanian Leu
+RSD|Serbian Dinar
+RUB|Russian Ruble
+RWF|Rwandan Franc
+SAR|Saudi Riyal
+SBD|Solomon Islands Dollar
+SCR|Seychellois Rupee
+SDG|Sudanese Pound
+SEK|Swedish Krona
+SGD|Singapore Dollar
+SHP|St. Helena Pound
+SLE|Sierra Leonean Leone
+SOS|Somali Shilling
+SRD|Surinamese Dollar
+SSP|South Sudanese Pound
+STN|São Tomé and Príncipe Dobra
+SYP|Syrian Pound
+SZL|Swazi Lilangeni
+THB|Thai Baht
+TJS|Tajikistani Somoni
+TMT|Turkmenistani Manat
+TND|Tunisian Dinar
+TOP|Tongan Paʻanga
+TRY|Turkish Lira
+TTD|Trinidad and Tobago Dollar
+TWD|New Taiwan Dollar
+TZS|Tanzanian Shilling
+UAH|Ukrainian Hryvnia
+UGX|Ugandan Shilling
+USD|US Dollar
+UYU|Uruguayan Peso
+UZS|Uzbekistani Som
+VES|Venezuelan Bolívar
+VND|Vietnamese Dong
+VUV|Vanuatu Vatu
+WST|Samoan Tala
+XAF|Central African CFA Franc
+XCD|East Caribbean Dollar
+XOF|West African CFA Franc
+XPF|CFP Franc
+YER|Yemeni Rial
+ZAR|South African Rand
+ZMW|Zambian Kwacha
+ZWL|Zimbabwean Dollar`;
+
+const parseList = (text: string): string[][] => text.split('\n').map(line => line.split('|'));
+
+export const COUNTRY_HEADERS = ['alpha2', 'alpha3', 'name'];
+export const COUNTRY_ROWS = parseList(COUNTRIES);
+
+export const CURRENCY_HEADERS = ['code', 'name'];
+export const CURRENCY_ROWS = parseList(CURRENCIES);
@@ -0,0 +1,54 @@
+import { describe, expect, it } from 'vitest';
+import { FakeFinding } from './fakes';
+import { applyReview, decideByRule, fakesTable, reviewCounts, reviewedRowIds, reviewQueue, reviewRules } from './review';
+import { CleaningResult } from './types';
+
+const hit = (rule: string, detail: string) => ({ rule, column: 0, weight: 0.6, detail });
+
+const result: CleaningResult = {
+  table: { headers: ['name'], rows: [['Ann'], ['Test'], ['asdfg'], ['Mickey Mouse']] },
+  // Input rows 1 and 4 were removed by cleaning
+  rowIds: [0, 2, 3, 5],
+  changes: [],
+  summary: { manualEdits: 0, removeDuplicates: 2, handleOutliers: 0, missingValues: 0, standardizeFormats: 0, referenceLookups: 0, anonymize: 0 }
+};
+const findings: FakeFinding[] = [
+  { row: 1, score: 0.6, reasons: [hit('placeholderName', '"Test" is a placeholder name')] },
+  { row: 3, score: 0.6, reasons: [hit('placeholderName', '"Mickey Mouse" is a placeholder name')] },
+  { row: 2, score: 0.7, reasons: [hit('keyboardMash', '"asdfg" looks like keyboard mashing'), hit('placeholderName', 'x')] }
+];
+
+describe('reviewQueue', () => {
+  it('orders suspects by score, then table order, with their input row ids', () => {
+    expect(reviewQueue(result, findings).map(item => [item.position, item.id])).toEqual([[2, 3], [1, 2], [3, 5]]);
+  });
+});
+
+describe('review decisions', () => {
+  const items = reviewQueue(result, findings);
+
+  it('counts decisions and lists the rules by how many rows they flagged', () => {
+    expect(reviewCounts(items, { 2: 'remove', 5: 'keep' })).toEqual({ removed: 1, kept: 1, pending: 1 });
+    expect(reviewRules(items)).toEqual([{ rule: 'placeholderName', count: 3 }, { rule: 'keyboardMash', count: 1 }]);
+  });
+
+  it('decides every undecided row a rule flagged', () => {
+    expect(decideByRule(items, { 5: 'keep' }, 'placeholderName', 'remove')).toEqual({ 2: 'remove', 3: 'remove' });
+  });
+
+  it('removes only flagged rows accepted as fake, keeping the input row ids', () => {
+    const decisions = { 2: 'remove', 5: 'keep', 0: 'remove' } as const;
+    expect(applyReview(result, findings, decisions).rows).toEqual([['Ann'], ['asdfg'], ['Mickey Mouse']]);
+    expect(reviewedRowIds(result, findings, decisions)).toEqual([0, 3, 5]);
+    expect(applyReview(result, findings, {})).toBe(result.table);
+  });
+
+  it('exports the suspects with their confidence, reasons and decision', () => {
+    const table = fakesTable(result, findings.slice(0, 2), { 2: 'remove' });
+    expect(table.headers).toEqual(['name', 'fake_confidence', 'fake_reasons', 'review_decision']);
+    expect(table.rows).toEqual([
+      ['Test', 0.6, '"Test" is a placeholder name', 'remove'],
+      ['Mickey Mouse', 0.6, '"Mickey Mouse" is a placeholder name', 'pending']
+    ]);
+  });
+});
@@ -0,0 +1,95 @@
+import { CleaningResult, Table } from './types';
+import { FakeFinding } from './fakes';
+
+// Accepting a suspect removes it from the cleaned export; rejecting keeps it
+export type ReviewDecision = 'remove' | 'keep';
+
+// Keyed by input row id, like the change log, so decisions name the same row after reprocessing
+export type ReviewDecisions = Record<number, ReviewDecision>;
+
+export interface ReviewItem {
+  // Index of the row in the cleaned table
+  position: number;
+  // Index of the row in the input table
+  id: number;
+  finding: FakeFinding;
+}
+
+export interface ReviewCounts {
+  removed: number;
+  kept: number;
+  pending: number;
+}
+
+// Most likely fakes first; ties keep table order
+export const reviewQueue = (result: CleaningResult, findings: FakeFinding[]): ReviewItem[] =>
+  findings
+    .map(finding => ({ position: finding.row, id: result.rowIds[finding.row], finding }))
+    .sort((a, b) => b.finding.score - a.finding.score || a.position - b.position);
+
+export const reviewCounts = (items: ReviewItem[], decisions: ReviewDecisions): ReviewCounts => {
+  const counts: ReviewCounts = { removed: 0, kept: 0, pending: 0 };
+  for (const item of items) {
+    const decision = decisions[item.id];
+    if (decision === 'remove') counts.removed++;
+    else if (decision === 'keep') counts.kept++;
+    else counts.pending++;
+  }
+  return counts;
+};
+
+// Rule name with how many queued rows it flagged, most common first
+export const reviewRules = (items: ReviewItem[]): { rule: string; count: number }[] => {
+  const counts = new Map<string, number>();
+  for (const item of items) {
+    for (const rule of new Set(item.finding.reasons.map(reason => reason.rule))) {
+      counts.set(rule, (counts.get(rule) || 0) + 1);
+    }
+  }
+  return [...counts].map(([rule, count]) => ({ rule, count })).sort((a, b) => b.count - a.count);
+};
+
+// The same decision for every undecided row a rule flagged, as the decisions to add
+export const decideByRule = (
+  items: ReviewItem[],
+  decisions: ReviewDecisions,
+  rule: string,
+  decision: ReviewDecision
+): ReviewDecisions => {
+  const added: ReviewDecisions = {};
+  for (const item of items) {
+    if (decisions[item.id] === undefined && item.finding.reasons.some(reason => reason.rule === rule)) added[item.id] = decision;
+  }
+  return added;
+};
+
+const removedPositions = (result: CleaningResult, findings: FakeFinding[], decisions: ReviewDecisions): Set<number> =>
+  new Set(findings.map(finding => finding.row).filter(position => decisions[result.rowIds[position]] === 'remove'));
+
+// The cleaned table without the rows accepted as fake. Rows that were not flagged this run are
+// never removed, whatever an older decision says.
+export const applyReview = (result: CleaningResult, findings: FakeFinding[], decisions: ReviewDecisions): Table => {
+  const removed = removedPositions(result, findings, decisions);
+  if (removed.size === 0) return result.table;
+  return {
+    headers: result.table.headers,
+    rows: result.table.rows.filter((_, position) => !removed.has(position))
+  };
+};
+
+// Input row id for every row applyReview keeps
+export const reviewedRowIds = (result: CleaningResult, findings: FakeFinding[], decisions: ReviewDecisions): number[] => {
+  const removed = removedPositions(result, findings, decisions);
+  return removed.size === 0 ? result.rowIds : result.rowIds.filter((_, position) => !removed.has(position));
+};
+
+// Suspected fake rows, with the detection verdict and review decision alongside the original columns
+export const fakesTable = (result: CleaningResult, findings: FakeFinding[], decisions: ReviewDecisions): Table => ({
+  headers: [...result.table.headers, 'fake_confidence', 'fake_reasons', 'review_decision'],
+  rows: findings.map(finding => [
+    ...result.table.rows[finding.row],
+    Math.round(finding.score * 100) / 100,
+    finding.reasons.map(reason => reason.detail).join('; '),
+    decisions[result.rowIds[finding.row]] || 'pending'
+  ])
+});
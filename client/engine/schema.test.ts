@@ -0,0 +1,39 @@
+import { describe, expect, it } from 'vitest';
+import { inferColumnType, profileColumn, profileColumns } from './schema';
+
+describe('inferColumnType', () => {
+  it('recognizes each type from the values that are present', () => {
+    expect(inferColumnType(['yes', 'no', null, 'Y'])).toBe('boolean');
+    expect(inferColumnType(['1', '2', '', 3])).toBe('integer');
+    expect(inferColumnType(['1.5', '2', '3.25'])).toBe('decimal');
+    expect(inferColumnType(['2024-01-05', '03/04/2024', '5 May 2024'])).toBe('date');
+    expect(inferColumnType(['a@x.com', 'b@y.org'])).toBe('email');
+    expect(inferColumnType(['https://x.com/a', 'www.y.org'])).toBe('url');
+    expect(inferColumnType(['+1 (212) 555-7890', '020 7946 0018'])).toBe('phone');
+    expect(inferColumnType([null, ''])).toBe('text');
+  });
+
+  it('calls few repeated values categorical and varied ones text', () => {
+    expect(inferColumnType(Array.from({ length: 30 }, (_, i) => ['Oslo', 'Rome', 'Lima'][i % 3]))).toBe('categorical');
+    expect(inferColumnType(Array.from({ length: 30 }, (_, i) => `note ${i}`))).toBe('text');
+  });
+
+  it('tolerates a few values that do not fit', () => {
+    const values = [...Array.from({ length: 40 }, (_, i) => String(i)), 'n/a'];
+    expect(inferColumnType(values)).toBe('integer');
+  });
+});
+
+describe('profileColumn', () => {
+  it('counts gaps and distinct values and leaves junk out of a numeric range', () => {
+    const profile = profileColumn('amount', ['10', '2', null, 'abc', '10', ''], 'integer');
+    expect(profile).toEqual({ name: 'amount', type: 'integer', nullCount: 2, distinctCount: 2, min: '2', max: '10', samples: ['10', '2'] });
+  });
+});
+
+describe('profileColumns', () => {
+  it('profiles every column with its inferred type', () => {
+    const profiles = profileColumns({ headers: ['id', 'email'], rows: [[1, 'a@x.com'], [2, 'b@y.org']] });
+    expect(profiles.map(profile => [profile.name, profile.type])).toEqual([['id', 'integer'], ['email', 'email']]);
+  });
+});
@@ -0,0 +1,112 @@
+import { Cell, Table } from './types';
+import { cellToString, isMissing, parseNumber } from './values';
+
+export type ColumnType =
+  | 'integer'
+  | 'decimal'
+  | 'date'
+  | 'boolean'
+  | 'email'
+  | 'phone'
+  | 'url'
+  | 'categorical'
+  | 'text';
+
+export const COLUMN_TYPES: ColumnType[] = [
+  'integer', 'decimal', 'date', 'boolean', 'email', 'phone', 'url', 'categorical', 'text'
+];
+
+export interface ColumnProfile {
+  name: string;
+  type: ColumnType;
+  nullCount: number;
+  distinctCount: number;
+  min: Cell;
+  max: Cell;
+  samples: string[];
+}
+
+// Share of non-missing values that must fit a type for the column to get it
+const TYPE_MATCH_RATIO = 0.95;
+const SAMPLE_COUNT = 3;
+
+const BOOLEAN_VALUES = new Set(['true', 'false', 'yes', 'no', 'y', 'n', 't', 'f']);
+const DATE_PATTERNS = [
+  /^\d{4}-\d{1,2}-\d{1,2}([ T]\d{1,2}:\d{2}(:\d{2}(\.\d+)?)?(z|[+-]\d{2}:?\d{2})?)?$/i,
+  /^\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4}$/,
+  /^\d{1,2} [a-z]{3,9},? \d{4}$/i,
+  /^[a-z]{3,9} \d{1,2},? \d{4}$/i
+];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[a-z]{2,}$/i;
+const URL_PATTERN = /^(https?:\/\/|www\.)\S+$/i;
+const PHONE_PATTERN = /^\+?[\d\s().-]+$/;
+
+export const isNumericType = (type: ColumnType): boolean => type === 'integer' || type === 'decimal';
+
+const TYPE_TESTS: [ColumnType, (value: Cell) => boolean][] = [
+  ['boolean', value => typeof value === 'boolean' || BOOLEAN_VALUES.has(cellToString(value).trim().toLowerCase())],
+  ['integer', value => Number.isInteger(parseNumber(value))],
+  ['decimal', value => parseNumber(value) !== null],
+  ['date', value => DATE_PATTERNS.some(pattern => pattern.test(cellToString(value).trim()))],
+  ['email', value => EMAIL_PATTERN.test(cellToString(value).trim())],
+  ['url', value => URL_PATTERN.test(cellToString(value).trim())],
+  ['phone', value => {
+    const text = cellToString(value).trim();
+    const digits = text.replace(/\D/g, '').length;
+    return PHONE_PATTERN.test(text) && digits >= 7 && digits <= 15;
+  }]
+];
+
+export const inferColumnType = (values: Cell[]): ColumnType => {
+  const present = values.filter(value => !isMissing(value));
+  if (present.length === 0) return 'text';
+
+  for (const [type, test] of TYPE_TESTS) {
+    const matches = present.filter(test).length;
+    if (matches / present.length >= TYPE_MATCH_RATIO) return type;
+  }
+
+  const distinct = new Set(present.map(value => cellToString(value).trim().toLowerCase())).size;
+  if (distinct <= Math.max(20, present.length * 0.05) && distinct < present.length / 2) return 'categorical';
+  return 'text';
+};
+
+const compareValues = (type: ColumnType) => (a: Cell, b: Cell): number => {
+  if (isNumericType(type)) return (parseNumber(a) ?? 0) - (parseNumber(b) ?? 0);
+  return cellToString(a).localeCompare(cellToString(b));
+};
+
+export const profileColumn = (name: string, values: Cell[], type: ColumnType = inferColumnType(values)): ColumnProfile => {
+  let present = values.filter(value => !isMissing(value));
+  // Keep junk like "abc" in a numeric column out of min/max
+  if (isNumericType(type)) present = present.filter(value => parseNumber(value) !== null);
+
+  const distinct = new Set<string>();
+  const samples: string[] = [];
+  let min: Cell = null;
+  let max: Cell = null;
+  const compare = compareValues(type);
+
+  for (const value of present) {
+    const text = cellToString(value);
+    if (!distinct.has(text)) {
+      distinct.add(text);
+      if (samples.length < SAMPLE_COUNT) samples.push(text);
+    }
+    if (min === null || compare(value, min) < 0) min = value;
+    if (max === null || compare(value, max) > 0) max = value;
+  }
+
+  return {
+    name,
+    type,
+    nullCount: values.filter(isMissing).length,
+    distinctCount: distinct.size,
+    min,
+    max,
+    samples
+  };
+};
+
+export const profileColumns = (table: Table): ColumnProfile[] =>
+  table.headers.map((header, column) => profileColumn(header, table.rows.map(row => row[column] ?? null)));
@@ -0,0 +1,123 @@
+import { describe, expect, it } from 'vitest';
+import {
+  applyRule,
+  DEFAULT_STANDARDIZE_OPTIONS,
+  parseFormattedNumber,
+  standardizeDate,
+  standardizeEmail,
+  standardizeName,
+  standardizeOptionsForLocale,
+  standardizePhone,
+  standardizeWhitespace
+} from './standardize';
+
+describe('standardizeDate', () => {
+  it('reads ISO dates, with or without a time', () => {
+    expect(standardizeDate('2024-4-3', 'MDY')).toBe('2024-04-03');
+    expect(standardizeDate('2024/04/03 9:05', 'MDY')).toBe('2024-04-03T09:05:00');
+  });
+
+  it('reads numeric dates in the configured order unless a part can only be the day', () => {
+    expect(standardizeDate('03/04/2024', 'MDY')).toBe('2024-03-04');
+    expect(standardizeDate('03/04/2024', 'DMY')).toBe('2024-04-03');
+    expect(standardizeDate('13.04.24', 'MDY')).toBe('2024-04-13');
+    expect(standardizeDate('4-13-99 14:30:15', 'DMY')).toBe('1999-04-13T14:30:15');
+  });
+
+  it('reads day-month-year dates with a month name, hyphenated or spaced', () => {
+    expect(standardizeDate('03-Apr-2024', 'MDY')).toBe('2024-04-03');
+    expect(standardizeDate('03 Apr 2024', 'MDY')).toBe('2024-04-03');
+    expect(standardizeDate('3 April, 2024', 'MDY')).toBe('2024-04-03');
+    expect(standardizeDate('3-Sept-24', 'MDY')).toBe('2024-09-03');
+  });
+
+  it('reads month-day-year dates with a month name', () => {
+    expect(standardizeDate('April 3rd, 2024', 'DMY')).toBe('2024-04-03');
+    expect(standardizeDate('Dec. 25 2023', 'DMY')).toBe('2023-12-25');
+  });
+
+  it('rejects impossible dates and text that is not a date', () => {
+    expect(standardizeDate('2023-02-29', 'MDY')).toBeNull();
+    expect(standardizeDate('31/31/2024', 'DMY')).toBeNull();
+    expect(standardizeDate('03-Foo-2024', 'MDY')).toBeNull();
+  });
+});
+
+describe('standardizePhone', () => {
+  it('writes national numbers in E.164 for the default region', () => {
+    expect(standardizePhone('(212) 555-7890', 'US')).toBe('+12125557890');
+    expect(standardizePhone('1-212-555-7890', 'US')).toBe('+12125557890');
+    expect(standardizePhone('020 7946 0018', 'GB')).toBe('+442079460018');
+  });
+
+  it('keeps international numbers and reads the 00 prefix', () => {
+    expect(standardizePhone('+33 1 42 68 53 00', 'US')).toBe('+33142685300');
+    expect(standardizePhone('0049 30 901820', 'US')).toBe('+4930901820');
+  });
+
+  it('leaves numbers of the wrong length or with letters alone', () => {
+    expect(standardizePhone('555-7890', 'US')).toBeNull();
+    expect(standardizePhone('call 212 555 7890', 'US')).toBeNull();
+  });
+});
+
+describe('standardizeEmail', () => {
+  it('trims and lowercases addresses', () => {
+    expect(standardizeEmail('  Maria.Lopez@ACME.com ')).toBe('maria.lopez@acme.com');
+    expect(standardizeEmail('not an email')).toBeNull();
+  });
+});
+
+describe('standardizeName', () => {
+  it('capitalizes each part and keeps particles, hyphens, apostrophes and Mc names', () => {
+    expect(standardizeName('  maria   LOPEZ ')).toBe('Maria Lopez');
+    expect(standardizeName("MARY-JANE O'BRIEN")).toBe("Mary-Jane O'Brien");
+    expect(standardizeName('ludwig VAN beethoven')).toBe('Ludwig van Beethoven');
+    expect(standardizeName('ronald mcdonald')).toBe('Ronald McDonald');
+    expect(standardizeName('1234')).toBeNull();
+  });
+});
+
+describe('parseFormattedNumber', () => {
+  it('strips currency and grouping and reads negatives', () => {
+    expect(parseFormattedNumber('$1,234.50', '.')).toBe(1234.5);
+    expect(parseFormattedNumber('€ 1.234,50', ',')).toBe(1234.5);
+    expect(parseFormattedNumber("1'000'000", '.')).toBe(1000000);
+    expect(parseFormattedNumber('(12.5)', '.')).toBe(-12.5);
+    expect(parseFormattedNumber('12-', '.')).toBe(-12);
+  });
+
+  it('reads a lone separator by the configured decimal separator', () => {
+    expect(parseFormattedNumber('1,234', '.')).toBe(1234);
+    expect(parseFormattedNumber('1,234', ',')).toBe(1.234);
+    expect(parseFormattedNumber('12,5', '.')).toBe(12.5);
+    expect(parseFormattedNumber('1.234.567', ',')).toBe(1234567);
+  });
+
+  it('rejects text that is not a number', () => {
+    expect(parseFormattedNumber('12 apples', '.')).toBeNull();
+    expect(parseFormattedNumber('1,2,3.4.5', '.')).toBeNull();
+  });
+});
+
+describe('applyRule', () => {
+  it('collapses whitespace and leaves codes with leading zeros as text', () => {
+    expect(standardizeWhitespace('  a \t b\n')).toBe('a b');
+    expect(applyRule('numbers', '02134', DEFAULT_STANDARDIZE_OPTIONS)).toBe('02134');
+    expect(applyRule('numbers', '2,134', DEFAULT_STANDARDIZE_OPTIONS)).toBe(2134);
+    expect(applyRule('dates', 'soon', DEFAULT_STANDARDIZE_OPTIONS)).toBe('soon');
+  });
+});
+
+describe('standardizeOptionsForLocale', () => {
+  it('takes the date order, phone region and decimal separator from the locale', () => {
+    expect(standardizeOptionsForLocale('en-GB')).toMatchObject({ dateOrder: 'DMY', defaultRegion: 'GB', decimalSeparator: '.' });
+    expect(standardizeOptionsForLocale('ja-JP')).toMatchObject({ dateOrder: 'YMD', defaultRegion: 'JP', decimalSeparator: '.' });
+  });
+
+  it('uses the likely region of a locale that names none', () => {
+    expect(standardizeOptionsForLocale('fr')).toMatchObject({ dateOrder: 'DMY', defaultRegion: 'FR', decimalSeparator: ',' });
+    expect(standardizeOptionsForLocale('en')).toMatchObject({ dateOrder: 'MDY', defaultRegion: 'US', decimalSeparator: '.' });
+    expect(standardizeOptionsForLocale('not a locale')).toMatchObject({ dateOrder: 'MDY', defaultRegion: 'US' });
+  });
+});
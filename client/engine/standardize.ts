@@ -0,0 +1,247 @@
+import { Cell } from './types';
+import { ColumnType, isNumericType } from './schema';
+import { isMissing } from './values';
+
+export type StandardizeRule = 'whitespace' | 'dates' | 'phones' | 'emails' | 'names' | 'numbers';
+
+export const STANDARDIZE_RULES: StandardizeRule[] = ['whitespace', 'dates', 'phones', 'emails', 'names', 'numbers'];
+
+export type DateOrder = 'MDY' | 'DMY' | 'YMD';
+
+export interface StandardizeOptions {
+  rules: Record<StandardizeRule, boolean>;
+  // How to read ambiguous dates such as 03/04/2024
+  dateOrder: DateOrder;
+  // ISO 3166 region assumed for phone numbers without a country code
+  defaultRegion: string;
+  // Decimal separator for numbers such as 1.234 or 1,234
+  decimalSeparator: '.' | ',';
+}
+
+export const DEFAULT_STANDARDIZE_OPTIONS: StandardizeOptions = {
+  rules: { whitespace: true, dates: true, phones: true, emails: true, names: true, numbers: true },
+  dateOrder: 'MDY',
+  defaultRegion: 'US',
+  decimalSeparator: '.'
+};
+
+// Calling code and national significant number length, without the trunk prefix
+export const CALLING_CODES: Record<string, { code: string; length: number[] }> = {
+  US: { code: '1', length: [10] },
+  CA: { code: '1', length: [10] },
+  GB: { code: '44', length: [10] },
+  IE: { code: '353', length: [9] },
+  DE: { code: '49', length: [10, 11] },
+  FR: { code: '33', length: [9] },
+  ES: { code: '34', length: [9] },
+  IT: { code: '39', length: [9, 10] },
+  NL: { code: '31', length: [9] },
+  IN: { code: '91', length: [10] },
+  AU: { code: '61', length: [9] },
+  NZ: { code: '64', length: [8, 9] },
+  BR: { code: '55', length: [10, 11] },
+  MX: { code: '52', length: [10] },
+  JP: { code: '81', length: [9, 10] },
+  CN: { code: '86', length: [11] }
+};
+
+// A locale without a region (fr, de) gets its language's likely one
+const localeRegion = (locale: string): string => {
+  try {
+    return new Intl.Locale(locale.replace(/_/g, '-')).maximize().region || 'US';
+  } catch {
+    return 'US';
+  }
+};
+
+// Region defaults follow the browser locale, e.g. en-GB reads 03/04/2024 as 3 April
+export const standardizeOptionsForLocale = (locale: string): StandardizeOptions => {
+  const region = localeRegion(locale);
+  const commaDecimal = !['US', 'GB', 'AU', 'CA', 'IN', 'IE', 'NZ', 'CN', 'JP'].includes(region);
+  return {
+    ...DEFAULT_STANDARDIZE_OPTIONS,
+    dateOrder: ['US', 'CA'].includes(region) ? 'MDY' : ['CN', 'JP', 'KR'].includes(region) ? 'YMD' : 'DMY',
+    defaultRegion: region in CALLING_CODES ? region : 'US',
+    decimalSeparator: commaDecimal ? ',' : '.'
+  };
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const NAME_PARTICLES = new Set(['van', 'von', 'de', 'der', 'den', 'da', 'di', 'du', 'la', 'le', 'del', 'dos']);
+const CURRENCY = /[$€£¥₹]|\b(usd|eur|gbp|inr|jpy)\b/gi;
+
+const pad = (value: number) => String(value).padStart(2, '0');
+
+const monthIndex = (name: string): number => MONTHS.indexOf(name.slice(0, 3).toLowerCase()) + 1;
+
+const expandYear = (year: number): number => (year >= 100 ? year : year < 50 ? 2000 + year : 1900 + year);
+
+const isValidDate = (y: number, m: number, d: number): boolean => {
+  if (m < 1 || m > 12 || d < 1) return false;
+  return d <= new Date(Date.UTC(y, m, 0)).getUTCDate();
+};
+
+const formatDate = (y: number, m: number, d: number, time?: string): string | null => {
+  if (!isValidDate(y, m, d)) return null;
+  return `${y}-${pad(m)}-${pad(d)}${time ? `T${time}` : ''}`;
+};
+
+const parseTime = (hours?: string, minutes?: string, seconds?: string): string | undefined =>
+  hours === undefined ? undefined : `${pad(Number(hours))}:${minutes}:${seconds || '00'}`;
+
+export const standardizeDate = (value: string, order: DateOrder): string | null => {
+  const text = value.trim();
+  let match = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+  if (match) return formatDate(+match[1], +match[2], +match[3], parseTime(match[4], match[5], match[6]));
+
+  match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2}|\d{4})(?: (\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+  if (match) {
+    const first = +match[1];
+    const second = +match[2];
+    const year = expandYear(+match[3]);
+    const time = parseTime(match[4], match[5], match[6]);
+    // A part above 12 can only be the day, whatever the locale says
+    const dayFirst = first > 12 ? true : second > 12 ? false : order === 'DMY';
+    return dayFirst ? formatDate(year, second, first, time) : formatDate(year, first, second, time);
+  }
+
+  match = text.match(/^(\d{1,2})[ -]([a-z]{3,9})\.?[\s,-]*(\d{2}|\d{4})$/i);
+  if (match && monthIndex(match[2]) > 0) return formatDate(expandYear(+match[3]), monthIndex(match[2]), +match[1]);
+
+  match = text.match(/^([a-z]{3,9})\.? (\d{1,2})(?:st|nd|rd|th)?,? (\d{4})$/i);
+  if (match && monthIndex(match[1]) > 0) return formatDate(+match[3], monthIndex(match[1]), +match[2]);
+
+  return null;
+};
+
+// UTC milliseconds for anything standardizeDate understands, so dates can be compared and sampled
+export const dateToTimestamp = (value: string, order: DateOrder = 'YMD'): number | null => {
+  const iso = standardizeDate(value, order);
+  if (!iso) return null;
+  const [date, time = '00:00:00'] = iso.split('T');
+  const [year, month, day] = date.split('-').map(Number);
+  const [hours, minutes, seconds] = time.split(':').map(Number);
+  return Date.UTC(year, month - 1, day, hours, minutes, seconds);
+};
+
+export const standardizePhone = (value: string, region: string): string | null => {
+  const text = value.trim();
+  if (!/^[+\d\s().-]+$/.test(text)) return null;
+  let digits = text.replace(/\D/g, '');
+
+  if (text.startsWith('+')) return digits.length >= 8 && digits.length <= 15 ? `+${digits}` : null;
+  if (digits.startsWith('00')) {
+    digits = digits.slice(2);
+    return digits.length >= 8 && digits.length <= 15 ? `+${digits}` : null;
+  }
+
+  const country = CALLING_CODES[region];
+  if (!country) return null;
+  // Drop the national trunk prefix (0 in most regions, 1 in North America)
+  if (digits.startsWith(country.code) && country.length.includes(digits.length - country.code.length)) {
+    return `+${digits}`;
+  }
+  if (digits.startsWith('0') && country.length.includes(digits.length - 1)) digits = digits.slice(1);
+  return country.length.includes(digits.length) ? `+${country.code}${digits}` : null;
+};
+
+export const standardizeEmail = (value: string): string | null =>
+  value.includes('@') ? value.trim().toLowerCase() : null;
+
+const capitalize = (word: string): string => {
+  const lower = word.toLowerCase();
+  let result = lower.charAt(0).toUpperCase() + lower.slice(1);
+  // O'Brien, Mary-Jane, McDonald
+  result = result.replace(/(['-])(\p{L})/gu, (_, mark: string, letter: string) => mark + letter.toUpperCase());
+  return result.replace(/^Mc(\p{L})/u, (_, letter: string) => `Mc${letter.toUpperCase()}`);
+};
+
+export const standardizeName = (value: string): string | null => {
+  const words = value.trim().split(/\s+/).filter(Boolean);
+  if (words.length === 0 || !/\p{L}/u.test(value)) return null;
+  return words
+    .map((word, index) => (index > 0 && NAME_PARTICLES.has(word.toLowerCase()) ? word.toLowerCase() : capitalize(word)))
+    .join(' ');
+};
+
+export const parseFormattedNumber = (value: Cell, decimalSeparator: '.' | ','): number | null => {
+  if (typeof value === 'number') return value;
+  if (typeof value !== 'string') return null;
+  let text = value.trim().replace(CURRENCY, '').replace(/[\s ']/g, '');
+  const negative = /^\(.*\)$/.test(text) || /^-/.test(text) || /-$/.test(text);
+  text = text.replace(/^\(|\)$/g, '').replace(/^[-+]|-$/g, '');
+  if (!/^[\d.,]+$/.test(text) || !/\d/.test(text)) return null;
+
+  const lastComma = text.lastIndexOf(',');
+  const lastDot = text.lastIndexOf('.');
+  let decimal: string | null;
+  if (lastComma >= 0 && lastDot >= 0) decimal = lastComma > lastDot ? ',' : '.';
+  else if (lastComma >= 0 || lastDot >= 0) {
+    const separator = lastComma >= 0 ? ',' : '.';
+    // 1,234 or 1.234.567 are grouped thousands; 12,5 is a decimal comma
+    const grouped = new RegExp(`^\\d{1,3}(\\${separator}\\d{3})+$`).test(text);
+    decimal = grouped && (separator !== decimalSeparator || text.split(separator).length > 2) ? null : separator;
+  } else decimal = null;
+
+  const grouping = decimal === ',' ? /\./g : decimal === '.' ? /,/g : /[.,]/g;
+  const parts = text.replace(grouping, '').split(decimal || ',');
+  if (parts.length > 2) return null;
+  const number = Number(parts.join('.'));
+  if (!Number.isFinite(number)) return null;
+  return negative ? -number : number;
+};
+
+export const standardizeWhitespace = (value: string): string => value.trim().replace(/\s+/g, ' ');
+
+const RULE_COLUMN_TYPES: Partial<Record<StandardizeRule, ColumnType>> = {
+  dates: 'date',
+  phones: 'phone',
+  emails: 'email'
+};
+
+// Which type-specific rule (if any) a column gets. Columns the schema could not type
+// still qualify when nearly all of their values parse under the rule.
+export const columnRule = (
+  header: string,
+  type: ColumnType,
+  values: Cell[],
+  options: StandardizeOptions
+): StandardizeRule | null => {
+  const present = values.filter(value => !isMissing(value) && typeof value === 'string') as string[];
+  const fits = (parse: (value: string) => unknown) =>
+    present.length > 0 && present.filter(value => parse(value) !== null).length / present.length >= 0.9;
+
+  for (const rule of ['dates', 'phones', 'emails'] as StandardizeRule[]) {
+    if (options.rules[rule] && RULE_COLUMN_TYPES[rule] === type) return rule;
+  }
+  if (options.rules.numbers && (isNumericType(type) || ((type === 'text' || type === 'categorical') && fits(value => parseFormattedNumber(value, options.decimalSeparator))))) {
+    return 'numbers';
+  }
+  if (options.rules.names && /name|surname/i.test(header) && !/user ?name|file ?name/i.test(header)) return 'names';
+  if (options.rules.dates && (type === 'text' || type === 'categorical') && fits(value => standardizeDate(value, options.dateOrder))) {
+    return 'dates';
+  }
+  return null;
+};
+
+export const applyRule = (rule: StandardizeRule, value: Cell, options: StandardizeOptions): Cell => {
+  if (rule === 'numbers') {
+    // Leading zeros mark codes such as zip codes or account numbers, not quantities
+    if (typeof value === 'string' && /^0\d/.test(value.trim())) return value;
+    return parseFormattedNumber(value, options.decimalSeparator) ?? value;
+  }
+  if (typeof value !== 'string') return value;
+  switch (rule) {
+    case 'whitespace':
+      return standardizeWhitespace(value);
+    case 'dates':
+      return standardizeDate(value, options.dateOrder) ?? value;
+    case 'phones':
+      return standardizePhone(value, options.defaultRegion) ?? value;
+    case 'emails':
+      return standardizeEmail(value) ?? value;
+    case 'names':
+      return standardizeName(value) ?? value;
+  }
+  return value;
+};
@@ -0,0 +1,31 @@
+import { describe, expect, it } from 'vitest';
+import { checkConstraint, parseConstraints } from './constraints';
+import { synthesize } from './synthesize';
+import { Table } from './types';
+
+const table: Table = {
+  headers: ['city', 'start', 'end'],
+  rows: Array.from({ length: 40 }, (_, i) => [i % 2 ? 'Oslo' : 'Rome', i, i + 5 + (i % 3)])
+};
+
+describe('parseConstraints', () => {
+  it('reads comparisons and reports unknown columns', () => {
+    const { constraints, errors } = parseConstraints('end >= start\nsize > 0', table.headers);
+    expect(constraints).toHaveLength(1);
+    expect(errors[0].message).toMatch(/size/);
+    expect(checkConstraint(constraints[0], ['Oslo', 3, 2])).toBe(false);
+  });
+});
+
+describe('synthesize', () => {
+  it('generates the requested rows reproducibly and within the constraints', () => {
+    const { constraints } = parseConstraints('end >= start', table.headers);
+    const options = { rows: 50, distribution: 'similar' as const, outliers: false, seed: 7 };
+    const first = synthesize(table, ['categorical', 'integer', 'integer'], options, constraints);
+    const second = synthesize(table, ['categorical', 'integer', 'integer'], options, constraints);
+    expect(first.table.rows).toHaveLength(50);
+    expect(first.table.rows).toEqual(second.table.rows);
+    expect(first.table.rows.every(row => ['Oslo', 'Rome'].includes(row[0] as string))).toBe(true);
+    expect(first.violations.every(violation => violation.rows === 0)).toBe(true);
+  });
+});
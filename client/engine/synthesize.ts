@@ -0,0 +1,555 @@
+import { Cell, Table } from './types';
+import { ColumnType, isNumericType } from './schema';
+import { Constraint, cellToComparable, checkConstraint, derivedColumn, evaluateExpression } from './constraints';
+import { cholesky, correlationMatrix, mean, normalCdf, normalQuantile, standardDeviation } from './stats';
+import { dateToTimestamp } from './standardize';
+import { cellToString, countDecimals, isMissing, parseNumber, roundTo } from './values';
+
+export type DataDistribution = 'similar' | 'normal' | 'random';
+
+export interface SynthesisOptions {
+  rows: number;
+  // similar: follow the learned histograms and frequencies; normal: bell curve
+  // around the column mean; random: uniform over the observed range and values
+  distribution: DataDistribution;
+  outliers: boolean;
+  seed: number;
+}
+
+export const DEFAULT_SYNTHESIS_OPTIONS: SynthesisOptions = {
+  rows: 100,
+  distribution: 'similar',
+  outliers: true,
+  seed: 42
+};
+
+interface Weighted<T> {
+  values: T[];
+  weights: number[];
+}
+
+export type ColumnModel = { missingRate: number } & (
+  | {
+      kind: 'numeric';
+      // Dates are modelled as UTC milliseconds and written back as ISO strings
+      format: 'number' | 'date' | 'datetime';
+      decimals: number;
+      min: number;
+      max: number;
+      mean: number;
+      std: number;
+      // Evenly spaced order statistics: the learned distribution, as an inverse CDF
+      quantiles: number[];
+    }
+  | { kind: 'categorical'; frequencies: Weighted<Cell> }
+  // Shapes such as "Aaaa 99": A upper case, a lower case, 9 digit, anything else literal
+  | { kind: 'pattern'; patterns: Weighted<string> }
+);
+
+const MAX_QUANTILES = 1001;
+const MAX_PATTERNS = 100;
+const OUTLIER_RATE = 0.02;
+// Outliers land this many standard deviations outside the mean
+const OUTLIER_SPREAD = [4, 8];
+
+const UPPER = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const LOWER = 'abcdefghijklmnopqrstuvwxyz';
+const DIGITS = '0123456789';
+
+export type Random = () => number;
+
+// mulberry32: small, fast and good enough for sampling; the same seed always gives the same rows
+export const createRandom = (seed: number): Random => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const gaussian = (random: Random): number => {
+  // Box-Muller; 1 - random() keeps the log argument above zero
+  const u = 1 - random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+const pickIndex = (weights: number[], random: Random): number => {
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  let target = random() * total;
+  for (let i = 0; i < weights.length; i++) {
+    target -= weights[i];
+    if (target < 0) return i;
+  }
+  return weights.length - 1;
+};
+
+const countValues = <T>(values: T[], key: (value: T) => string): Weighted<T> => {
+  const counts = new Map<string, { value: T; count: number }>();
+  for (const value of values) {
+    const entry = counts.get(key(value));
+    if (entry) entry.count++;
+    else counts.set(key(value), { value, count: 1 });
+  }
+  const sorted = [...counts.values()].sort((a, b) => b.count - a.count);
+  return { values: sorted.map(entry => entry.value), weights: sorted.map(entry => entry.count) };
+};
+
+export const valuePattern = (value: string): string =>
+  value.replace(/\\/g, '\\\\').replace(/\p{Lu}/gu, 'A').replace(/\p{Ll}/gu, 'a').replace(/\d/g, '9');
+
+// Email domains are kept literally so generated addresses stay plausible
+const emailPattern = (value: string): string => {
+  const at = value.lastIndexOf('@');
+  return at < 0 ? valuePattern(value) : `${valuePattern(value.slice(0, at))}@${value.slice(at + 1).replace(/[Aa9\\]/g, '\\$&')}`;
+};
+
+const toTimestamp = (value: Cell): number | null => dateToTimestamp(cellToString(value));
+
+const learnNumeric = (numbers: number[], format: 'number' | 'date' | 'datetime', decimals: number, missingRate: number): ColumnModel => {
+  const sorted = [...numbers].sort((a, b) => a - b);
+  const min = sorted[0];
+  const max = sorted[sorted.length - 1];
+  const quantileCount = Math.min(sorted.length, MAX_QUANTILES);
+  const quantiles = Array.from({ length: quantileCount }, (_, i) =>
+    sorted[quantileCount === 1 ? 0 : Math.round((i * (sorted.length - 1)) / (quantileCount - 1))]
+  );
+  return {
+    kind: 'numeric',
+    format,
+    decimals,
+    min,
+    max,
+    mean: mean(numbers),
+    std: standardDeviation(numbers),
+    quantiles,
+    missingRate
+  };
+};
+
+export const learnColumnModel = (values: Cell[], type: ColumnType): ColumnModel => {
+  const present = values.filter(value => !isMissing(value));
+  const missingRate = values.length === 0 ? 0 : 1 - present.length / values.length;
+  if (present.length === 0) return { kind: 'categorical', frequencies: { values: [null], weights: [1] }, missingRate: 1 };
+
+  if (isNumericType(type)) {
+    const numbers = present.map(parseNumber).filter((value): value is number => value !== null);
+    if (numbers.length > 0) {
+      const decimals = type === 'integer' ? 0 : present.reduce<number>((most, value) => Math.max(most, countDecimals(value)), 0);
+      return learnNumeric(numbers, 'number', decimals, missingRate);
+    }
+  }
+
+  if (type === 'date') {
+    const stamps = present.map(toTimestamp).filter((value): value is number => value !== null);
+    if (stamps.length > 0) {
+      const withTime = present.filter(value => /\d:\d{2}/.test(cellToString(value))).length > present.length / 2;
+      return learnNumeric(stamps, withTime ? 'datetime' : 'date', 0, missingRate);
+    }
+  }
+
+  if (type === 'categorical' || type === 'boolean') {
+    return { kind: 'categorical', frequencies: countValues(present, cellToString), missingRate };
+  }
+
+  const shape = type === 'email' ? emailPattern : valuePattern;
+  const patterns = countValues(present.map(value => shape(cellToString(value))), pattern => pattern);
+  return {
+    kind: 'pattern',
+    patterns: { values: patterns.values.slice(0, MAX_PATTERNS), weights: patterns.weights.slice(0, MAX_PATTERNS) },
+    missingRate
+  };
+};
+
+export const learnModels = (table: Table, types: ColumnType[]): ColumnModel[] =>
+  table.headers.map((_, column) => learnColumnModel(table.rows.map(row => row[column] ?? null), types[column] || 'text'));
+
+export const fillPattern = (pattern: string, random: Random): string => {
+  let result = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '\\') result += pattern[++i];
+    else if (char === 'A') result += UPPER[Math.floor(random() * UPPER.length)];
+    else if (char === 'a') result += LOWER[Math.floor(random() * LOWER.length)];
+    else if (char === '9') result += DIGITS[Math.floor(random() * DIGITS.length)];
+    else result += char;
+  }
+  return result;
+};
+
+type NumericModel = Extract<ColumnModel, { kind: 'numeric' }>;
+
+const sampleOutlier = (model: NumericModel, random: Random): number => {
+  const spread = OUTLIER_SPREAD[0] + random() * (OUTLIER_SPREAD[1] - OUTLIER_SPREAD[0]);
+  const scale = model.std || Math.abs(model.mean) || 1;
+  return model.mean + (random() < 0.5 ? -1 : 1) * spread * scale;
+};
+
+// Value at cumulative probability u, interpolating between the stored quantiles
+const quantileValue = (model: NumericModel, u: number): number => {
+  const position = u * (model.quantiles.length - 1);
+  const lower = Math.floor(position);
+  const upper = Math.min(model.quantiles.length - 1, lower + 1);
+  return model.quantiles[lower] + (model.quantiles[upper] - model.quantiles[lower]) * (position - lower);
+};
+
+const sampleNumber = (model: NumericModel, options: SynthesisOptions, random: Random): number => {
+  if (options.outliers && random() < OUTLIER_RATE) return sampleOutlier(model, random);
+  if (options.distribution === 'random') return model.min + random() * (model.max - model.min);
+  if (options.distribution === 'normal') {
+    // Without outliers the bell curve stays inside the observed range
+    const value = model.mean + gaussian(random) * model.std;
+    return Math.min(model.max, Math.max(model.min, value));
+  }
+  return quantileValue(model, random());
+};
+
+const formatNumber = (model: NumericModel, value: number): Cell => {
+  if (model.format === 'number') return roundTo(value, model.decimals);
+  const iso = new Date(Math.round(value)).toISOString();
+  return model.format === 'date' ? iso.slice(0, 10) : iso.slice(0, 19);
+};
+
+const samplePresent = (model: ColumnModel, options: SynthesisOptions, random: Random): Cell => {
+  switch (model.kind) {
+    case 'numeric':
+      return formatNumber(model, sampleNumber(model, options, random));
+    case 'categorical': {
+      const { values, weights } = model.frequencies;
+      return options.distribution === 'random' ? values[Math.floor(random() * values.length)] : values[pickIndex(weights, random)];
+    }
+    case 'pattern': {
+      const { values, weights } = model.patterns;
+      const pattern = options.distribution === 'random' ? values[Math.floor(random() * values.length)] : values[pickIndex(weights, random)];
+      return fillPattern(pattern, random);
+    }
+  }
+};
+
+export const sampleValue = (model: ColumnModel, options: SynthesisOptions, random: Random): Cell =>
+  random() < model.missingRate ? null : samplePresent(model, options, random);
+
+export interface Dependency {
+  parent: number;
+  child: number;
+  // Child values seen with each parent value
+  conditional: Record<string, Weighted<Cell>>;
+  // Uncertainty coefficient, 0..1; 1 is a functional dependency such as city -> country
+  strength: number;
+}
+
+export interface SynthesisModel {
+  headers: string[];
+  columns: ColumnModel[];
+  // Columns drawn jointly through a Gaussian copula, with the Cholesky factor of their correlation
+  copulaColumns: number[];
+  cholesky: number[][];
+  // Parents always come before their children
+  dependencies: Dependency[];
+}
+
+export interface CorrelationReport {
+  columns: string[];
+  original: number[][];
+  synthetic: number[][];
+  // Mean absolute difference between the two matrices over distinct column pairs
+  meanAbsoluteError: number;
+}
+
+export interface ConstraintViolation {
+  constraint: string;
+  rows: number;
+}
+
+export interface SynthesisResult {
+  table: Table;
+  correlation: CorrelationReport;
+  violations: ConstraintViolation[];
+}
+
+// A categorical column follows another once knowing the parent removes this much of its uncertainty
+const DEPENDENCY_STRENGTH = 0.5;
+// Rows needed per parent value on average, so sparse parents do not look predictive by chance
+const DEPENDENCY_SUPPORT = 5;
+const CONSTRAINT_ATTEMPTS = 50;
+
+const entropy = (counts: Iterable<number>, total: number): number => {
+  let result = 0;
+  for (const count of counts) {
+    if (count > 0) result -= (count / total) * Math.log(count / total);
+  }
+  return result;
+};
+
+const findDependencies = (table: Table, columns: ColumnModel[]): Dependency[] => {
+  const candidates = columns
+    .map((model, column) => (model.kind === 'categorical' && model.frequencies.values.length > 1 ? column : -1))
+    .filter(column => column >= 0);
+  const keys = (column: number) => table.rows.map(row => (isMissing(row[column] ?? null) ? null : cellToString(row[column])));
+  const columnKeys = new Map(candidates.map(column => [column, keys(column)]));
+
+  const edges: Dependency[] = [];
+  for (const parent of candidates) {
+    const parentModel = columns[parent] as Extract<ColumnModel, { kind: 'categorical' }>;
+    if (parentModel.frequencies.values.length * DEPENDENCY_SUPPORT > table.rows.length) continue;
+    const parentKeys = columnKeys.get(parent)!;
+    for (const child of candidates) {
+      if (child === parent) continue;
+      const childKeys = columnKeys.get(child)!;
+      const joint = new Map<string, Map<string, { value: Cell; count: number }>>();
+      const childCounts = new Map<string, number>();
+      let total = 0;
+      table.rows.forEach((row, index) => {
+        const parentKey = parentKeys[index];
+        const childKey = childKeys[index];
+        if (parentKey === null || childKey === null) return;
+        total++;
+        childCounts.set(childKey, (childCounts.get(childKey) || 0) + 1);
+        const given = joint.get(parentKey) || new Map<string, { value: Cell; count: number }>();
+        joint.set(parentKey, given);
+        const entry = given.get(childKey);
+        if (entry) entry.count++;
+        else given.set(childKey, { value: row[child], count: 1 });
+      });
+      const childEntropy = entropy(childCounts.values(), total);
+      if (total === 0 || childEntropy === 0) continue;
+
+      let conditionalEntropy = 0;
+      const conditional: Record<string, Weighted<Cell>> = {};
+      for (const [parentKey, given] of joint) {
+        const entries = [...given.values()].sort((a, b) => b.count - a.count);
+        const count = entries.reduce((sum, entry) => sum + entry.count, 0);
+        conditionalEntropy += (count / total) * entropy(entries.map(entry => entry.count), count);
+        conditional[parentKey] = { values: entries.map(entry => entry.value), weights: entries.map(entry => entry.count) };
+      }
+      const strength = 1 - conditionalEntropy / childEntropy;
+      if (strength >= DEPENDENCY_STRENGTH) edges.push({ parent, child, conditional, strength });
+    }
+  }
+
+  // Strongest first; one parent per column and no cycles, so the result is a forest
+  const parentOf = new Map<number, number>();
+  const accepted: Dependency[] = [];
+  for (const edge of edges.sort((a, b) => b.strength - a.strength)) {
+    if (parentOf.has(edge.child)) continue;
+    let ancestor: number | undefined = edge.parent;
+    while (ancestor !== undefined && ancestor !== edge.child) ancestor = parentOf.get(ancestor);
+    if (ancestor === edge.child) continue;
+    parentOf.set(edge.child, edge.parent);
+    accepted.push(edge);
+  }
+  const depth = (column: number): number => (parentOf.has(column) ? 1 + depth(parentOf.get(column)!) : 0);
+  return accepted.sort((a, b) => depth(a.child) - depth(b.child));
+};
+
+// Where each value sits on the standard normal scale: mid-rank for numbers,
+// the middle of the category's frequency band for categories
+const normalScores = (table: Table, column: number, model: ColumnModel): (number | null)[] => {
+  const cells = table.rows.map(row => row[column] ?? null);
+  if (model.kind === 'categorical') {
+    const { values, weights } = model.frequencies;
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    const scores = new Map<string, number>();
+    let cumulative = 0;
+    values.forEach((value, index) => {
+      scores.set(cellToString(value), normalQuantile((cumulative + weights[index] / 2) / total));
+      cumulative += weights[index];
+    });
+    return cells.map(cell => (isMissing(cell) ? null : scores.get(cellToString(cell)) ?? null));
+  }
+
+  const numbers = cells.map(cell => (isMissing(cell) ? null : cellToComparable(cell)));
+  const order = numbers.map((_, index) => index).filter(index => numbers[index] !== null);
+  order.sort((a, b) => numbers[a]! - numbers[b]!);
+  const scores: (number | null)[] = new Array(cells.length).fill(null);
+  for (let start = 0; start < order.length;) {
+    let end = start;
+    while (end + 1 < order.length && numbers[order[end + 1]] === numbers[order[start]]) end++;
+    const rank = (start + end) / 2 + 1;
+    for (let i = start; i <= end; i++) scores[order[i]] = normalQuantile(rank / (order.length + 1));
+    start = end + 1;
+  }
+  return scores;
+};
+
+export const learnSynthesisModel = (table: Table, types: ColumnType[]): SynthesisModel => {
+  const columns = learnModels(table, types);
+  const dependencies = findDependencies(table, columns);
+  const children = new Set(dependencies.map(dependency => dependency.child));
+  const copulaColumns = columns
+    .map((model, column) => ((model.kind === 'numeric' || model.kind === 'categorical') && !children.has(column) ? column : -1))
+    .filter(column => column >= 0);
+
+  const correlation = correlationMatrix(copulaColumns.map(column => normalScores(table, column, columns[column])));
+  // Pairwise estimates need not form a valid correlation matrix; shrink towards independence until they do
+  let factor: number[][] | null = null;
+  for (let shrink = 0; !factor; shrink = Math.min(1, shrink + 0.05)) {
+    factor = cholesky(correlation.map((row, i) => row.map((value, j) => (i === j ? 1 : value * (1 - shrink)))));
+  }
+  return { headers: [...table.headers], columns, copulaColumns, cholesky: factor, dependencies };
+};
+
+const copulaValue = (model: ColumnModel, u: number, options: SynthesisOptions, random: Random): Cell => {
+  if (model.kind === 'numeric') {
+    const outlier = options.outliers && random() < OUTLIER_RATE;
+    return formatNumber(model, outlier ? sampleOutlier(model, random) : quantileValue(model, u));
+  }
+  if (model.kind === 'categorical') {
+    const { values, weights } = model.frequencies;
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    let target = u * total;
+    for (let i = 0; i < values.length; i++) {
+      target -= weights[i];
+      if (target < 0) return values[i];
+    }
+    return values[values.length - 1];
+  }
+  return samplePresent(model, options, random);
+};
+
+// "Similar to Original" keeps relationships between columns; the other modes sample columns independently
+const sampleRow = (model: SynthesisModel, options: SynthesisOptions, random: Random): Cell[] => {
+  if (options.distribution !== 'similar') return model.columns.map(column => sampleValue(column, options, random));
+
+  const row: Cell[] = model.columns.map(column => (column.kind === 'pattern' ? samplePresent(column, options, random) : null));
+  const normals = model.copulaColumns.map(() => gaussian(random));
+  model.copulaColumns.forEach((column, index) => {
+    const z = model.cholesky[index].reduce((sum, weight, k) => sum + weight * normals[k], 0);
+    row[column] = copulaValue(model.columns[column], normalCdf(z), options, random);
+  });
+  for (const dependency of model.dependencies) {
+    const given = dependency.conditional[cellToString(row[dependency.parent])];
+    row[dependency.child] = given
+      ? given.values[pickIndex(given.weights, random)]
+      : samplePresent(model.columns[dependency.child], options, random);
+  }
+  return row.map((cell, column) => (random() < model.columns[column].missingRate ? null : cell));
+};
+
+const uniqueKey = (row: Cell[], columns: number[]): string | null =>
+  columns.some(column => isMissing(row[column])) ? null : JSON.stringify(columns.map(column => cellToString(row[column])));
+
+export const generateRows = (model: SynthesisModel, options: SynthesisOptions, constraints: Constraint[] = []): Table => {
+  const random = createRandom(options.seed);
+  const seen = constraints.map(() => new Set<string>());
+  // Largest value generated so far in each column with a unique constraint
+  const highest = new Map<number, number>();
+  const rows: Cell[][] = [];
+
+  const applyDerived = (row: Cell[]) => {
+    constraints.forEach(constraint => {
+      const column = derivedColumn(constraint);
+      if (column === null || constraint.kind !== 'compare') return;
+      const value = evaluateExpression(constraint.right, row);
+      const columnModel = model.columns[column];
+      row[column] = value === null ? null : columnModel.kind === 'numeric' ? formatNumber(columnModel, value) : value;
+    });
+  };
+  const failures = (row: Cell[]) =>
+    constraints.filter((constraint, index) => {
+      if (constraint.kind === 'compare') return !checkConstraint(constraint, row);
+      const key = uniqueKey(row, constraint.columns);
+      return key !== null && seen[index].has(key);
+    }).length;
+  // Last resort once sampling keeps failing: swap the two sides of a column comparison,
+  // and continue a numeric unique key past the largest value so far
+  const repair = (row: Cell[]) => {
+    constraints.forEach((constraint, index) => {
+      if (constraint.kind === 'compare') {
+        if (checkConstraint(constraint, row) || constraint.left.type !== 'column' || constraint.right.type !== 'column') return;
+        const { column: a } = constraint.left;
+        const { column: b } = constraint.right;
+        [row[a], row[b]] = [row[b], row[a]];
+        if (!checkConstraint(constraint, row)) [row[a], row[b]] = [row[b], row[a]];
+        return;
+      }
+      const key = uniqueKey(row, constraint.columns);
+      const column = constraint.columns[0];
+      const columnModel = model.columns[column];
+      if (key === null || !seen[index].has(key) || constraint.columns.length > 1 || columnModel.kind !== 'numeric' || columnModel.format !== 'number') return;
+      row[column] = formatNumber(columnModel, Math.floor(Math.max(columnModel.max, highest.get(column) ?? -Infinity)) + 1);
+    });
+  };
+
+  for (let i = 0; i < options.rows; i++) {
+    // Resample until every constraint holds, keeping the closest row in case none does
+    let best: Cell[] = [];
+    let bestFailures = Infinity;
+    for (let attempt = 0; attempt < CONSTRAINT_ATTEMPTS && bestFailures > 0; attempt++) {
+      const candidate = sampleRow(model, options, random);
+      applyDerived(candidate);
+      const failed = failures(candidate);
+      if (failed < bestFailures) {
+        best = candidate;
+        bestFailures = failed;
+      }
+    }
+    const row = best;
+    if (bestFailures > 0) repair(row);
+    constraints.forEach((constraint, index) => {
+      if (constraint.kind !== 'unique') return;
+      const key = uniqueKey(row, constraint.columns);
+      if (key !== null) seen[index].add(key);
+      const value = parseNumber(row[constraint.columns[0]]);
+      if (value !== null) highest.set(constraint.columns[0], Math.max(value, highest.get(constraint.columns[0]) ?? value));
+    });
+    rows.push(row);
+  }
+  return { headers: [...model.headers], rows };
+};
+
+export const countViolations = (table: Table, constraints: Constraint[]): ConstraintViolation[] =>
+  constraints.map(constraint => {
+    if (constraint.kind === 'compare') {
+      return { constraint: constraint.source, rows: table.rows.filter(row => !checkConstraint(constraint, row)).length };
+    }
+    const seen = new Set<string>();
+    let rows = 0;
+    for (const row of table.rows) {
+      const key = uniqueKey(row, constraint.columns);
+      if (key === null) continue;
+      if (seen.has(key)) rows++;
+      else seen.add(key);
+    }
+    return { constraint: constraint.source, rows };
+  });
+
+// Compares Pearson correlations between the numeric and date columns of both tables
+export const compareCorrelations = (original: Table, synthetic: Table, columns: ColumnModel[]): CorrelationReport => {
+  const numeric = columns.map((model, column) => (model.kind === 'numeric' ? column : -1)).filter(column => column >= 0);
+  const values = (table: Table) => numeric.map(column => table.rows.map(row => cellToComparable(row[column] ?? null)));
+  const originalMatrix = correlationMatrix(values(original));
+  const syntheticMatrix = correlationMatrix(values(synthetic));
+  let difference = 0;
+  let pairs = 0;
+  for (let i = 0; i < numeric.length; i++) {
+    for (let j = i + 1; j < numeric.length; j++) {
+      difference += Math.abs(originalMatrix[i][j] - syntheticMatrix[i][j]);
+      pairs++;
+    }
+  }
+  return {
+    columns: numeric.map(column => original.headers[column]),
+    original: originalMatrix,
+    synthetic: syntheticMatrix,
+    meanAbsoluteError: pairs === 0 ? 0 : difference / pairs
+  };
+};
+
+export const synthesize = (
+  table: Table,
+  types: ColumnType[],
+  options: SynthesisOptions,
+  constraints: Constraint[] = []
+): SynthesisResult => {
+  const model = learnSynthesisModel(table, types);
+  const generated = generateRows(model, options, constraints);
+  return {
+    table: generated,
+    correlation: compareCorrelations(table, generated, model.columns),
+    violations: countViolations(generated, constraints)
+  };
+};
@@ -0,0 +1,86 @@
+import { DedupOptions } from './dedupe';
+import { TableEdit } from './edits';
+import { FakeDetectionOptions } from './fakes';
+import { OutlierOptions } from './outliers';
+import { PrivacyOptions } from './privacy';
+import { ReferenceLookup } from './reference';
+import { StandardizeOptions } from './standardize';
+
+export type Cell = string | number | boolean | null;
+
+export interface Table {
+  headers: string[];
+  rows: Cell[][];
+}
+
+export type MissingValueStrategy = 'mean' | 'median' | 'mode' | 'remove' | 'zero';
+
+// Per-column strategies add a fixed replacement and leaving the gap alone
+export type ColumnMissingStrategy = MissingValueStrategy | 'constant' | 'keep';
+
+// Unset fields fall back to the global option of the same name
+export interface ColumnRule {
+  missingValues?: ColumnMissingStrategy;
+  constant?: string;
+  standardizeFormats?: boolean;
+}
+
+export interface CleaningOptions {
+  removeDuplicates: boolean;
+  missingValues: MissingValueStrategy;
+  standardizeFormats: boolean;
+  // Keyed by column header so rules survive column reordering between files
+  columnRules?: Record<string, ColumnRule>;
+  // How rows are matched when removeDuplicates is on; exact whole-row matching when unset
+  dedup?: DedupOptions;
+  // Which format rules standardizeFormats applies; all of them, US conventions, when unset
+  standardize?: StandardizeOptions;
+  // Flag or treat numeric outliers after duplicates are merged and before gaps are filled
+  handleOutliers?: boolean;
+  // DEFAULT_OUTLIER_OPTIONS when unset
+  outliers?: OutlierOptions;
+  // Replace personal data in the columns listed in `privacy`, after all other steps
+  anonymize?: boolean;
+  privacy?: PrivacyOptions;
+  // How confident fake detection must be to flag a row; DEFAULT_FAKE_DETECTION_OPTIONS when unset
+  fakeDetection?: FakeDetectionOptions;
+  // Hand edits and find/replace runs, applied to the input before everything else
+  edits?: TableEdit[];
+  // Columns checked against reference lists, after formats are standardized
+  lookups?: ReferenceLookup[];
+}
+
+export type CleaningOperation =
+  | 'manualEdits'
+  | 'removeDuplicates'
+  | 'handleOutliers'
+  | 'missingValues'
+  | 'standardizeFormats'
+  | 'referenceLookups'
+  | 'anonymize';
+
+// Duplicate matching, imputation and so on, plus the type inference that precedes them.
+// Manual edits are quick enough to count as part of the analysis.
+export type CleaningStage = 'analyze' | Exclude<CleaningOperation, 'manualEdits'>;
+
+// Called every few thousand rows with how far a stage has got
+export type CleaningProgress = (stage: CleaningStage, rowsDone: number, totalRows: number) => void;
+
+export interface Change {
+  operation: CleaningOperation;
+  // Index of the row in the input table, so changes survive row removal
+  row: number;
+  // null when the whole row was removed
+  column: number | null;
+  before: Cell;
+  after: Cell;
+  rule: string;
+}
+
+export interface CleaningResult {
+  table: Table;
+  // Input row index for every output row
+  rowIds: number[];
+  changes: Change[];
+  summary: Record<CleaningOperation, number>;
+}
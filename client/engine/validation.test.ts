@@ -0,0 +1,50 @@
+import { describe, expect, it } from 'vitest';
+import { parseRuleSet, splitByValidation, validateTable } from './validation';
+import { Table } from './types';
+
+const table: Table = {
+  headers: ['id', 'email', 'age', 'start', 'end'],
+  rows: [
+    [1, 'a@x.com', 30, '2024-01-01', '2024-02-01'],
+    [2, null, 130, '2024-03-01', '2024-02-01'],
+    [1, 'not-an-email', 20, '2024-01-01', '2024-01-02']
+  ]
+};
+
+describe('validateTable', () => {
+  it('reports each broken rule by input row id', () => {
+    const report = validateTable(table, [
+      { kind: 'required', column: 'email' },
+      { kind: 'pattern', column: 'email', pattern: '^\\S+@\\S+$' },
+      { kind: 'range', column: 'age', min: 0, max: 120 },
+      { kind: 'unique', columns: ['id'] },
+      { kind: 'expression', expression: 'end >= start' }
+    ], [10, 11, 12]);
+    expect(report.counts).toEqual([1, 1, 1, 1, 1]);
+    expect([...report.rows].sort()).toEqual([11, 12]);
+  });
+
+  it('splits the table into passing and failing rows with their errors', () => {
+    const report = validateTable(table, [{ kind: 'required', column: 'email' }]);
+    const { valid, invalid } = splitByValidation(table, [0, 1, 2], report);
+    expect(valid.rows).toHaveLength(2);
+    expect(invalid.rows[0][invalid.headers.length - 1]).toBe('email: Missing');
+  });
+});
+
+describe('parseRuleSet', () => {
+  it('turns a JSON Schema into rules', () => {
+    const ruleSet = parseRuleSet(JSON.stringify({
+      title: 'People',
+      required: ['email'],
+      properties: { age: { type: 'integer', minimum: 0 }, status: { enum: ['active', 'closed'] } },
+      'x-unique': [['email']]
+    }));
+    expect(ruleSet.name).toBe('People');
+    expect(ruleSet.rules.map(rule => rule.kind)).toEqual(['required', 'range', 'allowed', 'unique']);
+  });
+
+  it('names the broken rule', () => {
+    expect(() => parseRuleSet('[{"kind":"pattern","column":"a","pattern":"("}]')).toThrow(/^Rule 1:/);
+  });
+});
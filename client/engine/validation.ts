@@ -0,0 +1,287 @@
+import { Cell, Table } from './types';
+import { cellToComparable, checkConstraint, Constraint, expressionColumns, parseConstraints, resolveColumn } from './constraints';
+import { cellToString, isMissing } from './values';
+
+export type RuleValue = string | number | boolean;
+
+// Columns are named by header so one rule set fits every export with those columns
+export type ValidationRule = {
+  // Shown in the report instead of the generated description
+  name?: string;
+} & (
+  | { kind: 'required'; column: string }
+  | { kind: 'pattern'; column: string; pattern: string; ignoreCase?: boolean }
+  // Bounds are numbers, or dates for date columns; either may be left out
+  | { kind: 'range'; column: string; min?: number | string; max?: number | string }
+  | { kind: 'allowed'; column: string; values: RuleValue[]; ignoreCase?: boolean }
+  | { kind: 'unique'; columns: string[] }
+  // A comparison in the synthesis constraint syntax, e.g. "end_date >= start_date"
+  | { kind: 'expression'; expression: string }
+);
+
+export type ValidationRuleKind = ValidationRule['kind'];
+
+export interface ValidationRuleSet {
+  name: string;
+  rules: ValidationRule[];
+}
+
+export interface Violation {
+  // Index into the rule set
+  rule: number;
+  // Input row id; null when the rule could not be checked at all, e.g. its column is missing
+  row: number | null;
+  column: number | null;
+  value: Cell;
+  message: string;
+}
+
+export interface ValidationReport {
+  violations: Violation[];
+  // Violations per rule, in rule set order
+  counts: number[];
+  // Input row ids with at least one violation
+  rows: Set<number>;
+}
+
+const RULE_KINDS: ValidationRuleKind[] = ['required', 'pattern', 'range', 'allowed', 'unique', 'expression'];
+
+export const describeRule = (rule: ValidationRule): string => {
+  if (rule.name) return rule.name;
+  switch (rule.kind) {
+    case 'required':
+      return `${rule.column} is required`;
+    case 'pattern':
+      return `${rule.column} matches /${rule.pattern}/`;
+    case 'range':
+      if (rule.min !== undefined && rule.max !== undefined) return `${rule.column} is between ${rule.min} and ${rule.max}`;
+      if (rule.min !== undefined) return `${rule.column} is at least ${rule.min}`;
+      if (rule.max !== undefined) return `${rule.column} is at most ${rule.max}`;
+      return `${rule.column} is a number or date`;
+    case 'allowed':
+      return `${rule.column} is one of ${rule.values.join(', ')}`;
+    case 'unique':
+      return `${rule.columns.join(', ')} ${rule.columns.length > 1 ? 'are' : 'is'} unique`;
+    case 'expression':
+      return rule.expression;
+  }
+};
+
+type Report = (row: number, column: number | null, value: Cell, message: string) => void;
+
+const rangeBound = (bound: number | string | undefined): number | null => {
+  if (bound === undefined) return null;
+  const comparable = cellToComparable(bound);
+  if (comparable === null) throw new Error(`"${bound}" is not a number or date`);
+  return comparable;
+};
+
+// Every row after the first with the same key; rows missing the whole key are left alone
+const checkUnique = (table: Table, rowIds: number[], columns: number[], report: Report) => {
+  const seen = new Map<string, number>();
+  table.rows.forEach((cells, position) => {
+    const values = columns.map(column => cells[column] ?? null);
+    if (values.every(isMissing)) return;
+    const key = values.map(cellToString).join('\u0000');
+    const first = seen.get(key);
+    if (first === undefined) seen.set(key, rowIds[position]);
+    else report(rowIds[position], columns.length === 1 ? columns[0] : null, values.map(cellToString).join(', '), `Same as row ${first + 1}`);
+  });
+};
+
+const checkConstraintRule = (table: Table, rowIds: number[], constraint: Constraint, report: Report) => {
+  if (constraint.kind === 'unique') {
+    checkUnique(table, rowIds, constraint.columns, report);
+    return;
+  }
+  const column = expressionColumns(constraint.left)[0] ?? null;
+  table.rows.forEach((cells, position) => {
+    if (!checkConstraint(constraint, cells)) {
+      report(rowIds[position], column, column === null ? null : cells[column] ?? null, `Fails ${constraint.source}`);
+    }
+  });
+};
+
+// Throws when the rule cannot be checked against this table
+const checkRule = (table: Table, rowIds: number[], rule: ValidationRule, report: Report) => {
+  if (rule.kind === 'unique') {
+    checkUnique(table, rowIds, rule.columns.map(name => resolveColumn(name, table.headers)), report);
+    return;
+  }
+  if (rule.kind === 'expression') {
+    const { constraints, errors } = parseConstraints(rule.expression, table.headers);
+    if (errors.length > 0) throw new Error(errors[0].message);
+    constraints.forEach(constraint => checkConstraintRule(table, rowIds, constraint, report));
+    return;
+  }
+
+  const column = resolveColumn(rule.column, table.headers);
+  let check: (cell: Cell) => string | null;
+  if (rule.kind === 'required') {
+    check = () => 'Missing';
+  } else if (rule.kind === 'pattern') {
+    const pattern = new RegExp(rule.pattern, rule.ignoreCase ? 'i' : '');
+    check = cell => (pattern.test(cellToString(cell)) ? null : `Does not match /${rule.pattern}/`);
+  } else if (rule.kind === 'range') {
+    const min = rangeBound(rule.min);
+    const max = rangeBound(rule.max);
+    check = cell => {
+      const value = cellToComparable(cell);
+      if (value === null) return 'Not a number or date';
+      if (min !== null && value < min) return `Below ${rule.min}`;
+      if (max !== null && value > max) return `Above ${rule.max}`;
+      return null;
+    };
+  } else {
+    const normalize = (value: Cell) => (rule.ignoreCase ? cellToString(value).toLowerCase() : cellToString(value));
+    const allowed = new Set(rule.values.map(normalize));
+    check = cell => (allowed.has(normalize(cell)) ? null : 'Not an allowed value');
+  }
+
+  table.rows.forEach((cells, position) => {
+    const cell = cells[column] ?? null;
+    // Only the required rule looks at gaps; the others check the values that are there
+    if (isMissing(cell) !== (rule.kind === 'required')) return;
+    const message = check(cell);
+    if (message) report(rowIds[position], column, cell, message);
+  });
+};
+
+// `rowIds` maps table rows back to the input, like CleaningResult.rowIds
+export const validateTable = (table: Table, rules: ValidationRule[], rowIds: number[] = table.rows.map((_, id) => id)): ValidationReport => {
+  const report: ValidationReport = { violations: [], counts: rules.map(() => 0), rows: new Set() };
+  rules.forEach((rule, index) => {
+    try {
+      checkRule(table, rowIds, rule, (row, column, value, message) => {
+        report.violations.push({ rule: index, row, column, value, message });
+        report.counts[index]++;
+        report.rows.add(row);
+      });
+    } catch (error) {
+      report.violations.push({ rule: index, row: null, column: null, value: null, message: (error as Error).message });
+      report.counts[index]++;
+    }
+  });
+  return report;
+};
+
+// One line per violation, for export
+export const violationsTable = (report: ValidationReport, rules: ValidationRule[], headers: string[]): Table => ({
+  headers: ['rule', 'row', 'column', 'value', 'message'],
+  rows: report.violations.map(violation => [
+    describeRule(rules[violation.rule]),
+    violation.row === null ? null : violation.row + 1,
+    violation.column === null ? null : headers[violation.column],
+    violation.value,
+    violation.message
+  ])
+});
+
+// The rows that pass every rule, and the ones that do not with their violations alongside
+export const splitByValidation = (
+  table: Table,
+  rowIds: number[],
+  report: ValidationReport
+): { valid: Table; invalid: Table } => {
+  const messages = new Map<number, string[]>();
+  for (const violation of report.violations) {
+    if (violation.row === null) continue;
+    const column = violation.column === null ? '' : `${table.headers[violation.column]}: `;
+    const list = messages.get(violation.row) || [];
+    list.push(`${column}${violation.message}`);
+    messages.set(violation.row, list);
+  }
+  const valid: Cell[][] = [];
+  const invalid: Cell[][] = [];
+  table.rows.forEach((cells, position) => {
+    const found = messages.get(rowIds[position]);
+    if (found) invalid.push([...cells, found.join('; ')]);
+    else valid.push(cells);
+  });
+  return {
+    valid: { headers: table.headers, rows: valid },
+    invalid: { headers: [...table.headers, 'validation_errors'], rows: invalid }
+  };
+};
+
+const isObject = (value: unknown): value is Record<string, unknown> =>
+  typeof value === 'object' && value !== null && !Array.isArray(value);
+
+const isRuleValue = (value: unknown): value is RuleValue =>
+  typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean';
+
+const isBound = (value: unknown) => value === undefined || typeof value === 'number' || typeof value === 'string';
+
+// Throws with the rule's number so a broken file points at the entry to fix
+const parseRule = (entry: unknown, index: number): ValidationRule => {
+  const fail = (message: string): never => {
+    throw new Error(`Rule ${index + 1}: ${message}`);
+  };
+  if (!isObject(entry)) return fail('not an object');
+  const kind = entry.kind as ValidationRuleKind;
+  if (!RULE_KINDS.includes(kind)) return fail(`unknown kind "${String(entry.kind)}"`);
+  if (entry.name !== undefined && typeof entry.name !== 'string') fail('name must be text');
+  if (kind === 'unique') {
+    if (!Array.isArray(entry.columns) || entry.columns.length === 0 || !entry.columns.every(column => typeof column === 'string')) {
+      fail('columns must be a list of column names');
+    }
+  } else if (kind === 'expression') {
+    if (typeof entry.expression !== 'string' || !entry.expression.trim()) fail('expression is missing');
+  } else if (typeof entry.column !== 'string') {
+    fail('column is missing');
+  }
+  if (kind === 'pattern') {
+    if (typeof entry.pattern !== 'string') fail('pattern is missing');
+    try {
+      new RegExp(entry.pattern as string);
+    } catch (error) {
+      fail((error as Error).message);
+    }
+  }
+  if (kind === 'range' && (!isBound(entry.min) || !isBound(entry.max))) fail('min and max must be numbers or dates');
+  if (kind === 'allowed' && (!Array.isArray(entry.values) || !entry.values.every(isRuleValue))) fail('values must be a list');
+  return entry as ValidationRule;
+};
+
+// The subset of JSON Schema that describes a row: required, and per property pattern,
+// minimum/maximum (formatMinimum/formatMaximum for dates), enum and a numeric type.
+// Uniqueness and cross-field rules go in x-unique (lists of columns) and x-rules (expressions).
+const rulesFromJsonSchema = (schema: Record<string, unknown>): ValidationRule[] => {
+  const rules: unknown[] = [];
+  if (Array.isArray(schema.required)) schema.required.forEach(column => rules.push({ kind: 'required', column }));
+  if (isObject(schema.properties)) {
+    for (const [column, property] of Object.entries(schema.properties)) {
+      if (!isObject(property)) continue;
+      if (property.pattern !== undefined) rules.push({ kind: 'pattern', column, pattern: property.pattern });
+      const min = property.minimum ?? property.formatMinimum;
+      const max = property.maximum ?? property.formatMaximum;
+      if (min !== undefined || max !== undefined || property.type === 'number' || property.type === 'integer') {
+        rules.push({ kind: 'range', column, min, max });
+      }
+      if (property.enum !== undefined) rules.push({ kind: 'allowed', column, values: property.enum });
+    }
+  }
+  if (Array.isArray(schema['x-unique'])) schema['x-unique'].forEach(columns => rules.push({ kind: 'unique', columns }));
+  if (Array.isArray(schema['x-rules'])) schema['x-rules'].forEach(expression => rules.push({ kind: 'expression', expression }));
+  return rules.map(parseRule);
+};
+
+// A rule set file: { name, rules: [...] }, a bare list of rules, or a JSON Schema for one row
+export const parseRuleSet = (text: string, fallbackName = 'Rules'): ValidationRuleSet => {
+  let data: unknown;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON');
+  }
+  if (Array.isArray(data)) return { name: fallbackName, rules: data.map(parseRule) };
+  if (!isObject(data)) throw new Error('The file is not a rule set');
+  const name = typeof data.name === 'string' ? data.name : typeof data.title === 'string' ? data.title : fallbackName;
+  if (Array.isArray(data.rules)) return { name, rules: data.rules.map(parseRule) };
+  if (isObject(data.properties) || Array.isArray(data.required)) {
+    const rules = rulesFromJsonSchema(data);
+    if (rules.length === 0) throw new Error('The schema has no rules this app can check');
+    return { name, rules };
+  }
+  throw new Error('The file is not a rule set');
+};
@@ -0,0 +1,33 @@
+import { Cell } from './types';
+
+const MISSING_TOKENS = new Set(['', 'na', 'n/a', 'null', 'nan']);
+const NUMBER_PATTERN = /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i;
+
+export const isMissing = (cell: Cell): boolean => {
+  if (cell === null) return true;
+  if (typeof cell === 'number') return Number.isNaN(cell);
+  if (typeof cell === 'boolean') return false;
+  return MISSING_TOKENS.has(cell.trim().toLowerCase());
+};
+
+export const parseNumber = (cell: Cell): number | null => {
+  if (typeof cell === 'number') return Number.isFinite(cell) ? cell : null;
+  if (typeof cell !== 'string') return null;
+  const trimmed = cell.trim();
+  return NUMBER_PATTERN.test(trimmed) ? Number(trimmed) : null;
+};
+
+export const cellToString = (cell: Cell): string => {
+  if (cell === null) return '';
+  return String(cell);
+};
+
+export const countDecimals = (cell: Cell): number => {
+  const match = cellToString(cell).match(/\.(\d+)$/);
+  return match ? match[1].length : 0;
+};
+
+export const roundTo = (value: number, decimals: number): number => {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+};
@@ -0,0 +1,35 @@
+import { describe, expect, it } from 'vitest';
+import { crc32, createZip } from './zip';
+
+describe('crc32', () => {
+  it('matches the standard check value', () => {
+    expect(crc32(new TextEncoder().encode('123456789'))).toBe(0xcbf43926);
+  });
+});
+
+describe('createZip', () => {
+  it('stores every entry with its name and data', async () => {
+    const encoder = new TextEncoder();
+    const bytes = new Uint8Array(await createZip([
+      { name: 'a.csv', data: encoder.encode('x,y\n1,2\n') },
+      { name: 'ü.csv', data: encoder.encode('hello') }
+    ]).arrayBuffer());
+    const view = new DataView(bytes.buffer);
+    const end = bytes.length - 22;
+    expect(view.getUint32(end, true)).toBe(0x06054b50);
+    expect(view.getUint16(end + 10, true)).toBe(2);
+
+    // Walk the local headers
+    const names: string[] = [];
+    let offset = 0;
+    while (view.getUint32(offset, true) === 0x04034b50) {
+      const size = view.getUint32(offset + 18, true);
+      const nameLength = view.getUint16(offset + 26, true);
+      names.push(new TextDecoder().decode(bytes.subarray(offset + 30, offset + 30 + nameLength)));
+      const data = bytes.subarray(offset + 30 + nameLength, offset + 30 + nameLength + size);
+      expect(view.getUint32(offset + 14, true)).toBe(crc32(data));
+      offset += 30 + nameLength + size;
+    }
+    expect(names).toEqual(['a.csv', 'ü.csv']);
+  });
+});
@@ -1,33 +1,352 @@
 // The exported code uses Tailwind CSS. Install Tailwind CSS in your dev environment to ensure all styles work.
 
-import React, { useState, useRef, useEffect } from 'react';
-import * as echarts from 'echarts';
+import React, { useState, useRef, useMemo, useEffect } from 'react';
+import * as XLSX from 'xlsx';
+import { CleaningPreview } from './engine/clean';
+import { ClusterResolution, DEFAULT_DEDUP_OPTIONS, DedupOptions, SimilarityMetric } from './engine/dedupe';
+import { CsvError, parseCsvFile } from './engine/csv';
+import { DEFAULT_FAKE_DETECTION_OPTIONS, FakeFinding } from './engine/fakes';
+import { isExcelFileName, readWorkbook, sheetToTable } from './engine/excel';
+import { estimateExportSize, ExportFormat, exportTable } from './engine/export';
+import { BatchItem, batchColumnTypes, batchEntryNames, batchOptions, combineTables } from './engine/batch';
+import { createZip, ZipEntry } from './engine/zip';
+import { parseConstraints } from './engine/constraints';
+import { countMatches, editTable, ReplaceSearch } from './engine/edits';
+import {
+  DEFAULT_OUTLIER_OPTIONS,
+  DEFAULT_OUTLIER_THRESHOLDS,
+  OutlierMethod,
+  OutlierOptions,
+  OutlierTreatment
+} from './engine/outliers';
+import { applyReview, fakesTable, ReviewDecision, reviewedRowIds, reviewQueue } from './engine/review';
+import { defaultCleaningOptions, suggestedPrivacyColumns } from './engine/job';
+import {
+  attachReferences,
+  BUILTIN_REFERENCES,
+  DEFAULT_LOOKUP_THRESHOLD,
+  LookupAction,
+  ReferenceList,
+  ReferenceLookup,
+  referenceFromTable
+} from './engine/reference';
+import {
+  describeRule,
+  parseRuleSet,
+  splitByValidation,
+  validateTable,
+  ValidationRuleSet,
+  violationsTable
+} from './engine/validation';
+import {
+  canRedo,
+  canUndo,
+  createHistory,
+  currentState,
+  historyForNewTable,
+  jumpTo,
+  recordAction,
+  redo,
+  SessionAction,
+  SessionHistory,
+  setStepEnabled,
+  undo
+} from './engine/history';
+import {
+  createRecipe,
+  loadRecipes,
+  parseRecipe,
+  Recipe,
+  recipeColumnTypes,
+  recipeToJson,
+  saveRecipes,
+  suggestRecipe,
+  upsertRecipe
+} from './engine/recipes';
+import { CleanWorkerMessage, CleanWorkerRequest } from './engine/cleanWorker';
+import { PreviewWorkerMessage, PreviewWorkerRequest } from './engine/previewWorker';
+import { PipelineProgress, PipelineResult, PipelineStage, pipelineStages } from './engine/pipeline';
+import {
+  ColumnPrivacy,
+  PII_ACTIONS,
+  PII_KINDS,
+  PII_LABELS,
+  PiiAction,
+  PiiKind,
+  suggestedAction
+} from './engine/privacy';
+import { DataDistribution, DEFAULT_SYNTHESIS_OPTIONS, SynthesisOptions, SynthesisResult, synthesize } from './engine/synthesize';
+import { COLUMN_TYPES, ColumnProfile, ColumnType, isNumericType, profileColumn, profileColumns } from './engine/schema';
+import {
+  CALLING_CODES,
+  DateOrder,
+  DEFAULT_STANDARDIZE_OPTIONS,
+  STANDARDIZE_RULES,
+  StandardizeRule
+} from './engine/standardize';
+import { computeHistogram, computeMissingHeatmap, computeQuality } from './engine/quality';
+import Chart from './components/Chart';
+import DataGrid from './components/DataGrid';
+import DiffView from './components/DiffView';
+import ReviewQueue from './components/ReviewQueue';
+import DuplicateClusters from './components/DuplicateClusters';
+import {
+  beforeAfterOption,
+  completenessOption,
+  histogramOption,
+  missingHeatmapOption,
+  qualityPieOption
+} from './components/qualityCharts';
+import { Cell, CleaningResult, ColumnMissingStrategy, ColumnRule, MissingValueStrategy, Table } from './engine/types';
+import { cellToString } from './engine/values';
+
+const DELIMITER_NAMES: Record<string, string> = {
+  ',': 'Comma-separated',
+  ';': 'Semicolon-separated',
+  '\t': 'Tab-separated',
+  '|': 'Pipe-separated'
+};
+
+type DownloadKind = 'cleaned' | 'fake' | 'synthetic' | 'violations' | 'invalid';
+
+const DOWNLOAD_NAMES: Record<DownloadKind, string> = {
+  cleaned: 'cleaned data',
+  fake: 'fake data',
+  synthetic: 'synthetic data',
+  violations: 'validation report',
+  invalid: 'failing rows'
+};
+
+const STAGE_NAMES: Record<PipelineStage, string> = {
+  analyze: 'Analyzing data structure',
+  standardizeFormats: 'Standardizing formats',
+  referenceLookups: 'Correcting values from reference lists',
+  removeDuplicates: 'Removing duplicates',
+  handleOutliers: 'Treating outliers',
+  missingValues: 'Handling missing values',
+  anonymize: 'Anonymizing personal data',
+  detectFakes: 'Detecting fake entries'
+};
+
+const isSupportedFile = (file: File) =>
+  file.type === 'text/csv' || file.name.toLowerCase().endsWith('.csv') || isExcelFileName(file.name);
+
+// The whole CSV, or the first sheet of a workbook
+const readTableFile = async (file: File): Promise<Table> => {
+  if (isExcelFileName(file.name)) {
+    const workbook = readWorkbook(await file.arrayBuffer());
+    return sheetToTable(workbook, workbook.SheetNames[0]);
+  }
+  return (await parseCsvFile(file)).table;
+};
+
+const saveBlob = (blob: Blob, fileName: string) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+const BATCH_STATUS_STYLES: Record<BatchItem['status'], { label: string; className: string }> = {
+  queued: { label: 'Queued', className: 'bg-gray-100 text-gray-600' },
+  processing: { label: 'Processing', className: 'bg-blue-100 text-blue-700' },
+  done: { label: 'Done', className: 'bg-green-100 text-green-700' },
+  failed: { label: 'Failed', className: 'bg-red-100 text-red-700' }
+};
+
+// How long the settings must stay unchanged before the cleaning preview is recomputed
+const PREVIEW_DELAY_MS = 300;
+
+const formatDuration = (seconds: number): string => {
+  if (seconds < 60) return `${Math.max(1, Math.round(seconds))} seconds`;
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes} min ${Math.round(seconds % 60)} s`;
+};
+
+const PII_ACTION_NAMES: Record<PiiAction, string> = {
+  keep: 'Keep',
+  mask: 'Mask',
+  hash: 'Hash (salted)',
+  tokenize: 'Tokenize',
+  generalize: 'Generalize',
+  fake: 'Replace with Fake'
+};
+
+type CleaningToggle = 'removeDuplicates' | 'standardizeFormats' | 'handleOutliers' | 'anonymize';
+
+const OPTION_NAMES: Record<CleaningToggle, string> = {
+  removeDuplicates: 'Remove duplicates',
+  standardizeFormats: 'Standardize formats',
+  handleOutliers: 'Handle outliers',
+  anonymize: 'Anonymize PII'
+};
+
+const OUTLIER_METHOD_NAMES: Record<OutlierMethod, string> = {
+  zscore: 'Z-score',
+  iqr: 'Interquartile range (IQR)',
+  mad: 'Median absolute deviation'
+};
+
+const OUTLIER_TREATMENT_NAMES: Record<OutlierTreatment, string> = {
+  flag: 'Flag only',
+  cap: 'Cap to the limits',
+  missing: 'Set to missing',
+  drop: 'Drop the row'
+};
+
+const STANDARDIZE_SETTING_NAMES: Record<'dateOrder' | 'defaultRegion' | 'decimalSeparator', string> = {
+  dateOrder: 'Date order',
+  defaultRegion: 'Phone region',
+  decimalSeparator: 'Decimal separator'
+};
+
+const randomSalt = (): string =>
+  Array.from(crypto.getRandomValues(new Uint8Array(16)), byte => byte.toString(16).padStart(2, '0')).join('');
 
 const App: React.FC = () => {
   const [isDragging, setIsDragging] = useState(false);
   const [file, setFile] = useState<File | null>(null);
+  // Files dropped together, cleaned one after another with the loaded file's settings
+  const [batchFiles, setBatchFiles] = useState<File[]>([]);
+  const [batchItems, setBatchItems] = useState<BatchItem[]>([]);
+  const [batchRunning, setBatchRunning] = useState(false);
+  const [batchDownloadError, setBatchDownloadError] = useState<string | null>(null);
+  const [batchFormat, setBatchFormat] = useState<ExportFormat>('csv');
   const [fileInfo, setFileInfo] = useState<{
     name: string;
     size: string;
     rows: number;
     columns: number;
+    format: string;
+    sheet?: string;
   } | null>(null);
-  const [previewData, setPreviewData] = useState<string[][]>([]);
+  const [table, setTable] = useState<Table | null>(null);
+  const [parseErrors, setParseErrors] = useState<CsvError[]>([]);
+  const [fileError, setFileError] = useState<string | null>(null);
+  const [inferredSchema, setInferredSchema] = useState<ColumnProfile[]>([]);
+  const [cleaningResult, setCleaningResult] = useState<CleaningResult | null>(null);
+  const [fakeFindings, setFakeFindings] = useState<FakeFinding[]>([]);
   const [activeTab, setActiveTab] = useState('cleaned');
+  const [showDiff, setShowDiff] = useState(false);
   const [processingStatus, setProcessingStatus] = useState<string | null>(null);
   const [processingProgress, setProcessingProgress] = useState(0);
+  const [pipelineProgress, setPipelineProgress] = useState<PipelineProgress | null>(null);
+  const [processingError, setProcessingError] = useState<string | null>(null);
   const [downloadProgress, setDownloadProgress] = useState(0);
-  const [isDownloading, setIsDownloading] = useState(false);
-  const [cleaningOptions, setCleaningOptions] = useState({
-    removeDuplicates: true,
-    missingValues: 'mean',
-    standardizeFormats: true
+  const [downloading, setDownloading] = useState<DownloadKind | null>(null);
+  const [downloadError, setDownloadError] = useState<string | null>(null);
+  const [downloadFormats, setDownloadFormats] = useState<Record<DownloadKind, ExportFormat>>({
+    cleaned: 'csv',
+    fake: 'csv',
+    synthetic: 'csv',
+    violations: 'csv',
+    invalid: 'csv'
   });
+  const [synthesisOptions, setSynthesisOptions] = useState<SynthesisOptions>(DEFAULT_SYNTHESIS_OPTIONS);
+  const [synthesisResult, setSynthesisResult] = useState<SynthesisResult | null>(null);
+  const [constraintText, setConstraintText] = useState('');
+  // Every setting change is a step in the history; the options in effect are replayed from it
+  const [sessionHistory, setSessionHistory] = useState<SessionHistory>(() => createHistory({
+    options: defaultCleaningOptions(navigator.language, randomSalt()),
+    columnTypes: {},
+    resolutions: {},
+    decisions: {}
+  }));
+  // The settings the current results were produced with, to tell when they are out of date
+  const [processedSettings, setProcessedSettings] = useState<string | null>(null);
+  const [recipes, setRecipes] = useState<Recipe[]>(() => loadRecipes(localStorage));
+  const [selectedRecipe, setSelectedRecipe] = useState('');
+  const [recipeName, setRecipeName] = useState('');
+  const [recipeMessage, setRecipeMessage] = useState<{ error: boolean; text: string } | null>(null);
+  // Saved recipe whose headers match the uploaded file, offered until applied or dismissed
+  const [suggestedRecipe, setSuggestedRecipe] = useState<Recipe | null>(null);
   const [isProcessed, setIsProcessed] = useState(false);
+  const [showDuplicatePreview, setShowDuplicatePreview] = useState(false);
+  // Duplicate clusters and outlier count for the settings in effect; null while being computed
+  const [cleaningPreview, setCleaningPreview] = useState<CleaningPreview | null>(null);
+  const [histogramColumn, setHistogramColumn] = useState<number | null>(null);
+  // Uploaded master lists; kept across files like the rule set
+  const [referenceFiles, setReferenceFiles] = useState<ReferenceList[]>([]);
+  const [referenceError, setReferenceError] = useState<string | null>(null);
+  // Kept across files; rules name columns by header
+  const [ruleSet, setRuleSet] = useState<ValidationRuleSet | null>(null);
+  const [ruleSetError, setRuleSetError] = useState<string | null>(null);
+  // Rule index the violations list is narrowed to
+  const [violationRule, setViolationRule] = useState<number | null>(null);
+  const [showInvalidOnly, setShowInvalidOnly] = useState(false);
+  const [excludeInvalidRows, setExcludeInvalidRows] = useState(false);
+  const [replaceSearch, setReplaceSearch] = useState<ReplaceSearch>({
+    find: '',
+    replacement: '',
+    regex: false,
+    matchCase: false,
+    wholeCell: false,
+    columns: []
+  });
+
+  const session = useMemo(() => currentState(sessionHistory), [sessionHistory]);
+  const cleaningOptions = session.options;
+  const dedupResolutions = session.resolutions;
+  const reviewDecisions = session.decisions;
+  // Review decisions only filter the results, so they do not call for a re-run
+  const references = useMemo(() => [...BUILTIN_REFERENCES, ...referenceFiles], [referenceFiles]);
+  // The options as cleaning sees them, with the values each lookup checks against
+  const processingOptions = useMemo(
+    () => (cleaningOptions.lookups ? { ...cleaningOptions, lookups: attachReferences(cleaningOptions.lookups, references) } : cleaningOptions),
+    [cleaningOptions, references]
+  );
+  // Reference lists count as settings too: replacing one changes what the lookups find
+  const sessionSettings = JSON.stringify([
+    session.options,
+    session.columnTypes,
+    session.resolutions,
+    referenceFiles.map(reference => [reference.name, reference.rows.length])
+  ]);
+
+  const schema = useMemo(() => inferredSchema.map((profile, column) => {
+    const type = session.columnTypes[column];
+    if (!table || !type || type === profile.type) return profile;
+    return profileColumn(profile.name, table.rows.map(row => row[column] ?? null), type);
+  }), [inferredSchema, session.columnTypes, table]);
+
+  // The uploaded data with the hand edits and replacements made so far
+  const editedTable = useMemo(
+    () => (table ? editTable(table, cleaningOptions.edits || []) : null),
+    [table, cleaningOptions.edits]
+  );
+  const editedCells = useMemo(() => {
+    const cells = new Set<string>();
+    cleaningOptions.edits?.forEach(edit => {
+      if (edit.type === 'cell') cells.add(`${edit.row}:${edit.column}`);
+    });
+    return cells;
+  }, [cleaningOptions.edits]);
+
+  const replaceMatches = useMemo(() => {
+    if (!editedTable) return null;
+    try {
+      return { ...countMatches(editedTable, replaceSearch), error: null };
+    } catch (error) {
+      return { cells: 0, occurrences: 0, error: (error as Error).message };
+    }
+  }, [editedTable, replaceSearch]);
+
+  const record = (action: SessionAction, label: string) => {
+    setSessionHistory(history => recordAction(history, action, label));
+  };
 
   const fileInputRef = useRef<HTMLInputElement>(null);
-  const chartRef = useRef<HTMLDivElement>(null);
-  const chartInstance = useRef<echarts.ECharts | null>(null);
+  const recipeInputRef = useRef<HTMLInputElement>(null);
+  const ruleSetInputRef = useRef<HTMLInputElement>(null);
+  const referenceInputRef = useRef<HTMLInputElement>(null);
+  const workbookRef = useRef<XLSX.WorkBook | null>(null);
+  const downloadAbortRef = useRef<AbortController | null>(null);
+  const workerRef = useRef<Worker | null>(null);
+  const batchWorkerRef = useRef<{ worker: Worker; reject: (error: Error) => void } | null>(null);
+  const batchCancelledRef = useRef(false);
+  const processingStartRef = useRef(0);
 
   const handleDragOver = (e: React.DragEvent<HTMLDivElement>) => {
     e.preventDefault();
@@ -44,46 +363,94 @@ const App: React.FC = () => {
     setIsDragging(false);
     
     if (e.dataTransfer.files && e.dataTransfer.files.length > 0) {
-      const droppedFile = e.dataTransfer.files[0];
-      if (droppedFile.type === 'text/csv') {
-        handleFile(droppedFile);
+      const droppedFiles = Array.from(e.dataTransfer.files).filter(isSupportedFile);
+      if (droppedFiles.length > 0) {
+        handleFiles(droppedFiles);
       } else {
-        alert('Please upload a CSV file');
+        alert('Please upload a CSV or Excel file');
       }
     }
   };
 
   const handleFileInputChange = (e: React.ChangeEvent<HTMLInputElement>) => {
     if (e.target.files && e.target.files.length > 0) {
-      handleFile(e.target.files[0]);
+      handleFiles(Array.from(e.target.files));
     }
   };
 
-  const handleFile = (file: File) => {
-    setFile(file);
-    const reader = new FileReader();
-    
-    reader.onload = (e) => {
-      if (e.target?.result) {
-        const content = e.target.result as string;
-        const lines = content.split('\n');
-        const headers = lines[0].split(',');
-        
-        // Create preview data (first 5 rows)
-        const preview = lines.slice(0, 5).map(line => line.split(','));
-        
-        setFileInfo({
-          name: file.name,
-          size: formatFileSize(file.size),
-          rows: lines.length - 1, // Excluding header
-          columns: headers.length
-        });
-        
-        setPreviewData(preview);
+  // Several files make a batch; the first one is loaded to set up the cleaning on
+  const handleFiles = (files: File[]) => {
+    setBatchFiles(files.length > 1 ? files : []);
+    setBatchItems(files.length > 1 ? files.map(batchFile => ({ name: batchFile.name, size: batchFile.size, status: 'queued', progress: 0 })) : []);
+    handleFile(files[0]);
+  };
+
+  const loadTable = (file: File, table: Table, format: string, sheet?: string) => {
+    setFileInfo({
+      name: file.name,
+      size: formatFileSize(file.size),
+      rows: table.rows.length,
+      columns: table.headers.length,
+      format,
+      sheet
+    });
+
+    const profiles = profileColumns(table);
+    setTable(table);
+    setInferredSchema(profiles);
+    // Detected PII columns start with the suggested action; the salt is kept across files
+    const privacyColumns = suggestedPrivacyColumns(table, profiles.map(profile => profile.type));
+    setSessionHistory(history => historyForNewTable(history, privacyColumns, randomSalt()));
+    setShowDuplicatePreview(false);
+    // A run still going belongs to the previous table; its results would not line up with this one
+    stopWorker();
+    setProcessingStatus(null);
+    setProcessingProgress(0);
+    setPipelineProgress(null);
+    setProcessingError(null);
+    setCleaningResult(null);
+    setProcessedSettings(null);
+    setSuggestedRecipe(suggestRecipe(recipes, table.headers));
+    setSynthesisResult(null);
+    setIsProcessed(false);
+  };
+
+  // The file only replaces the upload area once it has been read; a file that cannot be read
+  // leaves it in place with the reason
+  const handleFile = async (file: File) => {
+    try {
+      if (isExcelFileName(file.name)) {
+        const workbook = readWorkbook(await file.arrayBuffer());
+        const table = sheetToTable(workbook, workbook.SheetNames[0]);
+        workbookRef.current = workbook;
+        setFile(file);
+        setFileError(null);
+        setParseErrors([]);
+        loadTable(file, table, 'Excel workbook', workbook.SheetNames[0]);
+        return;
       }
-    };
-    
-    reader.readAsText(file);
+
+      const { table, delimiter, encoding, errors } = await parseCsvFile(file);
+      workbookRef.current = null;
+      setFile(file);
+      setFileError(null);
+      setParseErrors(errors);
+      loadTable(file, table, `${DELIMITER_NAMES[delimiter]}, ${encoding.toUpperCase()}`);
+    } catch (error) {
+      setFileError(`Could not read ${file.name}: ${(error as Error).message}`);
+      setBatchFiles([]);
+      setBatchItems([]);
+    }
+  };
+
+  const handleColumnTypeChange = (column: number, type: ColumnType) => {
+    record({ type: 'setColumnType', column, columnType: type }, `${schema[column]?.name}: type ${type}`);
+  };
+
+  const handleSheetChange = (e: React.ChangeEvent<HTMLSelectElement>) => {
+    if (file && workbookRef.current) {
+      loadTable(file, sheetToTable(workbookRef.current, e.target.value), 'Excel workbook', e.target.value);
+    }
   };
 
   const formatFileSize = (bytes: number): string => {
@@ -92,112 +459,676 @@ const App: React.FC = () => {
     else return (bytes / 1048576).toFixed(1) + ' MB';
   };
 
+  const stopWorker = () => {
+    workerRef.current?.terminate();
+    workerRef.current = null;
+  };
+
   const handleProcessData = () => {
+    if (!table) return;
+    stopWorker();
     setProcessingStatus('Processing');
     setProcessingProgress(0);
+    setPipelineProgress(null);
+    setProcessingError(null);
+    processingStartRef.current = Date.now();
+    const settings = sessionSettings;
     
-    // Simulate processing
-    const interval = setInterval(() => {
-      setProcessingProgress(prev => {
-        if (prev >= 100) {
-          clearInterval(interval);
-          setProcessingStatus('Completed');
-          setIsProcessed(true);
-          return 100;
-        }
-        return prev + 10;
-      });
-    }, 300);
+    const worker = new Worker(new URL('./engine/cleanWorker.ts', import.meta.url), { type: 'module' });
+    workerRef.current = worker;
+    // Messages already queued when the worker was replaced or stopped are dropped
+    worker.onmessage = (event: MessageEvent<CleanWorkerMessage>) => {
+      if (workerRef.current !== worker) return;
+      const message = event.data;
+      if (message.type === 'progress') {
+        setPipelineProgress(message.progress);
+        setProcessingProgress(Math.floor(message.progress.fraction * 100));
+        return;
+      }
+      stopWorker();
+      if (message.type === 'error') {
+        setProcessingError(message.message);
+        setProcessingStatus('Failed');
+        return;
+      }
+      setCleaningResult(message.output.result);
+      setFakeFindings(message.output.findings);
+      setProcessedSettings(settings);
+      setProcessingProgress(100);
+      setProcessingStatus('Completed');
+      setIsProcessed(true);
+    };
+    worker.onerror = (event) => {
+      if (workerRef.current !== worker) return;
+      stopWorker();
+      setProcessingError(event.message || 'The cleaning worker stopped unexpectedly');
+      setProcessingStatus('Failed');
+    };
+    const request: CleanWorkerRequest = {
+      table,
+      options: processingOptions,
+      columnTypes: schema.map(profile => profile.type),
+      resolutions: dedupResolutions
+    };
+    worker.postMessage(request);
+  };
+
+  // Terminating the worker drops the half-finished run; earlier results stay as they were
+  const handleCancelProcessing = () => {
+    stopWorker();
+    setProcessingStatus(null);
+    setProcessingProgress(0);
+    setPipelineProgress(null);
+  };
+
+  // Extrapolates from the time taken so far; too noisy to show in the first moments
+  const elapsedSeconds = (Date.now() - processingStartRef.current) / 1000;
+  const progressFraction = pipelineProgress?.fraction || 0;
+  const remainingSeconds = progressFraction > 0.02 && elapsedSeconds > 0.5
+    ? (elapsedSeconds * (1 - progressFraction)) / progressFraction
+    : null;
+  const stages = pipelineStages(cleaningOptions);
+  const currentStage = pipelineProgress ? stages.indexOf(pipelineProgress.stage) : 0;
+
+  const reviewItems = useMemo(() => (cleaningResult ? reviewQueue(cleaningResult, fakeFindings) : []), [cleaningResult, fakeFindings]);
+
+  // The cleaned export leaves out the suspects accepted as fake in review
+  const cleanedTable = useMemo(
+    () => (cleaningResult ? applyReview(cleaningResult, fakeFindings, reviewDecisions) : null),
+    [cleaningResult, fakeFindings, reviewDecisions]
+  );
+  const cleanedRowIds = useMemo(
+    () => (cleaningResult ? reviewedRowIds(cleaningResult, fakeFindings, reviewDecisions) : []),
+    [cleaningResult, fakeFindings, reviewDecisions]
+  );
+  const reviewRemovedRows = cleaningResult && cleanedTable ? cleaningResult.table.rows.length - cleanedTable.rows.length : 0;
+
+  // Checks the cleaned data as it would be exported, after review
+  const validationReport = useMemo(
+    () => (ruleSet && cleanedTable ? validateTable(cleanedTable, ruleSet.rules, cleanedRowIds) : null),
+    [ruleSet, cleanedTable, cleanedRowIds]
+  );
+  const validationSplit = useMemo(
+    () => (validationReport && cleanedTable ? splitByValidation(cleanedTable, cleanedRowIds, validationReport) : null),
+    [validationReport, cleanedTable, cleanedRowIds]
+  );
+  const violationsReportTable = useMemo(
+    () => (validationReport && ruleSet && cleanedTable ? violationsTable(validationReport, ruleSet.rules, cleanedTable.headers) : null),
+    [validationReport, ruleSet, cleanedTable]
+  );
+  const invalidRowCount = validationSplit?.invalid.rows.length || 0;
+
+  const violationGrid = useMemo(() => {
+    if (!violationsReportTable || !validationReport) return null;
+    const rows = violationRule === null
+      ? violationsReportTable.rows
+      : violationsReportTable.rows.filter((_, index) => validationReport.violations[index].rule === violationRule);
+    return { headers: ['Rule', 'Row', 'Column', 'Value', 'Message'], rows };
+  }, [violationsReportTable, validationReport, violationRule]);
+
+  // Cleaned preview rows, optionally only the failing ones, with the cells that broke a rule
+  const cleanedPreview = useMemo(() => {
+    if (!cleaningResult) return null;
+    const invalidCells = new Set<string>();
+    validationReport?.violations.forEach(violation => {
+      if (violation.row !== null && violation.column !== null) invalidCells.add(`${violation.row}:${violation.column}`);
+    });
+    const ids = showInvalidOnly && validationReport ? cleanedRowIds.filter(id => validationReport.rows.has(id)) : cleaningResult.rowIds;
+    const positions = new Map(cleaningResult.rowIds.map((id, position) => [id, position]));
+    return {
+      ids,
+      rows: showInvalidOnly ? ids.map(id => cleaningResult.table.rows[positions.get(id)!]) : cleaningResult.table.rows,
+      invalidCells
+    };
+  }, [cleaningResult, validationReport, cleanedRowIds, showInvalidOnly]);
+
+  const fakeTable = useMemo(
+    () => (cleaningResult ? fakesTable(cleaningResult, fakeFindings, reviewDecisions) : null),
+    [cleaningResult, fakeFindings, reviewDecisions]
+  );
+
+  const syntheticTable = synthesisResult?.table || null;
+  const downloadTables = {
+    cleaned: excludeInvalidRows && validationSplit ? validationSplit.valid : cleanedTable,
+    fake: fakeTable,
+    synthetic: syntheticTable,
+    violations: violationsReportTable,
+    invalid: invalidRowCount > 0 && validationSplit ? validationSplit.invalid : null
   };
 
-  const handleDownload = (type: 'cleaned' | 'fake') => {
-    setIsDownloading(true);
+  const downloadSizes = useMemo(() => {
+    const size = (data: Table | null, format: ExportFormat) => (data ? formatFileSize(estimateExportSize(data, format)) : '');
+    return {
+      cleaned: size(downloadTables.cleaned, downloadFormats.cleaned),
+      fake: size(fakeTable, downloadFormats.fake),
+      synthetic: size(syntheticTable, downloadFormats.synthetic),
+      violations: size(violationsReportTable, downloadFormats.violations),
+      invalid: size(downloadTables.invalid, downloadFormats.invalid)
+    };
+  }, [downloadTables.cleaned, fakeTable, syntheticTable, violationsReportTable, downloadTables.invalid, downloadFormats]);
+
+  const handleDownload = async (type: DownloadKind) => {
+    const data = downloadTables[type];
+    if (!data) return;
+    
+    const controller = new AbortController();
+    downloadAbortRef.current = controller;
+    setDownloading(type);
     setDownloadProgress(0);
+    setDownloadError(null);
     
-    // Simulate download
-    const interval = setInterval(() => {
-      setDownloadProgress(prev => {
-        if (prev >= 100) {
-          clearInterval(interval);
-          setIsDownloading(false);
-          return 100;
-        }
-        return prev + 5;
+    const format = downloadFormats[type];
+    try {
+      const blob = await exportTable(data, format, {
+        signal: controller.signal,
+        onProgress: (written, total) => setDownloadProgress(total ? Math.round((written / total) * 100) : 100)
       });
-    }, 100);
+      saveBlob(blob, `${(fileInfo?.name || 'data').replace(/\.[^.]+$/, '')}-${type}.${format}`);
+    } catch (error) {
+      if ((error as DOMException).name !== 'AbortError') {
+        setDownloadError(`Could not export the ${DOWNLOAD_NAMES[type]}: ${(error as Error).message}`);
+      }
+    } finally {
+      downloadAbortRef.current = null;
+      setDownloading(null);
+    }
+  };
+
+  const handleCancelDownload = () => {
+    downloadAbortRef.current?.abort();
+  };
+
+  const updateBatchItem = (index: number, patch: Partial<BatchItem>) => {
+    setBatchItems(items => items.map((item, position) => (position === index ? { ...item, ...patch } : item)));
+  };
+
+  // One worker per file, so cancelling can stop a file midway
+  const runBatchWorker = (request: CleanWorkerRequest, onProgress: (fraction: number) => void) =>
+    new Promise<PipelineResult>((resolve, reject) => {
+      const worker = new Worker(new URL('./engine/cleanWorker.ts', import.meta.url), { type: 'module' });
+      batchWorkerRef.current = { worker, reject };
+      const finish = () => {
+        worker.terminate();
+        batchWorkerRef.current = null;
+      };
+      worker.onmessage = (event: MessageEvent<CleanWorkerMessage>) => {
+        const message = event.data;
+        if (message.type === 'progress') {
+          onProgress(message.progress.fraction);
+          return;
+        }
+        finish();
+        if (message.type === 'error') reject(new Error(message.message));
+        else resolve(message.output);
+      };
+      worker.onerror = (event) => {
+        finish();
+        reject(new Error(event.message || 'The cleaning worker stopped unexpectedly'));
+      };
+      worker.postMessage(request);
+    });
+
+  // The loaded file keeps its hand edits and duplicate choices; the others get the shared settings
+  // and their own inferred column types, with the types chosen by hand applied by header
+  const handleProcessBatch = async () => {
+    if (!table) return;
+    setBatchRunning(true);
+    setBatchDownloadError(null);
+    batchCancelledRef.current = false;
+    const typeOverrides: Record<string, ColumnType> = {};
+    for (const [column, type] of Object.entries(session.columnTypes)) typeOverrides[table.headers[Number(column)]] = type;
+    setBatchItems(items => items.map(item => ({ ...item, status: 'queued', progress: 0, error: undefined, table: undefined, summary: undefined })));
+
+    for (let index = 0; index < batchFiles.length; index++) {
+      if (batchCancelledRef.current) break;
+      const batchFile = batchFiles[index];
+      updateBatchItem(index, { status: 'processing' });
+      try {
+        const isLoaded = batchFile === file;
+        const input = isLoaded ? table : await readTableFile(batchFile);
+        if (input.headers.length === 0) throw new Error('The file has no columns');
+        const request: CleanWorkerRequest = {
+          table: input,
+          options: isLoaded ? processingOptions : batchOptions(processingOptions),
+          columnTypes: isLoaded ? schema.map(profile => profile.type) : batchColumnTypes(input, typeOverrides),
+          resolutions: isLoaded ? dedupResolutions : {}
+        };
+        const output = await runBatchWorker(request, progress => updateBatchItem(index, { progress }));
+        updateBatchItem(index, {
+          status: 'done',
+          progress: 1,
+          table: output.result.table,
+          summary: {
+            inputRows: input.rows.length,
+            outputRows: output.result.table.rows.length,
+            suspectedFakes: output.findings.length,
+            changes: output.result.changes.length
+          }
+        });
+      } catch (error) {
+        updateBatchItem(index, { status: 'failed', error: (error as Error).message });
+      }
+    }
+    setBatchRunning(false);
+  };
+
+  // Stops the file in progress; the ones still queued are left for the next run
+  const handleCancelBatch = () => {
+    batchCancelledRef.current = true;
+    const running = batchWorkerRef.current;
+    if (!running) return;
+    running.worker.terminate();
+    batchWorkerRef.current = null;
+    running.reject(new Error('Cancelled'));
+  };
+
+  const finishedBatchItems = batchItems.filter(item => item.status === 'done' && item.table);
+
+  // Files that fail to export are left out of the zip and named in the error
+  const handleDownloadBatchZip = async () => {
+    setBatchDownloadError(null);
+    const names = batchEntryNames(finishedBatchItems.map(item => item.name), 'cleaned', batchFormat);
+    const entries: ZipEntry[] = [];
+    const failures: string[] = [];
+    for (let index = 0; index < finishedBatchItems.length; index++) {
+      const item = finishedBatchItems[index];
+      try {
+        entries.push({ name: names[index], data: new Uint8Array(await (await exportTable(item.table!, batchFormat)).arrayBuffer()) });
+      } catch (error) {
+        failures.push(`${item.name} (${(error as Error).message})`);
+      }
+    }
+    if (failures.length > 0) setBatchDownloadError(`Could not export ${failures.join(', ')}`);
+    if (entries.length === 0) return;
+    try {
+      saveBlob(createZip(entries), 'cleaned-files.zip');
+    } catch (error) {
+      setBatchDownloadError(`Could not build the zip: ${(error as Error).message}`);
+    }
+  };
+
+  const handleDownloadBatchCombined = async () => {
+    setBatchDownloadError(null);
+    try {
+      const combined = combineTables(finishedBatchItems.map(item => ({ name: item.name, table: item.table! })));
+      saveBlob(await exportTable(combined, batchFormat), `combined-cleaned.${batchFormat}`);
+    } catch (error) {
+      setBatchDownloadError(`Could not export the combined file: ${(error as Error).message}`);
+    }
+  };
+
+  const handleDownloadFormatChange = (type: DownloadKind, e: React.ChangeEvent<HTMLSelectElement>) => {
+    setDownloadFormats({
+      ...downloadFormats,
+      [type]: e.target.value as ExportFormat
+    });
+  };
+
+  const handleSynthesisChange = (patch: Partial<SynthesisOptions>) => {
+    setSynthesisOptions({
+      ...synthesisOptions,
+      ...patch
+    });
+  };
+
+  // Column pairs from the correlation report, largest original correlation first
+  const correlationPairs = useMemo(() => {
+    if (!synthesisResult) return [];
+    const { columns, original, synthetic } = synthesisResult.correlation;
+    const pairs: { label: string; original: number; synthetic: number }[] = [];
+    columns.forEach((a, i) => columns.slice(i + 1).forEach((b, offset) => {
+      const j = i + 1 + offset;
+      pairs.push({ label: `${a} / ${b}`, original: original[i][j], synthetic: synthetic[i][j] });
+    }));
+    return pairs.sort((x, y) => Math.abs(y.original) - Math.abs(x.original));
+  }, [synthesisResult]);
+
+  const constraintParse = useMemo(
+    () => parseConstraints(constraintText, cleaningResult?.table.headers || []),
+    [constraintText, cleaningResult]
+  );
+
+  // Learns from the cleaned table so generated values follow the standardized formats
+  const handleGenerate = () => {
+    if (!cleaningResult) return;
+    const types = schema.map(profile => profile.type);
+    setSynthesisResult(synthesize(cleaningResult.table, types, synthesisOptions, constraintParse.constraints));
   };
 
   const handleMissingValueChange = (e: React.ChangeEvent<HTMLSelectElement>) => {
-    setCleaningOptions({
-      ...cleaningOptions,
-      missingValues: e.target.value
+    const value = e.target.value as MissingValueStrategy;
+    record({ type: 'setMissingValues', value }, `Missing values: ${value}`);
+  };
+
+  const handleToggleChange = (option: CleaningToggle) => {
+    const value = !cleaningOptions[option];
+    record({ type: 'setOption', option, value }, `${OPTION_NAMES[option]}: ${value ? 'on' : 'off'}`);
+  };
+
+  const privacyOptions = cleaningOptions.privacy || { columns: {}, salt: '' };
+
+  const handlePrivacyColumnChange = (header: string, setting: ColumnPrivacy | null) => {
+    const label = setting
+      ? `${header}: ${PII_LABELS[setting.kind]}, ${PII_ACTION_NAMES[setting.action].toLowerCase()}`
+      : `${header}: not personal data`;
+    record({ type: 'setPrivacyColumn', header, setting }, label);
+  };
+
+  const handleSaltChange = (salt: string) => {
+    record({ type: 'setSalt', salt }, 'Anonymization salt changed');
+  };
+
+  const handleReviewDecision = (decisions: Record<number, ReviewDecision | null>, label: string) => {
+    record({ type: 'review', decisions }, label);
+  };
+
+  const handleFakeThresholdChange = (threshold: number) => {
+    record({ type: 'setFakeDetection', patch: { threshold } }, `Fake detection threshold: ${Math.round(threshold * 100)}%`);
+  };
+
+  const updateRecipes = (next: Recipe[]) => {
+    setRecipes(next);
+    saveRecipes(localStorage, next);
+  };
+
+  const handleSaveRecipe = () => {
+    if (!recipeName.trim()) return;
+    const recipe = createRecipe(recipeName, table?.headers || [], cleaningOptions, session.columnTypes);
+    updateRecipes(upsertRecipe(recipes, recipe));
+    setSelectedRecipe(recipe.name);
+    setRecipeName('');
+    setRecipeMessage({ error: false, text: `Saved recipe "${recipe.name}"` });
+  };
+
+  const handleApplyRecipe = (recipe: Recipe) => {
+    record(
+      { type: 'applyRecipe', options: recipe.options, columnTypes: recipeColumnTypes(recipe, table?.headers || []) },
+      `Applied recipe "${recipe.name}"`
+    );
+    setSelectedRecipe(recipe.name);
+    setSuggestedRecipe(null);
+    setRecipeMessage(null);
+  };
+
+  const handleDeleteRecipe = () => {
+    updateRecipes(recipes.filter(recipe => recipe.name !== selectedRecipe));
+    setRecipeMessage({ error: false, text: `Deleted recipe "${selectedRecipe}"` });
+    setSelectedRecipe('');
+  };
+
+  // The selected recipe, or the settings in effect when none is selected
+  const handleExportRecipe = () => {
+    const recipe = recipes.find(saved => saved.name === selectedRecipe)
+      || createRecipe(fileInfo?.name.replace(/\.[^.]+$/, '') || 'recipe', table?.headers || [], cleaningOptions, session.columnTypes);
+    saveBlob(new Blob([recipeToJson(recipe)], { type: 'application/json' }), `${recipe.name.replace(/[^\w.-]+/g, '_')}.recipe.json`);
+  };
+
+  const handleImportRecipe = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const recipeFile = e.target.files?.[0];
+    e.target.value = '';
+    if (!recipeFile) return;
+    try {
+      const recipe = parseRecipe(await recipeFile.text());
+      updateRecipes(upsertRecipe(recipes, recipe));
+      setSelectedRecipe(recipe.name);
+      setRecipeMessage({ error: false, text: `Imported recipe "${recipe.name}"` });
+    } catch (error) {
+      setRecipeMessage({ error: true, text: (error as Error).message });
+    }
+  };
+
+  // A file with the name of one already attached replaces it
+  const handleAttachReferences = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    let next = referenceFiles;
+    try {
+      for (const referenceFile of files) {
+        const { table: referenceTable } = await parseCsvFile(referenceFile);
+        if (referenceTable.headers.length === 0) throw new Error(`${referenceFile.name} has no columns`);
+        const reference = referenceFromTable(referenceFile.name, referenceTable);
+        next = [...next.filter(list => list.name !== reference.name), reference];
+      }
+      setReferenceError(null);
+    } catch (error) {
+      setReferenceError((error as Error).message);
+    }
+    setReferenceFiles(next);
+  };
+
+  const handleRemoveReference = (name: string) => {
+    setReferenceFiles(referenceFiles.filter(reference => reference.name !== name));
+  };
+
+  const lookups = cleaningOptions.lookups || [];
+
+  const handleLookupChange = (index: number, lookup: ReferenceLookup | null) => {
+    const label = lookup
+      ? `Lookup: ${lookup.column} in ${lookup.reference} (${lookup.referenceColumn}), ${lookup.action}`
+      : `Lookup removed: ${lookups[index]?.column}`;
+    record({ type: 'setLookup', index, lookup }, label);
+  };
+
+  // A new lookup starts from the first column and the first built-in list
+  const handleAddLookup = () => {
+    if (!table) return;
+    const reference = references[0];
+    handleLookupChange(lookups.length, {
+      column: table.headers[0],
+      reference: reference.name,
+      referenceColumn: reference.headers[reference.headers.length - 1],
+      action: 'flag',
+      threshold: DEFAULT_LOOKUP_THRESHOLD
     });
   };
 
-  const handleToggleChange = (option: 'removeDuplicates' | 'standardizeFormats') => {
-    setCleaningOptions({
-      ...cleaningOptions,
-      [option]: !cleaningOptions[option as keyof typeof cleaningOptions]
+  const handleLookupReferenceChange = (index: number, name: string) => {
+    const reference = references.find(list => list.name === name);
+    if (!reference) return;
+    handleLookupChange(index, { ...lookups[index], reference: name, referenceColumn: reference.headers[reference.headers.length - 1] });
+  };
+
+  const handleLoadRuleSet = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const ruleFile = e.target.files?.[0];
+    e.target.value = '';
+    if (!ruleFile) return;
+    try {
+      setRuleSet(parseRuleSet(await ruleFile.text(), ruleFile.name.replace(/\.[^.]+$/, '')));
+      setRuleSetError(null);
+      setViolationRule(null);
+    } catch (error) {
+      setRuleSetError((error as Error).message);
+    }
+  };
+
+  const handleClearRuleSet = () => {
+    setRuleSet(null);
+    setRuleSetError(null);
+    setViolationRule(null);
+    setShowInvalidOnly(false);
+    setExcludeInvalidRows(false);
+  };
+
+  const handleCellEdit = (row: number, column: number, value: Cell) => {
+    const header = table?.headers[column];
+    record({ type: 'edit', edit: { type: 'cell', row, column, value } }, `${header} row ${row + 1}: "${cellToString(value)}"`);
+  };
+
+  const handleReplaceChange = (patch: Partial<ReplaceSearch>) => {
+    setReplaceSearch({ ...replaceSearch, ...patch });
+  };
+
+  const handleReplaceColumnToggle = (column: number) => {
+    const columns = replaceSearch.columns.includes(column)
+      ? replaceSearch.columns.filter(selected => selected !== column)
+      : [...replaceSearch.columns, column].sort((a, b) => a - b);
+    handleReplaceChange({ columns });
+  };
+
+  const handleReplaceAll = () => {
+    if (!replaceMatches || replaceMatches.error || replaceMatches.cells === 0) return;
+    const scope = replaceSearch.columns.length > 0
+      ? ` in ${replaceSearch.columns.map(column => table?.headers[column]).join(', ')}`
+      : '';
+    record(
+      { type: 'edit', edit: { type: 'replace', ...replaceSearch } },
+      `Replace "${replaceSearch.find}" with "${replaceSearch.replacement}"${scope} (${replaceMatches.cells} cells)`
+    );
+  };
+
+  const handleUndo = () => setSessionHistory(undo);
+  const handleRedo = () => setSessionHistory(redo);
+  const handleJumpTo = (index: number) => setSessionHistory(history => jumpTo(history, index));
+  const handleStepToggle = (id: number, enabled: boolean) => {
+    setSessionHistory(history => setStepEnabled(history, id, enabled));
+  };
+
+  const resultsOutdated = isProcessed && processedSettings !== null && processedSettings !== sessionSettings;
+
+  const dedupOptions = cleaningOptions.dedup || DEFAULT_DEDUP_OPTIONS;
+  const standardizeOptions = cleaningOptions.standardize || DEFAULT_STANDARDIZE_OPTIONS;
+  const fakeThreshold = (cleaningOptions.fakeDetection || DEFAULT_FAKE_DETECTION_OPTIONS).threshold;
+  const outlierOptions = cleaningOptions.outliers || DEFAULT_OUTLIER_OPTIONS;
+
+  const standardizeCounts = useMemo(() => {
+    const counts = {} as Record<StandardizeRule, number>;
+    STANDARDIZE_RULES.forEach(rule => {
+      counts[rule] = 0;
+    });
+    cleaningResult?.changes.forEach(change => {
+      if (change.operation === 'standardizeFormats') counts[change.rule as StandardizeRule]++;
     });
+    return counts;
+  }, [cleaningResult]);
+
+  // Suspected rows framed by their confidence and the reasons they were flagged
+  const fakeGrid = useMemo(() => {
+    if (!cleaningResult) return null;
+    const { headers, rows } = cleaningResult.table;
+    return {
+      headers: ['Confidence', 'Decision', ...headers, 'Reasons'],
+      rows: fakeFindings.map(finding => [
+        `${Math.round(finding.score * 100)}%`,
+        { remove: 'Remove', keep: 'Keep' }[reviewDecisions[cleaningResult.rowIds[finding.row]]] || 'Pending',
+        ...rows[finding.row],
+        finding.reasons.map(reason => reason.detail).join('; ')
+      ])
+    };
+  }, [cleaningResult, fakeFindings, reviewDecisions]);
+
+  const fakeCellClassName = (row: number, column: number): string => {
+    if (column === 0) return 'text-purple-600 font-medium';
+    if (column === 1) return 'text-gray-700';
+    const flagged = fakeFindings[row]?.reasons.some(reason => reason.column === column - 2);
+    return flagged ? 'text-red-600 font-medium' : 'text-gray-500';
+  };
+
+  // Quality of the loaded data against the cleaned output; the pie describes the input
+  const qualityCharts = useMemo(() => {
+    if (!table || !cleaningResult) return null;
+    const before = computeQuality(table);
+    const after = computeQuality(cleaningResult.table);
+    return {
+      pie: qualityPieOption(before),
+      completeness: completenessOption(before, after),
+      beforeAfter: beforeAfterOption(before, after),
+      heatmap: missingHeatmapOption(computeMissingHeatmap(table))
+    };
+  }, [table, cleaningResult]);
+
+  const numericColumns = schema
+    .map((profile, column) => ({ name: profile.name, column, numeric: isNumericType(profile.type) }))
+    .filter(entry => entry.numeric);
+  const selectedHistogramColumn = numericColumns.some(entry => entry.column === histogramColumn)
+    ? histogramColumn
+    : numericColumns[0]?.column ?? null;
+
+  const histogramChart = useMemo(() => {
+    if (!cleaningResult || selectedHistogramColumn === null) return null;
+    const name = cleaningResult.table.headers[selectedHistogramColumn];
+    return histogramOption(name, computeHistogram(cleaningResult.table, selectedHistogramColumn));
+  }, [cleaningResult, selectedHistogramColumn]);
+
+  const handleStandardizeChange = (setting: 'dateOrder' | 'defaultRegion' | 'decimalSeparator', value: string) => {
+    record({ type: 'setStandardize', patch: { [setting]: value } }, `${STANDARDIZE_SETTING_NAMES[setting]}: ${value}`);
   };
 
+  const handleStandardizeRuleToggle = (rule: StandardizeRule) => {
+    const enabled = !standardizeOptions.rules[rule];
+    record({ type: 'setStandardizeRule', rule, enabled }, `Standardize ${rule}: ${enabled ? 'on' : 'off'}`);
+  };
+
+  // The preview takes as long as half a run, so it goes to a worker once the settings stop
+  // changing; a newer preview replaces one still running
   useEffect(() => {
-    if (chartRef.current && isProcessed) {
-      if (chartInstance.current) {
-        chartInstance.current.dispose();
-      }
-      
-      const chart = echarts.init(chartRef.current);
-      chartInstance.current = chart;
-      
-      const option = {
-        animation: false,
-        title: {
-          text: 'Data Quality Analysis',
-          left: 'center'
-        },
-        tooltip: {
-          trigger: 'item'
-        },
-        legend: {
-          orient: 'vertical',
-          left: 'left'
-        },
-        series: [
-          {
-            name: 'Data Quality',
-            type: 'pie',
-            radius: '60%',
-            data: [
-              { value: 93, name: 'Complete' },
-              { value: 5, name: 'Missing Values' },
-              { value: 2, name: 'Duplicates' }
-            ],
-            emphasis: {
-              itemStyle: {
-                shadowBlur: 10,
-                shadowOffsetX: 0,
-                shadowColor: 'rgba(0, 0, 0, 0.5)'
-              }
-            }
-          }
-        ]
-      };
-      
-      chart.setOption(option);
-      
-      const handleResize = () => {
-        chart.resize();
+    setCleaningPreview(null);
+    if (!table || (!processingOptions.removeDuplicates && !processingOptions.handleOutliers)) return;
+    let worker: Worker | null = null;
+    const timer = setTimeout(() => {
+      worker = new Worker(new URL('./engine/previewWorker.ts', import.meta.url), { type: 'module' });
+      worker.onmessage = (event: MessageEvent<PreviewWorkerMessage>) => {
+        worker?.terminate();
+        if (event.data.type === 'done') setCleaningPreview(event.data.preview);
       };
-      
-      window.addEventListener('resize', handleResize);
-      
-      return () => {
-        window.removeEventListener('resize', handleResize);
-        chart.dispose();
+      worker.onerror = () => worker?.terminate();
+      const request: PreviewWorkerRequest = {
+        table,
+        options: processingOptions,
+        columnTypes: schema.map(profile => profile.type)
       };
+      worker.postMessage(request);
+    }, PREVIEW_DELAY_MS);
+    return () => {
+      clearTimeout(timer);
+      worker?.terminate();
+    };
+  }, [table, processingOptions, schema]);
+
+  const previewDuplicateRows = cleaningPreview
+    ? cleaningPreview.clusters.reduce((total, cluster) => total + cluster.rows.length - 1, 0).toLocaleString()
+    : '…';
+  const estimatedDuplicates = cleaningOptions.removeDuplicates ? previewDuplicateRows : '0';
+  // Counted on the uploaded data, before duplicates are merged
+  const estimatedOutliers = cleaningPreview ? cleaningPreview.outliers.toLocaleString() : '…';
+
+  // A new method starts from its usual threshold, since the scales differ
+  const handleOutlierChange = (patch: Partial<OutlierOptions>) => {
+    if (patch.method) {
+      record(
+        { type: 'setOutliers', patch: { method: patch.method, threshold: DEFAULT_OUTLIER_THRESHOLDS[patch.method] } },
+        `Outlier method: ${OUTLIER_METHOD_NAMES[patch.method]}`
+      );
+    } else if (patch.treatment) {
+      record({ type: 'setOutliers', patch }, `Outliers: ${OUTLIER_TREATMENT_NAMES[patch.treatment].toLowerCase()}`);
+    } else if (patch.threshold !== undefined) {
+      record({ type: 'setOutliers', patch }, `Outlier threshold: ${patch.threshold}`);
     }
-  }, [isProcessed]);
+  };
+
+  // Clusters change shape with the matching settings, so these steps also drop earlier cluster choices
+  const handleDedupChange = (patch: Pick<DedupOptions, 'metric'> | Pick<DedupOptions, 'threshold'>) => {
+    const label = 'metric' in patch
+      ? `Duplicate matching: ${patch.metric}`
+      : `Duplicate threshold: ${Math.round(patch.threshold * 100)}%`;
+    record({ type: 'setDedup', patch }, label);
+  };
+
+  const handleDedupKeyToggle = (column: string) => {
+    const included = !dedupOptions.keyColumns.includes(column);
+    record({ type: 'setDedupKey', column, included }, `${column}: ${included ? 'added to' : 'removed from'} duplicate key`);
+  };
+
+  const handleResolutionChange = (key: number, resolution: ClusterResolution) => {
+    record({ type: 'resolveCluster', key, resolution }, `Duplicate cluster: keep row ${resolution.survivor + 1}`);
+  };
+
+  const handleColumnRuleChange = (column: string, patch: Partial<ColumnRule>) => {
+    let label: string;
+    if ('constant' in patch) label = `${column}: fill value "${patch.constant}"`;
+    else if ('missingValues' in patch) label = `${column}: missing values ${patch.missingValues || 'default'}`;
+    else label = `${column}: standardize ${patch.standardizeFormats === undefined ? 'default' : patch.standardizeFormats ? 'on' : 'off'}`;
+    record({ type: 'setColumnRule', header: column, patch }, label);
+  };
 
   return (
     <div className="min-h-screen bg-gray-50 font-sans">
@@ -232,19 +1163,27 @@ const App: React.FC = () => {
               type="file" 
               ref={fileInputRef} 
               className="hidden" 
-              accept=".csv" 
+              accept=".csv,.xlsx,.xls" 
+              multiple
               onChange={handleFileInputChange} 
             />
             <div className="flex flex-col items-center justify-center">
               <div className="bg-blue-100 p-4 rounded-full mb-4">
                 <i className="fas fa-cloud-upload-alt text-blue-600 text-4xl"></i>
               </div>
-              <h2 className="text-xl font-semibold text-gray-700 mb-2">Drag & Drop CSV file here</h2>
+              <h2 className="text-xl font-semibold text-gray-700 mb-2">Drag & Drop CSV or Excel files here</h2>
               <p className="text-gray-500 mb-4">or</p>
               <button className="bg-blue-600 hover:bg-blue-700 text-white px-6 py-3 rounded-lg shadow-sm transition duration-300 ease-in-out !rounded-button whitespace-nowrap">
                 Browse Files
               </button>
-              <p className="text-sm text-gray-500 mt-4">Supported file type: CSV</p>
+              <p className="text-sm text-gray-500 mt-4">Supported file types: CSV, XLSX, XLS</p>
+              <p className="text-sm text-gray-500">Drop several files with the same layout to clean them all with one set of options.</p>
+              {fileError && (
+                <p className="text-sm text-red-600 mt-4">
+                  <i className="fas fa-exclamation-circle mr-2"></i>
+                  {fileError}
+                </p>
+              )}
             </div>
           </div>
         )}
@@ -258,7 +1197,7 @@ const App: React.FC = () => {
                 
                 <div className="mb-4">
                   <div className="flex items-center mb-2">
-                    <i className="fas fa-file-csv text-blue-600 mr-2"></i>
+                    <i className={`fas ${fileInfo?.sheet ? 'fa-file-excel' : 'fa-file-csv'} text-blue-600 mr-2`}></i>
                     <span className="font-medium text-gray-700">File Name:</span>
                   </div>
                   <p className="text-gray-600 ml-6">{fileInfo?.name}</p>
@@ -287,42 +1226,208 @@ const App: React.FC = () => {
                   </div>
                   <p className="text-gray-600 ml-6">{fileInfo?.columns}</p>
                 </div>
+                
+                <div className="mb-4">
+                  <div className="flex items-center mb-2">
+                    <i className="fas fa-code text-blue-600 mr-2"></i>
+                    <span className="font-medium text-gray-700">Format:</span>
+                  </div>
+                  <p className="text-gray-600 ml-6">{fileInfo?.format}</p>
+                </div>
+                
+                {fileInfo?.sheet && (
+                  <div className="mb-4">
+                    <div className="flex items-center mb-2">
+                      <i className="fas fa-layer-group text-blue-600 mr-2"></i>
+                      <span className="font-medium text-gray-700">Sheet:</span>
+                    </div>
+                    {workbookRef.current && workbookRef.current.SheetNames.length > 1 ? (
+                      <select 
+                        className="ml-6 border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
+                        value={fileInfo.sheet}
+                        onChange={handleSheetChange}
+                      >
+                        {workbookRef.current.SheetNames.map(name => (
+                          <option key={name} value={name}>{name}</option>
+                        ))}
+                      </select>
+                    ) : (
+                      <p className="text-gray-600 ml-6">{fileInfo.sheet}</p>
+                    )}
+                  </div>
+                )}
+                
+                {parseErrors.length > 0 && (
+                  <div className="mb-4">
+                    <div className="flex items-center mb-2">
+                      <i className="fas fa-exclamation-circle text-red-600 mr-2"></i>
+                      <span className="font-medium text-gray-700">Malformed Rows Skipped: {parseErrors.length}</span>
+                    </div>
+                    <ul className="ml-6 space-y-1 max-h-32 overflow-y-auto">
+                      {parseErrors.slice(0, 50).map((error, index) => (
+                        <li key={index} className="text-sm text-red-600">
+                          Line {error.line}: {error.message}
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
               </div>
             </div>
 
             <div className="lg:col-span-2">
               <div className="bg-white rounded-lg shadow-sm p-6">
                 <h2 className="text-lg font-semibold text-gray-800 mb-4">Data Preview</h2>
-                <div className="overflow-x-auto">
-                  <table className="min-w-full divide-y divide-gray-200">
-                    <thead className="bg-gray-50">
-                      <tr>
-                        {previewData[0]?.map((header, index) => (
-                          <th 
-                            key={index}
-                            className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"
+                <p className="text-sm text-gray-500 mb-4">
+                  Double-click a cell to correct it. Edits are kept in the session history and applied before cleaning.
+                </p>
+                {editedTable && (
+                  <DataGrid
+                    headers={editedTable.headers}
+                    rows={editedTable.rows}
+                    onCellEdit={handleCellEdit}
+                    cellClassName={(row, column) => (editedCells.has(`${row}:${column}`) ? 'bg-green-50 text-green-800' : 'text-gray-500')}
+                  />
+                )}
+
+                {editedTable && (
+                  <div className="mt-6 border-t border-gray-200 pt-6">
+                    <h3 className="font-medium text-gray-700 mb-3">Find and Replace</h3>
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                      <div className="md:col-span-2 space-y-3">
+                        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                          <input
+                            type="text"
+                            className="border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
+                            placeholder={replaceSearch.regex ? 'Regular expression' : 'Find'}
+                            value={replaceSearch.find}
+                            onChange={(e) => handleReplaceChange({ find: e.target.value })}
+                          />
+                          <input
+                            type="text"
+                            className="border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
+                            placeholder={replaceSearch.regex ? 'Replace with ($1 for groups)' : 'Replace with'}
+                            value={replaceSearch.replacement}
+                            onChange={(e) => handleReplaceChange({ replacement: e.target.value })}
+                          />
+                        </div>
+                        <div className="flex flex-wrap gap-4 text-sm text-gray-600">
+                          <label className="flex items-center">
+                            <input
+                              type="checkbox"
+                              className="mr-2"
+                              checked={replaceSearch.regex}
+                              onChange={(e) => handleReplaceChange({ regex: e.target.checked })}
+                            />
+                            Regular expression
+                          </label>
+                          <label className="flex items-center">
+                            <input
+                              type="checkbox"
+                              className="mr-2"
+                              checked={replaceSearch.matchCase}
+                              onChange={(e) => handleReplaceChange({ matchCase: e.target.checked })}
+                            />
+                            Match case
+                          </label>
+                          <label className="flex items-center">
+                            <input
+                              type="checkbox"
+                              className="mr-2"
+                              checked={replaceSearch.wholeCell}
+                              onChange={(e) => handleReplaceChange({ wholeCell: e.target.checked })}
+                            />
+                            Whole cell only
+                          </label>
+                        </div>
+                        <div className="flex items-center justify-between">
+                          <span className={`text-sm ${replaceMatches?.error ? 'text-red-600' : 'text-gray-600'}`}>
+                            {replaceMatches?.error
+                              ? replaceMatches.error
+                              : replaceSearch.find
+                                ? `${replaceMatches?.occurrences.toLocaleString()} matches in ${replaceMatches?.cells.toLocaleString()} cells`
+                                : 'Type something to find'}
+                          </span>
+                          <button
+                            className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-md text-sm cursor-pointer !rounded-button whitespace-nowrap disabled:opacity-50 disabled:cursor-not-allowed"
+                            onClick={handleReplaceAll}
+                            disabled={!replaceMatches || !!replaceMatches.error || replaceMatches.cells === 0}
                           >
-                            {header}
-                          </th>
-                        ))}
-                      </tr>
-                    </thead>
-                    <tbody className="bg-white divide-y divide-gray-200">
-                      {previewData.slice(1).map((row, rowIndex) => (
-                        <tr key={rowIndex}>
-                          {row.map((cell, cellIndex) => (
-                            <td 
-                              key={cellIndex}
-                              className="px-6 py-4 whitespace-nowrap text-sm text-gray-500"
-                            >
-                              {cell}
-                            </td>
+                            Replace All
+                          </button>
+                        </div>
+                      </div>
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">Columns</label>
+                        <div className="max-h-32 overflow-y-auto border border-gray-300 rounded-md px-3 py-2 space-y-1">
+                          {editedTable.headers.map((header, column) => (
+                            <label key={column} className="flex items-center text-sm text-gray-600">
+                              <input
+                                type="checkbox"
+                                className="mr-2"
+                                checked={replaceSearch.columns.includes(column)}
+                                onChange={() => handleReplaceColumnToggle(column)}
+                              />
+                              {header}
+                            </label>
                           ))}
-                        </tr>
+                        </div>
+                        <p className="mt-1 text-xs text-gray-500">All columns when none are selected.</p>
+                      </div>
+                    </div>
+                  </div>
+                )}
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* Column Schema Panel */}
+        {file && schema.length > 0 && (
+          <div className="mt-8">
+            <div className="bg-white rounded-lg shadow-sm p-6">
+              <h2 className="text-lg font-semibold text-gray-800 mb-2">Column Schema</h2>
+              <p className="text-sm text-gray-500 mb-4">
+                Types are inferred from the data. Mean and median imputation only apply to integer and decimal columns.
+              </p>
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      {['Column', 'Type', 'Nulls', 'Distinct', 'Min', 'Max', 'Samples'].map(label => (
+                        <th 
+                          key={label}
+                          className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"
+                        >
+                          {label}
+                        </th>
                       ))}
-                    </tbody>
-                  </table>
-                </div>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {schema.map((profile, index) => (
+                      <tr key={index}>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-700">{profile.name}</td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                          <select 
+                            className="border border-gray-300 rounded-md px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
+                            value={profile.type}
+                            onChange={(e) => handleColumnTypeChange(index, e.target.value as ColumnType)}
+                          >
+                            {COLUMN_TYPES.map(type => (
+                              <option key={type} value={type}>{type}</option>
+                            ))}
+                          </select>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{profile.nullCount}</td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{profile.distinctCount}</td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{cellToString(profile.min)}</td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{cellToString(profile.max)}</td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{profile.samples.join(', ')}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
               </div>
             </div>
           </div>
@@ -333,8 +1438,111 @@ const App: React.FC = () => {
           <div className="mt-8">
             <div className="bg-white rounded-lg shadow-sm p-6">
               <h2 className="text-lg font-semibold text-gray-800 mb-6">Cleaning Options</h2>
+
+              {suggestedRecipe && (
+                <div className="mb-6 bg-blue-50 border border-blue-200 rounded-lg p-4 flex flex-wrap gap-3 justify-between items-center">
+                  <span className="text-sm text-blue-800">
+                    <i className="fas fa-magic mr-2"></i>
+                    The recipe "{suggestedRecipe.name}" was saved for a file with these columns.
+                  </span>
+                  <div className="flex space-x-3">
+                    <button
+                      className="bg-blue-600 hover:bg-blue-700 text-white px-3 py-1 rounded-md text-sm cursor-pointer !rounded-button whitespace-nowrap"
+                      onClick={() => handleApplyRecipe(suggestedRecipe)}
+                    >
+                      Apply Recipe
+                    </button>
+                    <button
+                      className="text-blue-700 hover:text-blue-800 text-sm cursor-pointer whitespace-nowrap"
+                      onClick={() => setSuggestedRecipe(null)}
+                    >
+                      Dismiss
+                    </button>
+                  </div>
+                </div>
+              )}
+
+              <div className="mb-6 border border-gray-200 rounded-lg p-4">
+                <h3 className="font-medium text-gray-700 mb-3">Recipes</h3>
+                <div className="flex flex-wrap gap-3 items-center">
+                  <select
+                    className="border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
+                    value={selectedRecipe}
+                    onChange={(e) => setSelectedRecipe(e.target.value)}
+                    aria-label="Saved recipes"
+                  >
+                    <option value="">{recipes.length > 0 ? 'Choose a saved recipe' : 'No saved recipes'}</option>
+                    {recipes.map(recipe => (
+                      <option key={recipe.name} value={recipe.name}>{recipe.name}</option>
+                    ))}
+                  </select>
+                  <button
+                    className="border border-gray-300 rounded-md px-3 py-2 text-sm text-gray-600 hover:bg-gray-50 cursor-pointer !rounded-button whitespace-nowrap disabled:opacity-50 disabled:cursor-not-allowed"
+                    onClick={() => {
+                      const recipe = recipes.find(saved => saved.name === selectedRecipe);
+                      if (recipe) handleApplyRecipe(recipe);
+                    }}
+                    disabled={!selectedRecipe}
+                  >
+                    Apply
+                  </button>
+                  <button
+                    className="border border-gray-300 rounded-md px-3 py-2 text-sm text-red-600 hover:bg-red-50 cursor-pointer !rounded-button whitespace-nowrap disabled:opacity-50 disabled:cursor-not-allowed"
+                    onClick={handleDeleteRecipe}
+                    disabled={!selectedRecipe}
+                  >
+                    Delete
+                  </button>
+                  <span className="hidden md:block h-6 border-l border-gray-200"></span>
+                  <input
+                    type="text"
+                    className="border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
+                    placeholder="Recipe name"
+                    value={recipeName}
+                    onChange={(e) => setRecipeName(e.target.value)}
+                    onKeyDown={(e) => e.key === 'Enter' && handleSaveRecipe()}
+                  />
+                  <button
+                    className="bg-blue-600 hover:bg-blue-700 text-white px-3 py-2 rounded-md text-sm cursor-pointer !rounded-button whitespace-nowrap disabled:opacity-50 disabled:cursor-not-allowed"
+                    onClick={handleSaveRecipe}
+                    disabled={!recipeName.trim()}
+                  >
+                    <i className="fas fa-save mr-1"></i>
+                    Save Current Settings
+                  </button>
+                  <button
+                    className="border border-gray-300 rounded-md px-3 py-2 text-sm text-gray-600 hover:bg-gray-50 cursor-pointer !rounded-button whitespace-nowrap"
+                    onClick={handleExportRecipe}
+                    title={selectedRecipe ? `Export "${selectedRecipe}"` : 'Export the current settings'}
+                  >
+                    <i className="fas fa-file-export mr-1"></i>
+                    Export JSON
+                  </button>
+                  <button
+                    className="border border-gray-300 rounded-md px-3 py-2 text-sm text-gray-600 hover:bg-gray-50 cursor-pointer !rounded-button whitespace-nowrap"
+                    onClick={() => recipeInputRef.current?.click()}
+                  >
+                    <i className="fas fa-file-import mr-1"></i>
+                    Import JSON
+                  </button>
+                  <input
+                    type="file"
+                    ref={recipeInputRef}
+                    className="hidden"
+                    accept=".json,application/json"
+                    onChange={handleImportRecipe}
+                  />
+                </div>
+                {recipeMessage && (
+                  <p className={`mt-2 text-sm ${recipeMessage.error ? 'text-red-600' : 'text-green-600'}`}>{recipeMessage.text}</p>
+                )}
+                <p className="mt-2 text-xs text-gray-500">
+                  Recipes keep the options, column rules and types, duplicate keys, format settings and the fake detection threshold.
+                  The anonymization salt is never saved.
+                </p>
+              </div>
               
-              <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+              <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-5 gap-6">
                 <div className="bg-gray-50 rounded-lg p-5 border border-gray-200">
                   <div className="flex items-center justify-between mb-4">
                     <div className="flex items-center">
@@ -351,7 +1559,7 @@ const App: React.FC = () => {
                       <div className="relative w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-blue-300 rounded-full peer peer-checked:after:translate-x-full rtl:peer-checked:after:-translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:start-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-blue-600"></div>
                     </label>
                   </div>
-                  <p className="text-sm text-gray-600">Estimated duplicates: <span className="font-medium text-blue-600">24 rows</span></p>
+                  <p className="text-sm text-gray-600">Estimated duplicates: <span className="font-medium text-blue-600">{estimatedDuplicates} rows</span></p>
                 </div>
                 
                 <div className="bg-gray-50 rounded-lg p-5 border border-gray-200">
@@ -372,6 +1580,29 @@ const App: React.FC = () => {
                   </select>
                 </div>
                 
+                <div className="bg-gray-50 rounded-lg p-5 border border-gray-200">
+                  <div className="flex items-center justify-between mb-4">
+                    <div className="flex items-center">
+                      <i className="fas fa-chart-line text-blue-600 mr-2"></i>
+                      <h3 className="font-medium text-gray-700">Handle Outliers</h3>
+                    </div>
+                    <label className="inline-flex items-center cursor-pointer">
+                      <input 
+                        type="checkbox" 
+                        className="sr-only peer"
+                        checked={!!cleaningOptions.handleOutliers}
+                        onChange={() => handleToggleChange('handleOutliers')}
+                      />
+                      <div className="relative w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-blue-300 rounded-full peer peer-checked:after:translate-x-full rtl:peer-checked:after:-translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:start-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-blue-600"></div>
+                    </label>
+                  </div>
+                  {cleaningOptions.handleOutliers ? (
+                    <p className="text-sm text-gray-600">Estimated outliers: <span className="font-medium text-blue-600">{estimatedOutliers} cells</span></p>
+                  ) : (
+                    <p className="text-sm text-gray-600">Flag unusual values in numeric columns</p>
+                  )}
+                </div>
+                
                 <div className="bg-gray-50 rounded-lg p-5 border border-gray-200">
                   <div className="flex items-center justify-between mb-4">
                     <div className="flex items-center">
@@ -380,21 +1611,557 @@ const App: React.FC = () => {
                     </div>
                     <label className="inline-flex items-center cursor-pointer">
                       <input 
-                        type="checkbox" 
-                        className="sr-only peer"
-                        checked={cleaningOptions.standardizeFormats}
-                        onChange={() => handleToggleChange('standardizeFormats')}
+                        type="checkbox" 
+                        className="sr-only peer"
+                        checked={cleaningOptions.standardizeFormats}
+                        onChange={() => handleToggleChange('standardizeFormats')}
+                      />
+                      <div className="relative w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-blue-300 rounded-full peer peer-checked:after:translate-x-full rtl:peer-checked:after:-translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:start-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-blue-600"></div>
+                    </label>
+                  </div>
+                  <p className="text-sm text-gray-600">Standardize dates, numbers, and text formats</p>
+                </div>
+                
+                <div className="bg-gray-50 rounded-lg p-5 border border-gray-200">
+                  <div className="flex items-center justify-between mb-4">
+                    <div className="flex items-center">
+                      <i className="fas fa-user-secret text-blue-600 mr-2"></i>
+                      <h3 className="font-medium text-gray-700">Anonymize PII</h3>
+                    </div>
+                    <label className="inline-flex items-center cursor-pointer">
+                      <input 
+                        type="checkbox" 
+                        className="sr-only peer"
+                        checked={!!cleaningOptions.anonymize}
+                        onChange={() => handleToggleChange('anonymize')}
+                      />
+                      <div className="relative w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-blue-300 rounded-full peer peer-checked:after:translate-x-full rtl:peer-checked:after:-translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:start-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-blue-600"></div>
+                    </label>
+                  </div>
+                  <p className="text-sm text-gray-600">
+                    PII columns: <span className="font-medium text-blue-600">{Object.keys(privacyOptions.columns).length}</span>
+                  </p>
+                </div>
+              </div>
+              
+              {cleaningOptions.removeDuplicates && (
+                <div className="mt-8">
+                  <h3 className="font-medium text-gray-700 mb-1">Duplicate Matching</h3>
+                  <p className="text-sm text-gray-500 mb-4">
+                    Match rows on selected key columns (all columns when none are selected). Fuzzy metrics also catch near-duplicates.
+                  </p>
+                  <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Key Columns</label>
+                      <div className="max-h-32 overflow-y-auto border border-gray-300 rounded-md px-3 py-2 space-y-1">
+                        {table?.headers.map(header => (
+                          <label key={header} className="flex items-center text-sm text-gray-600">
+                            <input 
+                              type="checkbox" 
+                              className="mr-2"
+                              checked={dedupOptions.keyColumns.includes(header)}
+                              onChange={() => handleDedupKeyToggle(header)}
+                            />
+                            {header}
+                          </label>
+                        ))}
+                      </div>
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Similarity Metric</label>
+                      <select 
+                        className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
+                        value={dedupOptions.metric}
+                        onChange={(e) => handleDedupChange({ metric: e.target.value as SimilarityMetric })}
+                      >
+                        <option value="exact">Exact Match</option>
+                        <option value="levenshtein">Levenshtein</option>
+                        <option value="jaroWinkler">Jaro-Winkler</option>
+                        <option value="phonetic">Phonetic (Soundex)</option>
+                      </select>
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">
+                        Threshold: {Math.round(dedupOptions.threshold * 100)}%
+                      </label>
+                      <input 
+                        type="range" 
+                        className="w-full"
+                        min="0.5"
+                        max="1"
+                        step="0.01"
+                        value={dedupOptions.threshold}
+                        disabled={dedupOptions.metric === 'exact'}
+                        onChange={(e) => handleDedupChange({ threshold: Number(e.target.value) })}
+                      />
+                    </div>
+                  </div>
+                </div>
+              )}
+              
+              {cleaningOptions.handleOutliers && (
+                <div className="mt-8">
+                  <h3 className="font-medium text-gray-700 mb-1">Outlier Treatment</h3>
+                  <p className="text-sm text-gray-500 mb-4">
+                    Numeric columns are checked after duplicates are merged. Values set to missing are then filled by the missing value strategy.
+                  </p>
+                  <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Method</label>
+                      <select 
+                        className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
+                        value={outlierOptions.method}
+                        onChange={(e) => handleOutlierChange({ method: e.target.value as OutlierMethod })}
+                      >
+                        {(Object.keys(OUTLIER_METHOD_NAMES) as OutlierMethod[]).map(method => (
+                          <option key={method} value={method}>{OUTLIER_METHOD_NAMES[method]}</option>
+                        ))}
+                      </select>
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">
+                        Threshold: {outlierOptions.threshold}
+                        {outlierOptions.method === 'iqr' ? ' × IQR' : outlierOptions.method === 'zscore' ? ' standard deviations' : ' (modified z-score)'}
+                      </label>
+                      <input 
+                        type="range" 
+                        className="w-full"
+                        min="0.5"
+                        max="6"
+                        step="0.1"
+                        value={outlierOptions.threshold}
+                        onChange={(e) => handleOutlierChange({ threshold: Number(e.target.value) })}
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Treatment</label>
+                      <select 
+                        className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
+                        value={outlierOptions.treatment}
+                        onChange={(e) => handleOutlierChange({ treatment: e.target.value as OutlierTreatment })}
+                      >
+                        {(Object.keys(OUTLIER_TREATMENT_NAMES) as OutlierTreatment[]).map(treatment => (
+                          <option key={treatment} value={treatment}>{OUTLIER_TREATMENT_NAMES[treatment]}</option>
+                        ))}
+                      </select>
+                    </div>
+                  </div>
+                </div>
+              )}
+              
+              {cleaningOptions.standardizeFormats && (
+                <div className="mt-8">
+                  <h3 className="font-medium text-gray-700 mb-1">Format Standardization</h3>
+                  <p className="text-sm text-gray-500 mb-4">
+                    Dates become ISO 8601, phones E.164, emails lowercase, names proper case and numbers plain decimals.
+                  </p>
+                  <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Rules</label>
+                      <div className="space-y-1">
+                        {STANDARDIZE_RULES.map(rule => (
+                          <label key={rule} className="flex items-center text-sm text-gray-600 capitalize">
+                            <input 
+                              type="checkbox" 
+                              className="mr-2"
+                              checked={standardizeOptions.rules[rule]}
+                              onChange={() => handleStandardizeRuleToggle(rule)}
+                            />
+                            {rule}
+                          </label>
+                        ))}
+                      </div>
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Ambiguous Dates</label>
+                      <select 
+                        className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
+                        value={standardizeOptions.dateOrder}
+                        onChange={(e) => handleStandardizeChange('dateOrder', e.target.value as DateOrder)}
+                      >
+                        <option value="MDY">Month first (03/04 = Mar 4)</option>
+                        <option value="DMY">Day first (03/04 = 3 Apr)</option>
+                        <option value="YMD">Year first</option>
+                      </select>
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Default Phone Region</label>
+                      <select 
+                        className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
+                        value={standardizeOptions.defaultRegion}
+                        onChange={(e) => handleStandardizeChange('defaultRegion', e.target.value)}
+                      >
+                        {Object.keys(CALLING_CODES).map(region => (
+                          <option key={region} value={region}>{region} (+{CALLING_CODES[region].code})</option>
+                        ))}
+                      </select>
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Decimal Separator</label>
+                      <select 
+                        className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
+                        value={standardizeOptions.decimalSeparator}
+                        onChange={(e) => handleStandardizeChange('decimalSeparator', e.target.value)}
+                      >
+                        <option value=".">Point (1,234.5)</option>
+                        <option value=",">Comma (1.234,5)</option>
+                      </select>
+                    </div>
+                  </div>
+                </div>
+              )}
+              
+              {cleaningOptions.anonymize && (
+                <div className="mt-8">
+                  <h3 className="font-medium text-gray-700 mb-1">Privacy</h3>
+                  <p className="text-sm text-gray-500 mb-4">
+                    Runs after the other steps. Tokens and fake values are consistent: the same input always gets the same replacement.
+                  </p>
+                  <div className="overflow-x-auto">
+                    <table className="min-w-full divide-y divide-gray-200">
+                      <thead className="bg-gray-50">
+                        <tr>
+                          {['Column', 'Personal Data', 'Action'].map(label => (
+                            <th 
+                              key={label}
+                              className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"
+                            >
+                              {label}
+                            </th>
+                          ))}
+                        </tr>
+                      </thead>
+                      <tbody className="bg-white divide-y divide-gray-200">
+                        {table?.headers.map(header => {
+                          const setting = privacyOptions.columns[header];
+                          return (
+                            <tr key={header}>
+                              <td className="px-6 py-3 whitespace-nowrap text-sm font-medium text-gray-700">{header}</td>
+                              <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-500">
+                                <select 
+                                  className="border border-gray-300 rounded-md px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
+                                  value={setting?.kind || ''}
+                                  onChange={(e) => {
+                                    const kind = e.target.value as PiiKind | '';
+                                    handlePrivacyColumnChange(header, kind ? { kind, action: setting?.action || suggestedAction(kind) } : null);
+                                  }}
+                                >
+                                  <option value="">Not personal</option>
+                                  {PII_KINDS.map(kind => (
+                                    <option key={kind} value={kind}>{PII_LABELS[kind]}</option>
+                                  ))}
+                                </select>
+                              </td>
+                              <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-500">
+                                <select 
+                                  className="border border-gray-300 rounded-md px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
+                                  value={setting?.action || 'keep'}
+                                  disabled={!setting}
+                                  onChange={(e) => setting && handlePrivacyColumnChange(header, { ...setting, action: e.target.value as PiiAction })}
+                                >
+                                  {PII_ACTIONS.map(action => (
+                                    <option key={action} value={action}>{PII_ACTION_NAMES[action]}</option>
+                                  ))}
+                                </select>
+                              </td>
+                            </tr>
+                          );
+                        })}
+                      </tbody>
+                    </table>
+                  </div>
+                  <div className="mt-4 max-w-md">
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Hash Salt</label>
+                    <div className="flex space-x-2">
+                      <input 
+                        type="text" 
+                        className="w-full border border-gray-300 rounded-md px-3 py-2 font-mono focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
+                        value={privacyOptions.salt}
+                        onChange={(e) => handleSaltChange(e.target.value)}
                       />
-                      <div className="relative w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-blue-300 rounded-full peer peer-checked:after:translate-x-full rtl:peer-checked:after:-translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:start-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-blue-600"></div>
-                    </label>
+                      <button 
+                        className="border border-gray-300 rounded-md px-3 py-2 text-sm text-gray-600 hover:bg-gray-50 cursor-pointer !rounded-button whitespace-nowrap"
+                        onClick={() => handleSaltChange(randomSalt())}
+                      >
+                        New Salt
+                      </button>
+                    </div>
+                    <p className="mt-1 text-xs text-gray-500">Reuse the same salt to get matching hashes across exports.</p>
                   </div>
-                  <p className="text-sm text-gray-600">Standardize dates, numbers, and text formats</p>
+                </div>
+              )}
+              
+              <div className="mt-8">
+                <h3 className="font-medium text-gray-700 mb-1">Fake Detection</h3>
+                <p className="text-sm text-gray-500 mb-4">
+                  Rows are flagged as suspected fakes when the rules that fire on them add up to this confidence.
+                </p>
+                <div className="max-w-sm">
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Threshold: {Math.round(fakeThreshold * 100)}%
+                  </label>
+                  <input
+                    type="range"
+                    className="w-full"
+                    min="0.3"
+                    max="0.95"
+                    step="0.05"
+                    value={fakeThreshold}
+                    onChange={(e) => handleFakeThresholdChange(Number(e.target.value))}
+                  />
+                </div>
+              </div>
+
+              <div className="mt-8">
+                <div className="flex flex-wrap gap-3 justify-between items-center mb-1">
+                  <h3 className="font-medium text-gray-700">Reference Lookups</h3>
+                  <div className="flex space-x-2">
+                    <button
+                      className="border border-gray-300 rounded-md px-3 py-2 text-sm text-gray-600 hover:bg-gray-50 cursor-pointer !rounded-button whitespace-nowrap"
+                      onClick={() => referenceInputRef.current?.click()}
+                    >
+                      <i className="fas fa-paperclip mr-1"></i>
+                      Attach Reference CSV
+                    </button>
+                    <button
+                      className="bg-blue-600 hover:bg-blue-700 text-white px-3 py-2 rounded-md text-sm cursor-pointer !rounded-button whitespace-nowrap"
+                      onClick={handleAddLookup}
+                    >
+                      <i className="fas fa-plus mr-1"></i>
+                      Add Lookup
+                    </button>
+                    <input
+                      type="file"
+                      ref={referenceInputRef}
+                      className="hidden"
+                      accept=".csv,.tsv,.txt,text/csv"
+                      multiple
+                      onChange={handleAttachReferences}
+                    />
+                  </div>
+                </div>
+                <p className="text-sm text-gray-500 mb-4">
+                  Check columns against a master list, such as customer IDs or a product catalog. Values not in the list flag the row
+                  as a suspected fake; Correct first fixes close misspellings.
+                </p>
+                <div className="flex flex-wrap gap-2 mb-4">
+                  {references.map(reference => (
+                    <span key={reference.name} className="flex items-center px-2 py-1 rounded bg-gray-100 text-xs text-gray-700">
+                      <i className={`fas ${reference.builtin ? 'fa-globe' : 'fa-file-csv'} mr-1 text-gray-500`}></i>
+                      {reference.name} ({reference.rows.length.toLocaleString()})
+                      {!reference.builtin && (
+                        <button
+                          className="ml-2 text-gray-400 hover:text-red-600 cursor-pointer"
+                          onClick={() => handleRemoveReference(reference.name)}
+                          aria-label={`Remove ${reference.name}`}
+                        >
+                          <i className="fas fa-times"></i>
+                        </button>
+                      )}
+                    </span>
+                  ))}
+                </div>
+                {referenceError && <p className="mb-4 text-sm text-red-600">{referenceError}</p>}
+                {lookups.length > 0 && (
+                  <div className="overflow-x-auto">
+                    <table className="min-w-full divide-y divide-gray-200">
+                      <thead className="bg-gray-50">
+                        <tr>
+                          {['Column', 'Reference List', 'Match Against', 'Action', ''].map(label => (
+                            <th
+                              key={label}
+                              className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"
+                            >
+                              {label}
+                            </th>
+                          ))}
+                        </tr>
+                      </thead>
+                      <tbody className="bg-white divide-y divide-gray-200">
+                        {lookups.map((lookup, index) => {
+                          const reference = references.find(list => list.name === lookup.reference);
+                          return (
+                            <tr key={index}>
+                              <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-500">
+                                <select
+                                  className="border border-gray-300 rounded-md px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
+                                  value={lookup.column}
+                                  onChange={(e) => handleLookupChange(index, { ...lookup, column: e.target.value })}
+                                >
+                                  {!table?.headers.includes(lookup.column) && <option value={lookup.column}>{lookup.column} (not in file)</option>}
+                                  {table?.headers.map(header => (
+                                    <option key={header} value={header}>{header}</option>
+                                  ))}
+                                </select>
+                              </td>
+                              <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-500">
+                                <select
+                                  className="border border-gray-300 rounded-md px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
+                                  value={lookup.reference}
+                                  onChange={(e) => handleLookupReferenceChange(index, e.target.value)}
+                                >
+                                  {!reference && <option value={lookup.reference}>{lookup.reference} (not attached)</option>}
+                                  {references.map(list => (
+                                    <option key={list.name} value={list.name}>{list.name}</option>
+                                  ))}
+                                </select>
+                              </td>
+                              <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-500">
+                                <select
+                                  className="border border-gray-300 rounded-md px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
+                                  value={lookup.referenceColumn}
+                                  onChange={(e) => handleLookupChange(index, { ...lookup, referenceColumn: e.target.value })}
+                                >
+                                  {(reference?.headers || [lookup.referenceColumn]).map(header => (
+                                    <option key={header} value={header}>{header}</option>
+                                  ))}
+                                </select>
+                              </td>
+                              <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-500">
+                                <div className="flex items-center space-x-3">
+                                  <select
+                                    className="border border-gray-300 rounded-md px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
+                                    value={lookup.action}
+                                    onChange={(e) => handleLookupChange(index, { ...lookup, action: e.target.value as LookupAction })}
+                                  >
+                                    <option value="flag">Flag</option>
+                                    <option value="correct">Correct, then flag</option>
+                                  </select>
+                                  {lookup.action === 'correct' && (
+                                    <label className="flex items-center text-xs text-gray-500">
+                                      <input
+                                        type="range"
+                                        className="mr-2"
+                                        min="0.7"
+                                        max="1"
+                                        step="0.01"
+                                        value={lookup.threshold}
+                                        onChange={(e) => handleLookupChange(index, { ...lookup, threshold: Number(e.target.value) })}
+                                      />
+                                      {Math.round(lookup.threshold * 100)}% similar
+                                    </label>
+                                  )}
+                                </div>
+                              </td>
+                              <td className="px-6 py-3 whitespace-nowrap text-right text-sm">
+                                <button
+                                  className="text-gray-400 hover:text-red-600 cursor-pointer"
+                                  onClick={() => handleLookupChange(index, null)}
+                                  aria-label="Remove lookup"
+                                >
+                                  <i className="fas fa-trash"></i>
+                                </button>
+                              </td>
+                            </tr>
+                          );
+                        })}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </div>
+
+              <div className="mt-8">
+                <h3 className="font-medium text-gray-700 mb-1">Column Rules</h3>
+                <p className="text-sm text-gray-500 mb-4">Override the options above for individual columns. "Default" follows the global setting.</p>
+                <div className="overflow-x-auto">
+                  <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        {['Column', 'Missing Values', 'Standardize Formats'].map(label => (
+                          <th 
+                            key={label}
+                            className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"
+                          >
+                            {label}
+                          </th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                      {table?.headers.map(header => {
+                        const rule = cleaningOptions.columnRules?.[header] || {};
+                        return (
+                          <tr key={header}>
+                            <td className="px-6 py-3 whitespace-nowrap text-sm font-medium text-gray-700">{header}</td>
+                            <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-500">
+                              <div className="flex items-center space-x-2">
+                                <select 
+                                  className="border border-gray-300 rounded-md px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
+                                  value={rule.missingValues || ''}
+                                  onChange={(e) => handleColumnRuleChange(header, {
+                                    missingValues: (e.target.value || undefined) as ColumnMissingStrategy | undefined
+                                  })}
+                                >
+                                  <option value="">Default</option>
+                                  <option value="mean">Replace with Mean</option>
+                                  <option value="median">Replace with Median</option>
+                                  <option value="mode">Replace with Mode</option>
+                                  <option value="remove">Remove Rows</option>
+                                  <option value="zero">Replace with Zero</option>
+                                  <option value="constant">Replace with Constant</option>
+                                  <option value="keep">Leave Empty</option>
+                                </select>
+                                {rule.missingValues === 'constant' && (
+                                  <input 
+                                    type="text" 
+                                    className="border border-gray-300 rounded-md px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
+                                    placeholder="Value"
+                                    value={rule.constant || ''}
+                                    onChange={(e) => handleColumnRuleChange(header, { constant: e.target.value })}
+                                  />
+                                )}
+                              </div>
+                            </td>
+                            <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-500">
+                              <select 
+                                className="border border-gray-300 rounded-md px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
+                                value={rule.standardizeFormats === undefined ? '' : String(rule.standardizeFormats)}
+                                onChange={(e) => handleColumnRuleChange(header, {
+                                  standardizeFormats: e.target.value === '' ? undefined : e.target.value === 'true'
+                                })}
+                              >
+                                <option value="">Default</option>
+                                <option value="true">On</option>
+                                <option value="false">Off</option>
+                              </select>
+                            </td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
                 </div>
               </div>
               
+              {showDuplicatePreview && !cleaningPreview && cleaningOptions.removeDuplicates && (
+                <p className="mt-8 text-sm text-gray-500">
+                  <i className="fas fa-spinner fa-spin mr-2"></i>
+                  Finding duplicates…
+                </p>
+              )}
+              {showDuplicatePreview && cleaningPreview && cleaningOptions.removeDuplicates && table && (
+                <div className="mt-8">
+                  <h3 className="font-medium text-gray-700 mb-1">Duplicate Clusters</h3>
+                  <p className="text-sm text-gray-500 mb-4">
+                    Choose the row to keep, or click individual cells to merge their values into the result.
+                  </p>
+                  <DuplicateClusters 
+                    headers={table.headers}
+                    clusters={cleaningPreview.clusters}
+                    rowsById={cleaningPreview.rowsById}
+                    resolutions={dedupResolutions}
+                    onResolutionChange={handleResolutionChange}
+                  />
+                </div>
+              )}
+              
               <div className="mt-8 flex justify-end space-x-4">
-                <button className="border border-blue-600 text-blue-600 hover:bg-blue-50 px-6 py-2 rounded-lg transition duration-300 ease-in-out !rounded-button whitespace-nowrap">
-                  Preview Changes
+                <button 
+                  className="border border-blue-600 text-blue-600 hover:bg-blue-50 px-6 py-2 rounded-lg transition duration-300 ease-in-out !rounded-button whitespace-nowrap"
+                  onClick={() => setShowDuplicatePreview(!showDuplicatePreview)}
+                >
+                  {showDuplicatePreview ? 'Hide Preview' : 'Preview Changes'}
                 </button>
                 <button 
                   className="bg-blue-600 hover:bg-blue-700 text-white px-6 py-2 rounded-lg shadow-sm transition duration-300 ease-in-out !rounded-button whitespace-nowrap"
@@ -408,61 +2175,72 @@ const App: React.FC = () => {
         )}
 
         {/* Processing Status Section */}
-        {processingStatus && (
+        {(processingStatus || sessionHistory.steps.length > 0) && (
           <div className="mt-8">
             <div className="bg-white rounded-lg shadow-sm p-6">
               <h2 className="text-lg font-semibold text-gray-800 mb-6">Processing Status</h2>
               
-              <div className="flex flex-col md:flex-row items-center justify-between">
-                <div className="flex items-center mb-4 md:mb-0">
-                  <div className="relative w-20 h-20">
-                    <svg className="w-20 h-20" viewBox="0 0 100 100">
-                      <circle 
-                        className="text-gray-200" 
-                        strokeWidth="8" 
-                        stroke="currentColor" 
-                        fill="transparent" 
-                        r="40" 
-                        cx="50" 
-                        cy="50" 
-                      />
-                      <circle 
-                        className="text-blue-600" 
-                        strokeWidth="8" 
-                        strokeDasharray={251.2}
-                        strokeDashoffset={251.2 - (processingProgress / 100) * 251.2} 
-                        strokeLinecap="round" 
-                        stroke="currentColor" 
-                        fill="transparent" 
-                        r="40" 
-                        cx="50" 
-                        cy="50" 
-                      />
-                    </svg>
-                    <div className="absolute top-0 left-0 w-full h-full flex items-center justify-center">
-                      <span className="text-lg font-semibold text-gray-700">{processingProgress}%</span>
+              {processingStatus && (
+                <div className="flex flex-col md:flex-row items-center justify-between">
+                  <div className="flex items-center mb-4 md:mb-0">
+                    <div className="relative w-20 h-20">
+                      <svg className="w-20 h-20" viewBox="0 0 100 100">
+                        <circle 
+                          className="text-gray-200" 
+                          strokeWidth="8" 
+                          stroke="currentColor" 
+                          fill="transparent" 
+                          r="40" 
+                          cx="50" 
+                          cy="50" 
+                        />
+                        <circle 
+                          className="text-blue-600" 
+                          strokeWidth="8" 
+                          strokeDasharray={251.2}
+                          strokeDashoffset={251.2 - (processingProgress / 100) * 251.2} 
+                          strokeLinecap="round" 
+                          stroke="currentColor" 
+                          fill="transparent" 
+                          r="40" 
+                          cx="50" 
+                          cy="50" 
+                        />
+                      </svg>
+                      <div className="absolute top-0 left-0 w-full h-full flex items-center justify-center">
+                        <span className="text-lg font-semibold text-gray-700">{processingProgress}%</span>
+                      </div>
                     </div>
-                  </div>
                   
-                  <div className="ml-6">
-                    <h3 className="font-medium text-gray-700 mb-1">
-                      {processingStatus === 'Completed' ? 'Processing Complete' : 'Processing Data'}
-                    </h3>
-                    <p className="text-sm text-gray-500">
-                      {processingStatus === 'Completed' 
-                        ? 'Your data has been processed successfully' 
-                        : 'Estimated time remaining: 10 seconds'}
-                    </p>
+                    <div className="ml-6">
+                      <h3 className="font-medium text-gray-700 mb-1">
+                        {processingStatus === 'Completed'
+                          ? 'Processing Complete'
+                          : processingStatus === 'Failed' ? 'Processing Failed' : 'Processing Data'}
+                      </h3>
+                      <p className={`text-sm ${processingStatus === 'Failed' ? 'text-red-600' : 'text-gray-500'}`}>
+                        {processingStatus === 'Completed' 
+                          ? 'Your data has been processed successfully' 
+                          : processingStatus === 'Failed'
+                            ? processingError
+                            : remainingSeconds === null
+                              ? 'Estimating time remaining...'
+                              : `Estimated time remaining: ${formatDuration(remainingSeconds)}`}
+                      </p>
+                    </div>
                   </div>
-                </div>
                 
-                {processingStatus !== 'Completed' && (
-                  <button className="text-red-600 hover:text-red-700 font-medium cursor-pointer !rounded-button whitespace-nowrap">
-                    <i className="fas fa-times-circle mr-2"></i>
-                    Cancel
-                  </button>
-                )}
-              </div>
+                  {processingStatus === 'Processing' && (
+                    <button
+                      className="text-red-600 hover:text-red-700 font-medium cursor-pointer !rounded-button whitespace-nowrap"
+                      onClick={handleCancelProcessing}
+                    >
+                      <i className="fas fa-times-circle mr-2"></i>
+                      Cancel
+                    </button>
+                  )}
+                </div>
+              )}
               
               {processingStatus === 'Processing' && (
                 <div className="mt-6">
@@ -478,21 +2256,214 @@ const App: React.FC = () => {
                       <i className="fas fa-check-circle text-green-500 mr-2"></i>
                       <span className="text-sm text-gray-600">Reading file data</span>
                     </div>
-                    <div className="flex items-center">
-                      <i className={`fas ${processingProgress >= 30 ? 'fa-check-circle text-green-500' : 'fa-circle text-gray-300'} mr-2`}></i>
-                      <span className="text-sm text-gray-600">Analyzing data structure</span>
-                    </div>
-                    <div className="flex items-center">
-                      <i className={`fas ${processingProgress >= 60 ? 'fa-check-circle text-green-500' : 'fa-circle text-gray-300'} mr-2`}></i>
-                      <span className="text-sm text-gray-600">Applying cleaning operations</span>
-                    </div>
-                    <div className="flex items-center">
-                      <i className={`fas ${processingProgress >= 90 ? 'fa-check-circle text-green-500' : 'fa-circle text-gray-300'} mr-2`}></i>
-                      <span className="text-sm text-gray-600">Generating fake data</span>
+                    {stages.map((stage, index) => (
+                      <div key={stage} className="flex items-center">
+                        <i className={`fas ${
+                          index < currentStage
+                            ? 'fa-check-circle text-green-500'
+                            : index === currentStage ? 'fa-spinner fa-spin text-blue-600' : 'fa-circle text-gray-300'
+                        } mr-2`}></i>
+                        <span className="text-sm text-gray-600">{STAGE_NAMES[stage]}</span>
+                        {index === currentStage && pipelineProgress && (
+                          <span className="ml-2 text-xs text-gray-500">
+                            {pipelineProgress.rowsDone.toLocaleString()} of {pipelineProgress.totalRows.toLocaleString()} rows
+                          </span>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {sessionHistory.steps.length > 0 && (
+                <div className={processingStatus ? 'mt-6 pt-6 border-t border-gray-200' : ''}>
+                  <div className="flex flex-wrap gap-2 justify-between items-center mb-3">
+                    <h3 className="font-medium text-gray-700">Session History</h3>
+                    <div className="flex space-x-2">
+                      <button
+                        className="border border-gray-300 rounded-md px-3 py-1 text-sm text-gray-600 hover:bg-gray-50 cursor-pointer !rounded-button whitespace-nowrap disabled:opacity-50 disabled:cursor-not-allowed"
+                        onClick={handleUndo}
+                        disabled={!canUndo(sessionHistory)}
+                      >
+                        <i className="fas fa-undo mr-1"></i>
+                        Undo
+                      </button>
+                      <button
+                        className="border border-gray-300 rounded-md px-3 py-1 text-sm text-gray-600 hover:bg-gray-50 cursor-pointer !rounded-button whitespace-nowrap disabled:opacity-50 disabled:cursor-not-allowed"
+                        onClick={handleRedo}
+                        disabled={!canRedo(sessionHistory)}
+                      >
+                        <i className="fas fa-redo mr-1"></i>
+                        Redo
+                      </button>
+                      {resultsOutdated && (
+                        <button
+                          className="bg-blue-600 hover:bg-blue-700 text-white px-3 py-1 rounded-md text-sm cursor-pointer !rounded-button whitespace-nowrap disabled:opacity-50"
+                          onClick={handleProcessData}
+                          disabled={processingStatus === 'Processing'}
+                        >
+                          <i className="fas fa-sync-alt mr-1"></i>
+                          Re-run
+                        </button>
+                      )}
                     </div>
                   </div>
+                  {resultsOutdated && (
+                    <p className="text-sm text-yellow-700 mb-3">
+                      Settings have changed since the results below were produced. Re-run to bring them up to date.
+                    </p>
+                  )}
+                  <p className="text-xs text-gray-500 mb-2">
+                    Click a step to go back to it; untick a step to leave it out.
+                  </p>
+                  <ol className="space-y-1 max-h-64 overflow-y-auto text-sm">
+                    <li>
+                      <button
+                        className={`text-left w-full px-2 py-1 rounded cursor-pointer hover:bg-gray-50 ${
+                          sessionHistory.cursor === 0 ? 'bg-blue-50 text-blue-700 font-medium' : 'text-gray-600'
+                        }`}
+                        onClick={() => handleJumpTo(-1)}
+                      >
+                        <i className="fas fa-file-alt mr-2"></i>
+                        {fileInfo ? `Loaded ${fileInfo.name}` : 'Default settings'}
+                      </button>
+                    </li>
+                    {sessionHistory.steps.map((step, index) => {
+                      const undone = index >= sessionHistory.cursor;
+                      const current = index === sessionHistory.cursor - 1;
+                      return (
+                        <li key={step.id} className="flex items-center">
+                          <input
+                            type="checkbox"
+                            className="mx-2"
+                            checked={step.enabled}
+                            onChange={(e) => handleStepToggle(step.id, e.target.checked)}
+                            aria-label={`Apply "${step.label}"`}
+                          />
+                          <button
+                            className={`text-left flex-1 px-2 py-1 rounded cursor-pointer hover:bg-gray-50 ${
+                              current ? 'bg-blue-50 text-blue-700 font-medium' : undone ? 'text-gray-400' : 'text-gray-600'
+                            } ${step.enabled ? '' : 'line-through'}`}
+                            onClick={() => handleJumpTo(index)}
+                          >
+                            {step.label}
+                          </button>
+                        </li>
+                      );
+                    })}
+                  </ol>
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+
+        {/* Batch Processing */}
+        {batchItems.length > 0 && (
+          <div className="mt-8">
+            <div className="bg-white rounded-lg shadow-sm p-6">
+              <div className="flex flex-wrap gap-3 justify-between items-center mb-2">
+                <h2 className="text-lg font-semibold text-gray-800">Batch Processing</h2>
+                <div className="flex items-center space-x-2">
+                  {batchRunning ? (
+                    <button
+                      className="border border-red-300 text-red-600 hover:bg-red-50 rounded-md px-4 py-2 text-sm cursor-pointer !rounded-button whitespace-nowrap"
+                      onClick={handleCancelBatch}
+                    >
+                      Cancel
+                    </button>
+                  ) : (
+                    <button
+                      className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-md text-sm cursor-pointer !rounded-button whitespace-nowrap disabled:opacity-50 disabled:cursor-not-allowed"
+                      onClick={handleProcessBatch}
+                      disabled={!table}
+                    >
+                      <i className="fas fa-layer-group mr-2"></i>
+                      Process All {batchItems.length} Files
+                    </button>
+                  )}
+                </div>
+              </div>
+              <p className="text-sm text-gray-500 mb-4">
+                Every file is cleaned with the options set up on {fileInfo?.name || 'the loaded file'}. Hand edits and duplicate
+                choices only apply to that file.
+              </p>
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      {['File', 'Status', 'Rows', 'Suspected Fakes', 'Changes'].map(label => (
+                        <th
+                          key={label}
+                          className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"
+                        >
+                          {label}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {batchItems.map((item, index) => (
+                      <tr key={index}>
+                        <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-700">
+                          {item.name}
+                          <span className="ml-2 text-xs text-gray-400">{formatFileSize(item.size)}</span>
+                        </td>
+                        <td className="px-6 py-3 text-sm text-gray-500">
+                          <div className="flex items-center space-x-3">
+                            <span className={`px-2 py-0.5 rounded text-xs font-medium ${BATCH_STATUS_STYLES[item.status].className}`}>
+                              {BATCH_STATUS_STYLES[item.status].label}
+                            </span>
+                            {item.status === 'processing' && (
+                              <div className="w-32 bg-gray-200 rounded-full h-2">
+                                <div className="bg-blue-600 h-2 rounded-full" style={{ width: `${Math.round(item.progress * 100)}%` }}></div>
+                              </div>
+                            )}
+                            {item.error && <span className="text-red-600">{item.error}</span>}
+                          </div>
+                        </td>
+                        <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-500">
+                          {item.summary ? `${item.summary.inputRows.toLocaleString()} → ${item.summary.outputRows.toLocaleString()}` : ''}
+                        </td>
+                        <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-500">{item.summary?.suspectedFakes.toLocaleString()}</td>
+                        <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-500">{item.summary?.changes.toLocaleString()}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              {finishedBatchItems.length > 0 && !batchRunning && (
+                <div className="mt-6 flex flex-wrap items-center gap-3">
+                  <select
+                    className="border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
+                    value={batchFormat}
+                    onChange={(e) => setBatchFormat(e.target.value as ExportFormat)}
+                    aria-label="Batch file format"
+                  >
+                    <option value="csv">CSV (.csv)</option>
+                    <option value="xlsx">Excel (.xlsx)</option>
+                    <option value="json">JSON (.json)</option>
+                  </select>
+                  <button
+                    className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-md text-sm cursor-pointer !rounded-button whitespace-nowrap"
+                    onClick={handleDownloadBatchZip}
+                  >
+                    <i className="fas fa-file-archive mr-2"></i>
+                    Download {finishedBatchItems.length} Files as ZIP
+                  </button>
+                  <button
+                    className="border border-gray-300 rounded-md px-4 py-2 text-sm text-gray-600 hover:bg-gray-50 cursor-pointer !rounded-button whitespace-nowrap"
+                    onClick={handleDownloadBatchCombined}
+                  >
+                    <i className="fas fa-object-group mr-2"></i>
+                    Download Combined
+                  </button>
+                  <span className="text-xs text-gray-500">The combined file adds a source_file column.</span>
                 </div>
               )}
+              {batchDownloadError && !batchRunning && (
+                <p className="mt-3 text-sm text-red-600">{batchDownloadError}</p>
+              )}
             </div>
           </div>
         )}
@@ -523,6 +2494,21 @@ const App: React.FC = () => {
                   >
                     Fake Data
                   </button>
+                  <button
+                    className={`py-4 px-1 border-b-2 font-medium text-sm ${
+                      activeTab === 'validation'
+                        ? 'border-blue-600 text-blue-600'
+                        : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                    } cursor-pointer whitespace-nowrap`}
+                    onClick={() => setActiveTab('validation')}
+                  >
+                    Validation
+                    {validationReport && validationReport.violations.length > 0 && (
+                      <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-red-100 text-red-700">
+                        {validationReport.violations.length.toLocaleString()}
+                      </span>
+                    )}
+                  </button>
                 </nav>
               </div>
               
@@ -530,125 +2516,310 @@ const App: React.FC = () => {
                 {activeTab === 'cleaned' ? (
                   <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
                     <div className="lg:col-span-2">
-                      <h3 className="font-medium text-gray-700 mb-4">Cleaned Data Preview</h3>
-                      <div className="overflow-x-auto">
-                        <table className="min-w-full divide-y divide-gray-200">
-                          <thead className="bg-gray-50">
-                            <tr>
-                              {previewData[0]?.map((header, index) => (
-                                <th 
-                                  key={index}
-                                  className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"
-                                >
-                                  {header}
-                                </th>
-                              ))}
-                            </tr>
-                          </thead>
-                          <tbody className="bg-white divide-y divide-gray-200">
-                            {previewData.slice(1).map((row, rowIndex) => (
-                              <tr key={rowIndex}>
-                                {row.map((cell, cellIndex) => (
-                                  <td 
-                                    key={cellIndex}
-                                    className="px-6 py-4 whitespace-nowrap text-sm text-gray-500"
-                                  >
-                                    {cell}
-                                  </td>
-                                ))}
-                              </tr>
-                            ))}
-                          </tbody>
-                        </table>
-                      </div>
-                      
-                      <div className="mt-4 flex justify-between items-center">
-                        <div className="text-sm text-gray-500">
-                          Showing 4 of {fileInfo?.rows} rows
-                        </div>
-                        <div className="flex space-x-2">
-                          <button className="border border-gray-300 rounded-md px-3 py-1 text-sm text-gray-600 hover:bg-gray-50 cursor-pointer !rounded-button whitespace-nowrap">
-                            Previous
-                          </button>
-                          <button className="border border-gray-300 rounded-md px-3 py-1 text-sm text-gray-600 hover:bg-gray-50 cursor-pointer !rounded-button whitespace-nowrap">
-                            Next
-                          </button>
+                      <div className="flex justify-between items-center mb-4">
+                        <h3 className="font-medium text-gray-700">{showDiff ? 'Changes Made by Cleaning' : 'Cleaned Data Preview'}</h3>
+                        <div className="flex items-center space-x-4">
+                          {!showDiff && validationReport && validationReport.rows.size > 0 && (
+                            <label className="flex items-center text-sm text-gray-600 cursor-pointer">
+                              <input
+                                type="checkbox"
+                                className="mr-2"
+                                checked={showInvalidOnly}
+                                onChange={e => setShowInvalidOnly(e.target.checked)}
+                              />
+                              Only rows failing validation
+                            </label>
+                          )}
+                          <label className="flex items-center text-sm text-gray-600 cursor-pointer">
+                            <input
+                              type="checkbox"
+                              className="mr-2"
+                              checked={showDiff}
+                              onChange={e => setShowDiff(e.target.checked)}
+                            />
+                            Show differences
+                          </label>
                         </div>
                       </div>
+                      {cleaningResult && table && cleanedPreview && (showDiff
+                        ? <DiffView table={table} result={cleaningResult} />
+                        : (
+                          <DataGrid
+                            headers={cleaningResult.table.headers}
+                            rows={cleanedPreview.rows}
+                            rowLabel={showInvalidOnly ? 'failing rows' : 'rows'}
+                            cellClassName={(row, column) => (
+                              cleanedPreview.invalidCells.has(`${cleanedPreview.ids[row]}:${column}`) ? 'bg-red-50 text-red-700' : 'text-gray-500'
+                            )}
+                          />
+                        ))}
                     </div>
                     
                     <div className="lg:col-span-1">
                       <h3 className="font-medium text-gray-700 mb-4">Data Quality Analysis</h3>
-                      <div ref={chartRef} className="w-full h-64"></div>
+                      {qualityCharts && <Chart option={qualityCharts.pie} />}
                       
                       <div className="mt-6">
                         <h4 className="font-medium text-gray-700 mb-3">Changes Summary</h4>
                         <div className="space-y-3">
                           <div className="flex justify-between">
                             <span className="text-sm text-gray-600">Duplicates Removed</span>
-                            <span className="text-sm font-medium text-gray-700">24</span>
+                            <span className="text-sm font-medium text-gray-700">{cleaningResult?.summary.removeDuplicates}</span>
                           </div>
+                          {!!cleaningResult?.summary.handleOutliers && (
+                            <div className="flex justify-between">
+                              <span className="text-sm text-gray-600">Outliers Flagged</span>
+                              <span className="text-sm font-medium text-gray-700">{cleaningResult.summary.handleOutliers}</span>
+                            </div>
+                          )}
                           <div className="flex justify-between">
                             <span className="text-sm text-gray-600">Missing Values Handled</span>
-                            <span className="text-sm font-medium text-gray-700">37</span>
+                            <span className="text-sm font-medium text-gray-700">{cleaningResult?.summary.missingValues}</span>
                           </div>
                           <div className="flex justify-between">
                             <span className="text-sm text-gray-600">Formats Standardized</span>
-                            <span className="text-sm font-medium text-gray-700">15</span>
+                            <span className="text-sm font-medium text-gray-700">{cleaningResult?.summary.standardizeFormats}</span>
                           </div>
+                          {STANDARDIZE_RULES.filter(rule => standardizeCounts[rule] > 0).map(rule => (
+                            <div key={rule} className="flex justify-between pl-4">
+                              <span className="text-sm text-gray-500 capitalize">{rule}</span>
+                              <span className="text-sm text-gray-600">{standardizeCounts[rule]}</span>
+                            </div>
+                          ))}
+                          {!!cleaningResult?.summary.referenceLookups && (
+                            <div className="flex justify-between">
+                              <span className="text-sm text-gray-600">Values Corrected from References</span>
+                              <span className="text-sm font-medium text-gray-700">{cleaningResult.summary.referenceLookups}</span>
+                            </div>
+                          )}
+                          {!!cleaningResult?.summary.manualEdits && (
+                            <div className="flex justify-between">
+                              <span className="text-sm text-gray-600">Cells Edited by Hand</span>
+                              <span className="text-sm font-medium text-gray-700">{cleaningResult.summary.manualEdits}</span>
+                            </div>
+                          )}
+                          {!!cleaningResult?.summary.anonymize && (
+                            <div className="flex justify-between">
+                              <span className="text-sm text-gray-600">PII Values Anonymized</span>
+                              <span className="text-sm font-medium text-gray-700">{cleaningResult.summary.anonymize}</span>
+                            </div>
+                          )}
                         </div>
                       </div>
                     </div>
+
+                    {qualityCharts && (
+                      <div className="lg:col-span-3 border-t border-gray-200 pt-6">
+                        <h3 className="font-medium text-gray-700 mb-4">Quality Report</h3>
+                        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                          <Chart option={qualityCharts.beforeAfter} className="w-full h-72" />
+                          <Chart option={qualityCharts.completeness} className="w-full h-72" />
+                          <Chart option={qualityCharts.heatmap} className="w-full h-96" />
+                          <div>
+                            {numericColumns.length > 0 ? (
+                              <>
+                                <div className="flex justify-end mb-2">
+                                  <select
+                                    className="border border-gray-300 rounded-md px-3 py-1 text-sm text-gray-700 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                    value={selectedHistogramColumn ?? ''}
+                                    onChange={(e) => setHistogramColumn(Number(e.target.value))}
+                                  >
+                                    {numericColumns.map(entry => (
+                                      <option key={entry.column} value={entry.column}>{entry.name}</option>
+                                    ))}
+                                  </select>
+                                </div>
+                                {histogramChart && <Chart option={histogramChart} className="w-full h-80" />}
+                              </>
+                            ) : (
+                              <p className="text-sm text-gray-500">No numeric columns to plot.</p>
+                            )}
+                          </div>
+                        </div>
+                      </div>
+                    )}
                   </div>
-                ) : (
-                  <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
-                    <div className="lg:col-span-2">
-                      <h3 className="font-medium text-gray-700 mb-4">Fake Data Preview</h3>
-                      <div className="overflow-x-auto">
-                        <table className="min-w-full divide-y divide-gray-200">
-                          <thead className="bg-gray-50">
-                            <tr>
-                              {previewData[0]?.map((header, index) => (
-                                <th 
-                                  key={index}
-                                  className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"
+                ) : activeTab === 'validation' ? (
+                  <div>
+                    <div className="flex flex-wrap gap-3 justify-between items-center mb-4">
+                      <div>
+                        <h3 className="font-medium text-gray-700">Validation Rules</h3>
+                        <p className="text-sm text-gray-500">
+                          {ruleSet
+                            ? `${ruleSet.name}: ${ruleSet.rules.length} rules checked against the cleaned data`
+                            : 'Load a rule set to check the cleaned data against it.'}
+                        </p>
+                      </div>
+                      <div className="flex space-x-2">
+                        <button
+                          className="bg-blue-600 hover:bg-blue-700 text-white px-3 py-2 rounded-md text-sm cursor-pointer !rounded-button whitespace-nowrap"
+                          onClick={() => ruleSetInputRef.current?.click()}
+                        >
+                          <i className="fas fa-file-import mr-1"></i>
+                          Load Rules (JSON)
+                        </button>
+                        {ruleSet && (
+                          <button
+                            className="border border-gray-300 rounded-md px-3 py-2 text-sm text-gray-600 hover:bg-gray-50 cursor-pointer !rounded-button whitespace-nowrap"
+                            onClick={handleClearRuleSet}
+                          >
+                            Clear
+                          </button>
+                        )}
+                        <input
+                          type="file"
+                          ref={ruleSetInputRef}
+                          className="hidden"
+                          accept=".json,application/json,application/schema+json"
+                          onChange={handleLoadRuleSet}
+                        />
+                      </div>
+                    </div>
+                    {ruleSetError && <p className="mb-4 text-sm text-red-600">{ruleSetError}</p>}
+
+                    {!ruleSet ? (
+                      <div className="text-sm text-gray-600 space-y-2">
+                        <p>
+                          A rule set is a JSON file with a list of rules, for example{' '}
+                          <code className="text-gray-700">{'{"name": "Customers", "rules": [{"kind": "required", "column": "email"}]}'}</code>.
+                        </p>
+                        <p>
+                          Rule kinds: <code>required</code>, <code>pattern</code> (a regular expression), <code>range</code> (min and max,
+                          numbers or dates), <code>allowed</code> (a list of values), <code>unique</code> (one or more columns) and{' '}
+                          <code>expression</code> (a cross-field comparison such as <code>end_date {'>'}= start_date</code>).
+                        </p>
+                        <p>
+                          A JSON Schema for one row also works: <code>required</code>, and per property <code>pattern</code>,{' '}
+                          <code>minimum</code>/<code>maximum</code>, <code>enum</code> and <code>type</code>, plus <code>x-unique</code> and{' '}
+                          <code>x-rules</code> for uniqueness and cross-field rules.
+                        </p>
+                      </div>
+                    ) : validationReport && violationGrid && (
+                      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+                        <div className="lg:col-span-1">
+                          <div className="flex justify-between items-center mb-3">
+                            <h4 className="font-medium text-gray-700">Rules</h4>
+                            <span className="text-sm text-gray-500">
+                              {validationReport.rows.size.toLocaleString()} of {cleanedRowIds.length.toLocaleString()} rows fail
+                            </span>
+                          </div>
+                          <ul className="space-y-1">
+                            {ruleSet.rules.map((rule, index) => (
+                              <li key={index}>
+                                <button
+                                  className={`w-full flex justify-between text-left text-sm px-3 py-2 rounded-md cursor-pointer ${
+                                    violationRule === index ? 'bg-blue-50 text-blue-700' : 'text-gray-700 hover:bg-gray-50'
+                                  }`}
+                                  onClick={() => setViolationRule(violationRule === index ? null : index)}
                                 >
-                                  {header}
-                                </th>
-                              ))}
-                            </tr>
-                          </thead>
-                          <tbody className="bg-white divide-y divide-gray-200">
-                            {/* Fake data rows - would be generated in a real app */}
-                            {Array(4).fill(0).map((_, rowIndex) => (
-                              <tr key={rowIndex}>
-                                {previewData[0]?.map((_, cellIndex) => (
-                                  <td 
-                                    key={cellIndex}
-                                    className="px-6 py-4 whitespace-nowrap text-sm text-gray-500"
-                                  >
-                                    {cellIndex === 0 ? `Sample ${rowIndex + 1}` : `Value ${rowIndex + 1}-${cellIndex}`}
-                                  </td>
-                                ))}
-                              </tr>
+                                  <span className="truncate mr-3">{describeRule(rule)}</span>
+                                  <span className={validationReport.counts[index] > 0 ? 'text-red-600 font-medium' : 'text-green-600'}>
+                                    {validationReport.counts[index] > 0 ? validationReport.counts[index].toLocaleString() : <i className="fas fa-check"></i>}
+                                  </span>
+                                </button>
+                              </li>
                             ))}
-                          </tbody>
-                        </table>
-                      </div>
-                      
-                      <div className="mt-4 flex justify-between items-center">
-                        <div className="text-sm text-gray-500">
-                          Showing 4 of 100 generated rows
+                          </ul>
                         </div>
-                        <div className="flex space-x-2">
-                          <button className="border border-gray-300 rounded-md px-3 py-1 text-sm text-gray-600 hover:bg-gray-50 cursor-pointer !rounded-button whitespace-nowrap">
-                            Previous
-                          </button>
-                          <button className="border border-gray-300 rounded-md px-3 py-1 text-sm text-gray-600 hover:bg-gray-50 cursor-pointer !rounded-button whitespace-nowrap">
-                            Next
-                          </button>
+                        <div className="lg:col-span-2">
+                          <h4 className="font-medium text-gray-700 mb-3">
+                            {violationRule === null ? 'All Violations' : `Violations of "${describeRule(ruleSet.rules[violationRule])}"`}
+                          </h4>
+                          {violationGrid.rows.length > 0 ? (
+                            <DataGrid headers={violationGrid.headers} rows={violationGrid.rows} rowLabel="violations" />
+                          ) : (
+                            <p className="text-sm text-gray-500">No violations.</p>
+                          )}
                         </div>
                       </div>
+                    )}
+                  </div>
+                ) : (
+                  <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+                    <div className="lg:col-span-2">
+                      <h3 className="font-medium text-gray-700 mb-4">Review Suspected Fakes</h3>
+                      {cleaningResult && (
+                        <ReviewQueue
+                          headers={cleaningResult.table.headers}
+                          rows={cleaningResult.table.rows}
+                          items={reviewItems}
+                          decisions={reviewDecisions}
+                          onDecide={handleReviewDecision}
+                          onUndo={handleUndo}
+                          canUndo={canUndo(sessionHistory)}
+                        />
+                      )}
+
+                      <h3 className="font-medium text-gray-700 mt-8 mb-4">Suspected Fake Entities</h3>
+                      {fakeGrid && (
+                        <DataGrid
+                          headers={fakeGrid.headers}
+                          rows={fakeGrid.rows}
+                          cellClassName={fakeCellClassName}
+                          rowLabel="suspected rows"
+                        />
+                      )}
+
+                      {syntheticTable && (
+                        <div className="mt-8">
+                          <h3 className="font-medium text-gray-700 mb-4">Synthetic Data Preview</h3>
+                          <DataGrid headers={syntheticTable.headers} rows={syntheticTable.rows} rowLabel="generated rows" />
+
+                          {synthesisResult && (
+                            <div className="mt-6 grid grid-cols-1 md:grid-cols-2 gap-6">
+                              <div>
+                                <h4 className="font-medium text-gray-700 mb-3">Correlation Match</h4>
+                                {correlationPairs.length > 0 ? (
+                                  <>
+                                    <p className="text-sm text-gray-600 mb-3">
+                                      Mean difference from the original correlations: {synthesisResult.correlation.meanAbsoluteError.toFixed(3)}
+                                    </p>
+                                    <table className="min-w-full text-sm">
+                                      <thead>
+                                        <tr className="text-left text-xs text-gray-500 uppercase">
+                                          <th className="py-1">Columns</th>
+                                          <th className="py-1 text-right">Original</th>
+                                          <th className="py-1 text-right">Generated</th>
+                                        </tr>
+                                      </thead>
+                                      <tbody>
+                                        {correlationPairs.slice(0, 8).map(pair => (
+                                          <tr key={pair.label}>
+                                            <td className="py-1 text-gray-600">{pair.label}</td>
+                                            <td className="py-1 text-right text-gray-700">{pair.original.toFixed(2)}</td>
+                                            <td className={`py-1 text-right ${Math.abs(pair.original - pair.synthetic) > 0.2 ? 'text-red-600' : 'text-gray-700'}`}>
+                                              {pair.synthetic.toFixed(2)}
+                                            </td>
+                                          </tr>
+                                        ))}
+                                      </tbody>
+                                    </table>
+                                  </>
+                                ) : (
+                                  <p className="text-sm text-gray-500">Needs at least two numeric or date columns.</p>
+                                )}
+                              </div>
+                              {synthesisResult.violations.length > 0 && (
+                                <div>
+                                  <h4 className="font-medium text-gray-700 mb-3">Constraints</h4>
+                                  <ul className="space-y-2">
+                                    {synthesisResult.violations.map(violation => (
+                                      <li key={violation.constraint} className="flex justify-between text-sm">
+                                        <code className="text-gray-700">{violation.constraint}</code>
+                                        {violation.rows === 0 ? (
+                                          <span className="text-green-600"><i className="fas fa-check mr-1"></i>All rows</span>
+                                        ) : (
+                                          <span className="text-red-600">{violation.rows} rows violate</span>
+                                        )}
+                                      </li>
+                                    ))}
+                                  </ul>
+                                </div>
+                              )}
+                            </div>
+                          )}
+                        </div>
+                      )}
                     </div>
                     
                     <div className="lg:col-span-1">
@@ -661,8 +2832,10 @@ const App: React.FC = () => {
                           </label>
                           <input 
                             type="number" 
+                            min={1}
                             className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
-                            value="100"
+                            value={synthesisOptions.rows}
+                            onChange={(e) => handleSynthesisChange({ rows: Math.max(1, Math.floor(Number(e.target.value) || 1)) })}
                           />
                         </div>
                         
@@ -670,10 +2843,14 @@ const App: React.FC = () => {
                           <label className="block text-sm font-medium text-gray-700 mb-1">
                             Data Distribution
                           </label>
-                          <select className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500">
-                            <option>Similar to Original</option>
-                            <option>Normal Distribution</option>
-                            <option>Random Distribution</option>
+                          <select
+                            className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            value={synthesisOptions.distribution}
+                            onChange={(e) => handleSynthesisChange({ distribution: e.target.value as DataDistribution })}
+                          >
+                            <option value="similar">Similar to Original</option>
+                            <option value="normal">Normal Distribution</option>
+                            <option value="random">Random Distribution</option>
                           </select>
                         </div>
                         
@@ -682,14 +2859,63 @@ const App: React.FC = () => {
                             Include Outliers
                           </label>
                           <label className="inline-flex items-center cursor-pointer">
-                            <input type="checkbox" className="sr-only peer" checked />
+                            <input
+                              type="checkbox"
+                              className="sr-only peer"
+                              checked={synthesisOptions.outliers}
+                              onChange={() => handleSynthesisChange({ outliers: !synthesisOptions.outliers })}
+                            />
                             <div className="relative w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-blue-300 rounded-full peer peer-checked:after:translate-x-full rtl:peer-checked:after:-translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:start-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-blue-600"></div>
-                            <span className="ml-3 text-sm font-medium text-gray-700">Yes</span>
+                            <span className="ml-3 text-sm font-medium text-gray-700">{synthesisOptions.outliers ? 'Yes' : 'No'}</span>
+                          </label>
+                        </div>
+                        
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-1">
+                            Random Seed
+                          </label>
+                          <div className="flex space-x-2">
+                            <input
+                              type="number"
+                              className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                              value={synthesisOptions.seed}
+                              onChange={(e) => handleSynthesisChange({ seed: Math.floor(Number(e.target.value) || 0) })}
+                            />
+                            <button
+                              className="border border-gray-300 rounded-md px-3 py-2 text-gray-600 hover:bg-gray-50 cursor-pointer !rounded-button"
+                              title="New seed"
+                              onClick={() => handleSynthesisChange({ seed: Math.floor(Math.random() * 1000000) })}
+                            >
+                              <i className="fas fa-dice"></i>
+                            </button>
+                          </div>
+                          <p className="mt-1 text-xs text-gray-500">The same seed and settings always produce the same rows.</p>
+                        </div>
+                        
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-1">
+                            Constraints
                           </label>
+                          <textarea
+                            rows={3}
+                            className="w-full border border-gray-300 rounded-md px-3 py-2 font-mono text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            placeholder={'end_date > start_date\ntotal = qty * price\nunique id'}
+                            value={constraintText}
+                            onChange={(e) => setConstraintText(e.target.value)}
+                          />
+                          {constraintParse.errors.map(error => (
+                            <p key={error.line} className="text-xs text-red-600">Line {error.line}: {error.message}</p>
+                          ))}
+                          {synthesisOptions.distribution === 'similar' && (
+                            <p className="mt-1 text-xs text-gray-500">Correlations and dependent columns such as city and country are kept.</p>
+                          )}
                         </div>
                         
-                        <button className="w-full bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg shadow-sm transition duration-300 ease-in-out mt-4 !rounded-button whitespace-nowrap">
-                          Regenerate Data
+                        <button
+                          className="w-full bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg shadow-sm transition duration-300 ease-in-out mt-4 !rounded-button whitespace-nowrap"
+                          onClick={handleGenerate}
+                        >
+                          {syntheticTable ? 'Regenerate Data' : 'Generate Data'}
                         </button>
                       </div>
                     </div>
@@ -701,8 +2927,14 @@ const App: React.FC = () => {
         )}
 
         {/* Download Section */}
+        {isProcessed && downloadError && (
+          <div className="mt-8 bg-red-50 border border-red-200 rounded-lg p-4 text-sm text-red-700">
+            <i className="fas fa-exclamation-circle mr-2"></i>
+            {downloadError}
+          </div>
+        )}
         {isProcessed && (
-          <div className="mt-8 grid grid-cols-1 md:grid-cols-2 gap-6">
+          <div className={`mt-8 grid grid-cols-1 ${syntheticTable ? 'md:grid-cols-3' : 'md:grid-cols-2'} gap-6`}>
             <div className="bg-white rounded-lg shadow-sm p-6">
               <div className="flex items-center mb-4">
                 <div className="bg-blue-100 p-3 rounded-full">
@@ -715,18 +2947,36 @@ const App: React.FC = () => {
                 <label className="block text-sm font-medium text-gray-700 mb-1">
                   File Format
                 </label>
-                <select className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500">
-                  <option>CSV (.csv)</option>
-                  <option>Excel (.xlsx)</option>
-                  <option>JSON (.json)</option>
+                <select 
+                  className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  value={downloadFormats.cleaned}
+                  onChange={(e) => handleDownloadFormatChange('cleaned', e)}
+                >
+                  <option value="csv">CSV (.csv)</option>
+                  <option value="xlsx">Excel (.xlsx)</option>
+                  <option value="json">JSON (.json)</option>
                 </select>
               </div>
               
               <div className="text-sm text-gray-600 mb-4">
-                <p>File size: approximately {fileInfo?.size}</p>
+                <p>File size: approximately {downloadSizes.cleaned}</p>
+                {reviewRemovedRows > 0 && (
+                  <p>{reviewRemovedRows.toLocaleString()} rows removed in fake review</p>
+                )}
+                {invalidRowCount > 0 && (
+                  <label className="flex items-center mt-2 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      className="mr-2"
+                      checked={excludeInvalidRows}
+                      onChange={e => setExcludeInvalidRows(e.target.checked)}
+                    />
+                    Leave out {invalidRowCount.toLocaleString()} rows that fail validation
+                  </label>
+                )}
               </div>
               
-              {isDownloading ? (
+              {downloading === 'cleaned' ? (
                 <div>
                   <div className="w-full bg-gray-200 rounded-full h-2.5 mb-2">
                     <div 
@@ -737,7 +2987,10 @@ const App: React.FC = () => {
                   
                   <div className="flex justify-between text-sm text-gray-600">
                     <span>Downloading... {downloadProgress}%</span>
-                    <button className="text-red-600 hover:text-red-700 cursor-pointer !rounded-button whitespace-nowrap">
+                    <button 
+                      className="text-red-600 hover:text-red-700 cursor-pointer !rounded-button whitespace-nowrap"
+                      onClick={handleCancelDownload}
+                    >
                       Cancel
                     </button>
                   </div>
@@ -765,18 +3018,22 @@ const App: React.FC = () => {
                 <label className="block text-sm font-medium text-gray-700 mb-1">
                   File Format
                 </label>
-                <select className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500">
-                  <option>CSV (.csv)</option>
-                  <option>Excel (.xlsx)</option>
-                  <option>JSON (.json)</option>
+                <select 
+                  className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  value={downloadFormats.fake}
+                  onChange={(e) => handleDownloadFormatChange('fake', e)}
+                >
+                  <option value="csv">CSV (.csv)</option>
+                  <option value="xlsx">Excel (.xlsx)</option>
+                  <option value="json">JSON (.json)</option>
                 </select>
               </div>
               
               <div className="text-sm text-gray-600 mb-4">
-                <p>File size: approximately 1.2 MB</p>
+                <p>File size: approximately {downloadSizes.fake}</p>
               </div>
               
-              {isDownloading ? (
+              {downloading === 'fake' ? (
                 <div>
                   <div className="w-full bg-gray-200 rounded-full h-2.5 mb-2">
                     <div 
@@ -787,7 +3044,10 @@ const App: React.FC = () => {
                   
                   <div className="flex justify-between text-sm text-gray-600">
                     <span>Downloading... {downloadProgress}%</span>
-                    <button className="text-red-600 hover:text-red-700 cursor-pointer !rounded-button whitespace-nowrap">
+                    <button 
+                      className="text-red-600 hover:text-red-700 cursor-pointer !rounded-button whitespace-nowrap"
+                      onClick={handleCancelDownload}
+                    >
                       Cancel
                     </button>
                   </div>
@@ -802,6 +3062,182 @@ const App: React.FC = () => {
                 </button>
               )}
             </div>
+            {syntheticTable && (
+              <div className="bg-white rounded-lg shadow-sm p-6">
+                <div className="flex items-center mb-4">
+                  <div className="bg-green-100 p-3 rounded-full">
+                    <i className="fas fa-dice text-green-600 text-xl"></i>
+                  </div>
+                  <h3 className="ml-4 text-lg font-semibold text-gray-800">Download Synthetic Data</h3>
+                </div>
+                
+                <div className="mb-4">
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    File Format
+                  </label>
+                  <select 
+                    className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    value={downloadFormats.synthetic}
+                    onChange={(e) => handleDownloadFormatChange('synthetic', e)}
+                  >
+                    <option value="csv">CSV (.csv)</option>
+                    <option value="xlsx">Excel (.xlsx)</option>
+                    <option value="json">JSON (.json)</option>
+                  </select>
+                </div>
+                
+                <div className="text-sm text-gray-600 mb-4">
+                  <p>File size: approximately {downloadSizes.synthetic}</p>
+                </div>
+                
+                {downloading === 'synthetic' ? (
+                  <div>
+                    <div className="w-full bg-gray-200 rounded-full h-2.5 mb-2">
+                      <div 
+                        className="bg-green-600 h-2.5 rounded-full" 
+                        style={{ width: `${downloadProgress}%` }}
+                      ></div>
+                    </div>
+                    
+                    <div className="flex justify-between text-sm text-gray-600">
+                      <span>Downloading... {downloadProgress}%</span>
+                      <button 
+                        className="text-red-600 hover:text-red-700 cursor-pointer !rounded-button whitespace-nowrap"
+                        onClick={handleCancelDownload}
+                      >
+                        Cancel
+                      </button>
+                    </div>
+                  </div>
+                ) : (
+                  <button 
+                    className="w-full bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-lg shadow-sm transition duration-300 ease-in-out !rounded-button whitespace-nowrap"
+                    onClick={() => handleDownload('synthetic')}
+                  >
+                    <i className="fas fa-download mr-2"></i>
+                    Download Synthetic Data
+                  </button>
+                )}
+              </div>
+            )}
+            {downloadTables.violations && (
+              <div className="bg-white rounded-lg shadow-sm p-6">
+                <div className="flex items-center mb-4">
+                  <div className="bg-red-100 p-3 rounded-full">
+                    <i className="fas fa-clipboard-check text-red-600 text-xl"></i>
+                  </div>
+                  <h3 className="ml-4 text-lg font-semibold text-gray-800">Download Validation Report</h3>
+                </div>
+                
+                <div className="mb-4">
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    File Format
+                  </label>
+                  <select 
+                    className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    value={downloadFormats.violations}
+                    onChange={(e) => handleDownloadFormatChange('violations', e)}
+                  >
+                    <option value="csv">CSV (.csv)</option>
+                    <option value="xlsx">Excel (.xlsx)</option>
+                    <option value="json">JSON (.json)</option>
+                  </select>
+                </div>
+                
+                <div className="text-sm text-gray-600 mb-4">
+                  <p>File size: approximately {downloadSizes.violations}</p>
+                  <p>{validationReport?.violations.length.toLocaleString()} violations: rule, row, column, value and message</p>
+                </div>
+                
+                {downloading === 'violations' ? (
+                  <div>
+                    <div className="w-full bg-gray-200 rounded-full h-2.5 mb-2">
+                      <div 
+                        className="bg-red-600 h-2.5 rounded-full" 
+                        style={{ width: `${downloadProgress}%` }}
+                      ></div>
+                    </div>
+                    
+                    <div className="flex justify-between text-sm text-gray-600">
+                      <span>Downloading... {downloadProgress}%</span>
+                      <button 
+                        className="text-red-600 hover:text-red-700 cursor-pointer !rounded-button whitespace-nowrap"
+                        onClick={handleCancelDownload}
+                      >
+                        Cancel
+                      </button>
+                    </div>
+                  </div>
+                ) : (
+                  <button 
+                    className="w-full bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded-lg shadow-sm transition duration-300 ease-in-out !rounded-button whitespace-nowrap"
+                    onClick={() => handleDownload('violations')}
+                  >
+                    <i className="fas fa-download mr-2"></i>
+                    Download Validation Report
+                  </button>
+                )}
+              </div>
+            )}
+            {downloadTables.invalid && (
+              <div className="bg-white rounded-lg shadow-sm p-6">
+                <div className="flex items-center mb-4">
+                  <div className="bg-orange-100 p-3 rounded-full">
+                    <i className="fas fa-exclamation-circle text-orange-600 text-xl"></i>
+                  </div>
+                  <h3 className="ml-4 text-lg font-semibold text-gray-800">Download Failing Rows</h3>
+                </div>
+                
+                <div className="mb-4">
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    File Format
+                  </label>
+                  <select 
+                    className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    value={downloadFormats.invalid}
+                    onChange={(e) => handleDownloadFormatChange('invalid', e)}
+                  >
+                    <option value="csv">CSV (.csv)</option>
+                    <option value="xlsx">Excel (.xlsx)</option>
+                    <option value="json">JSON (.json)</option>
+                  </select>
+                </div>
+                
+                <div className="text-sm text-gray-600 mb-4">
+                  <p>File size: approximately {downloadSizes.invalid}</p>
+                  <p>{invalidRowCount.toLocaleString()} rows, with their violations in a validation_errors column</p>
+                </div>
+                
+                {downloading === 'invalid' ? (
+                  <div>
+                    <div className="w-full bg-gray-200 rounded-full h-2.5 mb-2">
+                      <div 
+                        className="bg-orange-600 h-2.5 rounded-full" 
+                        style={{ width: `${downloadProgress}%` }}
+                      ></div>
+                    </div>
+                    
+                    <div className="flex justify-between text-sm text-gray-600">
+                      <span>Downloading... {downloadProgress}%</span>
+                      <button 
+                        className="text-red-600 hover:text-red-700 cursor-pointer !rounded-button whitespace-nowrap"
+                        onClick={handleCancelDownload}
+                      >
+                        Cancel
+                      </button>
+                    </div>
+                  </div>
+                ) : (
+                  <button 
+                    className="w-full bg-orange-600 hover:bg-orange-700 text-white px-4 py-2 rounded-lg shadow-sm transition duration-300 ease-in-out !rounded-button whitespace-nowrap"
+                    onClick={() => handleDownload('invalid')}
+                  >
+                    <i className="fas fa-download mr-2"></i>
+                    Download Failing Rows
+                  </button>
+                )}
+              </div>
+            )}
           </div>
         )}
       </main>